@@ -2,14 +2,51 @@
 
 const ConfigManager = require("./lib/config-manager");
 const NotificationManager = require("./lib/notification-manager");
+const NotificationHistory = require("./lib/history");
+const DeliveryStats = require("./lib/stats");
+const Outbox = require("./lib/outbox");
+const CircuitBreakers = require("./lib/circuit-breaker");
+const { RateLimiter } = require("./lib/rate-limit");
 const { F, C } = require("./lib/format");
 const sendMessage = require("./lib/message");
 const { checkForUpdate } = require("./lib/version-check");
+const { recordActivity } = require("./lib/presence");
+const { formatDuration } = require("./lib/duration");
+const MessagePipeline = require("./lib/pipeline");
+const ConnectionMonitor = require("./lib/connection-monitor");
+const FriendWatch = require("./lib/watch");
 
 // Plugin state management - tracks active notification sessions
 // Key: `${clientId}-${networkId}`
 const pluginState = new Map();
 
+// Snooze expiry timers - Key: user name, Value: { until, timer, client }
+const snoozeTimers = new Map();
+
+// Notification history files - Key: user name (one file per user, shared by all of their networks)
+const histories = new Map();
+
+// Delivery statistics - Key: user name (one file per user, shared by all of their networks)
+const deliveryStats = new Map();
+
+// Outboxes of failed sends to retry - Key: user name (one file per user; items are owned by network uuid)
+const outboxes = new Map();
+
+// Outbox retries resumed at server start, until the network is wired - Key: `${userName}-${networkId}`
+const resumedRetries = new Map();
+
+// Circuit breakers per service - Key: client id (shared by all of a client's networks)
+const circuitBreakers = new Map();
+
+// Rate limiter for config.limits - Key: client id (shared by all of a client's networks)
+const rateLimiters = new Map();
+
+// Topic of the plugin's virtual channel, followed by the version
+const VIRTUAL_CHANNEL_TOPIC = "External Notify - Settings & Status";
+
+// Longest delay setTimeout accepts (~24.8 days); longer snoozes are re-armed when it fires
+const MAX_TIMER_DELAY = 0x7fffffff;
+
 let apiInstance = null;
 
 // Storage directory for plugin configs
@@ -30,32 +67,223 @@ function getPluginState(client, network) {
 
 	if (!pluginState.has(key)) {
 		const configManager = new ConfigManager(client, storageDir);
-		const config = configManager.load();
+		const config = configManager.loadForNetwork(network);
 
 		pluginState.set(key, {
-			enabled: config.enabled || false,
+			enabled: false,
 			client: client,
 			network: network,
 			configManager: configManager,
 			notificationManager: null, // Created when enabled
-			listenersSetup: false,
+			pipeline: null, // MessagePipeline while enabled
+			connectionMonitor: null, // ConnectionMonitor while enabled
+			friendWatch: null, // FriendWatch while enabled
+			connectedAt: null, // When the network last connected, to recognize replayed backlog
+			lastReplies: new WeakMap(), // Channel -> time the user last sent a message there
 			virtualChannel: null // Virtual channel for settings/status
 		});
 
 		// If enabled in config, initialize notification manager
-		if (config.enabled && config.services && Object.keys(config.services).length > 0) {
-			const state = pluginState.get(key);
-			state.notificationManager = new NotificationManager(
-				config,
-				getLogger()
-			);
-			setupMessageMonitoring(state);
-		}
+		applyNetworkConfig(pluginState.get(key), config);
 	}
 
 	return pluginState.get(key);
 }
 
+/**
+ * Apply a network's effective configuration to its plugin state
+ * Creates the notification manager, message pipeline, connection monitor and friend watch when the network is enabled
+ * @param {boolean} reinitialize - Recreate the notification manager if its services changed; a manager that is
+ *                                 kept holds on to its pending escalations, digests, delayed sends and summaries
+ */
+function applyNetworkConfig(state, config, reinitialize = false) {
+	const hasServices = config.services && Object.keys(config.services).length > 0;
+
+	scheduleSnoozeEnd(state.client, config);
+
+	state.enabled = config.enabled || false;
+
+	if (state.enabled && hasServices) {
+		if (!state.notificationManager || (reinitialize && state.notificationManager.servicesKey !== getServicesKey(config))) {
+			if (state.notificationManager) {
+				state.notificationManager.destroy();
+			}
+			state.notificationManager = createNotificationManager(state, config);
+		} else {
+			state.notificationManager.config = config;
+		}
+		// Pick up retries queued before a restart or while disabled
+		state.notificationManager.scheduleRetry();
+		attachPipeline(state);
+		attachConnectionMonitor(state);
+		attachFriendWatch(state);
+	} else {
+		detachPipeline(state);
+		detachConnectionMonitor(state);
+		detachFriendWatch(state);
+		if (state.notificationManager) {
+			// Nothing queued for later should go out while disabled
+			state.notificationManager.clearPending();
+			state.notificationManager.config = config;
+		}
+	}
+}
+
+/**
+ * Create a notification manager that reports delayed activity to the virtual channel
+ */
+function createNotificationManager(state, config) {
+	// The network's own manager takes over retries resumed at server start
+	const resumedKey = `${state.client.name}-${state.network.uuid}`;
+	if (resumedRetries.has(resumedKey)) {
+		resumedRetries.get(resumedKey).destroy();
+		resumedRetries.delete(resumedKey);
+	}
+
+	const manager = new NotificationManager(config, getLogger());
+	manager.servicesKey = getServicesKey(config);
+	manager.stats = getStats(state.client);
+	manager.outbox = getOutbox(state.client);
+	manager.outboxOwner = state.network.uuid;
+	manager.breakers = getBreakers(state.client);
+	manager.rateLimiter = getRateLimiter(state.client);
+	manager.connectedAt = state.connectedAt;
+
+	manager.on("escalated", result => reportNotification(state, result));
+	manager.on("digest", result => reportNotification(state, result));
+	manager.on("suppressed", result => reportNotification(state, result));
+	manager.on("retried", result => reportNotification(state, result));
+	manager.on("replayed", result => reportNotification(state, result));
+	manager.on("breaker", change => reportBreaker(state, change));
+
+	return manager;
+}
+
+/**
+ * Get a key for the services a notification manager is built from, to tell when they change
+ */
+function getServicesKey(config) {
+	return JSON.stringify(config.services || {});
+}
+
+/**
+ * Get a channel's read state for delayed delivery and escalation
+ * TheLounge resets channel.unread when the user opens the channel, and doesn't count
+ * messages in a channel that is already open in the browser
+ */
+function getReadState(state, channel) {
+	const since = Date.now();
+
+	return {
+		isRead: () => !channel.unread,
+		hasReplied: () => (state.lastReplies.get(channel) || 0) >= since
+	};
+}
+
+/**
+ * Re-apply the saved configuration to every network of a client
+ * The user's defaults apply to every network that doesn't override them
+ * @param {boolean} reinitialize - Recreate the notification managers whose services changed
+ * @param {Object} [config] - The user's configuration, if the caller has just loaded or saved it
+ */
+function applyConfig(client, reinitialize = false, config = null) {
+	const configManager = new ConfigManager(client, storageDir);
+	const base = config || configManager.load();
+
+	for (const network of client.networks || []) {
+		const state = getPluginState(client, network);
+		applyNetworkConfig(state, configManager.applyNetworkOverrides(base, network.uuid), reinitialize);
+	}
+}
+
+/**
+ * Send a message to every virtual channel the plugin has opened for a client
+ * The given network always gets the message, even if its virtual channel isn't open yet
+ */
+function announceToClient(client, text, network = null) {
+	const states = [...pluginState.values()].filter(state => state.client === client && state.virtualChannel);
+
+	if (network && !states.some(state => state.network === network)) {
+		sendMessage(client, network, text);
+	}
+
+	for (const state of states) {
+		sendMessage(client, state.network, text);
+	}
+}
+
+/**
+ * Arm the timer that ends a client's snooze
+ * Snoozes that ran out while TheLounge was down end right away
+ */
+function scheduleSnoozeEnd(client, config) {
+	const existing = snoozeTimers.get(client.name);
+	if (existing && existing.until === config.snoozeUntil) {
+		// A timer armed at server start ends the snooze for the real client once it is known
+		existing.client = client;
+		return;
+	}
+
+	if (existing) {
+		clearTimeout(existing.timer);
+		snoozeTimers.delete(client.name);
+	}
+
+	if (!Number.isFinite(config.snoozeUntil)) {
+		return;
+	}
+
+	const delay = Math.min(Math.max(0, config.snoozeUntil - Date.now()), MAX_TIMER_DELAY);
+	const entry = { until: config.snoozeUntil, timer: null, client: client };
+	entry.timer = setTimeout(() => endSnooze(entry.client), delay);
+	entry.timer.unref();
+
+	snoozeTimers.set(client.name, entry);
+}
+
+/**
+ * Arm the snooze end timers of every stored config
+ * Until the user's networks are wired the snooze is only cleared from the config, without an announcement
+ */
+function resumeSnoozes() {
+	for (const name of listStoredUsers("config")) {
+		const user = { name: name };
+		scheduleSnoozeEnd(user, new ConfigManager(user, storageDir).load());
+	}
+}
+
+/**
+ * Clear an expired snooze from the config and announce that notifications resumed
+ */
+function endSnooze(client) {
+	snoozeTimers.delete(client.name);
+
+	const configManager = new ConfigManager(client, storageDir);
+	const config = configManager.load();
+
+	if (!Number.isFinite(config.snoozeUntil)) {
+		return;
+	}
+
+	if (config.snoozeUntil > Date.now()) {
+		scheduleSnoozeEnd(client, config);
+		return;
+	}
+
+	config.snoozeUntil = null;
+	configManager.save(config);
+	applyConfig(client, false, config);
+
+	announceToClient(client, [F.BREAK, F.SUCCESS("Snooze ended - notifications resumed")]);
+}
+
+/**
+ * Check if a channel is the plugin's virtual channel (recognized by its topic)
+ */
+function isVirtualChannel(channel) {
+	return typeof channel.topic === "string" && channel.topic.startsWith(VIRTUAL_CHANNEL_TOPIC);
+}
+
 /**
  * Get or create the virtual channel for notifications UI
  */
@@ -74,12 +302,10 @@ function getOrCreateVirtualChannel(client, network) {
 	// Get version for channel topic
 	const packageJson = require("./package.json");
 	const version = packageJson.version || "1.0.0";
-	const channelTopic = `External Notify - Settings & Status (v${version})`;
+	const channelTopic = `${VIRTUAL_CHANNEL_TOPIC} (v${version})`;
 
 	// Check if channel already exists in network
-	let virtualChannel = network.channels.find(chan =>
-		chan.name === channelName && chan.topic.startsWith("External Notify - Settings & Status")
-	);
+	let virtualChannel = network.channels.find(chan => chan.name === channelName && isVirtualChannel(chan));
 
 	if (!virtualChannel) {
 		// Create new virtual channel
@@ -145,98 +371,145 @@ function getOrCreateVirtualChannel(client, network) {
 }
 
 /**
- * Setup message monitoring by wrapping channel pushMessage methods
- * This gives us access to messages after TheLounge has determined if they're highlights
+ * Hook the network's message pipeline up to its notification manager
  */
-function setupMessageMonitoring(state) {
-	if (state.listenersSetup) {
+function attachPipeline(state) {
+	if (state.pipeline) {
 		return;
 	}
 
-	const { network, client } = state;
+	const { client, network } = state;
+	const pipeline = new MessagePipeline(network, {
+		// Never intercept the plugin's own channel, or its output would come back through the pipeline
+		ignoreChannel: channel => channel === state.virtualChannel || isVirtualChannel(channel),
+		getContextConfig: () => state.notificationManager ? state.notificationManager.config.context : null
+	});
+
+	// Messages from self mark the user as active (idle presence mode) and as having
+	// replied in the channel (cancels delayed notifications), but never notify.
+	// Disabled networks have no pipeline, so activity there isn't seen.
+	pipeline.on("self", channel => {
+		recordActivity(client);
+		state.lastReplies.set(channel, Date.now());
+	});
+	pipeline.on("message", (event, channel) => dispatchMessage(state, event, channel));
+	pipeline.on("presence", change => {
+		if (state.friendWatch) {
+			state.friendWatch.handlePresence(change);
+		}
+	});
+	pipeline.on("connected", time => {
+		state.connectedAt = time;
+		if (state.notificationManager) {
+			state.notificationManager.connectedAt = time;
+		}
+	});
+
+	pipeline.attach();
+	state.pipeline = pipeline;
 
-	// Wrap pushMessage for all channels in this network
-	for (const channel of network.channels) {
-		wrapChannelPushMessage(channel, state);
+	if (apiInstance) {
+		apiInstance.Logger.debug(`Message pipeline attached for ${client.name} on ${network.name}`);
 	}
+}
 
-	// Also watch for new channels being added
-	const originalAddChannel = network.addChannel.bind(network);
-	network.addChannel = function(channel) {
-		const result = originalAddChannel(channel);
-		wrapChannelPushMessage(channel, state);
-		return result;
-	};
+/**
+ * Unhook the network's message pipeline
+ */
+function detachPipeline(state) {
+	if (!state.pipeline) {
+		return;
+	}
 
-	state.listenersSetup = true;
+	state.pipeline.detach();
+	state.pipeline.removeAllListeners();
+	state.pipeline = null;
 
 	if (apiInstance) {
-		apiInstance.Logger.debug(`Message monitoring setup for ${client.name} on ${network.name}`);
+		apiInstance.Logger.debug(`Message pipeline detached for ${state.client.name} on ${state.network.name}`);
 	}
 }
 
 /**
- * Wrap a channel's pushMessage method to intercept messages
+ * Watch the network's connection and send its outage alerts through the notification manager
  */
-function wrapChannelPushMessage(channel, state) {
-	// Skip if already wrapped
-	if (channel._externalNotifyWrapped) {
+function attachConnectionMonitor(state) {
+	if (state.connectionMonitor) {
 		return;
 	}
 
-	const originalPushMessage = channel.pushMessage.bind(channel);
+	const monitor = new ConnectionMonitor(state.network, {
+		getSettings: () => state.notificationManager ? state.notificationManager.config.connection : ConnectionMonitor.DEFAULT_SETTINGS
+	});
 
-	channel.pushMessage = function(client, msg, increasesUnread) {
-		// Call original first
-		const result = originalPushMessage(client, msg, increasesUnread);
+	// Alerts have no channel, so they are never delayed or escalated
+	monitor.on("alert", event => dispatchMessage(state, event, null));
 
-		// Then check if we should send notification
-		handleTheloungeMessage(state, channel, msg);
+	monitor.attach();
+	state.connectionMonitor = monitor;
+}
 
-		return result;
-	};
+/**
+ * Stop watching the network's connection
+ */
+function detachConnectionMonitor(state) {
+	if (!state.connectionMonitor) {
+		return;
+	}
 
-	channel._externalNotifyWrapped = true;
+	state.connectionMonitor.detach();
+	state.connectionMonitor.removeAllListeners();
+	state.connectionMonitor = null;
 }
 
 /**
- * Handle TheLounge's processed messages
- * At this point, msg.highlight is already set based on TheLounge's highlight detection
+ * Watch the nicks on the friend watch list, or update the MONITOR list after the list changed
  */
-function handleTheloungeMessage(state, channel, msg) {
-	if (!state.enabled || !state.notificationManager) {
+function attachFriendWatch(state) {
+	if (state.friendWatch) {
+		state.friendWatch.sync();
 		return;
 	}
 
-	const { client, network } = state;
+	const watch = new FriendWatch(state.network, {
+		getSettings: () => state.notificationManager ? state.notificationManager.config.watch : FriendWatch.DEFAULT_SETTINGS
+	});
+
+	// Friend watch changes are sent right away: no send delay, no escalation
+	watch.on("message", event => dispatchMessage(state, event, null));
 
-	// Skip messages from self
-	if (msg.self) {
+	watch.attach();
+	state.friendWatch = watch;
+}
+
+/**
+ * Stop watching nicks and take them off the MONITOR list
+ */
+function detachFriendWatch(state) {
+	if (!state.friendWatch) {
 		return;
 	}
 
-	// Only process MESSAGE, ACTION, and NOTICE types
-	if (!["message", "action", "notice"].includes(msg.type)) {
+	state.friendWatch.detach();
+	state.friendWatch.removeAllListeners();
+	state.friendWatch = null;
+}
+
+/**
+ * Pass a normalized message to the notification manager (filter → format → dispatch)
+ * @param {Object} event - MessageEvent from the pipeline, connection monitor or friend watch
+ * @param {Object|null} channel - Channel the message arrived in (null for connection alerts and friend watch)
+ */
+function dispatchMessage(state, event, channel) {
+	if (!state.enabled || !state.notificationManager) {
 		return;
 	}
 
-	// Build message data with TheLounge's processed information
-	const messageData = {
-		type: msg.type,
-		network: network.name,
-		channel: channel.name,
-		nick: msg.from.nick || msg.from,
-		message: msg.text,
-		timestamp: msg.time,
-		highlight: msg.highlight || false // Use TheLounge's highlight detection
-	};
-
-	// Let notification manager decide if this should trigger a notification
-	state.notificationManager.processMessage(messageData, client)
+	const readState = channel ? getReadState(state, channel) : null;
+	state.notificationManager.processMessage(event, state.client, readState)
 		.then(result => {
-			if (result && result.services.length > 0) {
-				// Log notification to virtual channel
-				logNotificationToChannel(state, result);
+			if (result) {
+				reportNotification(state, result);
 			}
 		})
 		.catch(err => {
@@ -246,6 +519,138 @@ function handleTheloungeMessage(state, channel, msg) {
 		});
 }
 
+/**
+ * Get the notification history of a client
+ */
+function getHistory(client) {
+	if (!histories.has(client.name)) {
+		histories.set(client.name, new NotificationHistory(client, storageDir));
+	}
+
+	return histories.get(client.name);
+}
+
+/**
+ * Get the delivery statistics of a client, persisted next to its config
+ */
+function getStats(client) {
+	if (!deliveryStats.has(client.name)) {
+		const path = require("path");
+		deliveryStats.set(client.name, new DeliveryStats(path.join(storageDir, `${client.name}-stats.json`)));
+	}
+
+	return deliveryStats.get(client.name);
+}
+
+/**
+ * Get the outbox of a client, persisted next to its config
+ */
+function getOutbox(client) {
+	if (!outboxes.has(client.name)) {
+		const path = require("path");
+		outboxes.set(client.name, new Outbox(path.join(storageDir, `${client.name}-outbox.json`)));
+	}
+
+	return outboxes.get(client.name);
+}
+
+/**
+ * Get the users that have a file of a kind in the storage directory
+ * @param {string} kind - e.g. "config" for `<user>-config.json`
+ * @returns {string[]} User names
+ */
+function listStoredUsers(kind) {
+	const fs = require("fs");
+	const suffix = `-${kind}.json`;
+
+	return fs.readdirSync(storageDir)
+		.filter(file => file.endsWith(suffix) && file.length > suffix.length)
+		.map(file => file.slice(0, -suffix.length));
+}
+
+/**
+ * Resume the outbox retries persisted before a restart
+ * Networks are only wired once their user runs a command, so until then every network with queued
+ * items gets a notification manager that only works through its outbox
+ */
+function resumeOutboxes() {
+	for (const name of listStoredUsers("outbox")) {
+		// Stored files only know the user's name
+		const user = { name: name };
+		const outbox = getOutbox(user);
+		const configManager = new ConfigManager(user, storageDir);
+		const config = configManager.load();
+
+		for (const owner of new Set(outbox.list().map(item => item.owner))) {
+			if (resumedRetries.has(`${user.name}-${owner}`)) {
+				continue;
+			}
+
+			const effective = configManager.applyNetworkOverrides(config, owner);
+			// Disabled networks don't retry until they are enabled again
+			if (!effective.enabled || Object.keys(effective.services || {}).length === 0) {
+				continue;
+			}
+
+			const manager = new NotificationManager(effective, getLogger());
+			manager.stats = getStats(user);
+			manager.outbox = outbox;
+			manager.outboxOwner = owner;
+			manager.on("retried", result => getHistory(user).record(result, effective.history));
+			manager.scheduleRetry();
+			resumedRetries.set(`${user.name}-${owner}`, manager);
+		}
+	}
+}
+
+/**
+ * Get the circuit breakers of a client
+ */
+function getBreakers(client) {
+	if (!circuitBreakers.has(client.id)) {
+		circuitBreakers.set(client.id, new CircuitBreakers());
+	}
+
+	return circuitBreakers.get(client.id);
+}
+
+/**
+ * Get the rate limiter of a client
+ */
+function getRateLimiter(client) {
+	if (!rateLimiters.has(client.id)) {
+		rateLimiters.set(client.id, new RateLimiter());
+	}
+
+	return rateLimiters.get(client.id);
+}
+
+/**
+ * Announce a circuit breaker opening or closing in every virtual channel of the client
+ */
+function reportBreaker(state, change) {
+	const time = new Date().toLocaleTimeString();
+	const text = change.state === CircuitBreakers.STATES.open
+		? `[${time}] Circuit breaker for ${change.service} opened after ${change.failures} failures (${change.error}); skipping it for ${formatDuration(change.cooldownSeconds * 1000)}`
+		: `[${time}] Circuit breaker for ${change.service} closed; sending again`;
+
+	announceToClient(state.client, text, state.network);
+}
+
+/**
+ * Record a notification decision in the history and log it to the virtual channel
+ * Batched messages are only recorded; they reach the channel as part of their digest.
+ * So are stale (replayed) messages, which reach it as the replay summary.
+ */
+function reportNotification(state, result) {
+	const config = state.notificationManager ? state.notificationManager.config : state.configManager.load();
+	getHistory(state.client).record(result, config.history);
+
+	if (!result.batched && !result.stale && !result.filtered) {
+		logNotificationToChannel(state, result);
+	}
+}
+
 /**
  * Log notification activity to the virtual channel
  */
@@ -253,7 +658,28 @@ function logNotificationToChannel(state, result) {
 	try {
 		const time = result.notification.timestamp.toLocaleTimeString();
 		const services = result.services.join(", ");
-		const text = `[${time}] Notification sent via ${services}: ${result.notification.title} - ${result.notification.message}`;
+		let label = "Notification";
+		if (result.escalated) {
+			label = "Unread escalation";
+		} else if (result.digest) {
+			label = `Digest of ${result.digest}`;
+		} else if (result.suppressed) {
+			label = "Rate limit summary";
+		} else if (result.replayed) {
+			label = "Replay summary";
+		} else if (result.retried) {
+			label = `Retry ${result.retried}`;
+		}
+		const failed = (result.failed || [])
+			.map(failure => failure.queued ? `${failure.service} (will retry)` : failure.service)
+			.join(", ");
+		let outcome = `sent via ${services}${failed ? `, failed via ${failed}` : ""}`;
+		if (result.cancelled) {
+			outcome = `cancelled (${result.cancelled})`;
+		} else if (result.services.length === 0) {
+			outcome = failed ? `failed via ${failed}` : "not sent (no services)";
+		}
+		const text = `[${time}] ${label} ${outcome}: ${result.notification.title} - ${result.notification.message}`;
 
 		sendMessage(state.client, state.network, text);
 	} catch (err) {
@@ -264,7 +690,7 @@ function logNotificationToChannel(state, result) {
 }
 
 /**
- * Enable notifications for a client-network pair
+ * Enable notifications by default for all of a client's networks
  */
 function enableNotifications(client, network) {
 	const state = getPluginState(client, network);
@@ -279,20 +705,17 @@ function enableNotifications(client, network) {
 		};
 	}
 
-	// Create notification manager
-	state.notificationManager = new NotificationManager(
-		config,
-		getLogger()
-	);
-
-	// Setup message monitoring
-	setupMessageMonitoring(state);
-
-	state.enabled = true;
-
-	// Save enabled state to config
+	// Save enabled state to config and wire every network that doesn't override it
 	config.enabled = true;
 	state.configManager.save(config);
+	applyConfig(client, true, config);
+
+	if (!state.enabled) {
+		return {
+			success: true,
+			message: `External notifications enabled, but ${network.name} overrides this to disabled. Use /notify network enable or /notify network reset enabled.`
+		};
+	}
 
 	return {
 		success: true,
@@ -301,16 +724,23 @@ function enableNotifications(client, network) {
 }
 
 /**
- * Disable notifications for a client-network pair
+ * Disable notifications by default for all of a client's networks
  */
 function disableNotifications(client, network) {
 	const state = getPluginState(client, network);
-	state.enabled = false;
 
 	// Save disabled state to config
 	const config = state.configManager.load();
 	config.enabled = false;
 	state.configManager.save(config);
+	applyConfig(client, false, config);
+
+	if (state.enabled) {
+		return {
+			success: true,
+			message: `External notifications disabled, but ${network.name} overrides this to enabled. Use /notify network disable or /notify network reset enabled.`
+		};
+	}
 
 	return {
 		success: true,
@@ -318,6 +748,37 @@ function disableNotifications(client, network) {
 	};
 }
 
+/**
+ * Enable or disable notifications for one network only
+ * Stored as a network override on top of the user's defaults
+ */
+function setNetworkEnabled(client, network, enabled) {
+	const state = getPluginState(client, network);
+	const config = state.configManager.loadForNetwork(network);
+
+	if (enabled && (!config.services || Object.keys(config.services).length === 0)) {
+		return {
+			success: false,
+			message: "No notification services configured. Use /notify setup <service> first."
+		};
+	}
+
+	config.enabled = enabled;
+	if (!state.configManager.save(config)) {
+		return {
+			success: false,
+			message: "Failed to save configuration"
+		};
+	}
+
+	applyNetworkConfig(state, state.configManager.loadForNetwork(network), enabled);
+
+	return {
+		success: true,
+		message: `External notifications ${enabled ? "enabled" : "disabled"} for ${network.name}`
+	};
+}
+
 /**
  * Get notification status for a client-network pair
  */
@@ -327,7 +788,8 @@ function getStatus(client, network) {
 
 	return {
 		enabled: state.enabled,
-		config: config
+		config: state.configManager.applyNetworkOverrides(config, network.uuid),
+		overrides: state.configManager.getNetworkOverrides(config, network.uuid)
 	};
 }
 
@@ -363,6 +825,14 @@ module.exports = {
 			api.Logger.error(`Check Docker volume permissions for: ${storageDir}`);
 		}
 
+		// Send what was queued and end snoozes without waiting for the user to run a command
+		try {
+			resumeOutboxes();
+			resumeSnoozes();
+		} catch (err) {
+			api.Logger.error(`Failed to resume outbox retries and snoozes: ${err.message}`);
+		}
+
 		// Register the /notify command
 		const commands = require("./lib/commands");
 		api.Commands.add("notify", commands.notifyCommand);
@@ -373,8 +843,16 @@ module.exports = {
 	// Export utility functions for use by commands module
 	getPluginState,
 	getOrCreateVirtualChannel,
+	applyConfig,
+	announceToClient,
 	enableNotifications,
 	disableNotifications,
+	setNetworkEnabled,
 	getStatus,
+	getHistory,
+	getStats,
+	getOutbox,
+	getBreakers,
+	getRateLimiter,
 	getApi: () => apiInstance
 };
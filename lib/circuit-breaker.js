@@ -0,0 +1,115 @@
+"use strict";
+
+/**
+ * Circuit Breakers
+ * One breaker per notification service, keyed by lowercased name:
+ * - "closed": sends go through; `failures` consecutive failures open the breaker
+ * - "open": sends are skipped until the cool-down has passed
+ * - "half-open": after the cool-down one trial send goes through; success closes the breaker,
+ *   failure opens it for another cool-down
+ *
+ * Settings are passed on every call, so changed config applies immediately.
+ */
+
+const STATES = {
+	closed: "closed",
+	open: "open",
+	halfOpen: "half-open"
+};
+
+class CircuitBreakers {
+	constructor() {
+		this.services = {};
+	}
+
+	/**
+	 * Get the breaker of a service, creating it on first use
+	 */
+	getBreaker(name) {
+		const key = name.toLowerCase();
+		if (!this.services[key]) {
+			this.services[key] = { state: STATES.closed, failures: 0, openUntil: null, lastError: null };
+		}
+		return this.services[key];
+	}
+
+	/**
+	 * Check if a send may go to a service
+	 * Once the cool-down is over, the first caller gets the trial send
+	 * @returns {boolean}
+	 */
+	allow(name, now = Date.now()) {
+		const breaker = this.getBreaker(name);
+
+		if (breaker.state === STATES.closed) {
+			return true;
+		}
+
+		if (breaker.state === STATES.open && now >= breaker.openUntil) {
+			breaker.state = STATES.halfOpen;
+			return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Record a successful send
+	 * @returns {string|null} "closed" if the breaker closed, otherwise null
+	 */
+	recordSuccess(name) {
+		const breaker = this.getBreaker(name);
+		const wasOpen = breaker.state !== STATES.closed;
+
+		breaker.state = STATES.closed;
+		breaker.failures = 0;
+		breaker.openUntil = null;
+
+		return wasOpen ? STATES.closed : null;
+	}
+
+	/**
+	 * Record a failed send
+	 * @param {Object} settings - { failures, cooldownSeconds } (failures 0 disables breakers)
+	 * @returns {string|null} "open" if the breaker opened, otherwise null
+	 */
+	recordFailure(name, error, settings, now = Date.now()) {
+		const breaker = this.getBreaker(name);
+		breaker.failures++;
+		breaker.lastError = error;
+
+		if (breaker.state === STATES.halfOpen) {
+			// The trial failed: stay open for another cool-down (already reported as open)
+			breaker.state = STATES.open;
+			breaker.openUntil = now + settings.cooldownSeconds * 1000;
+			return null;
+		}
+
+		if (breaker.state === STATES.closed && settings.failures > 0 && breaker.failures >= settings.failures) {
+			breaker.state = STATES.open;
+			breaker.openUntil = now + settings.cooldownSeconds * 1000;
+			return STATES.open;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the state of a service's breaker without changing it
+	 * @returns {Object} { state, failures, openUntil, lastError }
+	 */
+	getStatus(name) {
+		return { ...this.getBreaker(name) };
+	}
+
+	/**
+	 * Close every breaker (e.g. when breakers are turned off)
+	 */
+	reset() {
+		this.services = {};
+	}
+}
+
+CircuitBreakers.STATES = STATES;
+
+module.exports = CircuitBreakers;
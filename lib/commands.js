@@ -5,6 +5,15 @@ const path = require("path");
 const plugin = require("../index");
 const { C, F, NF } = require("./format");
 const sendMessage = require("./message");
+const { keywordToRegExp } = require("./match");
+const { findActiveWindow, formatLocalTime, formatWindow, isValidTimezone, nextTimeOfDay, parseDays, parseTime } = require("./schedule");
+const { formatDuration, parseDuration } = require("./duration");
+const { parseRule, formatRule } = require("./rules");
+const { formatPresence, isUserAbsent, parsePresence } = require("./presence");
+const { formatRate, parseRate } = require("./rate-limit");
+
+// Mute length when /notify mute is given no duration
+const DEFAULT_MUTE_DURATION = "1h";
 
 /**
  * Helper: Get list of available notifier services
@@ -62,6 +71,90 @@ function validateConfigArgs(client, network, setting, value) {
 	return true;
 }
 
+/**
+ * Helper: Save configuration and apply it to the running notification managers
+ * Returns true if the configuration was saved
+ */
+function saveConfig(state, config) {
+	if (!state.configManager.save(config)) {
+		return false;
+	}
+
+	// User defaults apply to every network without an override, so refresh them all
+	plugin.applyConfig(state.client);
+
+	return true;
+}
+
+/**
+ * Helper: Load the configuration a command edits
+ * Network-scoped commands edit the network's effective config, saved as overrides
+ */
+function loadConfig(state, network, networkScope) {
+	return networkScope ? state.configManager.loadForNetwork(network) : state.configManager.load();
+}
+
+/**
+ * Helper: Set a private message/notice mode filter setting and save configuration
+ */
+function setMessageModeFilterSetting(client, network, state, config, settingKey, displayName, value) {
+	const ConfigManager = require('./config-manager');
+	const mode = value.toLowerCase();
+	if (!ConfigManager.MESSAGE_MODES.includes(mode)) {
+		sendMessage(client, network, F.ERROR(`Value must be one of: ${ConfigManager.MESSAGE_MODES.join(', ')}`));
+		return;
+	}
+
+	config.filters[settingKey] = mode;
+	if (saveConfig(state, config)) {
+		sendMessage(client, network, F.SUCCESS(`${displayName}: ${C.CYAN}${mode}${C.RESET}`));
+	} else {
+		sendMessage(client, network, F.ERROR('Failed to save configuration'));
+	}
+}
+
+/**
+ * Helper: Format a list of patterns for display
+ */
+function formatPatternList(patterns) {
+	if (!patterns || patterns.length === 0) {
+		return `${C.DISABLED}(none)${C.RESET}`;
+	}
+
+	return patterns.map(pattern => `${C.CYAN}${pattern}${C.RESET}`).join(', ');
+}
+
+/**
+ * Helper: Format a nick/account pattern group for display
+ */
+function formatUserPatterns(group) {
+	const nicks = (group && group.nicks) || [];
+	const accounts = (group && group.accounts) || [];
+	const patterns = nicks.concat(accounts.map(account => `account:${account}`));
+
+	return formatPatternList(patterns);
+}
+
+/**
+ * Helper: Check that a keyword entry compiles
+ * Returns an error message, or null if the entry is valid
+ */
+function validateKeywordEntry(entry) {
+	try {
+		keywordToRegExp(entry);
+		return null;
+	} catch (err) {
+		return `Invalid regular expression ${C.CYAN}${entry}${C.RESET}: ${err.message}`;
+	}
+}
+
+/**
+ * Helper: Capitalize the first letter of a string
+ */
+function capitalize(text) {
+	return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
 /**
  * Helper: Set a boolean filter setting and save configuration
  * Handles validation, saving, and sending success/error messages
@@ -74,7 +167,7 @@ function setBooleanFilterSetting(client, network, state, config, settingKey, dis
 	}
 
 	config.filters[settingKey] = boolValue === "true";
-	if (state.configManager.save(config)) {
+	if (saveConfig(state, config)) {
 		const statusText = config.filters[settingKey] ? `${C.SUCCESS}enabled${C.RESET}` : `${C.DISABLED}disabled${C.RESET}`;
 		sendMessage(client, network, F.SUCCESS(`${displayName}: ${statusText}`));
 	} else {
@@ -117,6 +210,40 @@ const notifyCommand = {
 			case "test":
 				return handleTest(realClient, network, args.slice(1));
 
+			case "rule":
+			case "rules":
+				return handleRule(realClient, network, args.slice(1));
+
+			case "network":
+				return handleNetwork(realClient, network, args.slice(1));
+
+			case "snooze":
+				return handleSnooze(realClient, network, args.slice(1));
+
+			case "unsnooze":
+				return handleUnsnooze(realClient, network);
+
+			case "mute":
+				return handleMute(realClient, network, args.slice(1));
+
+			case "unmute":
+				return handleUnmute(realClient, network, args.slice(1));
+
+			case "mutes":
+				return handleMutes(realClient, network);
+
+			case "watch":
+				return handleWatch(realClient, network, args.slice(1));
+
+			case "history":
+				return handleHistory(realClient, network, args.slice(1));
+
+			case "stats":
+				return handleStats(realClient, network, args.slice(1));
+
+			case "queue":
+				return handleQueue(realClient, network, args.slice(1));
+
 			case "version":
 				return handleVersion(realClient, network);
 
@@ -133,13 +260,16 @@ const notifyCommand = {
 /**
  * Enable notifications (globally or for a specific service)
  * Usage: /notify enable [service]
+ * With networkScope, only this network is changed (/notify network enable [service])
  */
-function handleEnable(client, network, args) {
+function handleEnable(client, network, args, networkScope = false) {
 	const serviceName = args[0] ? args[0].toLowerCase() : null;
 
 	// If no service specified, enable globally
 	if (!serviceName) {
-		const result = plugin.enableNotifications(client, network);
+		const result = networkScope
+			? plugin.setNetworkEnabled(client, network, true)
+			: plugin.enableNotifications(client, network);
 		let message;
 		if (result.success) {
 			message = F.SUCCESS(result.message);
@@ -155,7 +285,7 @@ function handleEnable(client, network, args) {
 
 	// Enable specific service
 	const state = plugin.getPluginState(client, network);
-	const config = state.configManager.load();
+	const config = loadConfig(state, network, networkScope);
 
 	if (!config.services || !config.services[serviceName]) {
 		sendMessage(client, network, F.ERROR(`Service ${C.ORANGE}${serviceName}${C.RESET} is not configured`));
@@ -188,13 +318,11 @@ function handleEnable(client, network, args) {
 	if (state.configManager.save(config)) {
 		sendMessage(client, network, [
 			F.BREAK,
-			F.SUCCESS(`${notifier.name} service enabled`)
+			F.SUCCESS(`${notifier.name} service enabled${networkScope ? ` for ${network.name}` : ''}`)
 		]);
 
-		// If global notifications are already enabled, reinitialize notification manager
-		if (state.enabled && state.notificationManager) {
-			state.notificationManager = new (require('./notification-manager'))(config, plugin.getApi().Logger);
-		}
+		// Services changed, so reinitialize notification managers
+		plugin.applyConfig(client, true);
 	} else {
 		sendMessage(client, network, [
 			F.BREAK,
@@ -206,23 +334,26 @@ function handleEnable(client, network, args) {
 /**
  * Disable notifications (globally or for a specific service)
  * Usage: /notify disable [service]
+ * With networkScope, only this network is changed (/notify network disable [service])
  */
-function handleDisable(client, network, args) {
+function handleDisable(client, network, args, networkScope = false) {
 	const serviceName = args[0] ? args[0].toLowerCase() : null;
 
 	// If no service specified, disable globally
 	if (!serviceName) {
-		const result = plugin.disableNotifications(client, network);
+		const result = networkScope
+			? plugin.setNetworkEnabled(client, network, false)
+			: plugin.disableNotifications(client, network);
 		sendMessage(client, network, [
 			F.BREAK,
-			F.SUCCESS(result.message)
+			result.success ? F.SUCCESS(result.message) : F.ERROR(result.message)
 		]);
 		return;
 	}
 
 	// Disable specific service
 	const state = plugin.getPluginState(client, network);
-	const config = state.configManager.load();
+	const config = loadConfig(state, network, networkScope);
 
 	if (!config.services || !config.services[serviceName]) {
 		sendMessage(client, network, [
@@ -242,13 +373,11 @@ function handleDisable(client, network, args) {
 	if (state.configManager.save(config)) {
 		sendMessage(client, network, [
 			F.BREAK,
-			F.SUCCESS(`${displayName} service disabled`)
+			F.SUCCESS(`${displayName} service disabled${networkScope ? ` for ${network.name}` : ''}`)
 		]);
 
-		// If global notifications are enabled, reinitialize notification manager
-		if (state.enabled && state.notificationManager) {
-			state.notificationManager = new (require('./notification-manager'))(config, plugin.getApi().Logger);
-		}
+		// Services changed, so reinitialize notification managers
+		plugin.applyConfig(client, true);
 	} else {
 		sendMessage(client, network, [
 			F.BREAK,
@@ -266,11 +395,24 @@ function handleStatus(client, network) {
 	// Status line
 	const statusColor = status.enabled ? C.SUCCESS : C.DISABLED;
 	const statusText = status.enabled ? "ENABLED" : "DISABLED";
+	const overrides = status.overrides || [];
 	sendMessage(client, network, [
 		F.BREAK,
-		F.LABEL('Status', `${statusColor}${statusText}${C.RESET}`)
+		F.LABEL('Status', `${statusColor}${statusText}${C.RESET}`),
+		F.LABEL('Settings', overrides.length > 0
+			? `${C.CYAN}${network.name}${C.RESET} overrides ${formatPatternList(overrides)}`
+			: 'user defaults')
 	]);
 
+	if (status.config && status.config.snoozeUntil > Date.now()) {
+		sendMessage(client, network, F.LABEL('Snoozed', formatSnooze(status.config)));
+	}
+
+	if (status.config && status.config.mutes && status.config.mutes.length > 0) {
+		const targets = status.config.mutes.map(mute => `${mute.target} (${mute.network})`);
+		sendMessage(client, network, F.LABEL('Muted', `${formatPatternList(targets)} - see ${F.CMD('mutes')}`));
+	}
+
 	// Services
 	const servicesMsg = [F.SUBHEADER('Services:')];
 	if (status.config && status.config.services && Object.keys(status.config.services).length > 0) {
@@ -307,6 +449,18 @@ function handleStatus(client, network) {
 			}
 
 			servicesMsg.push(F.INDENT(1) + `${displayName}: ${statusIndicator} ${statusText}`);
+
+			const serviceStats = plugin.getStats(client).getSummary(notifier ? notifier.name : serviceName);
+			if (serviceStats) {
+				servicesMsg.push(F.INDENT(2) + `Last success: ${formatAgo(serviceStats.lastSuccess)}, last failure: ${formatAgo(serviceStats.lastFailure)}`);
+			}
+
+			const breaker = plugin.getBreakers(client).getStatus(notifier ? notifier.name : serviceName);
+			if (breaker.state !== "closed") {
+				const wait = breaker.openUntil - Date.now();
+				servicesMsg.push(F.INDENT(2) + `${C.WARNING}Circuit breaker open${C.RESET} after ${breaker.failures} failures, ` +
+					(wait > 0 ? `trying again in ${formatDuration(wait)}` : 'trying again now'));
+			}
 		}
 	} else {
 		servicesMsg.push(F.INDENT(1) + `${C.DISABLED}None configured${C.RESET}`);
@@ -317,7 +471,9 @@ function handleStatus(client, network) {
 	if (status.config && status.config.filters) {
 		const filters = status.config.filters;
 
-		let awayText = filters.onlyWhenAway ? 'Notify only when away' : 'Notify when away or present';
+		let awayText = filters.onlyWhenAway
+			? `Notify only when away (${formatPresence(filters.presence)}, currently ${isUserAbsent(filters.presence, client) ? 'away' : 'present'})`
+			: 'Notify when away or present';
 		let highlightsText = filters.highlights ? 'Notify on highlights' : 'Do not notify on highlights';
 
 		if(!status.enabled)
@@ -331,15 +487,41 @@ function handleStatus(client, network) {
 			highlightsText = filters.highlights ? F.LI_SUCCESS(highlightsText) : F.LI_WARN(highlightsText);
 		}
 
+		const channels = filters.channels || {};
+
 		const filterMsg = [
 			F.SUBHEADER('Filters:'),
 			awayText,
-			highlightsText
+			highlightsText,
+			F.INDENT(1) + `Private messages: ${C.CYAN}${filters.privateMessages || 'highlight-only'}${C.RESET}`,
+			F.INDENT(1) + `Notices: ${C.CYAN}${filters.notices || 'highlight-only'}${C.RESET}`,
+			F.INDENT(1) + `Include channels: ${formatPatternList(channels.include)}`,
+			F.INDENT(1) + `Exclude channels: ${formatPatternList(channels.exclude)}`,
+			F.INDENT(1) + `Ignored: ${formatUserPatterns(filters.ignore)}`,
+			F.INDENT(1) + `VIPs: ${formatUserPatterns(filters.vip)}`,
+			F.INDENT(1) + `Keyword triggers: ${formatPatternList((filters.keywords || {}).triggers)}`
 		];
 
 		sendMessage(client, network, filterMsg);
 	}
 
+	// Rate limits
+	const limits = status.config && status.config.limits;
+	if (limits && (limits.global || limits.channel || Object.keys(limits.services).length > 0)) {
+		sendMessage(client, network, [
+			F.SUBHEADER('Rate limits:'),
+			...formatRateLimits(plugin.getPluginState(client, network), limits)
+		]);
+	}
+
+	// Quiet hours
+	if (status.config && status.config.schedule) {
+		sendMessage(client, network, [
+			F.SUBHEADER('Quiet hours:'),
+			formatQuietHoursState(status.config.schedule)
+		]);
+	}
+
 	sendMessage(client, network, [
 		F.BREAK,
 		F.INFO(`Configure highlight words in ${C.BOLD}TheLounge Settings > Highlights${C.RESET}`)
@@ -379,10 +561,20 @@ function handleSetup(client, network, args) {
 
 /**
  * Configure notification settings interactively
+ * With networkScope, changes are stored as overrides for this network (/notify network config ...)
  */
-function handleConfig(client, network, args) {
+function handleConfig(client, network, args, networkScope = false) {
 	const state = plugin.getPluginState(client, network);
-	const config = state.configManager.load();
+	const config = loadConfig(state, network, networkScope);
+
+	if (networkScope && args.length === 0) {
+		sendMessage(client, network, [
+			F.BREAK,
+			F.LABEL('Usage', F.CMD('network config <filter|format|service> <setting> <value>')),
+			F.INFO(`Takes the same settings as ${F.CMD('config')}, stored for ${C.CYAN}${network.name}${C.RESET} only`)
+		]);
+		return;
+	}
 
 	if (args.length === 0) {
 		const messages = [
@@ -391,14 +583,89 @@ function handleConfig(client, network, args) {
 			F.BREAK,
 			F.SUBHEADER('Filter:', 'Configure notification filters'),
 			F.INDENT(1) + F.CMD('config filter onlyWhenAway <true|false>', 'Enable/Disable notifications only when away'),
+			F.INDENT(1) + F.CMD('config filter presence <away|no-attached-clients|idle N>', 'What counts as away; combine with commas, prefix "all" to require every mode'),
 			F.INDENT(1) + F.CMD('config filter highlights <true|false>', 'Enable/Disable notifications on highlights'),
+			F.INDENT(1) + F.CMD('config filter privateMessages <always|highlight-only|never>', 'When to notify for private messages'),
+			F.INDENT(1) + F.CMD('config filter notices <always|highlight-only|never>', 'When to notify for notices'),
+			F.INDENT(1) + F.CMD('config filter channel add <include|exclude> <#pattern>', 'Add a channel glob pattern, e.g. #team-*'),
+			F.INDENT(1) + F.CMD('config filter channel remove <include|exclude> <#pattern>', 'Remove a channel pattern'),
+			F.INDENT(1) + F.CMD('config filter channel list', 'Show channel include/exclude lists'),
+			F.INDENT(1) + F.CMD('config filter ignore add <nick|account> <pattern>', 'Never notify for a nick, hostmask or account'),
+			F.INDENT(1) + F.CMD('config filter vip add <nick|account> <pattern>', 'Always notify for a nick, hostmask or account'),
+			F.INDENT(1) + F.CMD('config filter <ignore|vip> remove|list', 'Manage ignore/VIP lists'),
+			F.INDENT(1) + F.CMD('config filter keyword add trigger deploy failed', 'Notify on a word, phrase or /regex/i'),
+			F.INDENT(1) + F.CMD('config filter keyword add exclude staging', 'Do not trigger keywords when this word is present'),
+			F.INDENT(1) + F.CMD('config filter keyword remove|list', 'Manage keyword triggers'),
+			F.BREAK_LIGHT,
+			F.SUBHEADER('Schedule:', 'Quiet hours / do-not-disturb'),
+			F.INDENT(1) + F.CMD('config schedule', 'Show quiet hours windows and whether they are active'),
+			F.INDENT(1) + F.CMD('config schedule enabled <true|false>', 'Enable/Disable quiet hours'),
+			F.INDENT(1) + F.CMD('config schedule timezone Europe/Berlin', 'IANA timezone, or "local" for server time'),
+			F.INDENT(1) + F.CMD('config schedule add mon-fri 22:00-07:00', 'Add a weekly quiet window'),
+			F.INDENT(1) + F.CMD('config schedule remove <number>', 'Remove a quiet window'),
+			F.INDENT(1) + F.CMD('config schedule vip <true|false>', 'Let VIPs break through quiet hours'),
+			F.INDENT(1) + F.CMD('config schedule breakthrough add <nick|account|keyword> <pattern>', 'Break through quiet hours'),
+			F.BREAK_LIGHT,
+			F.SUBHEADER('Delivery:', 'How and when notifications are sent'),
+			F.INDENT(1) + F.CMD('config delivery', 'Show delivery settings'),
+			F.INDENT(1) + F.CMD('config delivery delay 30s', 'Wait before sending; cancel if you read the channel or reply (off to disable)'),
+			F.INDENT(1) + F.CMD('config delivery digest 2m', 'Combine further messages from a channel within 2 minutes into one digest'),
+			F.INDENT(1) + F.CMD('config delivery dedup 60s', 'Skip repeats of a message within this window (off to disable)'),
+			F.INDENT(1) + F.CMD('config delivery retry 1h', 'Keep retrying failed sends for this long (off to disable)'),
+			F.INDENT(1) + F.CMD('config delivery maxage 5m', 'Treat older messages as replayed backlog (off to disable)'),
+			F.INDENT(1) + F.CMD('config delivery replay <summary|drop>', 'Summarize replayed highlights in one notification, or drop them'),
+			F.INDENT(1) + F.CMD('config delivery mode <broadcast|first-success>', 'Send to all services, or try them in order until one delivers'),
+			F.INDENT(1) + F.CMD('config delivery order ntfy,pushover', 'Order services are tried in ("default" for config order)'),
+			F.INDENT(1) + F.CMD('config delivery breaker 5', 'Skip a service after this many failures in a row (off to disable)'),
+			F.INDENT(1) + F.CMD('config delivery cooldown 5m', 'How long a service is skipped before trying it again'),
+			F.BREAK_LIGHT,
+			F.SUBHEADER('Limits:', 'Cap how many notifications are sent'),
+			F.INDENT(1) + F.CMD('config limits', 'Show rate limits and current bucket levels'),
+			F.INDENT(1) + F.CMD('config limits global 30/hour', 'Limit all notifications (off to disable)'),
+			F.INDENT(1) + F.CMD('config limits channel 5/10m', 'Limit notifications from each channel'),
+			F.INDENT(1) + F.CMD('config limits service pushover 10/hour', 'Limit one service'),
+			F.INDENT(1) + F.CMD('config limits overflow <summary|drop>', 'Send a "N more suppressed" summary, or only log dropped notifications'),
+			F.BREAK_LIGHT,
+			F.SUBHEADER('History:', 'How long notification history is kept'),
+			F.INDENT(1) + F.CMD('config history', 'Show history retention'),
+			F.INDENT(1) + F.CMD('config history entries 1000', 'Keep at most this many entries'),
+			F.INDENT(1) + F.CMD('config history days 30', 'Drop entries older than this many days'),
+			F.BREAK_LIGHT,
+			F.SUBHEADER('Escalation:', 'Notify again if a notification stays unread'),
+			F.INDENT(1) + F.CMD('config escalation', 'Show escalation settings'),
+			F.INDENT(1) + F.CMD('config escalation enabled <true|false>', 'Enable/Disable unread escalation'),
+			F.INDENT(1) + F.CMD('config escalation minutes 10', 'Escalate when the channel is still unread after 10 minutes'),
+			F.INDENT(1) + F.CMD('config escalation priority 2', 'Priority of the escalated notification'),
+			F.INDENT(1) + F.CMD('config escalation services pushover', 'Escalate to these services, or "default" for the original ones'),
 			F.BREAK_LIGHT,
 			F.SUBHEADER('Format:', 'Customize notification templates'),
 			F.INDENT(1) + F.CMD('config format title "{{network}} - {{channel}}"', 'Set title format'),
+			F.INDENT(1) + F.CMD('config format titlePrivate "PM from {{nick}}"', 'Set private message title format'),
 			F.INDENT(1) + F.CMD('config format message "<{{nick}}> {{message}}"', 'Set message format'),
 			F.INDENT(1) + F.CMD('config format actionMessage "* {{nick}} {{message}}"', 'Set action message format'),
+			F.INDENT(1) + F.CMD('config format digestMessage "{{count}} new messages in {{channel}} from {{nicks}}"', 'Set digest format (also digestTitle)'),
+			F.INDENT(1) + F.CMD('config format contextLine "<{{nick}}> {{message}}"', 'Set the format of each context line'),
+			F.INDENT(1) + F.CMD('config format kickMessage "{{nick}} kicked you from {{channel}} ({{reason}})"', 'Set an event format (also invite/ban/op/topicMessage)'),
+			F.INDENT(1) + F.CMD('config format disconnectedMessage "{{network}} down for {{duration}}"', 'Set a connection alert format (also unreachable/reconnectedMessage)'),
+			F.INDENT(1) + F.CMD('config format onlineMessage "{{nick}} is here"', 'Set a friend watch format (also offline/join/partMessage)'),
 			F.INDENT(1) + F.CMD('config format reset', 'Reset to defaults'),
-			F.INFO('Available variables: {{network}}, {{channel}}, {{nick}}, {{message}}, {{date}}, {{time}}, {{type}}'),
+			F.INFO('Available variables: {{network}}, {{channel}}, {{nick}}, {{message}}, {{date}}, {{time}}, {{type}}, {{keyword}}, {{context}}; digests also {{count}}, {{nicks}}; events also {{target}}, {{reason}}, {{mode}}; connection alerts also {{duration}}, {{attempts}}, {{reason}}'),
+			F.BREAK_LIGHT,
+			F.SUBHEADER('Events:', 'Notify on invites, kicks, bans, op changes and topics'),
+			F.INDENT(1) + F.CMD('config events', 'Show which events notify'),
+			F.INDENT(1) + F.CMD('config events <invite|kick|ban|op|topic> <true|false>', 'Enable/Disable an event type'),
+			F.INDENT(1) + F.CMD('config events watch #team-*,#ops', 'Channels whose topic changes notify ("all" for every filtered-in channel)'),
+			F.BREAK_LIGHT,
+			F.SUBHEADER('Connection:', 'Notify when a network is down or unreachable'),
+			F.INDENT(1) + F.CMD('config connection', 'Show connection alert settings'),
+			F.INDENT(1) + F.CMD('config connection <disconnected|unreachable|reconnected> <true|false>', 'Enable/Disable an alert'),
+			F.INDENT(1) + F.CMD('config connection after 10m', 'Alert when a network has been disconnected this long'),
+			F.INDENT(1) + F.CMD('config connection failures 3', 'Alert after this many failed reconnect attempts in a row'),
+			F.BREAK_LIGHT,
+			F.SUBHEADER('Context:', 'Include the lines before a highlight'),
+			F.INDENT(1) + F.CMD('config context', 'Show context settings'),
+			F.INDENT(1) + F.CMD('config context lines 3', 'Include the 3 previous lines (0 to disable)'),
+			F.INDENT(1) + F.CMD('config context exchange <true|false>', 'In private messages, include the whole recent conversation'),
 			F.BREAK_LIGHT,
 			F.SUBHEADER('Channel:', 'Manage virtual notification channel'),
 			F.INDENT(1) + F.CMD('config channel external-notify', 'Set notification channel name')
@@ -442,13 +709,23 @@ function handleConfig(client, network, args) {
 		sendMessage(client, network, result.messages);
 
 		if (result.success) {
-			if (!state.configManager.save(config)) {
+			if (state.configManager.save(config)) {
+				plugin.applyConfig(client, true);
+			} else {
 				sendMessage(client, network, F.ERROR('Failed to save configuration'));
 			}
 		}
 		return;
 	}
 
+	if (networkScope && category !== "filter" && category !== "format") {
+		sendMessage(client, network, [
+			F.BREAK,
+			F.ERROR(`Only filter, format and service settings can be overridden per network. Use ${F.CMD(`config ${category}`)} instead.`)
+		]);
+		return;
+	}
+
 	// Handle built-in categories
 	switch (category) {
 		case "filter":
@@ -463,6 +740,30 @@ function handleConfig(client, network, args) {
 			}
 			return handleConfigFormat(client, network, state, config, setting, value);
 
+		case "schedule":
+			return handleConfigSchedule(client, network, state, config, args.slice(1));
+
+		case "escalation":
+			return handleConfigEscalation(client, network, state, config, args.slice(1));
+
+		case "delivery":
+			return handleConfigDelivery(client, network, state, config, args.slice(1));
+
+		case "limits":
+			return handleConfigLimits(client, network, state, config, args.slice(1));
+
+		case "context":
+			return handleConfigContext(client, network, state, config, args.slice(1));
+
+		case "history":
+			return handleConfigHistory(client, network, state, config, args.slice(1));
+
+		case "events":
+			return handleConfigEvents(client, network, state, config, args.slice(1));
+
+		case "connection":
+			return handleConfigConnection(client, network, state, config, args.slice(1));
+
 		case "channel":
 			// Setting is actually the value for channel name
 			const channelName = setting;
@@ -494,10 +795,7 @@ function handleConfig(client, network, args) {
  */
 function handleConfigFilter(client, network, state, config, setting, value) {
 	if (!config.filters) {
-		config.filters = {
-			onlyWhenAway: true,
-			highlights: true
-		};
+		config.filters = state.configManager.getDefaultConfig().filters;
 	}
 
 	switch (setting) {
@@ -505,89 +803,1760 @@ function handleConfigFilter(client, network, state, config, setting, value) {
 			setBooleanFilterSetting(client, network, state, config, "onlyWhenAway", "Only notify when away", value);
 			break;
 
+		case "presence":
+			handleConfigFilterPresence(client, network, state, config, value);
+			break;
+
 		case "highlights":
 			setBooleanFilterSetting(client, network, state, config, "highlights", "Notify on highlights", value);
 			break;
 
+		case "privatemessages":
+			setMessageModeFilterSetting(client, network, state, config, "privateMessages", "Private messages", value);
+			break;
+
+		case "notices":
+			setMessageModeFilterSetting(client, network, state, config, "notices", "Notices", value);
+			break;
+
+		case "channel":
+		case "channels":
+			handleConfigFilterChannel(client, network, state, config, value);
+			break;
+
+		case "keyword":
+		case "keywords":
+			handleConfigFilterKeywords(client, network, state, config, value);
+			break;
+
+		case "ignore":
+		case "vip":
+			handleConfigFilterUsers(client, network, state, config, setting, value);
+			break;
+
 		default:
 			sendMessage(client, network, [
 				F.BREAK,
 				F.ERROR(`Unknown filter setting: ${C.ORANGE}${setting}${C.RESET}`),
-				F.INDENT(1) + `Valid settings: ${C.CYAN}onlyWhenAway, highlights${C.RESET}`
+				F.INDENT(1) + `Valid settings: ${C.CYAN}onlyWhenAway, presence, highlights, privateMessages, notices, channel, ignore, vip, keyword${C.RESET}`
 			]);
 	}
 }
 
 /**
- * Configure format templates
+ * Choose what counts as away for the onlyWhenAway filter
+ * Usage: /notify config filter presence <away|no-attached-clients|idle N>[,...]
  */
-function handleConfigFormat(client, network, state, config, setting, value) {
-	const FormatTemplate = require('./format-template');
-
-	if (!config.format) {
-		config.format = FormatTemplate.getDefaults();
+function handleConfigFilterPresence(client, network, state, config, value) {
+	let presence;
+	try {
+		presence = parsePresence(value);
+	} catch (err) {
+		sendMessage(client, network, [
+			F.BREAK,
+			F.ERROR(err.message),
+			F.INDENT(1) + F.CMD('config filter presence away', 'Marked away on IRC (default)'),
+			F.INDENT(1) + F.CMD('config filter presence no-attached-clients', 'No browser connected to TheLounge'),
+			F.INDENT(1) + F.CMD('config filter presence idle 15', 'No message sent on any network for 15 minutes'),
+			F.INDENT(1) + F.CMD('config filter presence all no-attached-clients,idle 10', 'Require every mode')
+		]);
+		return;
 	}
 
-	// Handle reset command
-	if (setting === "reset") {
-		config.format = FormatTemplate.getDefaults();
-		if (state.configManager.save(config)) {
-			sendMessage(client, network, [
-				F.BREAK,
-				F.SUCCESS('Format templates reset to defaults'),
-				F.INDENT(1) + `Title: ${C.CYAN}${config.format.title}${C.RESET}`,
-				F.INDENT(1) + `Message: ${C.CYAN}${config.format.message}${C.RESET}`,
-				F.INDENT(1) + `Action: ${C.CYAN}${config.format.actionMessage}${C.RESET}`
-			]);
-		} else {
-			sendMessage(client, network, F.ERROR('Failed to save configuration'));
+	config.filters.presence = presence;
+	if (saveConfig(state, config)) {
+		const messages = [F.BREAK, F.SUCCESS(`Away means: ${C.CYAN}${formatPresence(presence)}${C.RESET}`)];
+		if (!config.filters.onlyWhenAway) {
+			messages.push(F.INFO(`Presence only applies with ${F.CMD('config filter onlyWhenAway true')}`));
 		}
+		sendMessage(client, network, messages);
+	} else {
+		sendMessage(client, network, F.ERROR('Failed to save configuration'));
+	}
+}
+
+/**
+ * Manage channel include/exclude glob patterns
+ * Usage: /notify config filter channel add|remove <include|exclude> <pattern>
+ *        /notify config filter channel list
+ */
+function handleConfigFilterChannel(client, network, state, config, value) {
+	if (!config.filters.channels) {
+		config.filters.channels = { include: [], exclude: [] };
+	}
+
+	handlePatternListCommand(client, network, state, config, value, {
+		command: 'config filter channel',
+		title: 'Channel filters:',
+		note: 'exclude wins over include, empty include allows all',
+		group: config.filters.channels,
+		lists: { include: "include", exclude: "exclude" },
+		example: '<#pattern>'
+	});
+}
+
+/**
+ * Manage ignored or VIP nicks and accounts
+ * Usage: /notify config filter ignore|vip add|remove <nick|account> <pattern>
+ *        /notify config filter ignore|vip list
+ */
+function handleConfigFilterUsers(client, network, state, config, listKey, value) {
+	if (!config.filters[listKey]) {
+		config.filters[listKey] = { nicks: [], accounts: [] };
+	}
+
+	const isVip = listKey === "vip";
+
+	handlePatternListCommand(client, network, state, config, value, {
+		command: `config filter ${listKey}`,
+		title: isVip ? 'VIP list:' : 'Ignore list:',
+		note: isVip ? 'always notify, even without a highlight' : 'never notify',
+		group: config.filters[listKey],
+		lists: { nick: "nicks", account: "accounts" },
+		example: '<nick|nick!user@host>'
+	});
+}
+
+/**
+ * Manage plugin-owned keyword triggers and exclusion words
+ * Usage: /notify config filter keyword add|remove <trigger|exclude> <word|/regex/flags>
+ *        /notify config filter keyword list
+ */
+function handleConfigFilterKeywords(client, network, state, config, value) {
+	if (!config.filters.keywords) {
+		config.filters.keywords = { triggers: [], exclude: [] };
+	}
+
+	handlePatternListCommand(client, network, state, config, value, {
+		command: 'config filter keyword',
+		title: 'Keyword triggers:',
+		note: 'notify on matches, independent of TheLounge highlights',
+		group: config.filters.keywords,
+		lists: { trigger: "triggers", exclude: "exclude" },
+		example: '<word|/regex/i>',
+		validate: validateKeywordEntry
+	});
+}
+
+/**
+ * Helper: Add, remove or list entries in a group of pattern lists
+ * @param {Object} options.group - Object holding the lists (e.g. config.filters.channels)
+ * @param {Object} options.lists - Command list name mapped to its key in the group
+ */
+function handlePatternListCommand(client, network, state, config, value, options) {
+	const { command, title, note, group, lists, example, validate } = options;
+	const [action, listName, ...rest] = value.split(/\s+/);
+	const pattern = rest.join(' ');
+	const listNames = Object.keys(lists);
+
+	if (action && action.toLowerCase() === "list") {
+		sendMessage(client, network, [
+			F.BREAK,
+			F.SUBHEADER(title, note),
+			...listNames.map(name => F.INDENT(1) + `${capitalize(lists[name])}: ${formatPatternList(group[lists[name]])}`)
+		]);
 		return;
 	}
 
-	// Handle setting specific templates
+	const actionName = action ? action.toLowerCase() : null;
+	const list = listName ? listName.toLowerCase() : null;
+
+	if (!["add", "remove"].includes(actionName) || !listNames.includes(list) || !pattern) {
+		sendMessage(client, network, [
+			F.BREAK,
+			F.ERROR(`Invalid ${C.ORANGE}${command}${C.RESET} command`),
+			F.INDENT(1) + F.CMD(`${command} add <${listNames.join('|')}> ${example}`),
+			F.INDENT(1) + F.CMD(`${command} remove <${listNames.join('|')}> ${example}`),
+			F.INDENT(1) + F.CMD(`${command} list`)
+		]);
+		return;
+	}
+
+	const validationError = validate ? validate(pattern) : null;
+	if (actionName === "add" && validationError) {
+		sendMessage(client, network, F.ERROR(validationError));
+		return;
+	}
+
+	const key = lists[list];
+	if (!Array.isArray(group[key])) {
+		group[key] = [];
+	}
+
+	const index = group[key].findIndex(existing => existing.toLowerCase() === pattern.toLowerCase());
+
+	if (actionName === "add") {
+		if (index !== -1) {
+			sendMessage(client, network, F.WARNING(`${C.CYAN}${pattern}${C.RESET} is already in the ${key} list`));
+			return;
+		}
+		group[key].push(pattern);
+	} else {
+		if (index === -1) {
+			sendMessage(client, network, F.ERROR(`${C.CYAN}${pattern}${C.RESET} is not in the ${key} list`));
+			return;
+		}
+		group[key].splice(index, 1);
+	}
+
+	if (saveConfig(state, config)) {
+		const verb = actionName === "add" ? "Added" : "Removed";
+		sendMessage(client, network, [
+			F.BREAK,
+			F.SUCCESS(`${verb} ${C.CYAN}${pattern}${C.RESET} ${actionName === "add" ? "to" : "from"} ${title.replace(/:$/, '').toLowerCase()} (${key})`),
+			F.INDENT(1) + `${capitalize(key)}: ${formatPatternList(group[key])}`
+		]);
+	} else {
+		sendMessage(client, network, F.ERROR('Failed to save configuration'));
+	}
+}
+
+/**
+ * Helper: Describe whether quiet hours are active right now
+ */
+function formatQuietHoursState(schedule) {
+	if (!schedule.enabled) {
+		return F.INDENT(1) + `${C.DISABLED}disabled${C.RESET}`;
+	}
+
+	const timezone = schedule.timezone || 'server local time';
+	const window = findActiveWindow(schedule);
+	if (window) {
+		return F.LI_WARN(`${C.WARNING}ACTIVE now${C.RESET} (${formatWindow(window)}, ${timezone}) - only breakthrough notifications are sent`);
+	}
+
+	return F.LI_SUCCESS(`Not active right now (${timezone})`);
+}
+
+/**
+ * Configure how notifications are delivered
+ * Usage: /notify config delivery [show|delay|digest|dedup|retry|maxage|replay|mode|order|breaker|cooldown] ...
+ */
+function handleConfigDelivery(client, network, state, config, args) {
+	const setting = args[0] ? args[0].toLowerCase() : "show";
+	const value = args.slice(1).join("").toLowerCase();
+	const delivery = config.delivery;
+	const formatDelay = (seconds) => seconds > 0 ? `${C.CYAN}${formatDuration(seconds * 1000)}${C.RESET}` : `${C.DISABLED}off${C.RESET}`;
+
 	switch (setting) {
-		case "title":
-			config.format.title = value;
-			if (state.configManager.save(config)) {
-				sendMessage(client, network, [
-					F.BREAK,
-					F.SUCCESS(`Title format updated to: ${C.CYAN}${value}${C.RESET}`)
-				]);
-			} else {
-				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+		case "show":
+			sendMessage(client, network, [
+				F.BREAK,
+				F.SUBHEADER('Delivery:'),
+				F.INDENT(1) + `Send delay: ${formatDelay(delivery.delaySeconds)}`,
+				F.INDENT(1) + `Digest window: ${formatDelay(delivery.digestSeconds)}`,
+				F.INDENT(1) + `Duplicate window: ${formatDelay(delivery.dedupSeconds)}`,
+				F.INDENT(1) + `Retry failed sends for: ${formatDelay(delivery.retrySeconds)}`,
+				F.INDENT(1) + `Maximum message age: ${formatDelay(delivery.maxAgeSeconds)}, older (replayed) highlights: ${C.CYAN}${delivery.replay === "drop" ? 'drop' : 'summarize'}${C.RESET}`,
+				F.INDENT(1) + `Mode: ${C.CYAN}${delivery.mode}${C.RESET}${delivery.order.length > 0 ? `, order: ${C.CYAN}${delivery.order.join(' > ')}${C.RESET}` : ''}`,
+				F.INDENT(1) + `Circuit breaker: ${delivery.breakerFailures > 0
+					? `${C.CYAN}open after ${delivery.breakerFailures} failures${C.RESET}, cool-down ${formatDelay(delivery.cooldownSeconds)}`
+					: `${C.DISABLED}off${C.RESET}`}`
+			]);
+			return;
+
+		case "delay":
+		case "digest":
+		case "dedup":
+		case "retry":
+		case "cooldown":
+		case "maxage": {
+			const key = setting === "maxage" ? "maxAgeSeconds" : `${setting}Seconds`;
+			const displayName = { delay: "Send delay", digest: "Digest window", dedup: "Duplicate window", retry: "Retry failed sends for", cooldown: "Circuit breaker cool-down", maxage: "Maximum message age" }[setting];
+			const duration = value === "off" || value === "0" ? 0 : parseDuration(/^\d+$/.test(value) ? `${value}s` : value);
+			if (duration === null || (setting === "cooldown" && duration < 1000)) {
+				sendMessage(client, network, F.ERROR(`Invalid duration. Use e.g. ${F.CMD(`config delivery ${setting} 30s`)} or ${F.CMD(`config delivery ${setting} off`)}`));
+				return;
 			}
-			break;
 
-		case "message":
-			config.format.message = value;
-			if (state.configManager.save(config)) {
-				sendMessage(client, network, [
-					F.BREAK,
-					F.SUCCESS(`Message format updated to: ${C.CYAN}${value}${C.RESET}`)
-				]);
+			delivery[key] = Math.round(duration / 1000);
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(`${displayName}: ${formatDelay(delivery[key])}`));
 			} else {
 				sendMessage(client, network, F.ERROR('Failed to save configuration'));
 			}
-			break;
+			return;
+		}
 
-		case "actionmessage":
-			config.format.actionMessage = value;
-			if (state.configManager.save(config)) {
-				sendMessage(client, network, [
-					F.BREAK,
-					F.SUCCESS(`Action message format updated to: ${C.CYAN}${value}${C.RESET}`)
-				]);
+		case "replay": {
+			const ConfigManager = require('./config-manager');
+			if (!ConfigManager.REPLAY_MODES.includes(value)) {
+				sendMessage(client, network, F.ERROR(`Value must be one of: ${ConfigManager.REPLAY_MODES.join(', ')}`));
+				return;
+			}
+
+			delivery.replay = value;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(value === "summary"
+					? 'Replayed highlights are summarized in one notification'
+					: 'Replayed highlights are dropped'));
 			} else {
 				sendMessage(client, network, F.ERROR('Failed to save configuration'));
 			}
-			break;
-
+			return;
+		}
+
+		case "mode": {
+			const ConfigManager = require('./config-manager');
+			if (!ConfigManager.DELIVERY_MODES.includes(value)) {
+				sendMessage(client, network, F.ERROR(`Value must be one of: ${ConfigManager.DELIVERY_MODES.join(', ')}`));
+				return;
+			}
+
+			delivery.mode = value;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(value === "first-success"
+					? `Sending to one service at a time, in order: ${C.CYAN}${formatServiceOrder(state, delivery.order)}${C.RESET}`
+					: 'Sending to all services at once'));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		case "order": {
+			const order = args.slice(1).join(",").split(",").map(name => name.trim().toLowerCase()).filter(Boolean);
+			delivery.order = order.includes("default") ? [] : order;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(`Service order: ${C.CYAN}${formatServiceOrder(state, delivery.order)}${C.RESET}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		case "breaker": {
+			const failures = value === "off" ? 0 : (/^\d+$/.test(value) ? parseInt(value, 10) : null);
+			if (failures === null) {
+				sendMessage(client, network, F.ERROR(`Use e.g. ${F.CMD('config delivery breaker 5')} or ${F.CMD('config delivery breaker off')}`));
+				return;
+			}
+
+			delivery.breakerFailures = failures;
+			if (failures === 0) {
+				plugin.getBreakers(client).reset();
+			}
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(failures > 0
+					? `Circuit breaker opens after ${C.CYAN}${failures}${C.RESET} failures in a row`
+					: `Circuit breaker: ${C.DISABLED}off${C.RESET}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		default:
+			sendMessage(client, network, [
+				F.BREAK,
+				F.ERROR(`Unknown delivery setting: ${C.ORANGE}${setting}${C.RESET}`),
+				F.INDENT(1) + `Valid settings: ${C.CYAN}delay, digest, dedup, retry, maxage, replay, mode, order, breaker, cooldown${C.RESET}`
+			]);
+	}
+}
+
+/**
+ * Helper: Describe the order services are tried in (delivery.order, then the rest)
+ */
+function formatServiceOrder(state, order) {
+	const names = state.notificationManager
+		? state.notificationManager.orderNotifiers(state.notificationManager.notifiers).map(([name]) => name.toLowerCase())
+		: order;
+	return names.length > 0 ? names.join(' > ') : 'all enabled services';
+}
+
+/**
+ * Format the configured rate limits with their current bucket levels
+ * @returns {string[]} Message lines
+ */
+function formatRateLimits(state, limits) {
+	const levels = new Map();
+	if (state.notificationManager) {
+		for (const level of state.notificationManager.rateLimiter.getLevels(limits)) {
+			levels.set(level.scope, level);
+		}
+	}
+
+	const formatLimit = (limit, scope) => {
+		if (!limit) {
+			return `${C.DISABLED}unlimited${C.RESET}`;
+		}
+		const level = levels.get(scope);
+		const tokens = level ? level.tokens : limit.count;
+		return `${C.CYAN}${formatRate(limit)}${C.RESET} (${tokens}/${limit.count} left)`;
+	};
+
+	const lines = [
+		F.INDENT(1) + `Global: ${formatLimit(limits.global, "global")}`,
+		F.INDENT(1) + `Per channel: ${limits.channel ? `${C.CYAN}${formatRate(limits.channel)}${C.RESET}` : `${C.DISABLED}unlimited${C.RESET}`}`
+	];
+
+	for (const [scope, level] of levels) {
+		if (scope.startsWith("channel:") && level.tokens < level.count) {
+			lines.push(F.INDENT(2) + `${scope.substring("channel:".length)}: ${level.tokens}/${level.count} left`);
+		}
+	}
+
+	for (const [name, limit] of Object.entries(limits.services)) {
+		lines.push(F.INDENT(1) + `${name}: ${formatLimit(limit, `service:${name}`)}`);
+	}
+
+	lines.push(F.INDENT(1) + `Over the limit: ${C.CYAN}${limits.overflow === "drop" ? 'drop' : 'send a summary'}${C.RESET}`);
+	return lines;
+}
+
+/**
+ * Configure rate limits
+ * Usage: /notify config limits [show|global|channel|service|overflow] ...
+ */
+function handleConfigLimits(client, network, state, config, args) {
+	const setting = args[0] ? args[0].toLowerCase() : "show";
+	const limits = config.limits;
+
+	// Parse "<rate|off>", reporting errors; undefined means invalid
+	const readRate = (value, example) => {
+		if (value && value.toLowerCase() === "off") {
+			return null;
+		}
+		const limit = value ? parseRate(value) : null;
+		if (!limit) {
+			sendMessage(client, network, F.ERROR(`Invalid rate. Use e.g. ${F.CMD(`config limits ${example} 30/hour`)} or ${F.CMD(`config limits ${example} off`)}`));
+			return undefined;
+		}
+		return limit;
+	};
+
+	const save = (text) => {
+		if (saveConfig(state, config)) {
+			sendMessage(client, network, F.SUCCESS(text));
+		} else {
+			sendMessage(client, network, F.ERROR('Failed to save configuration'));
+		}
+	};
+
+	const formatSetting = (limit) => limit ? `${C.CYAN}${formatRate(limit)}${C.RESET}` : `${C.DISABLED}unlimited${C.RESET}`;
+
+	switch (setting) {
+		case "show":
+			sendMessage(client, network, [
+				F.BREAK,
+				F.SUBHEADER('Rate limits:'),
+				...formatRateLimits(state, limits)
+			]);
+			return;
+
+		case "global":
+		case "channel": {
+			const limit = readRate(args[1], setting);
+			if (limit === undefined) {
+				return;
+			}
+
+			limits[setting] = limit;
+			save(`${setting === "global" ? 'Global' : 'Per channel'} rate limit: ${formatSetting(limit)}`);
+			return;
+		}
+
+		case "service": {
+			const serviceName = args[1] ? args[1].toLowerCase() : "";
+			if (!serviceName) {
+				sendMessage(client, network, F.ERROR(`Usage: ${F.CMD('config limits service <name> <rate|off>')}`));
+				return;
+			}
+
+			const limit = readRate(args[2], `service ${serviceName}`);
+			if (limit === undefined) {
+				return;
+			}
+
+			if (limit) {
+				limits.services[serviceName] = limit;
+			} else {
+				delete limits.services[serviceName];
+			}
+			save(`${serviceName} rate limit: ${formatSetting(limit)}`);
+			return;
+		}
+
+		case "overflow": {
+			const ConfigManager = require('./config-manager');
+			const mode = args[1] ? args[1].toLowerCase() : "";
+			if (!ConfigManager.OVERFLOW_MODES.includes(mode)) {
+				sendMessage(client, network, F.ERROR(`Value must be one of: ${ConfigManager.OVERFLOW_MODES.join(', ')}`));
+				return;
+			}
+
+			limits.overflow = mode;
+			save(`Over the limit: ${C.CYAN}${mode === "drop" ? 'drop' : 'send a summary'}${C.RESET}`);
+			return;
+		}
+
+		default:
+			sendMessage(client, network, [
+				F.BREAK,
+				F.ERROR(`Unknown limits setting: ${C.ORANGE}${setting}${C.RESET}`),
+				F.INDENT(1) + `Valid settings: ${C.CYAN}global, channel, service, overflow${C.RESET}`
+			]);
+	}
+}
+
+/**
+ * Configure the context lines included in notifications
+ * Usage: /notify config context [show|lines|exchange] ...
+ */
+function handleConfigContext(client, network, state, config, args) {
+	const ConfigManager = require('./config-manager');
+	const setting = args[0] ? args[0].toLowerCase() : "show";
+	const value = args.slice(1).join(" ").trim().toLowerCase();
+	const context = config.context;
+	const formatLines = (lines) => lines > 0 ? `${C.CYAN}${lines} previous line${lines === 1 ? '' : 's'}${C.RESET}` : `${C.DISABLED}off${C.RESET}`;
+	const formatExchange = (enabled) => enabled ? `${C.SUCCESS}whole recent conversation${C.RESET}` : 'same as channels';
+
+	switch (setting) {
+		case "show":
+			sendMessage(client, network, [
+				F.BREAK,
+				F.SUBHEADER('Context:'),
+				F.INDENT(1) + `Channels: ${formatLines(context.lines)}`,
+				F.INDENT(1) + `Private messages: ${formatExchange(context.queryExchange)}`,
+				F.INDENT(1) + `Line format: ${C.CYAN}${config.format.contextLine}${C.RESET}`
+			]);
+			return;
+
+		case "lines": {
+			const lines = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+			if (!(lines >= 0 && lines <= ConfigManager.MAX_CONTEXT_LINES)) {
+				sendMessage(client, network, F.ERROR(`Value must be a number from 0 to ${ConfigManager.MAX_CONTEXT_LINES}`));
+				return;
+			}
+
+			context.lines = lines;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(`Context: ${formatLines(lines)}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		case "exchange": {
+			if (value !== "true" && value !== "false") {
+				sendMessage(client, network, F.ERROR('Value must be true or false'));
+				return;
+			}
+
+			context.queryExchange = value === "true";
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(`Private message context: ${formatExchange(context.queryExchange)}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		default:
+			sendMessage(client, network, [
+				F.BREAK,
+				F.ERROR(`Unknown context setting: ${C.ORANGE}${setting}${C.RESET}`),
+				F.INDENT(1) + `Valid settings: ${C.CYAN}lines, exchange${C.RESET}`
+			]);
+	}
+}
+
+/**
+ * Configure notifications for IRC events (invites, kicks, bans, op changes, topics)
+ * Usage: /notify config events [show|<type> <true|false>|watch <#pattern,...|all>]
+ */
+function handleConfigEvents(client, network, state, config, args) {
+	const ConfigManager = require('./config-manager');
+	const setting = args[0] ? args[0].toLowerCase() : "show";
+	const value = args.slice(1).join(" ").trim();
+	const events = config.events;
+	const descriptions = {
+		invite: 'Someone invites you to a channel',
+		kick: 'You are kicked from a channel',
+		ban: 'A ban matching you is set',
+		op: 'You are given or lose op',
+		topic: 'The topic of a watched channel changes'
+	};
+	const formatWatched = () => events.topicChannels.length > 0
+		? `${C.CYAN}${events.topicChannels.join(', ')}${C.RESET}`
+		: 'all channels that pass the channel filters';
+
+	if (setting === "show") {
+		sendMessage(client, network, [
+			F.BREAK,
+			F.SUBHEADER('Events:', 'Notify on IRC events besides messages'),
+			...ConfigManager.EVENT_TYPES.map(type =>
+				F.INDENT(1) + `${events[type] ? F.CHECK : `${C.DISABLED}○${C.RESET}`} ${type}: ${descriptions[type]}`
+			),
+			F.INDENT(1) + `Watched for topic changes: ${formatWatched()}`
+		]);
+		return;
+	}
+
+	if (ConfigManager.EVENT_TYPES.includes(setting)) {
+		if (value !== "true" && value !== "false") {
+			sendMessage(client, network, F.ERROR('Value must be true or false'));
+			return;
+		}
+
+		events[setting] = value === "true";
+		if (saveConfig(state, config)) {
+			sendMessage(client, network, F.SUCCESS(`${setting} notifications ${events[setting] ? 'enabled' : 'disabled'}`));
+		} else {
+			sendMessage(client, network, F.ERROR('Failed to save configuration'));
+		}
+		return;
+	}
+
+	if (setting === "watch") {
+		const patterns = value.split(/[\s,]+/).filter(Boolean);
+		if (patterns.length === 0) {
+			sendMessage(client, network, F.ERROR(`Use e.g. ${F.CMD('config events watch #team-*,#ops')} or ${F.CMD('config events watch all')}`));
+			return;
+		}
+
+		events.topicChannels = patterns.some(pattern => pattern.toLowerCase() === "all") ? [] : patterns;
+		if (saveConfig(state, config)) {
+			sendMessage(client, network, F.SUCCESS(`Watched for topic changes: ${formatWatched()}`));
+		} else {
+			sendMessage(client, network, F.ERROR('Failed to save configuration'));
+		}
+		return;
+	}
+
+	sendMessage(client, network, [
+		F.BREAK,
+		F.ERROR(`Unknown events setting: ${C.ORANGE}${setting}${C.RESET}`),
+		F.INDENT(1) + `Valid settings: ${C.CYAN}${ConfigManager.EVENT_TYPES.join(', ')}, watch${C.RESET}`
+	]);
+}
+
+/**
+ * Configure alerts about a network's connection (long disconnects, failed reconnects, recovery)
+ * Usage: /notify config connection [show|<type> <true|false>|after <duration>|failures <n>]
+ */
+function handleConfigConnection(client, network, state, config, args) {
+	const ConfigManager = require('./config-manager');
+	const setting = args[0] ? args[0].toLowerCase() : "show";
+	const value = args.slice(1).join("").toLowerCase();
+	const connection = config.connection;
+	const descriptions = {
+		disconnected: `A network has been disconnected for ${formatDuration(connection.disconnectSeconds * 1000)}`,
+		unreachable: `${connection.failures} reconnect attempts in a row have failed`,
+		reconnected: 'A network is back after one of the alerts above'
+	};
+
+	if (setting === "show") {
+		sendMessage(client, network, [
+			F.BREAK,
+			F.SUBHEADER('Connection:', 'Alerts about network connections'),
+			...ConfigManager.CONNECTION_TYPES.map(type =>
+				F.INDENT(1) + `${connection[type] ? F.CHECK : `${C.DISABLED}○${C.RESET}`} ${type}: ${descriptions[type]}`
+			)
+		]);
+		return;
+	}
+
+	if (ConfigManager.CONNECTION_TYPES.includes(setting)) {
+		if (value !== "true" && value !== "false") {
+			sendMessage(client, network, F.ERROR('Value must be true or false'));
+			return;
+		}
+
+		connection[setting] = value === "true";
+		if (saveConfig(state, config)) {
+			sendMessage(client, network, F.SUCCESS(`${setting} alerts ${connection[setting] ? 'enabled' : 'disabled'}`));
+		} else {
+			sendMessage(client, network, F.ERROR('Failed to save configuration'));
+		}
+		return;
+	}
+
+	if (setting === "after") {
+		const duration = parseDuration(/^\d+$/.test(value) ? `${value}s` : value);
+		if (duration === null || duration < 1000) {
+			sendMessage(client, network, F.ERROR(`Invalid duration. Use e.g. ${F.CMD('config connection after 10m')}`));
+			return;
+		}
+
+		connection.disconnectSeconds = Math.round(duration / 1000);
+		if (saveConfig(state, config)) {
+			sendMessage(client, network, F.SUCCESS(`Disconnected alert after: ${C.CYAN}${formatDuration(connection.disconnectSeconds * 1000)}${C.RESET}`));
+		} else {
+			sendMessage(client, network, F.ERROR('Failed to save configuration'));
+		}
+		return;
+	}
+
+	if (setting === "failures") {
+		const failures = /^\d+$/.test(value) ? parseInt(value, 10) : 0;
+		if (failures < 1) {
+			sendMessage(client, network, F.ERROR('Value must be a number of at least 1'));
+			return;
+		}
+
+		connection.failures = failures;
+		if (saveConfig(state, config)) {
+			sendMessage(client, network, F.SUCCESS(`Unreachable alert after: ${C.CYAN}${failures} failed reconnect attempt${failures === 1 ? '' : 's'}${C.RESET}`));
+		} else {
+			sendMessage(client, network, F.ERROR('Failed to save configuration'));
+		}
+		return;
+	}
+
+	sendMessage(client, network, [
+		F.BREAK,
+		F.ERROR(`Unknown connection setting: ${C.ORANGE}${setting}${C.RESET}`),
+		F.INDENT(1) + `Valid settings: ${C.CYAN}${ConfigManager.CONNECTION_TYPES.join(', ')}, after, failures${C.RESET}`
+	]);
+}
+
+/**
+ * Configure escalation of notifications that stay unread
+ * Usage: /notify config escalation [show|enabled|minutes|priority|services] ...
+ */
+function handleConfigEscalation(client, network, state, config, args) {
+	const setting = args[0] ? args[0].toLowerCase() : "show";
+	const value = args.slice(1).join(" ").trim();
+	const escalation = config.escalation;
+
+	switch (setting) {
+		case "show":
+			sendMessage(client, network, [
+				F.BREAK,
+				F.SUBHEADER('Escalation:'),
+				F.INDENT(1) + (escalation.enabled ? `${C.SUCCESS}enabled${C.RESET}` : `${C.DISABLED}disabled${C.RESET}`),
+				F.INDENT(1) + `Escalate after: ${C.CYAN}${escalation.minutes} minutes${C.RESET} unread`,
+				F.INDENT(1) + `Priority: ${C.CYAN}${escalation.priority}${C.RESET}`,
+				F.INDENT(1) + `Services: ${escalation.services.length > 0 ? formatPatternList(escalation.services) : 'same as the original notification'}`
+			]);
+			return;
+
+		case "enabled": {
+			const boolValue = value.toLowerCase();
+			if (boolValue !== "true" && boolValue !== "false") {
+				sendMessage(client, network, F.ERROR('Value must be true or false'));
+				return;
+			}
+
+			escalation.enabled = boolValue === "true";
+			if (saveConfig(state, config)) {
+				const statusText = escalation.enabled ? `${C.SUCCESS}enabled${C.RESET}` : `${C.DISABLED}disabled${C.RESET}`;
+				sendMessage(client, network, F.SUCCESS(`Unread escalation: ${statusText}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		case "minutes":
+		case "priority": {
+			const number = parseInt(value, 10);
+			if (!/^-?\d+$/.test(value) || (setting === "minutes" && number < 1)) {
+				sendMessage(client, network, F.ERROR(setting === "minutes" ? 'Minutes must be a positive number' : 'Priority must be a number'));
+				return;
+			}
+
+			escalation[setting] = number;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(`Escalation ${setting}: ${C.CYAN}${number}${C.RESET}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		case "services": {
+			if (!value) {
+				sendMessage(client, network, F.ERROR(`Missing value. Use ${F.CMD('config escalation services pushover,ntfy')} or ${F.CMD('config escalation services default')}`));
+				return;
+			}
+
+			escalation.services = value.toLowerCase() === "default"
+				? []
+				: value.split(/[\s,]+/).map(name => name.toLowerCase()).filter(Boolean);
+			if (saveConfig(state, config)) {
+				const servicesText = escalation.services.length > 0 ? formatPatternList(escalation.services) : 'same as the original notification';
+				sendMessage(client, network, F.SUCCESS(`Escalation services: ${servicesText}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		default:
+			sendMessage(client, network, [
+				F.BREAK,
+				F.ERROR(`Unknown escalation setting: ${C.ORANGE}${setting}${C.RESET}`),
+				F.INDENT(1) + `Valid settings: ${C.CYAN}enabled, minutes, priority, services${C.RESET}`
+			]);
+	}
+}
+
+/**
+ * Configure quiet hours schedule
+ * Usage: /notify config schedule [list|enabled|timezone|add|remove|vip|breakthrough] ...
+ */
+function handleConfigSchedule(client, network, state, config, args) {
+	const setting = args[0] ? args[0].toLowerCase() : "list";
+	const value = args.slice(1).join(" ");
+	const schedule = config.schedule;
+
+	switch (setting) {
+		case "list": {
+			const messages = [
+				F.BREAK,
+				F.SUBHEADER('Quiet hours:'),
+				formatQuietHoursState(schedule),
+				F.INDENT(1) + `Timezone: ${C.CYAN}${schedule.timezone || 'server local time'}${C.RESET}`,
+				F.INDENT(1) + `VIPs break through: ${schedule.vipBreakthrough ? `${C.SUCCESS}yes${C.RESET}` : `${C.DISABLED}no${C.RESET}`}`,
+				F.INDENT(1) + `Breakthrough: ${formatUserPatterns(schedule.breakthrough)}`,
+				F.INDENT(1) + `Breakthrough keywords: ${formatPatternList(schedule.breakthrough.keywords)}`,
+				F.SUBHEADER('Windows:')
+			];
+
+			if (schedule.windows.length === 0) {
+				messages.push(F.INDENT(1) + `${C.DISABLED}None configured${C.RESET}`);
+			} else {
+				schedule.windows.forEach((window, index) => {
+					messages.push(F.LI(index + 1, formatWindow(window)));
+				});
+			}
+
+			sendMessage(client, network, messages);
+			return;
+		}
+
+		case "enabled":
+		case "vip": {
+			const boolValue = value.toLowerCase();
+			if (boolValue !== "true" && boolValue !== "false") {
+				sendMessage(client, network, F.ERROR('Value must be true or false'));
+				return;
+			}
+
+			const key = setting === "enabled" ? "enabled" : "vipBreakthrough";
+			const displayName = setting === "enabled" ? "Quiet hours" : "VIPs break through quiet hours";
+			schedule[key] = boolValue === "true";
+			if (saveConfig(state, config)) {
+				const statusText = schedule[key] ? `${C.SUCCESS}enabled${C.RESET}` : `${C.DISABLED}disabled${C.RESET}`;
+				sendMessage(client, network, F.SUCCESS(`${displayName}: ${statusText}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		case "timezone": {
+			const timezone = value.toLowerCase() === "local" ? "" : value;
+			if (!value || !isValidTimezone(timezone)) {
+				sendMessage(client, network, F.ERROR(`Invalid timezone: ${C.ORANGE}${value}${C.RESET}. Use an IANA name like ${C.CYAN}Europe/Berlin${C.RESET} or ${C.CYAN}local${C.RESET}`));
+				return;
+			}
+
+			schedule.timezone = timezone;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(`Quiet hours timezone: ${C.CYAN}${timezone || 'server local time'}${C.RESET}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		case "add": {
+			const [daySpec, timeSpec] = args.slice(1);
+			const days = daySpec ? parseDays(daySpec) : null;
+			const [start, end] = timeSpec ? timeSpec.split("-") : [];
+
+			if (!days || parseTime(start) === null || parseTime(end) === null) {
+				sendMessage(client, network, [
+					F.ERROR('Invalid quiet hours window'),
+					F.INDENT(1) + F.CMD('config schedule add <days> <HH:MM-HH:MM>'),
+					F.INDENT(1) + `Days: ${C.CYAN}mon-fri${C.RESET}, ${C.CYAN}sat,sun${C.RESET} or ${C.CYAN}daily${C.RESET}; equal start and end mutes the whole day`
+				]);
+				return;
+			}
+
+			const window = { days: days, start: start, end: end };
+			schedule.windows.push(window);
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(`Added quiet hours window: ${C.CYAN}${formatWindow(window)}${C.RESET}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		case "remove": {
+			const index = parseInt(value, 10) - 1;
+			if (isNaN(index) || index < 0 || index >= schedule.windows.length) {
+				sendMessage(client, network, F.ERROR(`Invalid window number. Use ${F.CMD('config schedule')} to list windows.`));
+				return;
+			}
+
+			const [removed] = schedule.windows.splice(index, 1);
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(`Removed quiet hours window: ${C.CYAN}${formatWindow(removed)}${C.RESET}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		case "breakthrough":
+			handlePatternListCommand(client, network, state, config, value, {
+				command: 'config schedule breakthrough',
+				title: 'Quiet hours breakthrough:',
+				note: 'sent even during quiet hours',
+				group: schedule.breakthrough,
+				lists: { nick: "nicks", account: "accounts", keyword: "keywords" },
+				example: '<pattern>',
+				validate: validateKeywordEntry
+			});
+			return;
+
+		default:
+			sendMessage(client, network, [
+				F.BREAK,
+				F.ERROR(`Unknown schedule setting: ${C.ORANGE}${setting}${C.RESET}`),
+				F.INDENT(1) + `Valid settings: ${C.CYAN}list, enabled, timezone, add, remove, vip, breakthrough${C.RESET}`
+			]);
+	}
+}
+
+/**
+ * Configure format templates
+ */
+function handleConfigFormat(client, network, state, config, setting, value) {
+	const FormatTemplate = require('./format-template');
+
+	if (!config.format) {
+		config.format = FormatTemplate.getDefaults();
+	}
+
+	// Handle reset command
+	if (setting === "reset") {
+		config.format = FormatTemplate.getDefaults();
+		if (saveConfig(state, config)) {
+			sendMessage(client, network, [
+				F.BREAK,
+				F.SUCCESS('Format templates reset to defaults'),
+				F.INDENT(1) + `Title: ${C.CYAN}${config.format.title}${C.RESET}`,
+				F.INDENT(1) + `Private title: ${C.CYAN}${config.format.titlePrivate}${C.RESET}`,
+				F.INDENT(1) + `Message: ${C.CYAN}${config.format.message}${C.RESET}`,
+				F.INDENT(1) + `Action: ${C.CYAN}${config.format.actionMessage}${C.RESET}`,
+				F.INDENT(1) + `Digest title: ${C.CYAN}${config.format.digestTitle}${C.RESET}`,
+				F.INDENT(1) + `Digest message: ${C.CYAN}${config.format.digestMessage}${C.RESET}`,
+				F.INDENT(1) + `Context line: ${C.CYAN}${config.format.contextLine}${C.RESET}`,
+				F.INDENT(1) + `Events: ${C.CYAN}${config.format.inviteMessage}${C.RESET}, ${C.CYAN}${config.format.kickMessage}${C.RESET}, ...`,
+				F.INDENT(1) + `Connection: ${C.CYAN}${config.format.disconnectedMessage}${C.RESET}, ${C.CYAN}${config.format.reconnectedMessage}${C.RESET}, ...`,
+				F.INDENT(1) + `Friend watch: ${C.CYAN}${config.format.onlineMessage}${C.RESET}, ${C.CYAN}${config.format.joinMessage}${C.RESET}, ...`
+			]);
+		} else {
+			sendMessage(client, network, F.ERROR('Failed to save configuration'));
+		}
+		return;
+	}
+
+	// Handle setting specific templates
+	switch (setting) {
+		case "title":
+			config.format.title = value;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, [
+					F.BREAK,
+					F.SUCCESS(`Title format updated to: ${C.CYAN}${value}${C.RESET}`)
+				]);
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			break;
+
+		case "titleprivate":
+			config.format.titlePrivate = value;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, [
+					F.BREAK,
+					F.SUCCESS(`Private message title format updated to: ${C.CYAN}${value}${C.RESET}`)
+				]);
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			break;
+
+		case "message":
+			config.format.message = value;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, [
+					F.BREAK,
+					F.SUCCESS(`Message format updated to: ${C.CYAN}${value}${C.RESET}`)
+				]);
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			break;
+
+		case "actionmessage":
+			config.format.actionMessage = value;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, [
+					F.BREAK,
+					F.SUCCESS(`Action message format updated to: ${C.CYAN}${value}${C.RESET}`)
+				]);
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			break;
+
+		case "digesttitle":
+			config.format.digestTitle = value;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, [
+					F.BREAK,
+					F.SUCCESS(`Digest title format updated to: ${C.CYAN}${value}${C.RESET}`)
+				]);
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			break;
+
+		case "digestmessage":
+			config.format.digestMessage = value;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, [
+					F.BREAK,
+					F.SUCCESS(`Digest message format updated to: ${C.CYAN}${value}${C.RESET}`)
+				]);
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			break;
+
+		case "contextline":
+			config.format.contextLine = value;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, [
+					F.BREAK,
+					F.SUCCESS(`Context line format updated to: ${C.CYAN}${value}${C.RESET}`)
+				]);
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			break;
+
+		case "invitemessage":
+		case "kickmessage":
+		case "banmessage":
+		case "opmessage":
+		case "topicmessage":
+		case "disconnectedmessage":
+		case "unreachablemessage":
+		case "reconnectedmessage":
+		case "onlinemessage":
+		case "offlinemessage":
+		case "joinmessage":
+		case "partmessage": {
+			const ConfigManager = require('./config-manager');
+			const type = setting.replace(/message$/, "");
+			let kind = "event";
+			if (ConfigManager.CONNECTION_TYPES.includes(type)) {
+				kind = "alert";
+			} else if (ConfigManager.WATCH_TYPES.includes(type)) {
+				kind = "friend watch";
+			}
+			config.format[`${type}Message`] = value;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, [
+					F.BREAK,
+					F.SUCCESS(`${type} ${kind} format updated to: ${C.CYAN}${value}${C.RESET}`)
+				]);
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			break;
+		}
+
+		default:
+			sendMessage(client, network, [
+				F.BREAK,
+				F.ERROR(`Unknown format setting: ${C.ORANGE}${setting}${C.RESET}`),
+				F.INDENT(1) + `Valid settings: ${C.CYAN}title, titlePrivate, message, actionMessage, digestTitle, digestMessage, contextLine, inviteMessage, kickMessage, banMessage, opMessage, topicMessage, disconnectedMessage, unreachableMessage, reconnectedMessage, onlineMessage, offlineMessage, joinMessage, partMessage, reset${C.RESET}`
+			]);
+	}
+}
+
+/**
+ * Helper: Describe when a snooze ends, in the quiet hours timezone
+ */
+function formatSnooze(config) {
+	const until = new Date(config.snoozeUntil);
+	const timezone = (config.schedule || {}).timezone;
+
+	return `until ${C.CYAN}${formatLocalTime(until, timezone)}${C.RESET} (${formatDuration(until.getTime() - Date.now())} left)`;
+}
+
+/**
+ * Pause notifications for a while without disabling them
+ * Usage: /notify snooze <duration> | /notify snooze until <HH:MM>
+ */
+function handleSnooze(client, network, args) {
+	const state = plugin.getPluginState(client, network);
+	const config = state.configManager.load();
+
+	if (args.length === 0) {
+		sendMessage(client, network, [
+			F.BREAK,
+			config.snoozeUntil > Date.now()
+				? F.LABEL('Snoozed', formatSnooze(config))
+				: F.INFO('Not snoozed'),
+			F.LABEL('Usage', `${F.CMD('snooze 45m')} | ${F.CMD('snooze until 08:00')} | ${F.CMD('unsnooze')}`)
+		]);
+		return;
+	}
+
+	let until;
+	if (args[0].toLowerCase() === "until") {
+		until = nextTimeOfDay(args[1] || "", (config.schedule || {}).timezone);
+		if (!until) {
+			sendMessage(client, network, F.ERROR(`Invalid time. Use ${F.CMD('snooze until 08:00')}`));
+			return;
+		}
+	} else {
+		const duration = parseDuration(args.join(""));
+		if (!duration) {
+			sendMessage(client, network, F.ERROR(`Invalid duration. Use e.g. ${F.CMD('snooze 45m')}, ${F.CMD('snooze 2h')} or ${F.CMD('snooze 1h30m')}`));
+			return;
+		}
+		until = new Date(Date.now() + duration);
+	}
+
+	config.snoozeUntil = until.getTime();
+	if (!saveConfig(state, config)) {
+		sendMessage(client, network, F.ERROR('Failed to save configuration'));
+		return;
+	}
+
+	plugin.announceToClient(client, [
+		F.BREAK,
+		F.SUCCESS(`Notifications snoozed ${formatSnooze(config)}`)
+	], network);
+}
+
+/**
+ * End a snooze early
+ * Usage: /notify unsnooze
+ */
+function handleUnsnooze(client, network) {
+	const state = plugin.getPluginState(client, network);
+	const config = state.configManager.load();
+
+	if (!(config.snoozeUntil > Date.now())) {
+		sendMessage(client, network, F.INFO('Notifications are not snoozed'));
+		return;
+	}
+
+	config.snoozeUntil = null;
+	if (!saveConfig(state, config)) {
+		sendMessage(client, network, F.ERROR('Failed to save configuration'));
+		return;
+	}
+
+	plugin.announceToClient(client, [
+		F.BREAK,
+		F.SUCCESS('Snooze ended - notifications resumed')
+	], network);
+}
+
+/**
+ * Helper: Find the index of a mute for a target on a network
+ */
+function findMuteIndex(mutes, network, target) {
+	return mutes.findIndex(mute =>
+		mute.network.toLowerCase() === network.name.toLowerCase() &&
+		mute.target.toLowerCase() === target.toLowerCase()
+	);
+}
+
+/**
+ * Temporarily mute a channel or nick on the current network
+ * Usage: /notify mute <#channel|nick> [duration]
+ */
+function handleMute(client, network, args) {
+	if (args.length === 0) {
+		return handleMutes(client, network);
+	}
+
+	const state = plugin.getPluginState(client, network);
+	const config = state.configManager.load();
+	const target = args[0];
+	const durationText = args.slice(1).join("") || DEFAULT_MUTE_DURATION;
+	const duration = parseDuration(durationText);
+
+	if (!duration) {
+		sendMessage(client, network, F.ERROR(`Invalid duration. Use e.g. ${F.CMD(`mute ${target} 2h`)}`));
+		return;
+	}
+
+	const mute = { network: network.name, target: target, until: Date.now() + duration };
+	const index = findMuteIndex(config.mutes, network, target);
+	if (index === -1) {
+		config.mutes.push(mute);
+	} else {
+		config.mutes[index] = mute;
+	}
+
+	if (saveConfig(state, config)) {
+		sendMessage(client, network, [
+			F.BREAK,
+			F.SUCCESS(`Muted ${C.CYAN}${target}${C.RESET} on ${network.name} for ${formatDuration(duration)}`)
+		]);
+	} else {
+		sendMessage(client, network, F.ERROR('Failed to save configuration'));
+	}
+}
+
+/**
+ * Remove a temporary mute before it expires
+ * Usage: /notify unmute <#channel|nick>
+ */
+function handleUnmute(client, network, args) {
+	if (args.length === 0) {
+		sendMessage(client, network, F.LABEL('Usage', F.CMD('unmute <#channel|nick>')));
+		return;
+	}
+
+	const state = plugin.getPluginState(client, network);
+	const config = state.configManager.load();
+	const index = findMuteIndex(config.mutes, network, args[0]);
+
+	if (index === -1) {
+		sendMessage(client, network, F.ERROR(`${C.CYAN}${args[0]}${C.RESET} is not muted on ${network.name}`));
+		return;
+	}
+
+	const [mute] = config.mutes.splice(index, 1);
+	if (saveConfig(state, config)) {
+		sendMessage(client, network, F.SUCCESS(`Unmuted ${C.CYAN}${mute.target}${C.RESET} on ${network.name}`));
+	} else {
+		sendMessage(client, network, F.ERROR('Failed to save configuration'));
+	}
+}
+
+/**
+ * List active temporary mutes on all networks
+ * Usage: /notify mutes
+ */
+function handleMutes(client, network) {
+	const state = plugin.getPluginState(client, network);
+	const mutes = state.configManager.load().mutes;
+	const messages = [F.BREAK, F.SUBHEADER('Muted:')];
+
+	if (mutes.length === 0) {
+		messages.push(F.INDENT(1) + `${C.DISABLED}Nothing is muted${C.RESET}`);
+	} else {
+		for (const mute of mutes) {
+			messages.push(F.INDENT(1) + `${C.CYAN}${mute.target}${C.RESET} on ${mute.network} - ${formatDuration(mute.until - Date.now())} left`);
+		}
+	}
+
+	messages.push(F.INDENT(1) + F.CMD('mute <#channel|nick> [duration]', `Mute on this network (default ${DEFAULT_MUTE_DURATION})`));
+	sendMessage(client, network, messages);
+}
+
+/**
+ * Helper: Describe how long ago a time was
+ */
+function formatAgo(time) {
+	return time ? `${C.CYAN}${formatDuration(Date.now() - time)} ago${C.RESET}` : `${C.DISABLED}never${C.RESET}`;
+}
+
+/**
+ * Helper: Format a latency in milliseconds
+ */
+function formatLatency(ms) {
+	return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Show delivery statistics per service
+ * Usage: /notify stats [service] [--reset]
+ */
+function handleStats(client, network, args) {
+	const stats = plugin.getStats(client);
+	const reset = args.some(arg => arg.toLowerCase() === "--reset");
+	const serviceName = args.find(arg => !arg.startsWith("--"));
+
+	if (reset) {
+		if (!stats.reset(serviceName || null)) {
+			sendMessage(client, network, F.ERROR(`No stats for ${C.ORANGE}${serviceName}${C.RESET}`));
+			return;
+		}
+		sendMessage(client, network, F.SUCCESS(serviceName ? `Stats reset for ${C.CYAN}${serviceName}${C.RESET}` : 'Stats reset for all services'));
+		return;
+	}
+
+	const names = serviceName ? [serviceName.toLowerCase()] : stats.getServiceNames();
+	const messages = [F.BREAK, F.SUBHEADER('Delivery stats:')];
+
+	for (const name of names) {
+		const summary = stats.getSummary(name);
+		if (!summary) {
+			messages.push(F.INDENT(1) + `${name}: ${C.DISABLED}nothing sent yet${C.RESET}`);
+			continue;
+		}
+
+		const notifier = getNotifierMetadata(name);
+		const displayName = notifier ? notifier.getColorName() : name;
+
+		const total = summary.sent + summary.failed;
+		const rate = total > 0 ? ` (${Math.round(summary.sent / total * 1000) / 10}% delivered)` : '';
+		messages.push(
+			F.INDENT(1) + `${displayName}: ${C.SUCCESS}${summary.sent} sent${C.RESET}, ${summary.failed > 0 ? C.ERROR : C.DISABLED}${summary.failed} failed${C.RESET}${rate}`,
+			F.INDENT(2) + `Latency: p50 ${C.CYAN}${formatLatency(summary.p50)}${C.RESET}, p95 ${C.CYAN}${formatLatency(summary.p95)}${C.RESET}`,
+			F.INDENT(2) + `Last success: ${formatAgo(summary.lastSuccess)}, last failure: ${formatAgo(summary.lastFailure)}`
+		);
+		if (summary.lastError) {
+			messages.push(F.INDENT(2) + `Last error: ${C.ERROR}${summary.lastError}${C.RESET}`);
+		}
+		messages.push(F.INDENT(2) + `${C.GREY}Since ${formatDuration(Date.now() - summary.since)} ago${C.RESET}`);
+	}
+
+	if (names.length === 0) {
+		messages.push(F.INDENT(1) + `${C.DISABLED}Nothing sent yet${C.RESET}`);
+	}
+
+	messages.push(F.INDENT(1) + F.CMD('stats [service] --reset', 'Start counting again'));
+	sendMessage(client, network, messages);
+}
+
+/**
+ * Manage the friend watch list of the current network
+ * Usage: /notify watch [list|add <nick...>|remove <nick...>|cooldown <duration|off>]
+ */
+function handleWatch(client, network, args) {
+	const state = plugin.getPluginState(client, network);
+	const config = state.configManager.load();
+	const watch = config.watch;
+	const action = args[0] ? args[0].toLowerCase() : "list";
+	const nicks = args.slice(1).join(" ").split(/[\s,]+/).filter(Boolean);
+	const isOnNetwork = (entry, nick) =>
+		entry.network.toLowerCase() === network.name.toLowerCase() &&
+		(nick === undefined || entry.nick.toLowerCase() === nick.toLowerCase());
+	const save = (text) => {
+		if (saveConfig(state, config)) {
+			sendMessage(client, network, F.SUCCESS(text));
+		} else {
+			sendMessage(client, network, F.ERROR('Failed to save configuration'));
+		}
+	};
+
+	switch (action) {
+		case "list": {
+			const entries = watch.nicks.filter(entry => isOnNetwork(entry));
+			const messages = [F.BREAK, F.SUBHEADER('Watched nicks:', `on ${network.name}`)];
+
+			if (entries.length === 0) {
+				messages.push(F.INDENT(1) + `${C.DISABLED}No nicks are watched${C.RESET}`);
+			} else {
+				for (const entry of entries) {
+					const status = state.friendWatch ? state.friendWatch.getStatus(entry.nick) : "unknown";
+					const color = { online: C.SUCCESS, offline: C.DISABLED }[status] || "";
+					messages.push(F.INDENT(1) + `${C.CYAN}${entry.nick}${C.RESET} - ${color}${status}${C.RESET}`);
+				}
+			}
+
+			messages.push(F.INDENT(1) + `Cooldown per nick: ${watch.cooldownSeconds > 0 ? `${C.CYAN}${formatDuration(watch.cooldownSeconds * 1000)}${C.RESET}` : `${C.DISABLED}off${C.RESET}`}`);
+			if (state.friendWatch && !state.friendWatch.supportsMonitor()) {
+				messages.push(F.INFO(`${network.name} does not support MONITOR; online/offline comes from quits and nick changes in shared channels`));
+			}
+			messages.push(F.INDENT(1) + F.CMD('watch add <nick>', 'Watch a nick on this network'));
+			sendMessage(client, network, messages);
+			return;
+		}
+
+		case "add": {
+			if (nicks.length === 0) {
+				sendMessage(client, network, F.LABEL('Usage', F.CMD('watch add <nick> [nick...]')));
+				return;
+			}
+
+			const added = nicks.filter(nick => !watch.nicks.some(entry => isOnNetwork(entry, nick)));
+			if (added.length === 0) {
+				sendMessage(client, network, F.ERROR(`Already watching ${C.CYAN}${nicks.join(', ')}${C.RESET} on ${network.name}`));
+				return;
+			}
+
+			watch.nicks.push(...added.map(nick => ({ network: network.name, nick: nick })));
+			save(`Watching ${C.CYAN}${added.join(', ')}${C.RESET} on ${network.name}`);
+			return;
+		}
+
+		case "remove": {
+			if (nicks.length === 0) {
+				sendMessage(client, network, F.LABEL('Usage', F.CMD('watch remove <nick> [nick...]')));
+				return;
+			}
+
+			const removed = watch.nicks.filter(entry => nicks.some(nick => isOnNetwork(entry, nick)));
+			if (removed.length === 0) {
+				sendMessage(client, network, F.ERROR(`${C.CYAN}${nicks.join(', ')}${C.RESET} is not watched on ${network.name}`));
+				return;
+			}
+
+			watch.nicks = watch.nicks.filter(entry => !removed.includes(entry));
+			save(`Stopped watching ${C.CYAN}${removed.map(entry => entry.nick).join(', ')}${C.RESET} on ${network.name}`);
+			return;
+		}
+
+		case "cooldown": {
+			const value = args.slice(1).join("").toLowerCase();
+			const duration = value === "off" || value === "0" ? 0 : parseDuration(/^\d+$/.test(value) ? `${value}s` : value);
+			if (duration === null) {
+				sendMessage(client, network, F.ERROR(`Invalid duration. Use e.g. ${F.CMD('watch cooldown 5m')} or ${F.CMD('watch cooldown off')}`));
+				return;
+			}
+
+			watch.cooldownSeconds = Math.round(duration / 1000);
+			save(`Cooldown per watched nick: ${watch.cooldownSeconds > 0 ? `${C.CYAN}${formatDuration(duration)}${C.RESET}` : `${C.DISABLED}off${C.RESET}`}`);
+			return;
+		}
+
 		default:
 			sendMessage(client, network, [
 				F.BREAK,
-				F.ERROR(`Unknown format setting: ${C.ORANGE}${setting}${C.RESET}`),
-				F.INDENT(1) + `Valid settings: ${C.CYAN}title, message, actionMessage, reset${C.RESET}`
+				F.ERROR(`Unknown watch action: ${C.ORANGE}${action}${C.RESET}`),
+				F.INDENT(1) + `Valid actions: ${C.CYAN}list, add, remove, cooldown${C.RESET}`
+			]);
+	}
+}
+
+/**
+ * Show, flush or clear the outbox of failed sends waiting to be retried
+ * Usage: /notify queue [flush|clear]
+ */
+function handleQueue(client, network, args) {
+	const action = args[0] ? args[0].toLowerCase() : "show";
+	const outbox = plugin.getOutbox(client);
+
+	switch (action) {
+		case "show": {
+			const items = outbox.list();
+			const messages = [F.BREAK, F.SUBHEADER('Outbox:', `${items.length} waiting to be retried`)];
+
+			if (items.length === 0) {
+				messages.push(F.INDENT(1) + `${C.DISABLED}Nothing to retry${C.RESET}`);
+			}
+
+			for (const item of items) {
+				const where = item.messageData.channel ? ` from ${C.CYAN}${item.messageData.channel}${C.RESET}` : '';
+				const wait = item.nextAttempt - Date.now();
+				messages.push(
+					F.INDENT(1) + `${C.ORANGE}${item.service}${C.RESET}${where}: ${item.notification.message}`,
+					F.INDENT(2) + `${item.attempts} attempts, next ${wait > 0 ? `in ${C.CYAN}${formatDuration(wait)}${C.RESET}` : `${C.CYAN}now${C.RESET}`}, last error: ${C.ERROR}${item.lastError}${C.RESET}`
+				);
+			}
+
+			if (items.length > 0) {
+				messages.push(F.INDENT(1) + F.CMD('queue flush', 'Retry now') + ', ' + F.CMD('queue clear', 'Drop all'));
+			}
+			sendMessage(client, network, messages);
+			return;
+		}
+
+		case "flush": {
+			const managers = (client.networks || [])
+				.map(net => plugin.getPluginState(client, net).notificationManager)
+				.filter(Boolean);
+
+			Promise.all(managers.map(manager => manager.processOutbox(true)))
+				.then(results => {
+					const done = results.reduce((sum, list) => sum + list.length, 0);
+					const left = outbox.list().length;
+					sendMessage(client, network, F.SUCCESS(`Retried the outbox: ${done} done, ${left} still waiting`));
+				})
+				.catch(err => {
+					sendMessage(client, network, F.ERROR(`Failed to retry the outbox: ${err.message}`));
+				});
+			return;
+		}
+
+		case "clear": {
+			const removed = outbox.clear();
+			sendMessage(client, network, F.SUCCESS(`Dropped ${removed} queued ${removed === 1 ? 'send' : 'sends'}`));
+			return;
+		}
+
+		default:
+			sendMessage(client, network, [
+				F.BREAK,
+				F.ERROR(`Unknown queue action: ${C.ORANGE}${action}${C.RESET}`),
+				F.INDENT(1) + F.CMD('queue [flush|clear]')
+			]);
+	}
+}
+
+/**
+ * Helper: Format one notification history entry
+ */
+function formatHistoryEntry(entry, timezone) {
+	const time = new Date(entry.time);
+	const date = time.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: timezone || undefined });
+	const where = entry.channel ? `${C.CYAN}${entry.channel}${C.RESET} ` : '';
+
+	let outcome;
+	switch (entry.status) {
+		case "sent":
+			outcome = `${F.CHECK} ${entry.services.join(', ')}`;
+			if (entry.failed.length > 0) {
+				outcome += ` ${F.CROSS} ${entry.failed.map(failure => failure.service).join(', ')}`;
+			}
+			break;
+		case "failed":
+			outcome = `${F.CROSS} ${C.ERROR}failed${C.RESET} (${entry.reason})`;
+			break;
+		default:
+			outcome = `${C.DISABLED}${entry.status}${C.RESET} (${entry.reason})`;
+	}
+
+	const kind = entry.kind !== "notification" ? `${entry.kind}: ` : '';
+	return F.INDENT(1) + `${C.GREY}${date} ${formatLocalTime(time, timezone)}${C.RESET} ${where}${outcome} - ${kind}${entry.message}`;
+}
+
+/**
+ * Browse the notification history
+ * Usage: /notify history [n] [--channel #x] [--failed] [--search text]
+ */
+function handleHistory(client, network, args) {
+	const NotificationHistory = require('./history');
+	const state = plugin.getPluginState(client, network);
+	const config = state.configManager.load();
+
+	let query;
+	try {
+		query = NotificationHistory.parseHistoryArgs(args);
+	} catch (err) {
+		sendMessage(client, network, [
+			F.ERROR(err.message),
+			F.INDENT(1) + F.CMD('history [n] [--channel #x] [--failed] [--search text]')
+		]);
+		return;
+	}
+
+	const entries = plugin.getHistory(client).load(config.history);
+	const matches = NotificationHistory.filterEntries(entries, query);
+	const messages = [F.BREAK, F.SUBHEADER('History:', `${matches.length} of ${entries.length} entries`)];
+
+	if (matches.length === 0) {
+		messages.push(F.INDENT(1) + `${C.DISABLED}No matching notifications${C.RESET}`);
+	} else {
+		const timezone = (config.schedule || {}).timezone;
+		messages.push(...matches.map(entry => formatHistoryEntry(entry, timezone)));
+	}
+
+	sendMessage(client, network, messages);
+}
+
+/**
+ * Configure notification history retention
+ * Usage: /notify config history [show|entries|days] ...
+ */
+function handleConfigHistory(client, network, state, config, args) {
+	const setting = args[0] ? args[0].toLowerCase() : "show";
+	const value = args[1] || "";
+	const history = config.history;
+
+	switch (setting) {
+		case "show":
+			sendMessage(client, network, [
+				F.BREAK,
+				F.SUBHEADER('History:'),
+				F.INDENT(1) + `Keep: ${C.CYAN}${history.maxEntries} entries${C.RESET}, for ${C.CYAN}${history.maxDays} days${C.RESET}`,
+				F.INDENT(1) + F.CMD('history', 'Browse past notifications')
+			]);
+			return;
+
+		case "entries":
+		case "days": {
+			const number = /^\d+$/.test(value) ? parseInt(value, 10) : 0;
+			if (number < 1) {
+				sendMessage(client, network, F.ERROR('Value must be a positive number'));
+				return;
+			}
+
+			history[setting === "entries" ? "maxEntries" : "maxDays"] = number;
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(`History keeps ${C.CYAN}${history.maxEntries} entries${C.RESET}, for ${C.CYAN}${history.maxDays} days${C.RESET}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		default:
+			sendMessage(client, network, [
+				F.BREAK,
+				F.ERROR(`Unknown history setting: ${C.ORANGE}${setting}${C.RESET}`),
+				F.INDENT(1) + `Valid settings: ${C.CYAN}entries, days${C.RESET}`
+			]);
+	}
+}
+
+/**
+ * Manage per-network overrides of the user's default settings
+ * Usage: /notify network [enable|disable [service]|config ...|reset [section]]
+ */
+function handleNetwork(client, network, args) {
+	const state = plugin.getPluginState(client, network);
+	const action = args[0] ? args[0].toLowerCase() : "show";
+	const sections = ["enabled", "filters", "format", "services"];
+
+	switch (action) {
+		case "show": {
+			const overrides = state.configManager.getNetworkOverrides(state.configManager.load(), network.uuid);
+			sendMessage(client, network, [
+				F.BREAK,
+				F.SUBHEADER(`${network.name}:`, 'settings that differ from your defaults'),
+				F.INDENT(1) + (overrides.length > 0 ? formatPatternList(overrides) : `${C.DISABLED}None - using your defaults${C.RESET}`),
+				F.BREAK_LIGHT,
+				F.INDENT(1) + F.CMD('network enable|disable [service]', 'Turn notifications or a service on/off for this network'),
+				F.INDENT(1) + F.CMD('network config <filter|format|service> <setting> <value>', 'Override a setting for this network'),
+				F.INDENT(1) + F.CMD(`network reset [${sections.join('|')}]`, 'Go back to your defaults')
+			]);
+			return;
+		}
+
+		case "enable":
+			return handleEnable(client, network, args.slice(1), true);
+
+		case "disable":
+			return handleDisable(client, network, args.slice(1), true);
+
+		case "config":
+			return handleConfig(client, network, args.slice(1), true);
+
+		case "reset": {
+			const section = args[1] ? args[1].toLowerCase() : null;
+			if (section && !sections.includes(section)) {
+				sendMessage(client, network, F.ERROR(`Section must be one of: ${sections.join(', ')}`));
+				return;
+			}
+
+			if (!state.configManager.resetNetworkOverrides(network.uuid, section)) {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+				return;
+			}
+
+			plugin.applyConfig(client, true);
+			sendMessage(client, network, [
+				F.BREAK,
+				F.SUCCESS(`${network.name} now uses your default ${section ? `${section} settings` : 'settings'}`)
+			]);
+			return;
+		}
+
+		default:
+			sendMessage(client, network, F.ERROR(`Unknown network action: ${C.PINK}${action}${C.RESET}. Use ${F.CMD('network')} for usage.`));
+	}
+}
+
+/**
+ * Manage ordered routing rules
+ * Usage: /notify rule add <conditions> <actions>
+ *        /notify rule list|move <from> <to>|remove <n>
+ */
+function handleRule(client, network, args) {
+	const state = plugin.getPluginState(client, network);
+	const config = state.configManager.load();
+	const action = args[0] ? args[0].toLowerCase() : "list";
+	const rules = config.rules;
+
+	const usage = [
+		F.INDENT(1) + F.CMD('rule add channel=#prod-alerts services=pushover priority=2 stop'),
+		F.INDENT(1) + F.CMD('rule add services=ntfy', 'Rule without conditions matches everything'),
+		F.INDENT(1) + `Conditions: ${C.CYAN}network, channel, nick, type, keyword, highlight${C.RESET}`,
+		F.INDENT(1) + `Actions: ${C.CYAN}services, priority, title, message, stop${C.RESET}`,
+		F.INDENT(1) + F.CMD('rule list|move <from> <to>|remove <n>')
+	];
+
+	switch (action) {
+		case "list": {
+			const messages = [
+				F.BREAK,
+				F.SUBHEADER('Routing rules:', 'evaluated in order, later matches override earlier ones')
+			];
+
+			if (rules.length === 0) {
+				messages.push(F.INDENT(1) + `${C.DISABLED}None - every notification goes to all enabled services${C.RESET}`);
+			} else {
+				rules.forEach((rule, index) => messages.push(F.LI(index + 1, formatRule(rule))));
+			}
+
+			sendMessage(client, network, messages);
+			return;
+		}
+
+		case "add": {
+			let rule;
+			try {
+				rule = parseRule(args.slice(1).join(" "));
+			} catch (err) {
+				sendMessage(client, network, [F.BREAK, F.ERROR(`Invalid rule: ${err.message}`), ...usage]);
+				return;
+			}
+
+			rules.push(rule);
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, [
+					F.BREAK,
+					F.SUCCESS(`Added rule ${rules.length}: ${formatRule(rule)}`)
+				]);
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		case "move": {
+			const from = parseInt(args[1], 10) - 1;
+			const to = parseInt(args[2], 10) - 1;
+			if (isNaN(from) || isNaN(to) || from < 0 || to < 0 || from >= rules.length || to >= rules.length) {
+				sendMessage(client, network, F.ERROR(`Invalid rule numbers. Use ${F.CMD('rule list')} to see rules.`));
+				return;
+			}
+
+			const [rule] = rules.splice(from, 1);
+			rules.splice(to, 0, rule);
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(`Moved rule ${from + 1} to position ${to + 1}: ${formatRule(rule)}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		case "remove": {
+			const index = parseInt(args[1], 10) - 1;
+			if (isNaN(index) || index < 0 || index >= rules.length) {
+				sendMessage(client, network, F.ERROR(`Invalid rule number. Use ${F.CMD('rule list')} to see rules.`));
+				return;
+			}
+
+			const [removed] = rules.splice(index, 1);
+			if (saveConfig(state, config)) {
+				sendMessage(client, network, F.SUCCESS(`Removed rule ${index + 1}: ${formatRule(removed)}`));
+			} else {
+				sendMessage(client, network, F.ERROR('Failed to save configuration'));
+			}
+			return;
+		}
+
+		default:
+			sendMessage(client, network, [
+				F.BREAK,
+				F.ERROR(`Unknown rule command: ${C.ORANGE}${action}${C.RESET}`),
+				...usage
 			]);
 	}
 }
@@ -733,6 +2702,18 @@ function handleHelp(client, network) {
 		F.INDENT(1, F.CMD('disable [service]', 'Disable notifications globally or for a specific service')),
 		F.INDENT(1, F.CMD('config', 'Configure settings interactively')),
 		F.INDENT(1, F.CMD('test [service]', 'Send test notification')),
+		F.INDENT(1, F.CMD('rule add|list|move|remove', 'Route notifications to specific services')),
+		F.INDENT(1, F.CMD('network', 'Override settings for the current network')),
+		F.INDENT(1, F.CMD('snooze <45m|until 08:00>', 'Pause notifications for a while')),
+		F.INDENT(1, F.CMD('unsnooze', 'Resume notifications early')),
+		F.INDENT(1, F.CMD('mute <#channel|nick> [duration]', 'Temporarily mute a channel or nick')),
+		F.INDENT(1, F.CMD('unmute <#channel|nick>', 'Remove a mute')),
+		F.INDENT(1, F.CMD('mutes', 'List active mutes')),
+		F.INDENT(1, F.CMD('watch add|remove <nick>', 'Notify when a nick comes online, goes offline, joins or leaves')),
+		F.INDENT(1, F.CMD('watch [list|cooldown <duration>]', 'List watched nicks, or set how long each nick stays quiet after a notification')),
+		F.INDENT(1, F.CMD('history [n] [--channel #x] [--failed] [--search text]', 'Browse past notifications')),
+		F.INDENT(1, F.CMD('stats [service] [--reset]', 'Show delivery counts, errors and latency per service')),
+		F.INDENT(1, F.CMD('queue [flush|clear]', 'Show, retry now or drop failed sends waiting to be retried')),
 		F.INDENT(1, F.CMD('version', 'Show plugin version')),
 		F.INDENT(1, F.CMD('help', 'Show this help message'))
 	);
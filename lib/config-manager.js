@@ -2,6 +2,84 @@
 
 const fs = require("fs");
 const path = require("path");
+const { isValidTimezone, normalizeWindow } = require("./schedule");
+const { normalizeRule } = require("./rules");
+const { getDefaultPresence, normalizePresence } = require("./presence");
+const { normalizeLimit } = require("./rate-limit");
+
+// Notification modes for private queries and notices
+const MESSAGE_MODES = ["always", "highlight-only", "never"];
+
+// Most preceding lines that can be included as context
+const MAX_CONTEXT_LINES = 20;
+
+// What happens to notifications over a rate limit
+const OVERFLOW_MODES = ["summary", "drop"];
+
+// What happens to highlights replayed from backlog after a reconnect
+const REPLAY_MODES = ["summary", "drop"];
+
+// IRC events besides messages that can notify, each with its own toggle and <type>Message template
+const EVENT_TYPES = ["invite", "kick", "ban", "op", "topic"];
+
+// Connection health alerts, each with its own toggle and <type>Message template
+const CONNECTION_TYPES = ["disconnected", "unreachable", "reconnected"];
+
+// Friend watch notifications about watched nicks, each with its own <type>Message template
+const WATCH_TYPES = ["online", "offline", "join", "part"];
+
+// How a notification is sent to its services: all at once, or in order until one delivers it
+const DELIVERY_MODES = ["broadcast", "first-success"];
+
+// Marks a config loaded with loadForNetwork() so save() writes it as that network's overrides
+const NETWORK_SCOPE = Symbol("networkScope");
+
+// Config sections that can be overridden per network (besides the enabled flag)
+const NETWORK_SECTIONS = ["filters", "format"];
+
+/**
+ * Helper: Compare two config values structurally
+ */
+function isSameValue(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Helper: Collect the keys of an object that differ from a base object
+ * Keys that were already overridden are kept so an override can match the default
+ */
+function diffSection(effective, base, previous) {
+	const diff = {};
+	for (const [key, value] of Object.entries(effective || {})) {
+		if (!isSameValue(value, (base || {})[key]) || (previous && key in previous)) {
+			diff[key] = value;
+		}
+	}
+	return diff;
+}
+
+/**
+ * Helper: Normalize a pattern list to an array of non-empty strings
+ */
+function toStringList(value) {
+	if (!Array.isArray(value)) {
+		return [];
+	}
+
+	return value.filter(item => typeof item === "string" && item.length > 0);
+}
+
+/**
+ * Helper: Normalize a nick/account pattern group
+ */
+function toUserPatterns(group) {
+	const source = group && typeof group === "object" ? group : {};
+
+	return {
+		nicks: toStringList(source.nicks),
+		accounts: toStringList(source.accounts)
+	};
+}
 
 /**
  * Configuration Manager
@@ -25,7 +103,6 @@ class ConfigManager {
 				const data = fs.readFileSync(this.configPath, "utf8");
 				const config = JSON.parse(data);
 				console.log(`[External Notify] Loaded config for user ${this.client.name} from ${this.configPath}`);
-				console.log(`[External Notify] Config contents:`, JSON.stringify(config, null, 2));
 				// Validate and merge with defaults
 				return this.validateConfig(config);
 			}
@@ -39,10 +116,143 @@ class ConfigManager {
 		return this.getDefaultConfig();
 	}
 
+	/**
+	 * Load the effective configuration for a network
+	 * The network's overrides (config.networks[network.uuid]) are layered on top of the user's defaults.
+	 * Saving the returned config with save() stores the changes as overrides for that network.
+	 * @param {Object} network - TheLounge network object
+	 * @returns {Object} Effective configuration
+	 */
+	loadForNetwork(network) {
+		const effective = this.applyNetworkOverrides(this.load(), network.uuid);
+		effective[NETWORK_SCOPE] = { id: network.uuid, name: network.name };
+		return effective;
+	}
+
+	/**
+	 * Layer a network's overrides on top of a base configuration
+	 * @param {Object} config - Validated base configuration
+	 * @param {string} networkId - Network UUID
+	 * @returns {Object} Validated effective configuration
+	 */
+	applyNetworkOverrides(config, networkId) {
+		const override = (config.networks || {})[networkId];
+		if (!override) {
+			return this.validateConfig(config);
+		}
+
+		const effective = { ...config };
+
+		if (typeof override.enabled === "boolean") {
+			effective.enabled = override.enabled;
+		}
+
+		for (const section of NETWORK_SECTIONS) {
+			effective[section] = { ...config[section], ...override[section] };
+		}
+
+		effective.services = { ...config.services };
+		for (const [serviceName, serviceOverride] of Object.entries(override.services || {})) {
+			effective.services[serviceName] = { ...config.services[serviceName], ...serviceOverride };
+		}
+
+		return this.validateConfig(effective);
+	}
+
+	/**
+	 * Get the settings a network overrides, as dotted paths
+	 * @param {Object} config - Base configuration
+	 * @param {string} networkId - Network UUID
+	 * @returns {string[]} e.g. ["enabled", "filters.highlights", "services.pushover.priority"]
+	 */
+	getNetworkOverrides(config, networkId) {
+		const override = (config.networks || {})[networkId];
+		if (!override) {
+			return [];
+		}
+
+		const paths = [];
+		if (typeof override.enabled === "boolean") {
+			paths.push("enabled");
+		}
+
+		for (const section of NETWORK_SECTIONS) {
+			paths.push(...Object.keys(override[section] || {}).map(key => `${section}.${key}`));
+		}
+
+		for (const [serviceName, serviceOverride] of Object.entries(override.services || {})) {
+			paths.push(...Object.keys(serviceOverride).map(key => `services.${serviceName}.${key}`));
+		}
+
+		return paths;
+	}
+
+	/**
+	 * Remove a network's overrides
+	 * @param {string} networkId - Network UUID
+	 * @param {string} [section] - Only reset this section ("enabled", "filters", "format" or "services")
+	 * @returns {boolean} True if saved
+	 */
+	resetNetworkOverrides(networkId, section = null) {
+		const config = this.load();
+		const override = (config.networks || {})[networkId];
+		if (!override) {
+			return true;
+		}
+
+		if (section) {
+			delete override[section];
+		} else {
+			delete config.networks[networkId];
+		}
+
+		return this.save(config);
+	}
+
+	/**
+	 * Store an effective network configuration as overrides on top of the user's defaults
+	 * Only settings that differ from the defaults (or were already overridden) are stored
+	 */
+	saveNetworkOverrides(scope, effective) {
+		const config = this.load();
+		const previous = (config.networks || {})[scope.id] || {};
+		const override = { name: scope.name };
+
+		if (typeof effective.enabled === "boolean" && (effective.enabled !== config.enabled || "enabled" in previous)) {
+			override.enabled = effective.enabled;
+		}
+
+		for (const section of NETWORK_SECTIONS) {
+			const diff = diffSection(effective[section], config[section], previous[section]);
+			if (Object.keys(diff).length > 0) {
+				override[section] = diff;
+			}
+		}
+
+		const services = {};
+		for (const [serviceName, serviceConfig] of Object.entries(effective.services || {})) {
+			const diff = diffSection(serviceConfig, config.services[serviceName], (previous.services || {})[serviceName]);
+			if (Object.keys(diff).length > 0) {
+				services[serviceName] = diff;
+			}
+		}
+		if (Object.keys(services).length > 0) {
+			override.services = services;
+		}
+
+		config.networks = { ...config.networks, [scope.id]: override };
+		return this.save(config);
+	}
+
 	/**
 	 * Save configuration to plugin storage
+	 * Configs loaded with loadForNetwork() are saved as that network's overrides
 	 */
 	save(config) {
+		if (config[NETWORK_SCOPE]) {
+			return this.saveNetworkOverrides(config[NETWORK_SCOPE], config);
+		}
+
 		try {
 			const validated = this.validateConfig(config);
 
@@ -65,7 +275,6 @@ class ConfigManager {
 			// Write config to file
 			fs.writeFileSync(this.configPath, JSON.stringify(validated, null, 2), "utf8");
 			console.log(`[External Notify] Saved config for user ${this.client.name} to ${this.configPath}`);
-			console.log(`[External Notify] Config contents:`, JSON.stringify(validated, null, 2));
 
 			return true;
 		} catch (err) {
@@ -88,7 +297,92 @@ class ConfigManager {
 			services: {},
 			filters: {
 				onlyWhenAway: true,
-				highlights: true
+				presence: getDefaultPresence(),
+				highlights: true,
+				privateMessages: "highlight-only",
+				notices: "highlight-only",
+				channels: {
+					include: [],
+					exclude: []
+				},
+				ignore: {
+					nicks: [],
+					accounts: []
+				},
+				vip: {
+					nicks: [],
+					accounts: []
+				},
+				keywords: {
+					triggers: [],
+					exclude: []
+				}
+			},
+			delivery: {
+				delaySeconds: 0,
+				digestSeconds: 0,
+				dedupSeconds: 60,
+				retrySeconds: 3600,
+				mode: "broadcast",
+				order: [],
+				breakerFailures: 5,
+				cooldownSeconds: 300,
+				maxAgeSeconds: 300,
+				replay: "summary"
+			},
+			escalation: {
+				enabled: false,
+				minutes: 10,
+				priority: 2,
+				services: []
+			},
+			context: {
+				lines: 0,
+				queryExchange: false
+			},
+			history: {
+				maxEntries: 1000,
+				maxDays: 30
+			},
+			events: {
+				invite: false,
+				kick: false,
+				ban: false,
+				op: false,
+				topic: false,
+				topicChannels: []
+			},
+			connection: {
+				disconnected: false,
+				unreachable: false,
+				reconnected: false,
+				disconnectSeconds: 600,
+				failures: 3
+			},
+			watch: {
+				nicks: [],
+				cooldownSeconds: 300
+			},
+			limits: {
+				global: null,
+				channel: null,
+				services: {},
+				overflow: "summary"
+			},
+			mutes: [],
+			networks: {},
+			rules: [],
+			snoozeUntil: null,
+			schedule: {
+				enabled: false,
+				timezone: "",
+				windows: [],
+				vipBreakthrough: true,
+				breakthrough: {
+					nicks: [],
+					accounts: [],
+					keywords: []
+				}
 			},
 			format: FormatTemplate.getDefaults()
 		};
@@ -96,12 +390,14 @@ class ConfigManager {
 
 	/**
 	 * Validate configuration and merge with defaults
+	 * Unknown keys are preserved so newer settings survive a load/save round trip
 	 */
 	validateConfig(config) {
 		const defaults = this.getDefaultConfig();
 
 		// Ensure all required top-level keys exist
 		const validated = {
+			...config,
 			enabled: typeof config.enabled === "boolean" ? config.enabled : defaults.enabled,
 			channelName: typeof config.channelName === "string" ? config.channelName : defaults.channelName,
 			services: config.services || defaults.services,
@@ -112,14 +408,34 @@ class ConfigManager {
 		// Validate filters object
 		if (validated.filters) {
 			const filters = config.filters || {};
+			const channels = filters.channels || {};
 
 			validated.filters = {
+				...filters,
 				onlyWhenAway: typeof filters.onlyWhenAway === "boolean"
 					? filters.onlyWhenAway
 					: defaults.filters.onlyWhenAway,
+				presence: normalizePresence(filters.presence),
 				highlights: typeof filters.highlights === "boolean"
 					? filters.highlights
-					: defaults.filters.highlights
+					: defaults.filters.highlights,
+				privateMessages: MESSAGE_MODES.includes(filters.privateMessages)
+					? filters.privateMessages
+					: defaults.filters.privateMessages,
+				notices: MESSAGE_MODES.includes(filters.notices)
+					? filters.notices
+					: defaults.filters.notices,
+				channels: {
+					// whitelist/blacklist are the legacy names for include/exclude
+					include: toStringList(channels.include || channels.whitelist),
+					exclude: toStringList(channels.exclude || channels.blacklist)
+				},
+				ignore: toUserPatterns(filters.ignore),
+				vip: toUserPatterns(filters.vip),
+				keywords: {
+					triggers: toStringList((filters.keywords || {}).triggers),
+					exclude: toStringList((filters.keywords || {}).exclude)
+				}
 			};
 		}
 
@@ -128,26 +444,230 @@ class ConfigManager {
 			const format = config.format || {};
 
 			validated.format = {
+				...format,
 				title: typeof format.title === "string"
 					? format.title
 					: defaults.format.title,
 				titleWithChannel: typeof format.titleWithChannel === "string"
 					? format.titleWithChannel
 					: defaults.format.titleWithChannel,
+				titlePrivate: typeof format.titlePrivate === "string"
+					? format.titlePrivate
+					: defaults.format.titlePrivate,
 				message: typeof format.message === "string"
 					? format.message
 					: defaults.format.message,
 				actionMessage: typeof format.actionMessage === "string"
 					? format.actionMessage
-					: defaults.format.actionMessage
+					: defaults.format.actionMessage,
+				digestTitle: typeof format.digestTitle === "string"
+					? format.digestTitle
+					: defaults.format.digestTitle,
+				digestMessage: typeof format.digestMessage === "string"
+					? format.digestMessage
+					: defaults.format.digestMessage,
+				contextLine: typeof format.contextLine === "string"
+					? format.contextLine
+					: defaults.format.contextLine
 			};
+
+			// One template per IRC event type, connection alert and friend watch change (inviteMessage, disconnectedMessage, ...)
+			for (const type of [...EVENT_TYPES, ...CONNECTION_TYPES, ...WATCH_TYPES]) {
+				const key = `${type}Message`;
+				validated.format[key] = typeof format[key] === "string" ? format[key] : defaults.format[key];
+			}
+		}
+
+		// Validate routing rules - keep order, drop invalid rules
+		validated.rules = Array.isArray(config.rules)
+			? config.rules.map(normalizeRule).filter(Boolean)
+			: defaults.rules;
+
+		// Validate schedule object
+		const schedule = config.schedule && typeof config.schedule === "object" ? config.schedule : {};
+		const breakthrough = schedule.breakthrough || {};
+
+		validated.schedule = {
+			...schedule,
+			enabled: typeof schedule.enabled === "boolean"
+				? schedule.enabled
+				: defaults.schedule.enabled,
+			timezone: typeof schedule.timezone === "string" && isValidTimezone(schedule.timezone)
+				? schedule.timezone
+				: defaults.schedule.timezone,
+			windows: Array.isArray(schedule.windows)
+				? schedule.windows.map(normalizeWindow).filter(Boolean)
+				: defaults.schedule.windows,
+			vipBreakthrough: typeof schedule.vipBreakthrough === "boolean"
+				? schedule.vipBreakthrough
+				: defaults.schedule.vipBreakthrough,
+			breakthrough: {
+				...toUserPatterns(breakthrough),
+				keywords: toStringList(breakthrough.keywords)
+			}
+		};
+
+		// Validate delivery settings
+		const delivery = config.delivery && typeof config.delivery === "object" ? config.delivery : {};
+
+		validated.delivery = {
+			...delivery,
+			delaySeconds: Number.isInteger(delivery.delaySeconds) && delivery.delaySeconds >= 0
+				? delivery.delaySeconds
+				: defaults.delivery.delaySeconds,
+			digestSeconds: Number.isInteger(delivery.digestSeconds) && delivery.digestSeconds >= 0
+				? delivery.digestSeconds
+				: defaults.delivery.digestSeconds,
+			dedupSeconds: Number.isInteger(delivery.dedupSeconds) && delivery.dedupSeconds >= 0
+				? delivery.dedupSeconds
+				: defaults.delivery.dedupSeconds,
+			retrySeconds: Number.isInteger(delivery.retrySeconds) && delivery.retrySeconds >= 0
+				? delivery.retrySeconds
+				: defaults.delivery.retrySeconds,
+			mode: DELIVERY_MODES.includes(delivery.mode) ? delivery.mode : defaults.delivery.mode,
+			order: toStringList(delivery.order).map(name => name.toLowerCase()),
+			breakerFailures: Number.isInteger(delivery.breakerFailures) && delivery.breakerFailures >= 0
+				? delivery.breakerFailures
+				: defaults.delivery.breakerFailures,
+			cooldownSeconds: Number.isInteger(delivery.cooldownSeconds) && delivery.cooldownSeconds > 0
+				? delivery.cooldownSeconds
+				: defaults.delivery.cooldownSeconds,
+			maxAgeSeconds: Number.isInteger(delivery.maxAgeSeconds) && delivery.maxAgeSeconds >= 0
+				? delivery.maxAgeSeconds
+				: defaults.delivery.maxAgeSeconds,
+			replay: REPLAY_MODES.includes(delivery.replay) ? delivery.replay : defaults.delivery.replay
+		};
+
+		// Validate escalation of unread notifications
+		const escalation = config.escalation && typeof config.escalation === "object" ? config.escalation : {};
+
+		validated.escalation = {
+			...escalation,
+			enabled: typeof escalation.enabled === "boolean"
+				? escalation.enabled
+				: defaults.escalation.enabled,
+			minutes: Number.isInteger(escalation.minutes) && escalation.minutes > 0
+				? escalation.minutes
+				: defaults.escalation.minutes,
+			priority: Number.isInteger(escalation.priority)
+				? escalation.priority
+				: defaults.escalation.priority,
+			services: toStringList(escalation.services)
+		};
+
+		// Validate context lines included in notifications
+		const context = config.context && typeof config.context === "object" ? config.context : {};
+
+		validated.context = {
+			...context,
+			lines: Number.isInteger(context.lines) && context.lines >= 0 && context.lines <= MAX_CONTEXT_LINES
+				? context.lines
+				: defaults.context.lines,
+			queryExchange: typeof context.queryExchange === "boolean"
+				? context.queryExchange
+				: defaults.context.queryExchange
+		};
+
+		// Validate notification history retention
+		const history = config.history && typeof config.history === "object" ? config.history : {};
+
+		validated.history = {
+			...history,
+			maxEntries: Number.isInteger(history.maxEntries) && history.maxEntries > 0
+				? history.maxEntries
+				: defaults.history.maxEntries,
+			maxDays: Number.isInteger(history.maxDays) && history.maxDays > 0
+				? history.maxDays
+				: defaults.history.maxDays
+		};
+
+		// Validate IRC event toggles
+		const events = config.events && typeof config.events === "object" ? config.events : {};
+
+		validated.events = { ...events, topicChannels: toStringList(events.topicChannels) };
+		for (const type of EVENT_TYPES) {
+			validated.events[type] = typeof events[type] === "boolean" ? events[type] : defaults.events[type];
 		}
 
+		// Validate connection health alerts
+		const connection = config.connection && typeof config.connection === "object" ? config.connection : {};
+
+		validated.connection = {
+			...connection,
+			disconnectSeconds: Number.isInteger(connection.disconnectSeconds) && connection.disconnectSeconds > 0
+				? connection.disconnectSeconds
+				: defaults.connection.disconnectSeconds,
+			failures: Number.isInteger(connection.failures) && connection.failures > 0
+				? connection.failures
+				: defaults.connection.failures
+		};
+		for (const type of CONNECTION_TYPES) {
+			validated.connection[type] = typeof connection[type] === "boolean" ? connection[type] : defaults.connection[type];
+		}
+
+		// Validate the friend watch list - nicks per network, no duplicates
+		const watch = config.watch && typeof config.watch === "object" ? config.watch : {};
+		const watched = new Set();
+
+		validated.watch = {
+			...watch,
+			nicks: (Array.isArray(watch.nicks) ? watch.nicks : []).filter(entry => {
+				if (!entry || typeof entry.network !== "string" || typeof entry.nick !== "string" || !entry.nick) {
+					return false;
+				}
+				const key = `${entry.network}\n${entry.nick}`.toLowerCase();
+				if (watched.has(key)) {
+					return false;
+				}
+				watched.add(key);
+				return true;
+			}),
+			cooldownSeconds: Number.isInteger(watch.cooldownSeconds) && watch.cooldownSeconds >= 0
+				? watch.cooldownSeconds
+				: defaults.watch.cooldownSeconds
+		};
+
+		// Validate rate limits - invalid limits become unlimited
+		const limits = config.limits && typeof config.limits === "object" ? config.limits : {};
+		const serviceLimits = {};
+		for (const [name, limit] of Object.entries(limits.services && typeof limits.services === "object" ? limits.services : {})) {
+			if (normalizeLimit(limit)) {
+				serviceLimits[name.toLowerCase()] = normalizeLimit(limit);
+			}
+		}
+
+		validated.limits = {
+			...limits,
+			global: normalizeLimit(limits.global),
+			channel: normalizeLimit(limits.channel),
+			services: serviceLimits,
+			overflow: OVERFLOW_MODES.includes(limits.overflow) ? limits.overflow : defaults.limits.overflow
+		};
+
 		// Validate services - ensure it's an object
 		if (validated.services && typeof validated.services !== 'object') {
 			validated.services = {};
 		}
 
+		// Snooze expiry - epoch milliseconds, or null when not snoozed
+		validated.snoozeUntil = Number.isFinite(config.snoozeUntil) ? config.snoozeUntil : null;
+
+		// Temporary mutes - expired ones are dropped
+		const now = Date.now();
+		validated.mutes = (Array.isArray(config.mutes) ? config.mutes : []).filter(mute =>
+			mute && typeof mute.target === "string" && typeof mute.network === "string" &&
+			Number.isFinite(mute.until) && mute.until > now
+		);
+
+		// Validate per-network overrides - keyed by network UUID
+		const networks = config.networks && typeof config.networks === "object" ? config.networks : {};
+		validated.networks = {};
+		for (const [networkId, override] of Object.entries(networks)) {
+			if (override && typeof override === "object") {
+				validated.networks[networkId] = override;
+			}
+		}
+
 		return validated;
 	}
 
@@ -191,4 +711,14 @@ class ConfigManager {
 	}
 }
 
+ConfigManager.MESSAGE_MODES = MESSAGE_MODES;
+ConfigManager.OVERFLOW_MODES = OVERFLOW_MODES;
+ConfigManager.DELIVERY_MODES = DELIVERY_MODES;
+ConfigManager.REPLAY_MODES = REPLAY_MODES;
+ConfigManager.EVENT_TYPES = EVENT_TYPES;
+ConfigManager.CONNECTION_TYPES = CONNECTION_TYPES;
+ConfigManager.WATCH_TYPES = WATCH_TYPES;
+ConfigManager.MAX_CONTEXT_LINES = MAX_CONTEXT_LINES;
+ConfigManager.NETWORK_SCOPE = NETWORK_SCOPE;
+
 module.exports = ConfigManager;
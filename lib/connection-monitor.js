@@ -0,0 +1,188 @@
+"use strict";
+
+const EventEmitter = require("events");
+
+/**
+ * Connection Monitor
+ * Watches one network's IRC connection and raises alerts about outages:
+ * - "disconnected": the connection has been down for connection.disconnectSeconds
+ * - "unreachable": connection.failures reconnect attempts in a row have failed
+ * - "reconnected": the network is back after an outage that raised an alert
+ *
+ * Each outage raises every alert at most once. Disconnects the user asked for
+ * (/disconnect, /quit) are not outages.
+ *
+ * Events:
+ * - "alert" (event): a MessageEvent of type "disconnected", "unreachable" or "reconnected",
+ *   with duration (milliseconds down), attempts (failed reconnects) and reason (last error)
+ */
+
+// Settings used when options.getSettings is not given
+const DEFAULT_SETTINGS = {
+	disconnectSeconds: 600,
+	failures: 3
+};
+
+class ConnectionMonitor extends EventEmitter {
+	/**
+	 * @param {Object} network - TheLounge network
+	 * @param {Object} [options]
+	 * @param {Function} [options.getSettings] - () => connection settings ({ disconnectSeconds, failures })
+	 */
+	constructor(network, options = {}) {
+		super();
+		this.network = network;
+		this.getSettings = options.getSettings || (() => DEFAULT_SETTINGS);
+		this.attached = false;
+		this.ircListeners = [];
+
+		// Last error reported by the server or socket, the reason for the next disconnect
+		this.lastError = null;
+
+		// Current outage: { since, attempts, reason, alerted, timer }, or null while connected
+		this.outage = null;
+	}
+
+	/**
+	 * Listen to the network's IRC connection
+	 */
+	attach() {
+		if (this.attached) {
+			return;
+		}
+		this.attached = true;
+
+		const irc = this.network.irc;
+		if (!irc) {
+			return;
+		}
+
+		const listen = (eventName, listener) => {
+			irc.on(eventName, listener);
+			this.ircListeners.push([eventName, listener]);
+		};
+
+		// ERROR from the server (K-lines, "Closing Link") and error numerics
+		listen("irc error", event => {
+			this.lastError = (event && (event.reason || event.error)) || null;
+		});
+		listen("socket error", err => {
+			this.lastError = (err && (err.message || err.code)) || null;
+		});
+		listen("socket close", err => this.handleClose(err));
+		listen("registered", () => this.handleConnected());
+	}
+
+	/**
+	 * Remove the listeners and forget the current outage
+	 */
+	detach() {
+		if (!this.attached) {
+			return;
+		}
+		this.attached = false;
+
+		const irc = this.network.irc;
+		for (const [eventName, listener] of this.ircListeners) {
+			if (irc) {
+				irc.removeListener(eventName, listener);
+			}
+		}
+		this.ircListeners = [];
+		this.endOutage();
+	}
+
+	/**
+	 * The socket closed: start an outage, or count a failed reconnect attempt
+	 * @param {Error|boolean} [err] - Socket error, if any
+	 */
+	handleClose(err, now = Date.now()) {
+		const reason = this.lastError || (err && err.message) || null;
+		this.lastError = null;
+
+		if (this.network.userDisconnected) {
+			this.endOutage();
+			return;
+		}
+
+		if (!this.outage) {
+			const settings = this.getSettings();
+			const timer = setTimeout(() => this.raise("disconnected"), settings.disconnectSeconds * 1000);
+			timer.unref();
+
+			this.outage = { since: now, attempts: 0, reason: reason || "connection closed", alerted: false, timer: timer };
+			return;
+		}
+
+		this.outage.attempts++;
+		if (reason) {
+			this.outage.reason = reason;
+		}
+
+		if (this.outage.attempts === this.getSettings().failures) {
+			this.raise("unreachable", now);
+		}
+	}
+
+	/**
+	 * The network registered: end the outage, reporting the recovery if it raised an alert
+	 */
+	handleConnected(now = Date.now()) {
+		this.lastError = null;
+		if (!this.outage) {
+			return;
+		}
+
+		if (this.outage.alerted) {
+			this.raise("reconnected", now);
+		}
+		this.endOutage();
+	}
+
+	/**
+	 * Emit an alert about the current outage
+	 * @param {string} type - "disconnected", "unreachable" or "reconnected"
+	 */
+	raise(type, now = Date.now()) {
+		const outage = this.outage;
+		if (!outage) {
+			return;
+		}
+		outage.alerted = true;
+
+		this.emit("alert", {
+			type: type,
+			network: this.network.name,
+			channel: this.network.name,
+			channelType: "lobby",
+			nick: "",
+			ident: null,
+			hostname: null,
+			account: null,
+			message: outage.reason,
+			timestamp: new Date(now),
+			highlight: false,
+			msgid: null,
+			context: [],
+			target: null,
+			reason: outage.reason,
+			mode: null,
+			duration: now - outage.since,
+			attempts: outage.attempts
+		});
+	}
+
+	/**
+	 * Forget the current outage and its pending alert
+	 */
+	endOutage() {
+		if (this.outage) {
+			clearTimeout(this.outage.timer);
+			this.outage = null;
+		}
+	}
+}
+
+ConnectionMonitor.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = ConnectionMonitor;
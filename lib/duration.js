@@ -0,0 +1,70 @@
+"use strict";
+
+/**
+ * Duration Utility
+ * Parses and formats short durations like "45m", "2h" or "1h30m"
+ */
+
+const UNITS = {
+	s: 1000,
+	m: 60 * 1000,
+	h: 60 * 60 * 1000,
+	d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration string
+ * A bare number is taken as minutes
+ * @param {string} text - Duration (e.g., "45m", "2h", "1h30m", "1d", "90")
+ * @returns {number|null} Duration in milliseconds, or null if invalid or zero
+ */
+function parseDuration(text) {
+	const value = String(text).trim().toLowerCase();
+
+	if (/^\d+$/.test(value)) {
+		const minutes = parseInt(value, 10);
+		return minutes > 0 ? minutes * UNITS.m : null;
+	}
+
+	if (!/^(\d+[smhd])+$/.test(value)) {
+		return null;
+	}
+
+	let total = 0;
+	const pattern = /(\d+)([smhd])/g;
+	let match;
+	while ((match = pattern.exec(value)) !== null) {
+		total += parseInt(match[1], 10) * UNITS[match[2]];
+	}
+
+	return total > 0 ? total : null;
+}
+
+/**
+ * Format a duration for display, rounded to whole minutes (seconds below a minute)
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "1h 30m", "2d 4h", "45s"
+ */
+function formatDuration(ms) {
+	if (ms < UNITS.m) {
+		return `${Math.max(0, Math.round(ms / UNITS.s))}s`;
+	}
+
+	let minutes = Math.round(ms / UNITS.m);
+	const days = Math.floor(minutes / 1440);
+	minutes -= days * 1440;
+	const hours = Math.floor(minutes / 60);
+	minutes -= hours * 60;
+
+	const parts = [];
+	if (days > 0) parts.push(`${days}d`);
+	if (hours > 0) parts.push(`${hours}h`);
+	if (minutes > 0 || parts.length === 0) parts.push(`${minutes}m`);
+
+	return parts.join(" ");
+}
+
+module.exports = {
+	parseDuration,
+	formatDuration
+};
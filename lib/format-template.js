@@ -1,5 +1,7 @@
 "use strict";
 
+const { formatDuration } = require('./duration');
+
 /**
  * Format Template Processor
  * Handles template string processing for notification formatting
@@ -27,6 +29,20 @@ class FormatTemplate {
 		return result;
 	}
 
+	/**
+	 * Check if a message was received in a private query
+	 * Uses the channel type reported by TheLounge, falling back to common channel prefixes
+	 * @param {Object} messageData - Message data from IRC
+	 * @returns {boolean}
+	 */
+	static isPrivateMessage(messageData) {
+		if (messageData.channelType) {
+			return messageData.channelType === 'query';
+		}
+
+		return !messageData.channel || !/^[#&+!]/.test(messageData.channel);
+	}
+
 	/**
 	 * Get available template variables from message data
 	 * @param {Object} messageData - Message data from IRC
@@ -44,9 +60,7 @@ class FormatTemplate {
 			hour12: false
 		});
 
-		// Detect if this is a private message (channel doesn't start with #)
-		const isPrivateMessage = !messageData.channel || !messageData.channel.startsWith('#');
-		const channelDisplay = isPrivateMessage ? 'PM' : messageData.channel;
+		const channelDisplay = FormatTemplate.isPrivateMessage(messageData) ? 'PM' : messageData.channel;
 
 		return {
 			// Date/time variables
@@ -72,10 +86,84 @@ class FormatTemplate {
 			server: messageData.network || '',
 
 			// Message type
-			type: messageData.type || 'message'
+			type: messageData.type || 'message',
+
+			// Keyword trigger that matched (empty for regular highlights)
+			keyword: messageData.keyword || '',
+
+			// IRC event variables (empty for messages): who or what the event targets,
+			// the kick reason and the mode change (e.g. "+o", "+b")
+			target: messageData.target || '',
+			reason: messageData.reason || '',
+			mode: messageData.mode || '',
+
+			// Connection alert variables (empty for messages): how long the network has been
+			// down and how many reconnect attempts failed
+			duration: Number.isFinite(messageData.duration) ? formatDuration(messageData.duration) : '',
+			attempts: Number.isFinite(messageData.attempts) ? String(messageData.attempts) : ''
+		};
+	}
+
+	/**
+	 * Get template variables for a digest of several messages
+	 * Message variables come from the latest message
+	 * @param {Object[]} messages - Message data of the batched messages, oldest first
+	 * @returns {Object} Variables for template processing, plus count and nicks
+	 */
+	static getDigestVariables(messages) {
+		const nicks = [...new Set(messages.map(messageData => messageData.nick).filter(Boolean))];
+
+		return {
+			...FormatTemplate.getVariables(messages[messages.length - 1]),
+			count: String(messages.length),
+			nicks: nicks.join(', ')
 		};
 	}
 
+	/**
+	 * Format the context lines of a message with the contextLine template
+	 * @param {Object} messageData - Message data; context holds the preceding lines ({ nick, message, type, timestamp })
+	 * @param {string} template - Per-line template
+	 * @returns {string[]} Formatted lines, oldest first
+	 */
+	static formatContext(messageData, template) {
+		return (messageData.context || []).map(line => FormatTemplate.process(template, FormatTemplate.getVariables({
+			...line,
+			network: messageData.network,
+			channel: messageData.channel,
+			channelType: messageData.channelType
+		})));
+	}
+
+	/**
+	 * Shorten a notification's message to fit a service's length limit
+	 * Drops the oldest context lines first, then truncates the message itself
+	 * @param {Object} notification - Notification (context holds its formatted context lines)
+	 * @param {number|null} maxLength - Longest message the service accepts (null for unlimited)
+	 * @returns {Object} The notification, or a shortened copy
+	 */
+	static fitMessage(notification, maxLength) {
+		if (!maxLength || notification.message.length <= maxLength) {
+			return notification;
+		}
+
+		let message = notification.message;
+		const context = notification.context || [];
+		const fullContext = context.join('\n');
+		if (fullContext && message.includes(fullContext)) {
+			for (let dropped = 1; dropped <= context.length && message.length > maxLength; dropped++) {
+				const remaining = context.slice(dropped).join('\n');
+				message = notification.message.replace(fullContext, () => remaining).trim();
+			}
+		}
+
+		if (message.length > maxLength) {
+			message = `${message.substring(0, maxLength - 1)}…`;
+		}
+
+		return { ...notification, message: message };
+	}
+
 	/**
 	 * Get default format templates
 	 * @returns {Object} Default templates
@@ -84,8 +172,24 @@ class FormatTemplate {
 		return {
 			title: '{{network}}',
 			titleWithChannel: '{{network}} - {{channel}}',
+			titlePrivate: 'PM from {{nick}}',
 			message: '<{{nick}}> {{message}}',
-			actionMessage: '* {{nick}} {{message}}'
+			actionMessage: '* {{nick}} {{message}}',
+			digestTitle: '{{network}} - {{channel}}',
+			digestMessage: '{{count}} new messages in {{channel}} from {{nicks}}',
+			contextLine: '<{{nick}}> {{message}}',
+			inviteMessage: '{{nick}} invited you to {{target}}',
+			kickMessage: '{{nick}} kicked you from {{channel}} ({{reason}})',
+			banMessage: '{{nick}} banned you from {{channel}} ({{target}})',
+			opMessage: '{{nick}} set {{mode}} on you in {{channel}}',
+			topicMessage: '{{nick}} changed the topic of {{channel}} to: {{message}}',
+			disconnectedMessage: 'Disconnected from {{network}} for {{duration}} ({{reason}})',
+			unreachableMessage: '{{attempts}} reconnect attempts to {{network}} failed ({{reason}})',
+			reconnectedMessage: 'Reconnected to {{network}} after {{duration}}',
+			onlineMessage: '{{nick}} is online',
+			offlineMessage: '{{nick}} went offline',
+			joinMessage: '{{nick}} joined {{channel}}',
+			partMessage: '{{nick}} left {{channel}}'
 		};
 	}
 }
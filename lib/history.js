@@ -0,0 +1,262 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Entries allowed past maxEntries before the file is compacted (at least this many, or 10%)
+const MIN_COMPACT_SLACK = 50;
+
+// Entries shown by /notify history without a count
+const DEFAULT_HISTORY_COUNT = 10;
+
+/**
+ * Build a history entry from a notification result
+ * @param {Object} result - Result from NotificationManager (processMessage, escalation, digest, summary or retry)
+ * @param {Date} [now] - Time of the decision
+ * @returns {Object} Entry ({ time, kind, status, reason, network, channel, nick, title, message, services, failed })
+ */
+function createEntry(result, now = new Date()) {
+	const messageData = result.messageData || {};
+	const services = result.services || [];
+	const failed = result.failed || [];
+
+	let kind = "notification";
+	if (result.escalated) {
+		kind = "escalation";
+	} else if (result.digest) {
+		kind = "digest";
+	} else if (result.suppressed || result.replayed) {
+		kind = "summary";
+	} else if (result.retried) {
+		kind = "retry";
+	}
+
+	let status;
+	let reason = null;
+	if (result.batched) {
+		status = "batched";
+		reason = "digest window open";
+	} else if (result.cancelled) {
+		status = "suppressed";
+		reason = result.cancelled;
+	} else if (services.length > 0) {
+		status = "sent";
+	} else {
+		status = "failed";
+		reason = failed.length > 0
+			? failed.map(failure => `${failure.service}: ${failure.error}${failure.queued ? " (will retry)" : ""}`).join("; ")
+			: "no services";
+	}
+
+	return {
+		time: now.toISOString(),
+		kind: kind,
+		status: status,
+		reason: reason,
+		network: messageData.network || null,
+		channel: messageData.channel || null,
+		nick: messageData.nick || null,
+		title: result.notification.title,
+		message: result.notification.message,
+		services: services,
+		failed: failed
+	};
+}
+
+/**
+ * Apply retention limits to entries (oldest first)
+ * @param {Object[]} entries - History entries
+ * @param {Object} retention - { maxEntries, maxDays }
+ * @returns {Object[]} Entries younger than maxDays, at most maxEntries of the newest
+ */
+function applyRetention(entries, retention, now = Date.now()) {
+	const cutoff = now - retention.maxDays * DAY;
+
+	return entries
+		.filter(entry => Date.parse(entry.time) >= cutoff)
+		.slice(-retention.maxEntries);
+}
+
+/**
+ * Parse /notify history arguments
+ * @param {string[]} args - e.g. ["20", "--channel", "#dev", "--failed", "--search", "deploy"]
+ * @returns {Object} Query ({ count, channel, failed, search })
+ * @throws {Error} If an argument is invalid
+ */
+function parseHistoryArgs(args) {
+	const query = { count: DEFAULT_HISTORY_COUNT, channel: null, failed: false, search: null };
+
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i].toLowerCase();
+
+		if (/^\d+$/.test(arg)) {
+			query.count = parseInt(arg, 10);
+			if (query.count < 1) {
+				throw new Error("Count must be at least 1");
+			}
+		} else if (arg === "--failed") {
+			query.failed = true;
+		} else if (arg === "--channel") {
+			if (!args[i + 1]) {
+				throw new Error("--channel needs a channel or nick");
+			}
+			query.channel = args[++i];
+		} else if (arg === "--search") {
+			// Search text runs until the next option
+			const words = [];
+			while (i + 1 < args.length && !args[i + 1].startsWith("--")) {
+				words.push(args[++i]);
+			}
+			if (words.length === 0) {
+				throw new Error("--search needs some text");
+			}
+			query.search = words.join(" ");
+		} else {
+			throw new Error(`Unknown option: ${args[i]}`);
+		}
+	}
+
+	return query;
+}
+
+/**
+ * Select the entries matching a history query
+ * @param {Object[]} entries - History entries, oldest first
+ * @param {Object} query - From parseHistoryArgs()
+ * @returns {Object[]} The newest `count` matching entries, oldest first
+ */
+function filterEntries(entries, query) {
+	const channel = query.channel ? query.channel.toLowerCase() : null;
+	const search = query.search ? query.search.toLowerCase() : null;
+
+	return entries.filter(entry => {
+		if (channel && String(entry.channel).toLowerCase() !== channel) {
+			return false;
+		}
+
+		if (query.failed && entry.status !== "failed" && entry.failed.length === 0) {
+			return false;
+		}
+
+		if (search) {
+			const text = [entry.title, entry.message, entry.nick, entry.reason].join("\n").toLowerCase();
+			if (!text.includes(search)) {
+				return false;
+			}
+		}
+
+		return true;
+	}).slice(-query.count);
+}
+
+/**
+ * Notification History
+ * Append-only log of notification decisions (sent, suppressed, failed) in plugin storage,
+ * one JSON entry per line, compacted to the retention limits as it grows
+ */
+class NotificationHistory {
+	constructor(client, storageDir) {
+		this.client = client;
+		this.historyPath = path.join(storageDir, `${client.name}-history.jsonl`);
+
+		// Entries in the file, counted on first append
+		this.entryCount = null;
+	}
+
+	/**
+	 * Record a notification result
+	 * @param {Object} result - Result from NotificationManager
+	 * @param {Object} retention - { maxEntries, maxDays }
+	 * @returns {boolean} Success status
+	 */
+	record(result, retention) {
+		return this.append(createEntry(result), retention);
+	}
+
+	/**
+	 * Append an entry, compacting the file once it is well over maxEntries
+	 * @returns {boolean} Success status
+	 */
+	append(entry, retention) {
+		try {
+			fs.appendFileSync(this.historyPath, `${JSON.stringify(entry)}\n`, "utf8");
+		} catch (err) {
+			console.error(`[External Notify] Failed to write history to ${this.historyPath}:`, err.message);
+			return false;
+		}
+
+		this.entryCount = this.entryCount === null ? this.readAll().length : this.entryCount + 1;
+
+		if (this.entryCount > retention.maxEntries + Math.max(MIN_COMPACT_SLACK, Math.ceil(retention.maxEntries / 10))) {
+			this.compact(retention);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Read every entry in the file, skipping malformed lines
+	 * @returns {Object[]} Entries, oldest first
+	 */
+	readAll() {
+		let data;
+		try {
+			data = fs.readFileSync(this.historyPath, "utf8");
+		} catch (err) {
+			if (err.code !== "ENOENT") {
+				console.error(`[External Notify] Failed to read history from ${this.historyPath}:`, err.message);
+			}
+			return [];
+		}
+
+		const entries = [];
+		for (const line of data.split("\n")) {
+			if (!line.trim()) {
+				continue;
+			}
+			try {
+				entries.push(JSON.parse(line));
+			} catch (err) {
+				// A partially written line (e.g. after a crash) is skipped
+			}
+		}
+		return entries;
+	}
+
+	/**
+	 * Load the entries within the retention limits
+	 * @returns {Object[]} Entries, oldest first
+	 */
+	load(retention, now = Date.now()) {
+		return applyRetention(this.readAll(), retention, now);
+	}
+
+	/**
+	 * Rewrite the file with only the entries within the retention limits
+	 * @returns {boolean} Success status
+	 */
+	compact(retention, now = Date.now()) {
+		const entries = this.load(retention, now);
+		const tempPath = `${this.historyPath}.tmp`;
+
+		try {
+			fs.writeFileSync(tempPath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(""), "utf8");
+			fs.renameSync(tempPath, this.historyPath);
+		} catch (err) {
+			console.error(`[External Notify] Failed to compact history at ${this.historyPath}:`, err.message);
+			return false;
+		}
+
+		this.entryCount = entries.length;
+		return true;
+	}
+}
+
+NotificationHistory.createEntry = createEntry;
+NotificationHistory.applyRetention = applyRetention;
+NotificationHistory.parseHistoryArgs = parseHistoryArgs;
+NotificationHistory.filterEntries = filterEntries;
+
+module.exports = NotificationHistory;
@@ -0,0 +1,133 @@
+"use strict";
+
+/**
+ * Pattern Matching Utility
+ * Case-insensitive glob matching for channel names, nicks and hostmasks
+ */
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports * (any run of characters) and ? (exactly one character)
+ * @param {string} pattern - Glob pattern (e.g., "#team-*")
+ * @returns {RegExp} Anchored, case-insensitive regular expression
+ */
+function globToRegExp(pattern) {
+	const source = String(pattern)
+		.split('')
+		.map(char => {
+			if (char === '*') return '.*';
+			if (char === '?') return '.';
+			return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+		})
+		.join('');
+
+	return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check if a value matches a glob pattern
+ * @param {string} value - Value to test (e.g., "#team-backend")
+ * @param {string} pattern - Glob pattern (e.g., "#team-*")
+ * @returns {boolean}
+ */
+function matchesGlob(value, pattern) {
+	if (typeof value !== 'string' || typeof pattern !== 'string' || pattern.length === 0) {
+		return false;
+	}
+
+	return globToRegExp(pattern).test(value);
+}
+
+/**
+ * Check if a value matches any pattern in a list
+ * @param {string} value - Value to test
+ * @param {string[]} patterns - Glob patterns
+ * @returns {boolean}
+ */
+function matchesAny(value, patterns) {
+	if (!Array.isArray(patterns)) {
+		return false;
+	}
+
+	return patterns.some(pattern => matchesGlob(value, pattern));
+}
+
+/**
+ * Check if a message sender matches any nick or hostmask pattern
+ * Patterns containing "!" or "@" are matched against the full nick!ident@hostname
+ * @param {Object} sender - Sender details
+ * @param {string} sender.nick - Sender nick
+ * @param {string} [sender.ident] - Sender ident (username)
+ * @param {string} [sender.hostname] - Sender hostname
+ * @param {string[]} patterns - Nick or hostmask glob patterns (e.g., "ci-bot*", "*!*@ci.example.com")
+ * @returns {boolean}
+ */
+function matchesSender(sender, patterns) {
+	if (!sender || !Array.isArray(patterns)) {
+		return false;
+	}
+
+	const hostmask = `${sender.nick || ''}!${sender.ident || ''}@${sender.hostname || ''}`;
+
+	return patterns.some(pattern => {
+		const isHostmask = typeof pattern === 'string' && (pattern.includes('!') || pattern.includes('@'));
+		return matchesGlob(isHostmask ? hostmask : sender.nick, pattern);
+	});
+}
+
+/**
+ * Compile a keyword entry to a regular expression
+ * "/pattern/flags" entries are regular expressions; anything else is a
+ * case-insensitive word or phrase that must not be part of a larger word
+ * @param {string} entry - Keyword entry (e.g., "deploy failed", "/build #\\d+ failed/i")
+ * @returns {RegExp} Compiled expression
+ * @throws {SyntaxError} If a regular expression entry is invalid
+ */
+function keywordToRegExp(entry) {
+	const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(entry);
+	if (regexMatch) {
+		// Global/sticky flags make RegExp.exec stateful, so drop them
+		return new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+	}
+
+	const escaped = entry.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+	return new RegExp(`(?<!\\w)${escaped}(?!\\w)`, 'i');
+}
+
+/**
+ * Find the first keyword entry that matches a text
+ * Entries that fail to compile are skipped
+ * @param {string} text - Text to search (e.g., the message body)
+ * @param {string[]} entries - Keyword entries
+ * @returns {string|null} The matched text, or null if nothing matched
+ */
+function findKeyword(text, entries) {
+	if (typeof text !== 'string' || !Array.isArray(entries)) {
+		return null;
+	}
+
+	for (const entry of entries) {
+		let regex;
+		try {
+			regex = keywordToRegExp(entry);
+		} catch (err) {
+			continue;
+		}
+
+		const match = regex.exec(text);
+		if (match) {
+			return match[0];
+		}
+	}
+
+	return null;
+}
+
+module.exports = {
+	globToRegExp,
+	matchesGlob,
+	matchesAny,
+	matchesSender,
+	keywordToRegExp,
+	findKeyword
+};
@@ -1,23 +1,116 @@
 "use strict";
 
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const FormatTemplate = require('./format-template');
+const { matchesAny, matchesGlob, matchesSender, findKeyword } = require('./match');
+const { findActiveWindow, formatWindow } = require('./schedule');
+const { resolveRoute } = require('./rules');
+const { isUserAbsent, formatPresence } = require('./presence');
+const { RateLimiter } = require('./rate-limit');
+const DeliveryStats = require('./stats');
+const Outbox = require('./outbox');
+const CircuitBreakers = require('./circuit-breaker');
+const { formatDuration } = require('./duration');
+const { EVENT_TYPES, CONNECTION_TYPES, WATCH_TYPES } = require('./config-manager');
 
 /**
  * Notification Manager
  * Central routing and filtering logic for notifications
+ *
+ * Events:
+ * - "escalated" (result): a notification was sent again because its channel stayed unread
+ * - "digest" (result): a batch of notifications from one channel was sent (or cancelled) as a digest
+ * - "suppressed" (result): a summary of notifications dropped by rate limits was sent
+ * - "retried" (result): a queued send from the outbox was delivered or given up on
+ * - "replayed" (result): a summary of highlights replayed from backlog after a reconnect was sent
+ * - "breaker" (change): a service's circuit breaker opened or closed ({ service, state, failures, cooldownSeconds, error })
  */
-class NotificationManager {
+
+// Dedup window when the config doesn't set delivery.dedupSeconds
+const DEFAULT_DEDUP_SECONDS = 60;
+
+// How long failed sends are retried when the config doesn't set delivery.retrySeconds
+const DEFAULT_RETRY_SECONDS = 3600;
+
+// Messages older than this are treated as replayed backlog when the config doesn't set delivery.maxAgeSeconds
+const DEFAULT_MAX_AGE_SECONDS = 300;
+
+// Server timestamps may run this far behind our clock before a message counts as sent before the reconnect
+const REPLAY_CLOCK_SKEW = 30 * 1000;
+
+// The replay summary is sent once no stale message has arrived for this long
+const REPLAY_SUMMARY_DELAY = 5000;
+
+// Circuit breaker settings when the config doesn't set delivery.breakerFailures / cooldownSeconds
+const DEFAULT_BREAKER_FAILURES = 5;
+const DEFAULT_COOLDOWN_SECONDS = 300;
+
+// Why a delayed notification was dropped instead of sent
+const CANCEL_REASONS = {
+	read: "read",
+	replied: "replied",
+	cleared: "disabled"
+};
+
+class NotificationManager extends EventEmitter {
 	constructor(config, logger) {
+		super();
 		this.config = config;
 		this.logger = logger;
 		this.notifiers = {};
-		this.recentNotifications = new Set();
+
+		// Recently notified messages - Key: dedup key, Value: expiry (epoch ms)
+		this.recentNotifications = new Map();
+
+		// Delivered notifications waiting to be read - Key: network/channel
+		this.pendingEscalations = new Map();
+
+		// Notifications waiting out the send delay - { timer, resolve }
+		this.pendingDeliveries = new Set();
+
+		// Open digest windows - Key: network/channel, Value: { timer, items: [{ messageData, route, readState }] }
+		this.pendingDigests = new Map();
+
+		// Per-service delivery counts and latency (index.js swaps in the user's persisted stats)
+		this.stats = new DeliveryStats();
+
+		// Failed sends waiting to be retried (index.js swaps in the user's persisted outbox);
+		// this manager retries the items of outboxOwner
+		this.outbox = new Outbox();
+		this.outboxOwner = null;
+		this.retryTimer = null;
+
+		// Per-service circuit breakers (index.js swaps in the user's breakers, shared by all networks)
+		this.breakers = new CircuitBreakers();
+
+		// Token buckets for config.limits (index.js swaps in the user's limiter, shared by all networks),
+		// and notifications they dropped since the last summary
+		this.rateLimiter = new RateLimiter();
+		this.suppressed = { count: 0, channels: new Set(), timer: null };
+
+		// When the network last connected (index.js sets it), and stale messages since the last replay summary
+		this.connectedAt = null;
+		this.replayed = { count: 0, channels: new Set(), timer: null };
 
 		// Initialize configured notifiers
 		this.initializeNotifiers();
 
-		// Cleanup recent notifications every minute
-		setInterval(() => this.cleanupRecentNotifications(), 60000);
+		// Drop expired dedup entries every minute (cleared by destroy())
+		this.cleanupTimer = setInterval(() => this.cleanupRecentNotifications(), 60000);
+		this.cleanupTimer.unref();
+	}
+
+	/**
+	 * Stop the manager: drop pending work, the dedup cache and its cleanup timer
+	 * Call when the manager is replaced; it must not be used afterwards
+	 */
+	destroy() {
+		this.clearPending();
+		clearInterval(this.cleanupTimer);
+		this.cleanupTimer = null;
+		this.recentNotifications.clear();
+		this.removeAllListeners();
 	}
 
 	/**
@@ -69,96 +162,1181 @@ class NotificationManager {
 
 	/**
 	 * Process an IRC message and determine if notification should be sent
-	 * Returns notification details if sent, null otherwise
+	 * Returns notification details (cancelled says why if it was held back), or null for messages that never notify
+	 * @param {Object} messageData - Message data from IRC
+	 * @param {Object} client - TheLounge client
+	 * @param {Object} [readState] - Channel read state; readState.isRead() is true once the user has seen the channel,
+	 *                               readState.hasReplied() once the user has sent a message there since this one
+	 */
+	async processMessage(messageData, client, readState = null) {
+		// Check filters; held back notifications are reported (but not sent) so history can explain them
+		const filtered = this.checkFilters(messageData, client);
+		if (!filtered.notify) {
+			return filtered.reason ? this.createFilteredResult(messageData, filtered.reason) : null;
+		}
+
+		// Check deduplication (connection alerts are raised once per outage by the monitor)
+		if (!CONNECTION_TYPES.includes(messageData.type) && this.isDuplicate(messageData)) {
+			this.logger.debug(`Skipping notification: duplicate of a recent message`);
+			return this.createFilteredResult(messageData, "duplicate");
+		}
+
+		// Backlog replayed after a reconnect (bouncer playback, chathistory) is summarized instead
+		const stale = this.getStaleReason(messageData);
+		if (stale) {
+			this.recordReplayed(messageData);
+			return {
+				notification: this.formatNotification(messageData),
+				services: [],
+				messageData: messageData,
+				rules: [],
+				cancelled: `replayed (${stale})`,
+				stale: true
+			};
+		}
+
+		// Apply routing rules (services, priority, templates)
+		const route = resolveRoute(this.config.rules, messageData);
+		if (route.matched.length > 0) {
+			this.logger.debug(`Routing rules matched: ${route.matched.map(i => i + 1).join(", ")}`);
+		}
+
+		// Format notification
+		const notification = this.formatNotification(messageData, route.format);
+		if (route.priority !== undefined) {
+			notification.priority = route.priority;
+		}
+
+		// Further messages from a channel with an open digest window are batched into one digest
+		if (this.addToDigest(messageData, route, readState)) {
+			this.logger.debug(`Notification for ${messageData.channel} batched into digest`);
+			return {
+				notification: notification,
+				services: [],
+				messageData: messageData,
+				rules: route.matched,
+				batched: true
+			};
+		}
+
+		// Hold the notification for the send delay; drop it if the user saw the message meanwhile
+		const cancelled = await this.waitForSendDelay(readState);
+		if (cancelled) {
+			this.logger.debug(`Notification for ${messageData.channel} cancelled (${cancelled})`);
+			return {
+				notification: notification,
+				services: [],
+				messageData: messageData,
+				rules: route.matched,
+				cancelled: cancelled
+			};
+		}
+
+		// Rate limits: an empty global or channel bucket drops the notification,
+		// an empty service bucket skips just that service
+		const limited = this.applyRateLimits(messageData, this.getRoutedNotifiers(route));
+		if (limited.suppressed) {
+			this.recordSuppressed(messageData, limited.suppressed);
+			return {
+				notification: notification,
+				services: [],
+				messageData: messageData,
+				rules: route.matched,
+				cancelled: `rate limit ${limited.suppressed}`
+			};
+		}
+
+		// Send to the notifiers selected by the rules (all configured notifiers by default)
+		const failed = [];
+		const sentVia = await this.sendToNotifiers(notification, limited.notifiers, failed, messageData);
+
+		// Return details about what was sent
+		const result = {
+			notification: notification,
+			services: sentVia,
+			failed: failed,
+			messageData: messageData,
+			rules: route.matched
+		};
+
+		if (sentVia.length > 0) {
+			this.trackEscalation(result, readState);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Build the result for a notification held back by the filters or deduplication
+	 * Filtered results are recorded in history but not logged to the virtual channel
+	 * @param {string} reason - Reason code (see checkFilters())
+	 */
+	createFilteredResult(messageData, reason) {
+		return {
+			notification: this.formatNotification(messageData),
+			services: [],
+			messageData: messageData,
+			rules: [],
+			cancelled: reason,
+			filtered: true
+		};
+	}
+
+	/**
+	 * Wait for the configured send delay (delivery.delaySeconds)
+	 * @returns {Promise<string|null>} Cancel reason ("read", "replied" or "disabled"), or null to send
+	 */
+	async waitForSendDelay(readState) {
+		const delaySeconds = (this.config.delivery || {}).delaySeconds;
+		if (!delaySeconds || !readState) {
+			return null;
+		}
+
+		const elapsed = await this.delay(delaySeconds * 1000);
+		if (!elapsed) {
+			return CANCEL_REASONS.cleared;
+		}
+
+		if (typeof readState.hasReplied === 'function' && readState.hasReplied()) {
+			return CANCEL_REASONS.replied;
+		}
+
+		if (typeof readState.isRead === 'function' && readState.isRead()) {
+			return CANCEL_REASONS.read;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Wait for a number of milliseconds
+	 * @returns {Promise<boolean>} True when the time elapsed, false if cut short by clearPending()
+	 */
+	delay(ms) {
+		return new Promise(resolve => {
+			const pending = {
+				resolve: resolve,
+				timer: setTimeout(() => {
+					this.pendingDeliveries.delete(pending);
+					resolve(true);
+				}, ms)
+			};
+			pending.timer.unref();
+			this.pendingDeliveries.add(pending);
+		});
+	}
+
+	/**
+	 * Apply the configured rate limits to a notification
+	 * Tokens are only taken when the notification is sent to at least one service
+	 * @param {Object|null} messageData - Message data (null for summaries, which skip the channel limit)
+	 * @param {Object} notifiers - Notifiers the notification would be sent to
+	 * @returns {{notifiers: Object, suppressed: string|null}} Notifiers with tokens, or the scope that ran out
+	 */
+	applyRateLimits(messageData, notifiers) {
+		const limits = this.config.limits;
+		const scopes = ["global"];
+		if (messageData) {
+			scopes.push(`channel:${messageData.network}/${messageData.channel}`.toLowerCase());
+		}
+
+		const empty = this.rateLimiter.findEmpty(limits, scopes);
+		if (empty) {
+			return { notifiers: {}, suppressed: empty };
+		}
+
+		const allowed = {};
+		let emptyService = null;
+		for (const [name, notifier] of Object.entries(notifiers)) {
+			const scope = `service:${name.toLowerCase()}`;
+			if (this.rateLimiter.findEmpty(limits, [scope])) {
+				this.logger.debug(`Skipping ${name}: rate limit reached`);
+				emptyService = emptyService || scope;
+				continue;
+			}
+			allowed[name] = notifier;
+		}
+
+		if (emptyService && Object.keys(allowed).length === 0) {
+			return { notifiers: {}, suppressed: emptyService };
+		}
+
+		this.rateLimiter.take(limits, scopes.concat(Object.keys(allowed).map(name => `service:${name.toLowerCase()}`)));
+		return { notifiers: allowed, suppressed: null };
+	}
+
+	/**
+	 * Count a notification dropped by a rate limit
+	 * With limits.overflow "summary", a "N more suppressed" notification is sent once the limit allows
+	 */
+	recordSuppressed(messageData, scope) {
+		this.logger.debug(`Notification for ${messageData.channel} suppressed: ${scope} rate limit reached`);
+
+		this.suppressed.count++;
+		this.suppressed.channels.add(messageData.channel);
+
+		const limits = this.config.limits || {};
+		if (limits.overflow !== "summary" || this.suppressed.timer) {
+			return;
+		}
+
+		this.scheduleSuppressedSummary(this.rateLimiter.timeUntilAvailable(limits, ["global", scope]));
+	}
+
+	/**
+	 * Arm the timer for the suppressed notifications summary
 	 */
-	async processMessage(messageData, client) {
-		// Check filters
-		if (!this.shouldNotify(messageData, client)) {
+	scheduleSuppressedSummary(delay) {
+		this.suppressed.timer = setTimeout(() => {
+			this.flushSuppressed().catch(err => {
+				this.logger.error(`[External Notify] Rate limit summary failed: ${err.message}`);
+			});
+		}, Math.max(1000, delay));
+		this.suppressed.timer.unref();
+	}
+
+	/**
+	 * Send the "N more suppressed" summary, or try again later if still rate limited
+	 * @returns {Promise<Object|null>} Summary result, or null if nothing was sent
+	 */
+	async flushSuppressed() {
+		clearTimeout(this.suppressed.timer);
+		this.suppressed.timer = null;
+
+		const { count, channels } = this.suppressed;
+		if (count === 0) {
 			return null;
 		}
 
-		// Check deduplication
-		const dedupKey = this.getDeduplicationKey(messageData);
-		if (this.recentNotifications.has(dedupKey)) {
-			this.logger.debug(`Skipping duplicate notification: ${dedupKey}`);
+		const limited = this.applyRateLimits(null, this.notifiers);
+		if (limited.suppressed) {
+			this.scheduleSuppressedSummary(this.rateLimiter.timeUntilAvailable(this.config.limits, ["global", limited.suppressed]));
 			return null;
 		}
 
-		// Add to recent notifications
-		this.recentNotifications.add(dedupKey);
+		this.suppressed.count = 0;
+		this.suppressed.channels = new Set();
 
-		// Format notification
-		const notification = this.formatNotification(messageData);
+		const notification = {
+			title: 'Notifications suppressed',
+			message: `${count} more suppressed by rate limits (${[...channels].join(', ')})`,
+			timestamp: new Date()
+		};
 
-		// Send to all configured notifiers
-		const promises = [];
+		const failed = [];
+		const sentVia = await this.sendToNotifiers(notification, limited.notifiers, failed);
+		const result = {
+			notification: notification,
+			services: sentVia,
+			failed: failed,
+			messageData: null,
+			suppressed: count
+		};
+
+		this.emit('suppressed', result);
+		return result;
+	}
+
+	/**
+	 * Check if a message is replayed backlog rather than live
+	 * Stale messages were sent before the network last connected, or are older than delivery.maxAgeSeconds
+	 * @returns {string|null} Why the message is stale, or null if it is live (or the check is off)
+	 */
+	getStaleReason(messageData, now = Date.now()) {
+		const maxAgeSeconds = (this.config.delivery || {}).maxAgeSeconds;
+		const maxAge = (Number.isInteger(maxAgeSeconds) ? maxAgeSeconds : DEFAULT_MAX_AGE_SECONDS) * 1000;
+		const time = messageData.timestamp ? new Date(messageData.timestamp).getTime() : NaN;
+		if (maxAge === 0 || isNaN(time)) {
+			return null;
+		}
+
+		if (this.connectedAt && time < this.connectedAt - REPLAY_CLOCK_SKEW) {
+			return "sent before reconnect";
+		}
+
+		if (now - time > maxAge) {
+			return `${formatDuration(now - time)} old`;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Count a stale message for the "N highlights while you were disconnected" summary
+	 * The summary goes out once the replay is over; with delivery.replay "drop" there is none
+	 */
+	recordReplayed(messageData) {
+		this.logger.debug(`Notification for ${messageData.channel} suppressed: replayed backlog`);
+
+		if ((this.config.delivery || {}).replay === "drop") {
+			return;
+		}
+
+		this.replayed.count++;
+		this.replayed.channels.add(messageData.channel);
+
+		clearTimeout(this.replayed.timer);
+		this.replayed.timer = setTimeout(() => {
+			this.flushReplayed().catch(err => {
+				this.logger.error(`[External Notify] Replay summary failed: ${err.message}`);
+			});
+		}, REPLAY_SUMMARY_DELAY);
+		this.replayed.timer.unref();
+	}
+
+	/**
+	 * Send the summary of replayed highlights
+	 * @returns {Promise<Object|null>} Summary result, or null if nothing was sent
+	 */
+	async flushReplayed() {
+		clearTimeout(this.replayed.timer);
+
+		const { count, channels } = this.replayed;
+		this.replayed = { count: 0, channels: new Set(), timer: null };
+		if (count === 0) {
+			return null;
+		}
+
+		const notification = {
+			title: 'Missed while disconnected',
+			message: `${count} ${count === 1 ? 'highlight' : 'highlights'} while you were disconnected (${[...channels].join(', ')})`,
+			timestamp: new Date()
+		};
+		const result = {
+			notification: notification,
+			services: [],
+			failed: [],
+			messageData: null,
+			replayed: count
+		};
+
+		const limited = this.applyRateLimits(null, this.notifiers);
+		if (limited.suppressed) {
+			result.cancelled = `rate limit ${limited.suppressed}`;
+		} else {
+			result.services = await this.sendToNotifiers(notification, limited.notifiers, result.failed);
+		}
+
+		this.emit('replayed', result);
+		return result;
+	}
+
+	/**
+	 * Send a notification to a set of notifiers
+	 * delivery.mode "broadcast" sends to all of them at once; "first-success" tries them one by one
+	 * (in delivery.order) and stops at the first that delivers it.
+	 * Services with an open circuit breaker are skipped. Failed sends are queued in the outbox for
+	 * retrying unless the error is permanent; in first-success mode only one service is retried,
+	 * and only if none delivered the notification.
+	 * @param {Object[]} [failed] - Receives a { service, error, queued } entry for each notifier that failed
+	 * @param {Object} [messageData] - Message the notification is for (kept with queued retries)
+	 * @returns {Promise<string[]>} Names of the notifiers that delivered it
+	 */
+	async sendToNotifiers(notification, notifiers, failed = [], messageData = null) {
+		const firstSuccess = (this.config.delivery || {}).mode === "first-success";
 		const sentVia = [];
-		for (const [name, notifier] of Object.entries(this.notifiers)) {
-			this.logger.debug(`Sending notification via ${name}`);
-			promises.push(
-				notifier.send(notification)
-					.then(() => {
-						sentVia.push(name);
-					})
-					.catch(err => {
-						this.logger.error(`Failed to send via ${name}: ${err.message}`);
-					})
-			);
+		const errors = [];
+
+		// Asked right before sending: once the cool-down is over, allow() hands out the half-open trial
+		const allow = (name) => {
+			if (this.breakers.allow(name)) {
+				return true;
+			}
+			this.logger.debug(`Skipping ${name}: circuit breaker open`);
+			errors.push({ name: name, err: new Error("circuit breaker open") });
+			return false;
+		};
+
+		if (firstSuccess) {
+			for (const [name, notifier] of this.orderNotifiers(notifiers)) {
+				if (!allow(name)) {
+					continue;
+				}
+				const err = await this.attemptSend(name, notifier, notification);
+				if (!err) {
+					sentVia.push(name);
+					break;
+				}
+				errors.push({ name: name, err: err });
+			}
+		} else {
+			const ready = this.orderNotifiers(notifiers).filter(([name]) => allow(name));
+			await Promise.all(ready.map(async ([name, notifier]) => {
+				const err = await this.attemptSend(name, notifier, notification);
+				if (err) {
+					errors.push({ name: name, err: err });
+				} else {
+					sentVia.push(name);
+				}
+			}));
 		}
 
-		await Promise.all(promises);
+		let retrying = false;
+		for (const { name, err } of errors) {
+			const queued = firstSuccess && (retrying || sentVia.length > 0)
+				? false
+				: this.queueRetry(name, notification, err, messageData);
+			retrying = retrying || queued;
+			failed.push({ service: name, error: err.message, queued: queued });
+		}
 
-		// Return details about what was sent
+		return sentVia;
+	}
+
+	/**
+	 * Send a notification via one notifier, recording stats and circuit breaker state
+	 * @returns {Promise<Error|null>} The error if the send failed
+	 */
+	async attemptSend(name, notifier, notification) {
+		this.logger.debug(`Sending notification via ${name}`);
+		const start = Date.now();
+
+		try {
+			await notifier.send(FormatTemplate.fitMessage(notification, notifier.maxMessageLength));
+		} catch (err) {
+			this.logger.error(`Failed to send via ${name}: ${err.message}`);
+			this.stats.recordFailure(name, err.message, Date.now() - start);
+
+			const settings = this.getBreakerSettings();
+			if (this.breakers.recordFailure(name, err.message, settings) === CircuitBreakers.STATES.open) {
+				this.logger.warn(`Circuit breaker for ${name} opened after ${settings.failures} failures`);
+				this.emit('breaker', {
+					service: name,
+					state: CircuitBreakers.STATES.open,
+					failures: settings.failures,
+					cooldownSeconds: settings.cooldownSeconds,
+					error: err.message
+				});
+			}
+			return err;
+		}
+
+		this.stats.recordSuccess(name, Date.now() - start);
+		if (this.breakers.recordSuccess(name) === CircuitBreakers.STATES.closed) {
+			this.logger.info(`Circuit breaker for ${name} closed`);
+			this.emit('breaker', { service: name, state: CircuitBreakers.STATES.closed, failures: 0, cooldownSeconds: 0, error: null });
+		}
+		return null;
+	}
+
+	/**
+	 * Sort notifiers by delivery.order; services not listed keep their order after the listed ones
+	 * @returns {Array<[string, Object]>} Name and notifier pairs
+	 */
+	orderNotifiers(notifiers) {
+		const order = (this.config.delivery || {}).order || [];
+		const rank = name => {
+			const index = order.indexOf(name.toLowerCase());
+			return index === -1 ? order.length : index;
+		};
+
+		return Object.entries(notifiers).sort(([a], [b]) => rank(a) - rank(b));
+	}
+
+	/**
+	 * Get the circuit breaker settings (delivery.breakerFailures, 0 disables breakers)
+	 * @returns {{failures: number, cooldownSeconds: number}}
+	 */
+	getBreakerSettings() {
+		const delivery = this.config.delivery || {};
 		return {
+			failures: Number.isInteger(delivery.breakerFailures) ? delivery.breakerFailures : DEFAULT_BREAKER_FAILURES,
+			cooldownSeconds: Number.isInteger(delivery.cooldownSeconds) ? delivery.cooldownSeconds : DEFAULT_COOLDOWN_SECONDS
+		};
+	}
+
+	/**
+	 * Get the retry window (delivery.retrySeconds, 0 disables retries)
+	 */
+	getRetrySeconds() {
+		const retrySeconds = (this.config.delivery || {}).retrySeconds;
+		return Number.isInteger(retrySeconds) ? retrySeconds : DEFAULT_RETRY_SECONDS;
+	}
+
+	/**
+	 * Queue a failed send in the outbox
+	 * @returns {boolean} True if the send will be retried
+	 */
+	queueRetry(service, notification, err, messageData) {
+		if (this.getRetrySeconds() === 0 || Outbox.isPermanentError(err)) {
+			return false;
+		}
+
+		this.outbox.add({
+			owner: this.outboxOwner,
+			service: service,
 			notification: notification,
+			messageData: messageData,
+			error: err.message
+		});
+		this.logger.debug(`Queued ${service} notification for retry: ${err.message}`);
+
+		this.scheduleRetry();
+		return true;
+	}
+
+	/**
+	 * Arm the timer for the next due retry of this manager's outbox items
+	 */
+	scheduleRetry() {
+		clearTimeout(this.retryTimer);
+		this.retryTimer = null;
+
+		const next = this.outbox.getNextAttempt(this.outboxOwner);
+		if (next === null) {
+			return;
+		}
+
+		this.retryTimer = setTimeout(() => {
+			this.processOutbox().catch(err => {
+				this.logger.error(`[External Notify] Outbox retry failed: ${err.message}`);
+			});
+		}, Math.max(0, next - Date.now()));
+		this.retryTimer.unref();
+	}
+
+	/**
+	 * Retry every due outbox item
+	 * Items are dropped once delivered, on a permanent error, or when older than the retry window
+	 * @param {boolean} [force] - Retry every item now, due or not
+	 * @returns {Promise<Object[]>} Results of the items that were delivered or given up on
+	 */
+	async processOutbox(force = false, now = Date.now()) {
+		clearTimeout(this.retryTimer);
+		this.retryTimer = null;
+
+		const due = force ? this.outbox.list(this.outboxOwner) : this.outbox.getDue(this.outboxOwner, now);
+		const results = [];
+
+		for (const item of due) {
+			const notification = { ...item.notification, timestamp: new Date(item.notification.timestamp) };
+			const result = {
+				notification: notification,
+				services: [],
+				failed: [],
+				messageData: item.messageData,
+				retried: item.attempts + 1
+			};
+
+			const notifier = Object.entries(this.notifiers).find(([name]) => name.toLowerCase() === item.service.toLowerCase());
+			if (!notifier) {
+				result.cancelled = `${item.service} is no longer enabled`;
+			} else if (now - item.createdAt > this.getRetrySeconds() * 1000) {
+				result.cancelled = `gave up after ${item.attempts} attempts: ${item.lastError}`;
+			} else if (!this.breakers.allow(notifier[0], now)) {
+				// Wait out the breaker's cool-down without counting an attempt
+				const openUntil = this.breakers.getStatus(notifier[0]).openUntil || 0;
+				item.nextAttempt = Math.max(openUntil, now + Outbox.getBackoff(item.attempts));
+				continue;
+			} else {
+				const err = await this.attemptSend(notifier[0], notifier[1], notification);
+				if (!err) {
+					result.services.push(item.service);
+				} else {
+					item.attempts++;
+					item.lastError = err.message;
+					item.nextAttempt = Date.now() + Outbox.getBackoff(item.attempts);
+
+					const expired = item.nextAttempt - item.createdAt > this.getRetrySeconds() * 1000;
+					if (!Outbox.isPermanentError(err) && !expired) {
+						this.logger.debug(`Retry ${item.attempts - 1} via ${item.service} failed: ${err.message}`);
+						continue;
+					}
+					result.failed.push({ service: item.service, error: err.message, queued: false });
+				}
+			}
+
+			this.outbox.remove(item);
+			this.emit('retried', result);
+			results.push(result);
+		}
+
+		this.outbox.save();
+		this.scheduleRetry();
+		return results;
+	}
+
+	/**
+	 * Get the key used to track pending notifications per channel
+	 */
+	getChannelKey(messageData) {
+		return `${messageData.network}\u0000${messageData.channel}`.toLowerCase();
+	}
+
+	/**
+	 * Track a delivered notification until its channel is read
+	 * If the channel is still unread after escalation.minutes, the notification is sent again
+	 * at escalation.priority; later notifications for the same channel are counted into it
+	 */
+	trackEscalation(result, readState) {
+		const escalation = this.config.escalation;
+		if (!escalation || !escalation.enabled || !readState || typeof readState.isRead !== 'function') {
+			return;
+		}
+
+		const key = this.getChannelKey(result.messageData);
+		const pending = this.pendingEscalations.get(key);
+		if (pending) {
+			pending.count++;
+			pending.result = result;
+			return;
+		}
+
+		const timer = setTimeout(() => {
+			this.escalate(key).catch(err => {
+				this.logger.error(`[External Notify] Escalation for ${key} failed: ${err.message}`);
+			});
+		}, escalation.minutes * 60 * 1000);
+		timer.unref();
+
+		this.pendingEscalations.set(key, { timer: timer, result: result, readState: readState, count: 1 });
+	}
+
+	/**
+	 * Send the escalation for a channel unless it has been read in the meantime
+	 * @returns {Promise<Object|null>} Escalation result, or null if nothing was sent
+	 */
+	async escalate(key) {
+		const pending = this.pendingEscalations.get(key);
+		if (!pending) {
+			return null;
+		}
+
+		this.pendingEscalations.delete(key);
+		clearTimeout(pending.timer);
+
+		const { notification, messageData, services } = pending.result;
+		if (pending.readState.isRead()) {
+			this.logger.debug(`Escalation for ${messageData.channel} cancelled: channel was read`);
+			return null;
+		}
+
+		const paused = this.getPauseReason(messageData);
+		if (paused) {
+			this.logger.debug(`Escalation for ${messageData.channel} skipped: ${paused}`);
+			return null;
+		}
+
+		const escalation = this.config.escalation;
+		const escalated = {
+			...notification,
+			title: `Unread: ${notification.title}`,
+			message: pending.count > 1 ? `${notification.message} (+${pending.count - 1} more)` : notification.message,
+			priority: escalation.priority,
+			timestamp: new Date()
+		};
+
+		// Escalate to the configured services, or to the ones that delivered the original
+		const targets = escalation.services && escalation.services.length > 0 ? escalation.services : services;
+		const failed = [];
+		const sentVia = await this.sendToNotifiers(escalated, this.getRoutedNotifiers({ services: targets }), failed, messageData);
+		if (sentVia.length === 0 && failed.length === 0) {
+			return null;
+		}
+
+		const result = {
+			notification: escalated,
 			services: sentVia,
-			messageData: messageData
+			failed: failed,
+			messageData: messageData,
+			escalated: true
+		};
+		this.emit('escalated', result);
+		return result;
+	}
+
+	/**
+	 * Batch a message into its channel's digest window
+	 * The first message of a burst opens the window and is sent normally; connection alerts and
+	 * friend watch changes are never batched
+	 * @returns {boolean} True if the message was batched and must not be sent now
+	 */
+	addToDigest(messageData, route, readState) {
+		const digestSeconds = (this.config.delivery || {}).digestSeconds;
+		if (!digestSeconds || CONNECTION_TYPES.includes(messageData.type) || WATCH_TYPES.includes(messageData.type)) {
+			return false;
+		}
+
+		const key = this.getChannelKey(messageData);
+		const batch = this.pendingDigests.get(key);
+		if (batch) {
+			batch.items.push({ messageData: messageData, route: route, readState: readState });
+			return true;
+		}
+
+		const timer = setTimeout(() => {
+			this.flushDigest(key).catch(err => {
+				this.logger.error(`[External Notify] Digest for ${key} failed: ${err.message}`);
+			});
+		}, digestSeconds * 1000);
+		timer.unref();
+
+		this.pendingDigests.set(key, { timer: timer, items: [] });
+		return false;
+	}
+
+	/**
+	 * Close a channel's digest window and send the batched messages as one notification
+	 * Uses the routing of the latest message; dropped if the channel has been read since
+	 * @returns {Promise<Object|null>} Digest result, or null if nothing was batched
+	 */
+	async flushDigest(key) {
+		const batch = this.pendingDigests.get(key);
+		if (!batch) {
+			return null;
+		}
+
+		this.pendingDigests.delete(key);
+		clearTimeout(batch.timer);
+
+		if (batch.items.length === 0) {
+			return null;
+		}
+
+		const latest = batch.items[batch.items.length - 1];
+		const messages = batch.items.map(item => item.messageData);
+		const notification = messages.length === 1
+			? this.formatNotification(latest.messageData, latest.route.format)
+			: this.formatDigest(messages, latest.route.format);
+		if (latest.route.priority !== undefined) {
+			notification.priority = latest.route.priority;
+		}
+
+		const result = {
+			notification: notification,
+			services: [],
+			failed: [],
+			messageData: latest.messageData,
+			digest: messages.length
 		};
+
+		const readState = latest.readState;
+		if (readState && typeof readState.hasReplied === 'function' && readState.hasReplied()) {
+			result.cancelled = CANCEL_REASONS.replied;
+		} else if (readState && typeof readState.isRead === 'function' && readState.isRead()) {
+			result.cancelled = CANCEL_REASONS.read;
+		}
+
+		const limited = result.cancelled ? null : this.applyRateLimits(latest.messageData, this.getRoutedNotifiers(latest.route));
+		if (limited && limited.suppressed) {
+			this.recordSuppressed(latest.messageData, limited.suppressed);
+			result.cancelled = `rate limit ${limited.suppressed}`;
+		}
+
+		if (!result.cancelled) {
+			result.services = await this.sendToNotifiers(notification, limited.notifiers, result.failed, latest.messageData);
+			if (result.services.length === 0 && result.failed.length === 0) {
+				return result;
+			}
+			if (result.services.length > 0) {
+				this.trackEscalation(result, readState);
+			}
+		}
+
+		this.emit('digest', result);
+		return result;
+	}
+
+	/**
+	 * Drop everything waiting to be sent later (delayed deliveries, escalations, digests and summaries)
+	 * and stop retrying the outbox
+	 * Called when notifications are disabled or the manager is replaced
+	 */
+	clearPending() {
+		for (const pending of this.pendingDeliveries) {
+			clearTimeout(pending.timer);
+			pending.resolve(false);
+		}
+		this.pendingDeliveries.clear();
+
+		for (const pending of this.pendingEscalations.values()) {
+			clearTimeout(pending.timer);
+		}
+		this.pendingEscalations.clear();
+
+		for (const batch of this.pendingDigests.values()) {
+			clearTimeout(batch.timer);
+		}
+		this.pendingDigests.clear();
+
+		clearTimeout(this.suppressed.timer);
+		this.suppressed = { count: 0, channels: new Set(), timer: null };
+
+		clearTimeout(this.replayed.timer);
+		this.replayed = { count: 0, channels: new Set(), timer: null };
+
+		// Queued retries stay in the outbox until notifications are enabled again
+		clearTimeout(this.retryTimer);
+		this.retryTimer = null;
+	}
+
+	/**
+	 * Get the notifiers selected by a route
+	 * Service names are matched case-insensitively against notifier names
+	 */
+	getRoutedNotifiers(route) {
+		if (!route.services) {
+			return this.notifiers;
+		}
+
+		const wanted = route.services.map(name => name.toLowerCase());
+		const selected = {};
+		for (const [name, notifier] of Object.entries(this.notifiers)) {
+			if (wanted.includes(name.toLowerCase())) {
+				selected[name] = notifier;
+			}
+		}
+
+		if (Object.keys(selected).length === 0) {
+			this.logger.debug(`Routing rules selected no active services (${route.services.join(", ") || "none"})`);
+		}
+
+		return selected;
 	}
 
 	/**
 	 * Determine if a message should trigger a notification
 	 */
 	shouldNotify(messageData, client) {
-		const filters = this.config.filters;
+		return this.checkFilters(messageData, client).notify;
+	}
 
+	/**
+	 * Run a message through the filters
+	 * @returns {Object} { notify, reason } - reason is set when a message that would notify is held back
+	 *   ("snoozed", "muted", "ignored", "quiet hours", "not away" or "channel filtered"), and null for
+	 *   messages that never notify (not a highlight, event not enabled)
+	 */
+	checkFilters(messageData, client) {
 		this.logger.debug(`Checking notification for message from ${messageData.nick} in ${messageData.channel}: "${messageData.message}"`);
 
-		// Check if user is away (if onlyWhenAway is enabled)
-		if (filters.onlyWhenAway) {
-			// Check if the client is marked as away using TheLounge's user.away property
-			if (client.user && !client.user.away) {
-				this.logger.debug(`Skipping notification: onlyWhenAway is enabled and user is not away`);
-				return false;
-			}
+		const trigger = this.getTrigger(messageData);
+		if (!trigger) {
+			return { notify: false, reason: null };
+		}
+
+		const reason = this.getSuppressReason(messageData, client, trigger);
+		return { notify: !reason, reason: reason };
+	}
+
+	/**
+	 * Find what makes a message worth a notification, ignoring snoozes, mutes and filters
+	 * @returns {string|null} "connection", "watch", "event", "always", "vip", "highlight" or "keyword"
+	 */
+	getTrigger(messageData) {
+		const filters = this.config.filters;
+
+		// Connection alerts have their own toggles
+		if (CONNECTION_TYPES.includes(messageData.type)) {
+			const enabled = (this.config.connection || {})[messageData.type] === true;
+			this.logger.debug(`${messageData.type} alert for ${messageData.network} ${enabled ? 'is enabled' : 'is not enabled - skipping notification'}`);
+			return enabled ? "connection" : null;
+		}
+
+		// Friend watch changes are only raised for nicks on the watch list
+		if (WATCH_TYPES.includes(messageData.type)) {
+			this.logger.debug(`Watched nick ${messageData.nick}: ${messageData.type}`);
+			return "watch";
+		}
+
+		// IRC events (invites, kicks, bans, op changes, topics) have their own toggles
+		if (EVENT_TYPES.includes(messageData.type)) {
+			const enabled = this.isEventEnabled(messageData);
+			this.logger.debug(`${messageData.type} event in ${messageData.channel} ${enabled ? 'is enabled' : 'is not enabled - skipping notification'}`);
+			return enabled ? "event" : null;
+		}
+
+		// Private queries and notices can be set to always or never notify
+		const messageMode = this.getMessageMode(messageData);
+		if (messageMode === "never") {
+			this.logger.debug(`Skipping notification: ${messageData.type} in ${messageData.channel} is set to never notify`);
+			return null;
+		}
+		if (messageMode === "always") {
+			this.logger.debug(`Message is a private message or notice set to always notify`);
+			return "always";
+		}
+
+		// VIP nicks/accounts notify even without a highlight or in a filtered channel
+		if (this.matchesUserList(messageData, filters.vip)) {
+			this.logger.debug(`Message is from VIP ${messageData.nick}`);
+			return "vip";
 		}
 
 		// Check if message is a highlight
 		// TheLounge has already determined this based on user's nick and custom highlight words
 		// configured in TheLounge's settings (clientSettings.highlights)
 		if (filters.highlights && messageData.highlight) {
-			this.logger.debug(`Message is a highlight - sending notification`);
-			return true;
+			this.logger.debug(`Message is a highlight`);
+			return "highlight";
+		}
+
+		// Check plugin-owned keyword triggers (independent of TheLounge's highlight list)
+		const keyword = this.matchKeyword(messageData.message);
+		if (keyword) {
+			// Record the matched term so templates can use {{keyword}}
+			messageData.keyword = keyword;
+			this.logger.debug(`Message matches keyword "${keyword}"`);
+			return "keyword";
 		}
 
 		this.logger.debug(`Message is not a highlight - skipping notification`);
+		return null;
+	}
+
+	/**
+	 * Find what holds back a message that would notify
+	 * @param {string} trigger - From getTrigger()
+	 * @returns {string|null} Reason code, or null to send the notification
+	 */
+	getSuppressReason(messageData, client, trigger) {
+		const filters = this.config.filters;
+
+		const paused = this.getPauseReason(messageData);
+		if (paused) {
+			return paused;
+		}
+
+		// Ignored nicks/accounts (bots, relays) never notify
+		if (this.matchesUserList(messageData, filters.ignore)) {
+			this.logger.debug(`Skipping notification: ${messageData.nick} is ignored`);
+			return "ignored";
+		}
+
+		// Connection alerts apply whether or not the user is away
+		if (trigger === "connection") {
+			return null;
+		}
+
+		// Check if user is away (if onlyWhenAway is enabled)
+		// Presence modes decide what counts as away: IRC away, no attached browsers or idle time
+		if (filters.onlyWhenAway && !isUserAbsent(filters.presence, client)) {
+			this.logger.debug(`Skipping notification: onlyWhenAway is enabled and user is not away (${formatPresence(filters.presence)})`);
+			return "not away";
+		}
+
+		// Channel include/exclude lists apply to highlights and keywords
+		if ((trigger === "highlight" || trigger === "keyword") && !this.isChannelAllowed(messageData.channel)) {
+			this.logger.debug(`Skipping notification: channel ${messageData.channel} is filtered`);
+			return "channel filtered";
+		}
+
+		this.logger.debug(`Sending notification (${trigger})`);
+		return null;
+	}
+
+	/**
+	 * Check if a snooze, mute or quiet hours hold back a message right now
+	 * Also applies to escalations, which are sent long after the message
+	 * @returns {string|null} "snoozed", "muted" or "quiet hours"
+	 */
+	getPauseReason(messageData) {
+		// Snooze pauses all notifications until it expires
+		if (this.isSnoozed()) {
+			this.logger.debug(`Skipping notification: snoozed until ${new Date(this.config.snoozeUntil).toISOString()}`);
+			return "snoozed";
+		}
+
+		// Temporary mutes silence a channel or nick until they expire
+		const mute = this.getActiveMute(messageData);
+		if (mute) {
+			this.logger.debug(`Skipping notification: ${mute.target} is muted until ${new Date(mute.until).toISOString()}`);
+			return "muted";
+		}
+
+		// Quiet hours mute everything except breakthrough senders and keywords
+		if (this.getActiveQuietWindow() && !this.isBreakthrough(messageData)) {
+			this.logger.debug(`Skipping notification: quiet hours are active`);
+			return "quiet hours";
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check if notifications are snoozed
+	 * @param {number} [now] - Current time in milliseconds
+	 * @returns {boolean}
+	 */
+	isSnoozed(now = Date.now()) {
+		return Number.isFinite(this.config.snoozeUntil) && this.config.snoozeUntil > now;
+	}
+
+	/**
+	 * Find an active temporary mute for a message
+	 * Channel mutes (#channel) match the channel; other targets match the sender's nick
+	 * @param {Object} messageData - Message data from IRC
+	 * @param {number} [now] - Current time in milliseconds
+	 * @returns {Object|null} The mute ({ network, target, until }), or null if not muted
+	 */
+	getActiveMute(messageData, now = Date.now()) {
+		const mutes = Array.isArray(this.config.mutes) ? this.config.mutes : [];
+
+		return mutes.find(mute => {
+			if (!(mute.until > now) || String(mute.network).toLowerCase() !== String(messageData.network).toLowerCase()) {
+				return false;
+			}
+
+			const isChannel = /^[#&+!]/.test(mute.target);
+			return matchesGlob(isChannel ? messageData.channel : messageData.nick, mute.target);
+		}) || null;
+	}
+
+	/**
+	 * Get the quiet hours window that is active right now
+	 * @param {Date} [date] - Time to check, defaults to now
+	 * @returns {Object|null} The active window, or null if quiet hours are not active
+	 */
+	getActiveQuietWindow(date = new Date()) {
+		const window = findActiveWindow(this.config.schedule, date);
+		if (window) {
+			this.logger.debug(`Quiet hours window active: ${formatWindow(window)}`);
+		}
+		return window;
+	}
+
+	/**
+	 * Check if a message may break through quiet hours
+	 * Breakthrough nicks/accounts/keywords always can; VIPs can when vipBreakthrough is set
+	 */
+	isBreakthrough(messageData) {
+		const schedule = this.config.schedule || {};
+		const breakthrough = schedule.breakthrough || {};
+
+		if (schedule.vipBreakthrough && this.matchesUserList(messageData, this.config.filters.vip)) {
+			return true;
+		}
+
+		if (this.matchesUserList(messageData, breakthrough)) {
+			return true;
+		}
+
+		return findKeyword(messageData.message, breakthrough.keywords) !== null;
+	}
+
+	/**
+	 * Check if an IRC event type is enabled in the events config
+	 * Topic changes notify for the channels in events.topicChannels, or for every channel
+	 * that passes the channel filters if the list is empty
+	 */
+	isEventEnabled(messageData) {
+		const events = this.config.events || {};
+		if (events[messageData.type] !== true) {
+			return false;
+		}
+
+		if (messageData.type === "topic") {
+			const watched = events.topicChannels || [];
+			return watched.length > 0 ? matchesAny(messageData.channel, watched) : this.isChannelAllowed(messageData.channel);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get the configured mode for private queries and notices
+	 * Returns "always", "never" or "highlight-only"; "never" wins when both settings apply
+	 */
+	getMessageMode(messageData) {
+		const filters = this.config.filters || {};
+		const modes = [];
+
+		if (messageData.type === "notice") {
+			modes.push(filters.notices);
+		}
+
+		if (FormatTemplate.isPrivateMessage(messageData)) {
+			modes.push(filters.privateMessages);
+		}
+
+		if (modes.includes("never")) {
+			return "never";
+		}
+
+		if (modes.includes("always")) {
+			return "always";
+		}
+
+		return "highlight-only";
+	}
+
+	/**
+	 * Match a message against the configured keyword triggers
+	 * Returns the matched text, or null if no trigger matched or an exclusion word is present
+	 */
+	matchKeyword(message) {
+		const keywords = (this.config.filters && this.config.filters.keywords) || {};
+
+		if (!Array.isArray(keywords.triggers) || keywords.triggers.length === 0) {
+			return null;
+		}
+
+		if (findKeyword(message, keywords.exclude)) {
+			return null;
+		}
+
+		return findKeyword(message, keywords.triggers);
+	}
+
+	/**
+	 * Check if the message sender is in a nick/account pattern group
+	 * Nick patterns may be hostmasks (nick!ident@host); accounts come from IRCv3 account tracking
+	 */
+	matchesUserList(messageData, group) {
+		if (!group) {
+			return false;
+		}
+
+		if (matchesSender(messageData, group.nicks)) {
+			return true;
+		}
+
+		// "*" and "0" mean the sender is not logged in to an account
+		const account = messageData.account;
+		if (account && account !== "*" && account !== "0") {
+			return matchesAny(account, group.accounts);
+		}
+
 		return false;
 	}
 
+	/**
+	 * Check a channel name against the configured include/exclude glob patterns
+	 * Exclude wins over include; an empty include list allows every channel
+	 */
+	isChannelAllowed(channelName) {
+		const channels = (this.config.filters && this.config.filters.channels) || {};
+
+		if (matchesAny(channelName, channels.exclude)) {
+			return false;
+		}
+
+		if (Array.isArray(channels.include) && channels.include.length > 0) {
+			return matchesAny(channelName, channels.include);
+		}
+
+		return true;
+	}
+
 	/**
 	 * Format notification message using templates
+	 * @param {Object} messageData - Message data from IRC
+	 * @param {Object} [overrides] - Template overrides from routing rules
 	 */
-	formatNotification(messageData) {
+	formatNotification(messageData, overrides = {}) {
 		// Get format templates from config or use defaults
-		const format = this.config.format || FormatTemplate.getDefaults();
+		const format = { ...(this.config.format || FormatTemplate.getDefaults()), ...overrides };
 
 		// Get template variables
 		const variables = FormatTemplate.getVariables(messageData);
 
-		// Choose title template based on whether it's a channel message
-		const isChannelMessage = messageData.channel && messageData.channel.startsWith('#');
+		// Choose title template based on where the message was received
 		let titleTemplate = format.title;
-		if (isChannelMessage && format.titleWithChannel) {
+		if (FormatTemplate.isPrivateMessage(messageData)) {
+			if (format.titlePrivate) {
+				titleTemplate = format.titlePrivate;
+			}
+		} else if (format.titleWithChannel && (!messageData.channelType || messageData.channelType === 'channel')) {
 			titleTemplate = format.titleWithChannel;
 		}
 
@@ -166,38 +1344,102 @@ class NotificationManager {
 		let messageTemplate = format.message;
 		if (messageData.type === "action" && format.actionMessage) {
 			messageTemplate = format.actionMessage;
+		} else if ([...EVENT_TYPES, ...CONNECTION_TYPES, ...WATCH_TYPES].includes(messageData.type)) {
+			messageTemplate = format[`${messageData.type}Message`] || FormatTemplate.getDefaults()[`${messageData.type}Message`];
 		}
 
+		// Preceding lines; shown above the message unless the template places {{context}}
+		const context = FormatTemplate.formatContext(messageData, format.contextLine || FormatTemplate.getDefaults().contextLine);
+		variables.context = context.join('\n');
+
 		// Process templates
 		const title = FormatTemplate.process(titleTemplate, variables);
-		const message = FormatTemplate.process(messageTemplate, variables);
+		let message = FormatTemplate.process(messageTemplate, variables);
+		if (context.length > 0 && !messageTemplate.includes('{{context}}')) {
+			message = `${variables.context}\n${message}`;
+		}
 
-		return {
+		const notification = {
 			title: title,
 			message: message,
 			timestamp: messageData.timestamp
 		};
+		if (context.length > 0) {
+			notification.context = context;
+		}
+		return notification;
+	}
+
+	/**
+	 * Format a digest notification for several messages from one channel
+	 * @param {Object[]} messages - Message data of the batched messages, oldest first
+	 * @param {Object} [overrides] - Template overrides from routing rules (title applies to the digest too)
+	 */
+	formatDigest(messages, overrides = {}) {
+		const format = { ...FormatTemplate.getDefaults(), ...this.config.format };
+		const variables = FormatTemplate.getDigestVariables(messages);
+
+		return {
+			title: FormatTemplate.process(overrides.title || format.digestTitle, variables),
+			message: FormatTemplate.process(format.digestMessage, variables),
+			timestamp: messages[messages.length - 1].timestamp
+		};
 	}
 
 	/**
 	 * Get deduplication key for a message
 	 */
 	getDeduplicationKey(messageData) {
-		// Create a unique key based on network, channel, nick, and message
-		// Hash the message to keep key size reasonable
-		const msgHash = messageData.message.substring(0, 50);
-		return `${messageData.network}-${messageData.channel}-${messageData.nick}-${msgHash}`;
+		// The IRCv3 msgid identifies a message exactly (e.g. when replayed by a bouncer)
+		if (messageData.msgid) {
+			return `msgid:${String(messageData.network).toLowerCase()}:${messageData.msgid}`;
+		}
+
+		// Otherwise hash the full content, so long messages with the same prefix stay distinct
+		const hash = crypto.createHash('sha256')
+			.update(JSON.stringify([messageData.network, messageData.channel, messageData.nick, messageData.message]))
+			.digest('hex');
+		return `hash:${hash}`;
 	}
 
 	/**
-	 * Clean up old entries from recent notifications
-	 * Keep entries for 60 seconds to prevent duplicates
+	 * Check if a message was already notified within the dedup window, and remember it if not
+	 * The window is delivery.dedupSeconds (0 disables deduplication)
+	 * @returns {boolean} True if the message is a duplicate
 	 */
-	cleanupRecentNotifications() {
-		// Simple approach: clear the entire set every minute
-		// This means duplicates are blocked for up to 60 seconds
-		this.recentNotifications.clear();
-		this.logger.debug("Cleared recent notifications cache");
+	isDuplicate(messageData, now = Date.now()) {
+		const dedupSeconds = (this.config.delivery || {}).dedupSeconds;
+		const window = Number.isInteger(dedupSeconds) ? dedupSeconds : DEFAULT_DEDUP_SECONDS;
+		if (window <= 0) {
+			return false;
+		}
+
+		const key = this.getDeduplicationKey(messageData);
+		const expiresAt = this.recentNotifications.get(key);
+		if (expiresAt !== undefined && expiresAt > now) {
+			this.logger.debug(`Skipping duplicate notification: ${key}`);
+			return true;
+		}
+
+		this.recentNotifications.set(key, now + window * 1000);
+		return false;
+	}
+
+	/**
+	 * Drop expired entries from the dedup cache
+	 */
+	cleanupRecentNotifications(now = Date.now()) {
+		let removed = 0;
+		for (const [key, expiresAt] of this.recentNotifications) {
+			if (expiresAt <= now) {
+				this.recentNotifications.delete(key);
+				removed++;
+			}
+		}
+
+		if (removed > 0) {
+			this.logger.debug(`Removed ${removed} expired entries from the dedup cache`);
+		}
 	}
 
 	/**
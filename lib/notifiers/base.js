@@ -14,6 +14,7 @@ class BaseNotifier {
 		this._isSetup = false;
 		this._name = "BaseNotifier";
 		this._color = C.PINK;
+		this._maxMessageLength = null;
 		this._url = "https://api.example.com";
 		this._registerUrl = "https://api.example.com/register";
 		this._registerVariables = {
@@ -54,6 +55,7 @@ class BaseNotifier {
 	 * @param {string} notification.title - Notification title
 	 * @param {string} notification.message - Notification message body
 	 * @param {Date} notification.timestamp - Message timestamp
+	 * @param {number} [notification.priority] - Priority override from routing rules
 	 * @returns {Promise<void>}
 	 */
 	async send(notification) {
@@ -63,6 +65,21 @@ class BaseNotifier {
 		throw new Error("send() must be implemented by subclass");
 	}
 
+	/**
+	 * Get the priority to send a notification with
+	 * Uses the notification's priority (set by routing rules) if it is valid for this service,
+	 * otherwise the service's configured priority
+	 * @param {Object} notification - Notification data
+	 * @returns {*} Priority value
+	 */
+	getPriority(notification) {
+		const variable = this.registerVariables.priority;
+		if (notification && notification.priority !== undefined && variable && variable.validate(notification.priority)) {
+			return notification.priority;
+		}
+		return this.config.priority;
+	}
+
 	/**
 	 * Send a test notification
 	 * @returns {Promise<void>}
@@ -144,6 +161,22 @@ class BaseNotifier {
 		this._color = value;
 	}
 
+	/**
+	 * Get the longest message body the service accepts
+	 * @returns {number|null} Maximum length in characters, or null if unlimited
+	 */
+	get maxMessageLength() {
+		return this._maxMessageLength;
+	}
+
+	/**
+	 * Set the longest message body the service accepts
+	 * @param {number|null} value
+	 */
+	set maxMessageLength(value) {
+		this._maxMessageLength = value;
+	}
+
 	/**
 	 * Get colored service name for console output
 	 * @returns {string}
@@ -17,6 +17,7 @@ class NtfyNotifier extends BaseNotifier {
 		this.url = "https://ntfy.sh/";
 		this.registerUrl = "https://ntfy.sh/";
 		this.color = `\x0357`; // teal
+		this.maxMessageLength = 4096;
 		this.registerVariables = {
 			server: {
 				default: "https://ntfy.sh",
@@ -89,7 +90,7 @@ class NtfyNotifier extends BaseNotifier {
 			const payload = {
 				message: notification.message,
 				title: notification.title,
-				priority: this.config.priority
+				priority: this.getPriority(notification)
 			};
 
 			// Add tags if configured
@@ -126,6 +127,7 @@ class NtfyNotifier extends BaseNotifier {
 						resolve(data);
 					} else {
 						const err = new Error(`ntfy API error: ${res.statusCode} ${data}`);
+						err.statusCode = res.statusCode;
 						this.logger.error(`${this.name} error: ${err.message}`);
 						reject(err);
 					}
@@ -16,6 +16,7 @@ class ProwlNotifier extends BaseNotifier {
 		this.url = "https://www.prowlapp.com/";
 		this.registerUrl = "https://www.prowlapp.com/api_settings.php";
 		this.color = `\x0344`; // green
+		this.maxMessageLength = 10000;
 		this.registerVariables = {
 			apiKey: {
 				default: "",
@@ -72,7 +73,7 @@ class ProwlNotifier extends BaseNotifier {
 				application: this.config.application,
 				event: notification.title,
 				description: notification.message,
-				priority: this.config.priority.toString()
+				priority: this.getPriority(notification).toString()
 			});
 
 			const postData = params.toString();
@@ -101,6 +102,7 @@ class ProwlNotifier extends BaseNotifier {
 						resolve(data);
 					} else {
 						const err = new Error(`Prowl API error: ${res.statusCode} ${data}`);
+						err.statusCode = res.statusCode;
 						this.logger.error(`${this.name} error: ${err.message}`);
 						reject(err);
 					}
@@ -4,6 +4,10 @@ const BaseNotifier = require("./base");
 const Push = require("pushover-notifications");
 const { C, F } = require("../format");
 
+// Emergency (priority 2) notifications: retry every minute for up to an hour (seconds)
+const EMERGENCY_RETRY = 60;
+const EMERGENCY_EXPIRE = 3600;
+
 /**
  * Pushover Notifier
  * Sends notifications via Pushover API
@@ -16,6 +20,7 @@ class PushoverNotifier extends BaseNotifier {
 		this.url = "https://pushover.net/";
 		this.registerUrl = "https://pushover.net/apps/build";
 		this.color = `\x0371`; // light blue
+		this.maxMessageLength = 1024;
 		this.registerVariables = {
 			userKey: {
 				default: "",
@@ -63,7 +68,9 @@ class PushoverNotifier extends BaseNotifier {
 			// Initialize Pushover client
 			this.client = new Push({
 				user: this.config.userKey,
-				token: this.config.apiToken
+				token: this.config.apiToken,
+				// API errors are reported through the send callback's response instead
+				onerror: () => {}
 			});
 
 			this._isSetup = true;
@@ -79,12 +86,23 @@ class PushoverNotifier extends BaseNotifier {
 			const msg = {
 				message: notification.message,
 				title: notification.title,
-				priority: this.config.priority,
+				priority: this.getPriority(notification),
 				sound: this.config.sound,
 				timestamp: Math.floor(notification.timestamp.getTime() / 1000)
 			};
 
-			this.client.send(msg, (err, result) => {
+			// Emergency priority repeats until acknowledged and requires retry/expire
+			if (msg.priority === 2) {
+				msg.retry = EMERGENCY_RETRY;
+				msg.expire = EMERGENCY_EXPIRE;
+			}
+
+			this.client.send(msg, (err, result, res) => {
+				if (!err && res && res.statusCode >= 400) {
+					err = new Error(`Pushover API error: ${res.statusCode} ${result}`);
+					err.statusCode = res.statusCode;
+				}
+
 				if (err) {
 					this.logger.error(`${this.name} error: ${err.message}`);
 					return reject(err);
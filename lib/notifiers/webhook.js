@@ -189,6 +189,7 @@ class WebhookNotifier extends BaseNotifier {
 						resolve(data);
 					} else {
 						const err = new Error(`Webhook error: ${res.statusCode} ${data}`);
+						err.statusCode = res.statusCode;
 						this.logger.error(`${this.name} error: ${err.message}`);
 						reject(err);
 					}
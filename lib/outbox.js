@@ -0,0 +1,159 @@
+"use strict";
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+// Backoff before the first retry, doubled for every further attempt up to MAX_BACKOFF
+const BASE_BACKOFF = 30 * 1000;
+const MAX_BACKOFF = 30 * 60 * 1000;
+
+/**
+ * Get the wait before the next retry
+ * Exponential backoff with "equal jitter": half the delay is fixed, half random
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {Function} [random] - Random number generator in [0, 1)
+ * @returns {number} Milliseconds
+ */
+function getBackoff(attempts, random = Math.random) {
+	const delay = Math.min(MAX_BACKOFF, BASE_BACKOFF * Math.pow(2, Math.max(0, attempts - 1)));
+	return Math.round(delay / 2 + random() * delay / 2);
+}
+
+/**
+ * Check if a send error will not go away by retrying
+ * 4xx responses (bad credentials, bad request) are permanent, except timeouts and rate limits
+ * @param {Error} err - Error from a notifier (statusCode is set for HTTP errors)
+ * @returns {boolean}
+ */
+function isPermanentError(err) {
+	const status = err && err.statusCode;
+	return Number.isInteger(status) && status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+/**
+ * Outbox
+ * Disk-backed queue of failed sends waiting to be retried, persisted to a JSON file
+ * Items belong to an owner (the network whose notification manager retries them)
+ */
+class Outbox {
+	/**
+	 * @param {string|null} outboxPath - File to persist to (null keeps items in memory only)
+	 */
+	constructor(outboxPath = null) {
+		this.outboxPath = outboxPath;
+		this.items = [];
+		this.load();
+	}
+
+	/**
+	 * Load saved items, ignoring a missing or malformed file
+	 */
+	load() {
+		if (!this.outboxPath || !fs.existsSync(this.outboxPath)) {
+			return;
+		}
+
+		try {
+			const data = JSON.parse(fs.readFileSync(this.outboxPath, "utf8"));
+			this.items = Array.isArray(data.items) ? data.items.filter(item => item && item.id && item.notification) : [];
+		} catch (err) {
+			console.error(`[External Notify] Failed to load outbox from ${this.outboxPath}:`, err.message);
+		}
+	}
+
+	/**
+	 * Write items to disk
+	 * @returns {boolean} Success status
+	 */
+	save() {
+		if (!this.outboxPath) {
+			return true;
+		}
+
+		try {
+			fs.writeFileSync(this.outboxPath, JSON.stringify({ items: this.items }, null, 2), "utf8");
+			return true;
+		} catch (err) {
+			console.error(`[External Notify] Failed to save outbox to ${this.outboxPath}:`, err.message);
+			return false;
+		}
+	}
+
+	/**
+	 * Queue a failed send for retrying
+	 * @param {Object} entry - { owner, service, notification, messageData, error }
+	 * @returns {Object} The queued item
+	 */
+	add(entry, now = Date.now()) {
+		const messageData = entry.messageData || {};
+		const item = {
+			id: crypto.randomBytes(6).toString("hex"),
+			owner: entry.owner,
+			service: entry.service,
+			notification: entry.notification,
+			messageData: {
+				network: messageData.network || null,
+				channel: messageData.channel || null,
+				nick: messageData.nick || null
+			},
+			attempts: 1,
+			createdAt: now,
+			nextAttempt: now + getBackoff(1),
+			lastError: entry.error
+		};
+
+		this.items.push(item);
+		this.save();
+		return item;
+	}
+
+	/**
+	 * Remove an item
+	 */
+	remove(item) {
+		this.items = this.items.filter(queued => queued.id !== item.id);
+		this.save();
+	}
+
+	/**
+	 * Get the items of an owner, or all items
+	 * @param {string} [owner]
+	 * @returns {Object[]} Items, oldest first
+	 */
+	list(owner) {
+		return owner === undefined ? this.items : this.items.filter(item => item.owner === owner);
+	}
+
+	/**
+	 * Get an owner's items that are due for a retry
+	 */
+	getDue(owner, now = Date.now()) {
+		return this.list(owner).filter(item => item.nextAttempt <= now);
+	}
+
+	/**
+	 * Get when an owner's next retry is due
+	 * @returns {number|null} Epoch milliseconds, or null if nothing is queued
+	 */
+	getNextAttempt(owner) {
+		const times = this.list(owner).map(item => item.nextAttempt);
+		return times.length > 0 ? Math.min(...times) : null;
+	}
+
+	/**
+	 * Remove all items of an owner, or all items
+	 * @param {string} [owner]
+	 * @returns {number} Number of items removed
+	 */
+	clear(owner) {
+		const before = this.items.length;
+		this.items = owner === undefined ? [] : this.items.filter(item => item.owner !== owner);
+		this.save();
+		return before - this.items.length;
+	}
+}
+
+Outbox.getBackoff = getBackoff;
+Outbox.isPermanentError = isPermanentError;
+
+module.exports = Outbox;
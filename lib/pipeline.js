@@ -0,0 +1,513 @@
+"use strict";
+
+const EventEmitter = require("events");
+const ConfigManager = require("./config-manager");
+const { matchesGlob } = require("./match");
+
+/**
+ * Message Pipeline
+ * Carries one network's messages from TheLounge to the notification manager:
+ * intercept → normalize → filter → format → dispatch
+ *
+ * - intercept: hooks channel.pushMessage (called after TheLounge has set msg.highlight) on every
+ *   channel of the network, network.addChannel for channels joined later, and irc-framework
+ *   events for sender hostmasks, accounts and msgids. detach() removes every hook.
+ * - normalize: turns TheLounge's message into a MessageEvent
+ * - filter, format, dispatch: NotificationManager.processMessage() on the "message" event
+ *
+ * Events:
+ * - "message" (event, channel): a message, action or notice from someone else, or an IRC event
+ *   that concerns the user: an invite, kick, ban, op change, or a topic change (MessageEvent)
+ * - "presence" (change, channel): someone else joined, left, quit or changed nick (PresenceChange)
+ * - "self" (channel, msg): the user sent a message, action or notice (their joins, parts,
+ *   nick and mode changes are dropped)
+ * - "connected" (time): the network (re)connected; backlog replayed after this is older than it
+ */
+
+/**
+ * Normalized message, as passed to NotificationManager.processMessage()
+ * @typedef {Object} MessageEvent
+ * @property {string} type - "message", "action" or "notice"; for IRC events "invite", "kick", "ban", "op" or "topic"
+ * @property {string} network - Network name
+ * @property {string} channel - Channel or query name
+ * @property {string} channelType - "channel", "query", "lobby" or "special"
+ * @property {string} nick - Sender nick
+ * @property {string|null} ident - Sender ident, if seen on IRC
+ * @property {string|null} hostname - Sender hostname, if seen on IRC
+ * @property {string|null} account - Sender's services account (IRCv3 account-tag / extended-join)
+ * @property {string} message - Message text
+ * @property {Date} timestamp - When the message was received
+ * @property {boolean} highlight - TheLounge's highlight detection
+ * @property {string|null} msgid - IRCv3 message id
+ * @property {Object[]} context - Preceding lines ({ type, nick, message, timestamp }), oldest first
+ * @property {string|null} target - IRC events: the channel invited to, the kicked nick, the ban mask or the op'd nick
+ * @property {string|null} reason - Kicks: the kick reason
+ * @property {string|null} mode - Bans and op changes: the mode change ("+b", "+o", "-o")
+ */
+
+/**
+ * Someone else's join, part, quit or nick change in a channel, as passed to FriendWatch
+ * Quits and nick changes arrive once per shared channel
+ * @typedef {Object} PresenceChange
+ * @property {string} type - "join", "part", "quit" or "nick"
+ * @property {string} network - Network name
+ * @property {string} channel - Channel name
+ * @property {string} nick - Nick (the old nick for nick changes)
+ * @property {string|null} newNick - Nick changes: the new nick
+ * @property {string|null} reason - Part and quit message
+ * @property {Date} timestamp - When it happened
+ */
+
+// Message types that can trigger notifications
+const MESSAGE_TYPES = ["message", "action", "notice"];
+
+// TheLounge message types that carry IRC events
+const EVENT_MESSAGE_TYPES = ["invite", "kick", "mode", "topic"];
+
+// TheLounge message types that carry joins, parts, quits and nick changes
+const PRESENCE_MESSAGE_TYPES = ["join", "part", "quit", "nick"];
+
+// Channel modes that always take a parameter ("l" takes one only when set)
+const PARAM_MODES = "beIkoqahv";
+
+// A pause this long ends a private conversation when collecting the recent exchange as context
+const QUERY_EXCHANGE_GAP = 10 * 60 * 1000;
+
+// irc-framework events that carry sender details
+const SENDER_EVENTS = ["privmsg", "action", "notice", "join", "account"];
+
+/**
+ * Split a mode message into single changes
+ * @param {string} text - TheLounge's mode text, e.g. "+ob alice *!*@example.org"
+ * @returns {Array<{mode: string, param: string|null}>} e.g. [{ mode: "+o", param: "alice" }, ...]
+ */
+function parseModeChanges(text) {
+	const [modes = "", ...params] = String(text || "").trim().split(/\s+/);
+	const changes = [];
+	let sign = "+";
+
+	for (const char of modes) {
+		if (char === "+" || char === "-") {
+			sign = char;
+			continue;
+		}
+
+		const takesParam = PARAM_MODES.includes(char) || (char === "l" && sign === "+");
+		changes.push({ mode: sign + char, param: takesParam ? params.shift() || null : null });
+	}
+
+	return changes;
+}
+
+/**
+ * Collect the lines before a message from channel.messages, for the {{context}} variable
+ * Uses context.lines lines, or the whole recent conversation in queries with context.queryExchange
+ * @returns {Object[]} Lines ({ nick, message, type, timestamp }), oldest first
+ */
+function getContextLines(channel, msg, context) {
+	const exchange = context && context.queryExchange && channel.type === "query";
+	const limit = exchange ? ConfigManager.MAX_CONTEXT_LINES : (context && context.lines) || 0;
+	if (limit === 0) {
+		return [];
+	}
+
+	const messages = channel.messages || [];
+	const index = messages.lastIndexOf(msg);
+	const lines = [];
+	let newer = msg.time;
+
+	for (let i = (index === -1 ? messages.length : index) - 1; i >= 0 && lines.length < limit; i--) {
+		const line = messages[i];
+		if (!MESSAGE_TYPES.includes(line.type)) {
+			continue;
+		}
+
+		if (exchange && newer - line.time > QUERY_EXCHANGE_GAP) {
+			break;
+		}
+		newer = line.time;
+
+		lines.unshift({
+			type: line.type,
+			nick: (line.from && line.from.nick) || "",
+			message: line.text,
+			timestamp: line.time
+		});
+	}
+
+	return lines;
+}
+
+class MessagePipeline extends EventEmitter {
+	/**
+	 * @param {Object} network - TheLounge network
+	 * @param {Object} [options]
+	 * @param {Function} [options.ignoreChannel] - (channel) => true for channels never to intercept (the plugin's own)
+	 * @param {Function} [options.getContextConfig] - () => context settings ({ lines, queryExchange }) for normalize()
+	 */
+	constructor(network, options = {}) {
+		super();
+		this.network = network;
+		this.ignoreChannel = options.ignoreChannel || (() => false);
+		this.getContextConfig = options.getContextConfig || (() => null);
+		this.attached = false;
+
+		// Lowercased nick -> { ident, hostname, account, lastMessage }
+		this.senderInfo = new Map();
+
+		// Hooked channels - Key: channel, Value: { hook, original, own }
+		this.channelHooks = new Map();
+		this.addChannelHook = null;
+		this.ircListeners = [];
+
+		// Deferred handling of intercepted messages, dropped on detach
+		this.pending = new Set();
+	}
+
+	/**
+	 * Hook into the network's channels and IRC connection
+	 */
+	attach() {
+		if (this.attached) {
+			return;
+		}
+		this.attached = true;
+
+		for (const channel of this.network.channels) {
+			this.hookChannel(channel);
+		}
+
+		this.hookAddChannel();
+		this.trackSenderInfo();
+	}
+
+	/**
+	 * Remove every hook and drop messages not handled yet
+	 */
+	detach() {
+		if (!this.attached) {
+			return;
+		}
+		this.attached = false;
+
+		for (const [channel, hook] of this.channelHooks) {
+			restore(channel, "pushMessage", hook);
+		}
+		this.channelHooks.clear();
+
+		if (this.addChannelHook) {
+			restore(this.network, "addChannel", this.addChannelHook);
+			this.addChannelHook = null;
+		}
+
+		const irc = this.network.irc;
+		for (const [eventName, listener] of this.ircListeners) {
+			if (irc) {
+				irc.removeListener(eventName, listener);
+			}
+		}
+		this.ircListeners = [];
+		this.senderInfo.clear();
+
+		for (const immediate of this.pending) {
+			clearImmediate(immediate);
+		}
+		this.pending.clear();
+	}
+
+	/**
+	 * Intercept a channel's messages
+	 */
+	hookChannel(channel) {
+		if (this.channelHooks.has(channel) || this.ignoreChannel(channel)) {
+			return;
+		}
+
+		const pipeline = this;
+		const original = channel.pushMessage;
+		const hook = {
+			own: Object.prototype.hasOwnProperty.call(channel, "pushMessage"),
+			original: original,
+			hook: function(client, msg, increasesUnread) {
+				const result = original.call(this, client, msg, increasesUnread);
+				// A hook left in place by detach() only passes calls through
+				if (pipeline.channelHooks.get(channel) === hook) {
+					pipeline.intercept(channel, msg);
+				}
+				return result;
+			}
+		};
+
+		channel.pushMessage = hook.hook;
+		this.channelHooks.set(channel, hook);
+	}
+
+	/**
+	 * Intercept channels the network adds later (joins, new queries)
+	 */
+	hookAddChannel() {
+		const pipeline = this;
+		const original = this.network.addChannel;
+		if (typeof original !== "function") {
+			return;
+		}
+
+		const hook = {
+			own: Object.prototype.hasOwnProperty.call(this.network, "addChannel"),
+			original: original,
+			hook: function(channel) {
+				const result = original.apply(this, arguments);
+				if (pipeline.addChannelHook === hook) {
+					pipeline.hookChannel(channel);
+				}
+				return result;
+			}
+		};
+
+		this.network.addChannel = hook.hook;
+		this.addChannelHook = hook;
+	}
+
+	/**
+	 * Take a message pushed to a channel
+	 * Handled on the next tick, so the irc-framework listeners (sender tracking) see the message first
+	 */
+	intercept(channel, msg) {
+		if (!this.attached) {
+			return;
+		}
+
+		// TheLounge renames its user object right after pushing a nick change, so take the nick now
+		const from = msg.from && msg.from.nick;
+
+		const immediate = setImmediate(() => {
+			this.pending.delete(immediate);
+			this.handle(channel, msg, from);
+		});
+		this.pending.add(immediate);
+	}
+
+	/**
+	 * Emit an intercepted message as "self", a normalized "message" event or a "presence" change
+	 * @param {string} [from] - Sender nick when the message was pushed
+	 */
+	handle(channel, msg, from = msg.from && msg.from.nick) {
+		if (msg.self) {
+			if (MESSAGE_TYPES.includes(msg.type)) {
+				this.emit("self", channel, msg);
+			}
+			return;
+		}
+
+		if (PRESENCE_MESSAGE_TYPES.includes(msg.type)) {
+			if (from) {
+				this.emit("presence", {
+					type: msg.type,
+					network: this.network.name,
+					channel: channel.name,
+					nick: from,
+					newNick: msg.new_nick || null,
+					reason: msg.text || null,
+					timestamp: msg.time
+				}, channel);
+			}
+			return;
+		}
+
+		if (MESSAGE_TYPES.includes(msg.type)) {
+			this.emit("message", this.normalize(channel, msg), channel);
+			return;
+		}
+
+		if (EVENT_MESSAGE_TYPES.includes(msg.type)) {
+			const event = this.normalizeEvent(channel, msg);
+			if (event) {
+				this.emit("message", event, channel);
+			}
+		}
+	}
+
+	/**
+	 * Build the MessageEvent for a TheLounge message
+	 * @returns {MessageEvent}
+	 */
+	normalize(channel, msg) {
+		const nick = (msg.from && msg.from.nick) || msg.from;
+		const sender = this.senderInfo.get(String(nick).toLowerCase()) || {};
+
+		return {
+			type: msg.type,
+			network: this.network.name,
+			channel: channel.name,
+			channelType: channel.type,
+			nick: nick,
+			ident: sender.ident || null,
+			hostname: sender.hostname || null,
+			account: sender.account || null,
+			message: msg.text,
+			timestamp: msg.time,
+			highlight: msg.highlight || false,
+			msgid: sender.lastMessage && sender.lastMessage.text === msg.text ? sender.lastMessage.msgid : null,
+			context: getContextLines(channel, msg, this.getContextConfig()),
+			target: null,
+			reason: null,
+			mode: null
+		};
+	}
+
+	/**
+	 * Build the MessageEvent for an IRC event message
+	 * Only events that concern the user are kept: invites to the user, kicks, bans and op changes
+	 * of the user, and topic changes by others
+	 * @returns {MessageEvent|null} Event, or null if it doesn't concern the user
+	 */
+	normalizeEvent(channel, msg) {
+		const from = msg.from && msg.from.nick;
+		if (!from) {
+			// e.g. the topic TheLounge shows on join
+			return null;
+		}
+
+		const event = {
+			...this.normalize(channel, msg),
+			nick: from,
+			message: msg.text || "",
+			msgid: null,
+			context: []
+		};
+		const me = this.getOwnIdentity();
+
+		switch (msg.type) {
+			case "invite":
+				if (!msg.invitedYou) {
+					return null;
+				}
+				return { ...event, type: "invite", channel: msg.channel, channelType: "channel", target: msg.channel };
+
+			case "kick": {
+				const kicked = msg.target && msg.target.nick;
+				if (!kicked || kicked.toLowerCase() !== me.nick.toLowerCase()) {
+					return null;
+				}
+				return { ...event, type: "kick", target: kicked, reason: msg.text || "" };
+			}
+
+			case "mode": {
+				const hostmask = `${me.nick}!${me.ident || "*"}@${me.hostname || "*"}`;
+				for (const change of parseModeChanges(msg.text)) {
+					if ((change.mode === "+o" || change.mode === "-o") && change.param && change.param.toLowerCase() === me.nick.toLowerCase()) {
+						return { ...event, type: "op", target: change.param, mode: change.mode };
+					}
+					if (change.mode === "+b" && change.param && matchesGlob(hostmask, change.param)) {
+						return { ...event, type: "ban", target: change.param, mode: change.mode };
+					}
+				}
+				return null;
+			}
+
+			case "topic":
+				return { ...event, type: "topic" };
+
+			default:
+				return null;
+		}
+	}
+
+	/**
+	 * Get the user's own nick, ident and hostname on this network
+	 */
+	getOwnIdentity() {
+		const user = (this.network.irc && this.network.irc.user) || {};
+		return {
+			nick: this.network.nick || user.nick || "",
+			ident: user.username || null,
+			hostname: user.host || null
+		};
+	}
+
+	/**
+	 * Track sender ident, hostname and IRCv3 account from irc-framework events
+	 * TheLounge's message objects only carry the nick, so hostmask/account filters read from this cache
+	 */
+	trackSenderInfo() {
+		const irc = this.network.irc;
+		if (!irc) {
+			return;
+		}
+
+		const remember = (event) => {
+			if (!event || !event.nick) {
+				return;
+			}
+
+			const key = event.nick.toLowerCase();
+			const info = this.senderInfo.get(key) || {};
+
+			if (event.ident) info.ident = event.ident;
+			if (event.hostname) info.hostname = event.hostname;
+
+			// IRCv3 msgid of the sender's latest message, matched against TheLounge's copy by text
+			if (event.message !== undefined) {
+				info.lastMessage = event.tags && event.tags.msgid
+					? { msgid: event.tags.msgid, text: event.message }
+					: null;
+			}
+
+			// account-tag on messages, extended-join on joins
+			if (event.tags && event.tags.account) {
+				info.account = event.tags.account;
+			} else if (event.account !== undefined) {
+				info.account = event.account || null;
+			}
+
+			this.senderInfo.set(key, info);
+		};
+
+		const listen = (eventName, listener) => {
+			irc.on(eventName, listener);
+			this.ircListeners.push([eventName, listener]);
+		};
+
+		for (const eventName of SENDER_EVENTS) {
+			listen(eventName, remember);
+		}
+
+		listen("nick", event => {
+			const info = this.senderInfo.get(event.nick.toLowerCase());
+			if (info) {
+				this.senderInfo.delete(event.nick.toLowerCase());
+				this.senderInfo.set(event.new_nick.toLowerCase(), info);
+			}
+		});
+
+		listen("quit", event => {
+			this.senderInfo.delete(event.nick.toLowerCase());
+		});
+
+		listen("registered", () => {
+			this.emit("connected", Date.now());
+		});
+	}
+}
+
+/**
+ * Undo a hook: restore the original method, unless something else has wrapped it since
+ * (then the hook stays in place and passes calls through, as the pipeline is detached)
+ */
+function restore(target, method, hook) {
+	if (target[method] !== hook.hook) {
+		return;
+	}
+
+	if (hook.own) {
+		target[method] = hook.original;
+	} else {
+		delete target[method];
+	}
+}
+
+MessagePipeline.getContextLines = getContextLines;
+MessagePipeline.parseModeChanges = parseModeChanges;
+MessagePipeline.MESSAGE_TYPES = MESSAGE_TYPES;
+
+module.exports = MessagePipeline;
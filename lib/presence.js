@@ -0,0 +1,180 @@
+"use strict";
+
+/**
+ * Presence Detection
+ * Decides whether the user is away from TheLounge, used by the onlyWhenAway filter
+ *
+ * Modes:
+ * - "away": the user is marked away on IRC (client.user.away)
+ * - "no-attached-clients": no browser session is connected to TheLounge
+ * - "idle": the user has not sent a message on any network for idleMinutes
+ *   (only networks with notifications enabled report activity)
+ */
+
+const PRESENCE_MODES = ["away", "no-attached-clients", "idle"];
+const DEFAULT_IDLE_MINUTES = 15;
+
+// Last message sent by the user, per TheLounge client (shared by all networks)
+const lastActivity = new WeakMap();
+
+// Clients without recorded activity count as idle since the plugin was loaded
+const loadedAt = Date.now();
+
+/**
+ * Record that the user sent a message
+ * @param {Object} client - TheLounge client
+ * @param {number} [time] - Activity time in milliseconds, defaults to now
+ */
+function recordActivity(client, time = Date.now()) {
+	if (client && typeof client === "object") {
+		lastActivity.set(client, time);
+	}
+}
+
+/**
+ * Get when the user last sent a message
+ * @param {Object} client - TheLounge client
+ * @returns {number} Time in milliseconds
+ */
+function getLastActivity(client) {
+	return (client && lastActivity.get(client)) || loadedAt;
+}
+
+/**
+ * Get the default presence configuration (IRC away only)
+ * @returns {Object}
+ */
+function getDefaultPresence() {
+	return {
+		modes: ["away"],
+		idleMinutes: DEFAULT_IDLE_MINUTES,
+		require: "any"
+	};
+}
+
+/**
+ * Normalize a presence configuration
+ * @param {Object} presence - Presence config from file
+ * @returns {Object} Presence config with valid modes, idle minutes and require ("any" or "all")
+ */
+function normalizePresence(presence) {
+	const defaults = getDefaultPresence();
+	if (!presence || typeof presence !== "object") {
+		return defaults;
+	}
+
+	const modes = Array.isArray(presence.modes)
+		? PRESENCE_MODES.filter(mode => presence.modes.includes(mode))
+		: [];
+
+	return {
+		modes: modes.length > 0 ? modes : defaults.modes,
+		idleMinutes: Number.isInteger(presence.idleMinutes) && presence.idleMinutes > 0
+			? presence.idleMinutes
+			: defaults.idleMinutes,
+		require: presence.require === "all" ? "all" : "any"
+	};
+}
+
+/**
+ * Parse a presence setting from command text
+ * Modes are separated by commas or spaces; "idle" may be followed by minutes;
+ * "all" requires every mode to agree (the default "any" needs just one)
+ * @param {string} text - e.g. "away", "idle 30", "all no-attached-clients,idle 10"
+ * @returns {Object} Presence config
+ * @throws {Error} If the text is invalid
+ */
+function parsePresence(text) {
+	const tokens = String(text).toLowerCase().split(/[\s,+]+/).filter(Boolean);
+	const presence = getDefaultPresence();
+	const modes = [];
+
+	for (let i = 0; i < tokens.length; i++) {
+		const token = tokens[i];
+
+		if (token === "any" || token === "all") {
+			presence.require = token;
+			continue;
+		}
+
+		if (!PRESENCE_MODES.includes(token)) {
+			throw new Error(`Unknown presence mode "${token}"`);
+		}
+
+		if (!modes.includes(token)) {
+			modes.push(token);
+		}
+
+		if (token === "idle" && /^\d+$/.test(tokens[i + 1] || "")) {
+			presence.idleMinutes = parseInt(tokens[++i], 10);
+			if (presence.idleMinutes < 1) {
+				throw new Error("Idle minutes must be at least 1");
+			}
+		}
+	}
+
+	if (modes.length === 0) {
+		throw new Error("Specify at least one presence mode");
+	}
+
+	presence.modes = PRESENCE_MODES.filter(mode => modes.includes(mode));
+	return presence;
+}
+
+/**
+ * Check a single presence mode
+ */
+function isModeAbsent(mode, presence, client, now) {
+	switch (mode) {
+		case "away":
+			return Boolean(client.user && client.user.away);
+
+		case "no-attached-clients":
+			return Object.keys(client.attachedClients || {}).length === 0;
+
+		case "idle":
+			return now - getLastActivity(client) >= presence.idleMinutes * 60 * 1000;
+
+		default:
+			return false;
+	}
+}
+
+/**
+ * Check if the user counts as away from TheLounge
+ * @param {Object} presence - Presence config
+ * @param {Object} client - TheLounge client
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean}
+ */
+function isUserAbsent(presence, client, now = Date.now()) {
+	const normalized = normalizePresence(presence);
+	const check = mode => isModeAbsent(mode, normalized, client, now);
+
+	return normalized.require === "all"
+		? normalized.modes.every(check)
+		: normalized.modes.some(check);
+}
+
+/**
+ * Format a presence config for display
+ * @param {Object} presence - Presence config
+ * @returns {string} e.g. "away or idle 15m"
+ */
+function formatPresence(presence) {
+	const normalized = normalizePresence(presence);
+	const modes = normalized.modes.map(mode => mode === "idle" ? `idle ${normalized.idleMinutes}m` : mode);
+
+	return modes.join(normalized.require === "all" ? " and " : " or ");
+}
+
+module.exports = {
+	PRESENCE_MODES,
+	recordActivity,
+	getLastActivity,
+	getDefaultPresence,
+	normalizePresence,
+	parsePresence,
+	isUserAbsent,
+	formatPresence
+};
@@ -0,0 +1,254 @@
+"use strict";
+
+const { parseDuration, formatDuration } = require("./duration");
+
+/**
+ * Rate Limiting
+ * Token buckets that cap how many notifications are sent globally, per service and per channel
+ *
+ * A limit is { count, seconds }: up to `count` notifications in a burst, refilled at
+ * `count` tokens per `seconds`.
+ */
+
+// Period words accepted in rate strings, as durations
+const PERIOD_ALIASES = {
+	sec: "1s",
+	second: "1s",
+	min: "1m",
+	minute: "1m",
+	hour: "1h",
+	day: "1d"
+};
+
+/**
+ * Parse a rate limit string
+ * @param {string} text - e.g. "30/hour", "5/10m", "100/day"
+ * @returns {Object|null} Limit ({ count, seconds }), or null if invalid
+ */
+function parseRate(text) {
+	const match = /^(\d+)\s*\/\s*(\S+)$/.exec(String(text).trim().toLowerCase());
+	if (!match) {
+		return null;
+	}
+
+	const count = parseInt(match[1], 10);
+	const period = PERIOD_ALIASES[match[2].replace(/s$/, "")] || match[2];
+	const ms = parseDuration(period);
+	if (count < 1 || !ms || ms < 1000) {
+		return null;
+	}
+
+	return { count: count, seconds: Math.round(ms / 1000) };
+}
+
+/**
+ * Normalize a limit from config
+ * @returns {Object|null} Limit, or null if missing or invalid
+ */
+function normalizeLimit(limit) {
+	if (!limit || !Number.isInteger(limit.count) || !Number.isInteger(limit.seconds) ||
+		limit.count < 1 || limit.seconds < 1) {
+		return null;
+	}
+
+	return { count: limit.count, seconds: limit.seconds };
+}
+
+/**
+ * Format a limit for display
+ * @returns {string} e.g. "30/1h"
+ */
+function formatRate(limit) {
+	return `${limit.count}/${formatDuration(limit.seconds * 1000)}`;
+}
+
+/**
+ * Token bucket for a single limit
+ */
+class TokenBucket {
+	constructor(limit, now = Date.now()) {
+		this.limit = limit;
+		this.tokens = limit.count;
+		this.updatedAt = now;
+	}
+
+	/**
+	 * Add the tokens earned since the last update
+	 */
+	refill(now = Date.now()) {
+		const rate = this.limit.count / (this.limit.seconds * 1000);
+		this.tokens = Math.min(this.limit.count, this.tokens + (now - this.updatedAt) * rate);
+		this.updatedAt = now;
+	}
+
+	/**
+	 * Check if a token is available
+	 */
+	hasToken(now = Date.now()) {
+		this.refill(now);
+		return this.tokens >= 1;
+	}
+
+	/**
+	 * Take a token (call hasToken first)
+	 */
+	take(now = Date.now()) {
+		this.refill(now);
+		this.tokens = Math.max(0, this.tokens - 1);
+	}
+
+	/**
+	 * Milliseconds until a token is available
+	 */
+	timeUntilToken(now = Date.now()) {
+		this.refill(now);
+		if (this.tokens >= 1) {
+			return 0;
+		}
+
+		return Math.ceil((1 - this.tokens) * (this.limit.seconds * 1000) / this.limit.count);
+	}
+}
+
+/**
+ * Rate Limiter
+ * Keeps one bucket per scope: "global", "service:<name>" and "channel:<network>/<channel>"
+ * Limits are read from config on every call, so changed limits apply immediately
+ */
+class RateLimiter {
+	constructor() {
+		this.buckets = new Map();
+	}
+
+	/**
+	 * Get the configured limit for a scope
+	 * @param {Object} limits - Limits config (global, services, channel)
+	 * @param {string} scope - Bucket scope
+	 * @returns {Object|null}
+	 */
+	getLimit(limits, scope) {
+		if (!limits) {
+			return null;
+		}
+
+		if (scope === "global") {
+			return normalizeLimit(limits.global);
+		}
+
+		if (scope.startsWith("service:")) {
+			return normalizeLimit((limits.services || {})[scope.substring("service:".length)]);
+		}
+
+		if (scope.startsWith("channel:")) {
+			return normalizeLimit(limits.channel);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the bucket for a scope, or null if the scope is unlimited
+	 * Buckets are recreated when their limit changes
+	 */
+	getBucket(limits, scope, now = Date.now()) {
+		const limit = this.getLimit(limits, scope);
+		if (!limit) {
+			this.buckets.delete(scope);
+			return null;
+		}
+
+		const bucket = this.buckets.get(scope);
+		if (bucket && bucket.limit.count === limit.count && bucket.limit.seconds === limit.seconds) {
+			return bucket;
+		}
+
+		const created = new TokenBucket(limit, now);
+		this.buckets.set(scope, created);
+		return created;
+	}
+
+	/**
+	 * Find the first scope without a token
+	 * @returns {string|null} Empty scope, or null if every scope has a token
+	 */
+	findEmpty(limits, scopes, now = Date.now()) {
+		for (const scope of scopes) {
+			const bucket = this.getBucket(limits, scope, now);
+			if (bucket && !bucket.hasToken(now)) {
+				return scope;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Take a token from every limited scope
+	 */
+	take(limits, scopes, now = Date.now()) {
+		for (const scope of scopes) {
+			const bucket = this.getBucket(limits, scope, now);
+			if (bucket) {
+				bucket.take(now);
+			}
+		}
+
+		this.prune(now);
+	}
+
+	/**
+	 * Drop channel buckets that have refilled completely
+	 * A full bucket is the same as a new one, so idle channels don't pile up
+	 */
+	prune(now = Date.now()) {
+		for (const [scope, bucket] of this.buckets) {
+			if (scope.startsWith("channel:")) {
+				bucket.refill(now);
+				if (bucket.tokens >= bucket.limit.count) {
+					this.buckets.delete(scope);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Milliseconds until every scope has a token
+	 */
+	timeUntilAvailable(limits, scopes, now = Date.now()) {
+		return Math.max(0, ...scopes.map(scope => {
+			const bucket = this.getBucket(limits, scope, now);
+			return bucket ? bucket.timeUntilToken(now) : 0;
+		}));
+	}
+
+	/**
+	 * Get the current level of every active bucket
+	 * @returns {Array<{scope: string, tokens: number, count: number}>}
+	 */
+	getLevels(limits, now = Date.now()) {
+		const scopes = new Set([
+			"global",
+			...Object.keys((limits && limits.services) || {}).map(name => `service:${name}`),
+			...[...this.buckets.keys()].filter(scope => scope.startsWith("channel:"))
+		]);
+
+		const levels = [];
+		for (const scope of scopes) {
+			const bucket = this.getBucket(limits, scope, now);
+			if (bucket) {
+				bucket.refill(now);
+				levels.push({ scope: scope, tokens: Math.floor(bucket.tokens), count: bucket.limit.count });
+			}
+		}
+
+		return levels;
+	}
+}
+
+module.exports = {
+	parseRate,
+	normalizeLimit,
+	formatRate,
+	TokenBucket,
+	RateLimiter
+};
@@ -0,0 +1,272 @@
+"use strict";
+
+const { matchesGlob, matchesSender, findKeyword } = require("./match");
+
+/**
+ * Routing Rules
+ * Ordered rules that pick services, priority and templates for a notification
+ *
+ * A rule looks like:
+ * {
+ *   match: { network, channel, nick, type, keyword, highlight },
+ *   actions: { services: ["pushover"], priority: 2, title, message, stop: true }
+ * }
+ * All match conditions are optional; a rule without conditions matches everything.
+ */
+
+const MATCH_KEYS = ["network", "channel", "nick", "type", "keyword", "highlight"];
+const ACTION_KEYS = ["services", "priority", "title", "message", "stop"];
+
+/**
+ * Check if a rule's conditions match a message
+ * @param {Object} rule - Routing rule
+ * @param {Object} messageData - Message data from IRC
+ * @returns {boolean}
+ */
+function matchesRule(rule, messageData) {
+	const match = rule.match || {};
+
+	if (match.network && !matchesGlob(messageData.network, match.network)) {
+		return false;
+	}
+
+	if (match.channel && !matchesGlob(messageData.channel, match.channel)) {
+		return false;
+	}
+
+	if (match.nick && !matchesSender(messageData, [match.nick])) {
+		return false;
+	}
+
+	if (match.type && !match.type.split(",").includes(messageData.type)) {
+		return false;
+	}
+
+	if (match.keyword && findKeyword(messageData.message, [match.keyword]) === null) {
+		return false;
+	}
+
+	if (typeof match.highlight === "boolean" && Boolean(messageData.highlight) !== match.highlight) {
+		return false;
+	}
+
+	return true;
+}
+
+/**
+ * Evaluate rules in order and merge the actions of every matching rule
+ * Later rules override earlier ones; a rule with "stop" ends evaluation
+ * @param {Object[]} rules - Ordered routing rules
+ * @param {Object} messageData - Message data from IRC
+ * @returns {Object} Route: { services (null = all), priority, format, matched (rule indexes) }
+ */
+function resolveRoute(rules, messageData) {
+	const route = {
+		services: null,
+		priority: undefined,
+		format: {},
+		matched: []
+	};
+
+	if (!Array.isArray(rules)) {
+		return route;
+	}
+
+	for (let i = 0; i < rules.length; i++) {
+		const rule = rules[i];
+		if (!matchesRule(rule, messageData)) {
+			continue;
+		}
+
+		const actions = rule.actions || {};
+		route.matched.push(i);
+
+		if (Array.isArray(actions.services)) {
+			route.services = actions.services;
+		}
+
+		if (actions.priority !== undefined) {
+			route.priority = actions.priority;
+		}
+
+		if (actions.title) {
+			route.format.title = actions.title;
+			route.format.titleWithChannel = actions.title;
+			route.format.titlePrivate = actions.title;
+		}
+
+		if (actions.message) {
+			route.format.message = actions.message;
+			route.format.actionMessage = actions.message;
+		}
+
+		if (actions.stop) {
+			break;
+		}
+	}
+
+	return route;
+}
+
+/**
+ * Split a rule definition into key=value tokens, honoring quotes
+ * @param {string} text - e.g. 'channel=#prod-* services=pushover title="ALERT {{channel}}" stop'
+ * @returns {Array<[string, string|null]>} Key/value pairs (value is null for bare words)
+ */
+function tokenize(text) {
+	const tokens = [];
+	const pattern = /(\w+)=(?:"([^"]*)"|'([^']*)'|(\S+))|(\S+)/g;
+	let match;
+
+	while ((match = pattern.exec(text)) !== null) {
+		if (match[5] !== undefined) {
+			tokens.push([match[5], null]);
+		} else {
+			const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+			tokens.push([match[1], value]);
+		}
+	}
+
+	return tokens;
+}
+
+/**
+ * Parse a rule from command text
+ * @param {string} text - Rule definition of key=value conditions and actions
+ * @returns {Object} Parsed rule
+ * @throws {Error} If the definition is invalid
+ */
+function parseRule(text) {
+	const rule = { match: {}, actions: {} };
+
+	for (const [rawKey, value] of tokenize(text)) {
+		const key = rawKey.toLowerCase();
+
+		if (key === "stop" && value === null) {
+			rule.actions.stop = true;
+			continue;
+		}
+
+		if (value === null) {
+			throw new Error(`Expected key=value, got "${rawKey}"`);
+		}
+
+		switch (key) {
+			case "network":
+			case "channel":
+			case "nick":
+			case "keyword":
+				rule.match[key] = value;
+				break;
+
+			case "type":
+				rule.match.type = value.toLowerCase();
+				break;
+
+			case "highlight":
+				if (value !== "true" && value !== "false") {
+					throw new Error("highlight must be true or false");
+				}
+				rule.match.highlight = value === "true";
+				break;
+
+			case "service":
+			case "services":
+				rule.actions.services = value.toLowerCase() === "none"
+					? []
+					: value.split(",").map(name => name.trim().toLowerCase()).filter(Boolean);
+				break;
+
+			case "priority": {
+				const priority = parseInt(value, 10);
+				if (isNaN(priority)) {
+					throw new Error("priority must be a number");
+				}
+				rule.actions.priority = priority;
+				break;
+			}
+
+			case "title":
+			case "message":
+				rule.actions[key] = value;
+				break;
+
+			case "stop":
+				rule.actions.stop = value === "true";
+				break;
+
+			default:
+				throw new Error(`Unknown rule key "${rawKey}"`);
+		}
+	}
+
+	if (Object.keys(rule.actions).length === 0) {
+		throw new Error("A rule needs at least one action (services, priority, title, message or stop)");
+	}
+
+	return rule;
+}
+
+/**
+ * Normalize a rule from config, dropping unknown keys
+ * @param {Object} rule - Rule from config
+ * @returns {Object|null} Normalized rule, or null if invalid
+ */
+function normalizeRule(rule) {
+	if (!rule || typeof rule !== "object") {
+		return null;
+	}
+
+	const source = { match: rule.match || {}, actions: rule.actions || {} };
+	const normalized = { match: {}, actions: {} };
+
+	for (const key of MATCH_KEYS) {
+		const value = source.match[key];
+		if (key === "highlight" ? typeof value === "boolean" : typeof value === "string" && value.length > 0) {
+			normalized.match[key] = value;
+		}
+	}
+
+	for (const key of ACTION_KEYS) {
+		const value = source.actions[key];
+		if (key === "services" && Array.isArray(value)) {
+			normalized.actions.services = value.filter(name => typeof name === "string");
+		} else if (key === "priority" && Number.isInteger(value)) {
+			normalized.actions.priority = value;
+		} else if (key === "stop" && typeof value === "boolean") {
+			normalized.actions.stop = value;
+		} else if ((key === "title" || key === "message") && typeof value === "string") {
+			normalized.actions[key] = value;
+		}
+	}
+
+	return Object.keys(normalized.actions).length > 0 ? normalized : null;
+}
+
+/**
+ * Format a rule for display
+ * @param {Object} rule - Routing rule
+ * @returns {string} e.g. 'channel=#prod-alerts → services=pushover priority=2 stop'
+ */
+function formatRule(rule) {
+	const quote = (value) => /\s/.test(value) ? `"${value}"` : value;
+
+	const conditions = Object.entries(rule.match || {})
+		.map(([key, value]) => `${key}=${quote(String(value))}`);
+
+	const actions = Object.entries(rule.actions || {}).map(([key, value]) => {
+		if (key === "stop") return value ? "stop" : null;
+		if (key === "services") return `services=${value.length > 0 ? value.join(",") : "none"}`;
+		return `${key}=${quote(String(value))}`;
+	}).filter(Boolean);
+
+	return `${conditions.length > 0 ? conditions.join(" ") : "(any)"} → ${actions.join(" ")}`;
+}
+
+module.exports = {
+	matchesRule,
+	resolveRoute,
+	parseRule,
+	normalizeRule,
+	formatRule
+};
@@ -0,0 +1,233 @@
+"use strict";
+
+/**
+ * Schedule Utility
+ * Weekly quiet hours windows evaluated in an IANA timezone
+ */
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Parse a "HH:MM" time string
+ * @param {string} value - Time string (e.g., "22:00"); "24:00" is allowed as an end time
+ * @returns {number|null} Minutes since midnight, or null if invalid
+ */
+function parseTime(value) {
+	const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+	if (!match) {
+		return null;
+	}
+
+	const hours = parseInt(match[1], 10);
+	const minutes = parseInt(match[2], 10);
+	if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) {
+		return null;
+	}
+
+	return hours * 60 + minutes;
+}
+
+/**
+ * Parse a day specification into a list of day names
+ * Accepts comma-separated days and ranges, e.g. "mon-fri", "sat,sun", "daily"
+ * @param {string} spec - Day specification
+ * @returns {string[]|null} Day names in week order, or null if invalid
+ */
+function parseDays(spec) {
+	const text = String(spec).trim().toLowerCase();
+	if (text === "daily" || text === "all") {
+		return DAYS.slice();
+	}
+
+	const selected = new Set();
+	for (const part of text.split(",")) {
+		const [from, to] = part.split("-").map(day => DAYS.indexOf(day.trim().substring(0, 3)));
+		if (from === -1 || to === -1) {
+			return null;
+		}
+
+		if (to === undefined) {
+			selected.add(from);
+			continue;
+		}
+
+		// Ranges may wrap around the week (e.g., "fri-mon")
+		for (let day = from; ; day = (day + 1) % 7) {
+			selected.add(day);
+			if (day === to) break;
+		}
+	}
+
+	return DAYS.filter((day, index) => selected.has(index));
+}
+
+/**
+ * Check if a timezone name is a valid IANA timezone
+ * An empty timezone means the server's local time and is always valid
+ * @param {string} timezone - Timezone name (e.g., "Europe/Berlin")
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+	if (!timezone) {
+		return true;
+	}
+
+	try {
+		new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+/**
+ * Get the day of week and time of day for a date in a timezone
+ * @param {Date} date - Date to convert
+ * @param {string} [timezone] - IANA timezone, server local time if empty
+ * @returns {{day: number, minutes: number}} Day index (0 = Sunday) and minutes since midnight
+ */
+function getLocalTime(date, timezone) {
+	if (!timezone) {
+		return {
+			day: date.getDay(),
+			minutes: date.getHours() * 60 + date.getMinutes()
+		};
+	}
+
+	const parts = new Intl.DateTimeFormat("en-US", {
+		timeZone: timezone,
+		weekday: "short",
+		hour: "2-digit",
+		minute: "2-digit",
+		hourCycle: "h23"
+	}).formatToParts(date);
+
+	const part = (type) => parts.find(p => p.type === type).value;
+
+	return {
+		day: DAYS.indexOf(part("weekday").toLowerCase()),
+		minutes: (parseInt(part("hour"), 10) % 24) * 60 + parseInt(part("minute"), 10)
+	};
+}
+
+/**
+ * Normalize a quiet hours window from config
+ * @param {Object} window - Window with days, start and end
+ * @returns {Object|null} Normalized window, or null if invalid
+ */
+function normalizeWindow(window) {
+	if (!window || typeof window !== "object" || !Array.isArray(window.days)) {
+		return null;
+	}
+
+	const days = window.days.map(day => String(day).toLowerCase()).filter(day => DAYS.includes(day));
+	if (days.length === 0 || parseTime(window.start) === null || parseTime(window.end) === null) {
+		return null;
+	}
+
+	return {
+		days: DAYS.filter(day => days.includes(day)),
+		start: window.start,
+		end: window.end
+	};
+}
+
+/**
+ * Check if a window covers a given local time
+ * Windows whose end is before their start run past midnight into the next day;
+ * windows with equal start and end cover the whole day
+ */
+function windowCovers(window, local) {
+	const start = parseTime(window.start);
+	const end = parseTime(window.end);
+	const today = DAYS[local.day];
+	const yesterday = DAYS[(local.day + 6) % 7];
+
+	if (start === end) {
+		return window.days.includes(today);
+	}
+
+	if (start < end) {
+		return window.days.includes(today) && local.minutes >= start && local.minutes < end;
+	}
+
+	return (window.days.includes(today) && local.minutes >= start) ||
+		(window.days.includes(yesterday) && local.minutes < end);
+}
+
+/**
+ * Find the quiet hours window that is active at a given time
+ * @param {Object} schedule - Schedule config (enabled, timezone, windows)
+ * @param {Date} [date] - Time to check, defaults to now
+ * @returns {Object|null} The active window, or null if quiet hours are not active
+ */
+function findActiveWindow(schedule, date = new Date()) {
+	if (!schedule || !schedule.enabled || !Array.isArray(schedule.windows)) {
+		return null;
+	}
+
+	let local;
+	try {
+		local = getLocalTime(date, schedule.timezone);
+	} catch (err) {
+		// Invalid timezone - treat quiet hours as inactive rather than muting everything
+		return null;
+	}
+
+	return schedule.windows.find(window => windowCovers(window, local)) || null;
+}
+
+/**
+ * Find the next time a clock time occurs in a timezone
+ * @param {string} time - Time of day ("HH:MM")
+ * @param {string} [timezone] - IANA timezone, server local time if empty
+ * @param {Date} [date] - Start time, defaults to now
+ * @returns {Date|null} Next occurrence (later today or tomorrow), or null if the time is invalid
+ */
+function nextTimeOfDay(time, timezone, date = new Date()) {
+	const target = parseTime(time);
+	if (target === null) {
+		return null;
+	}
+
+	const local = getLocalTime(date, timezone);
+	const minutesAhead = (target - local.minutes + 1440) % 1440 || 1440;
+	const startOfMinute = date.getTime() - (date.getTime() % 60000);
+
+	return new Date(startOfMinute + minutesAhead * 60000);
+}
+
+/**
+ * Format a date as a clock time in a timezone
+ * @param {Date} date - Date to format
+ * @param {string} [timezone] - IANA timezone, server local time if empty
+ * @returns {string} e.g. "08:00"
+ */
+function formatLocalTime(date, timezone) {
+	const { minutes } = getLocalTime(date, timezone);
+	const pad = (value) => String(value).padStart(2, "0");
+
+	return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Format a window for display
+ * @param {Object} window - Quiet hours window
+ * @returns {string} e.g. "mon,tue,wed,thu,fri 22:00-07:00"
+ */
+function formatWindow(window) {
+	return `${window.days.join(",")} ${window.start}-${window.end}`;
+}
+
+module.exports = {
+	DAYS,
+	parseTime,
+	parseDays,
+	isValidTimezone,
+	getLocalTime,
+	normalizeWindow,
+	findActiveWindow,
+	nextTimeOfDay,
+	formatLocalTime,
+	formatWindow
+};
@@ -0,0 +1,211 @@
+"use strict";
+
+const fs = require("fs");
+
+// Latency samples kept per service for the percentiles
+const LATENCY_SAMPLES = 100;
+
+// Delay before changes are written to disk, so bursts are saved once
+const SAVE_DELAY = 5000;
+
+/**
+ * Get a percentile from sorted samples (nearest rank)
+ * @param {number[]} sorted - Samples in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Value, or null without samples
+ */
+function percentile(sorted, p) {
+	if (sorted.length === 0) {
+		return null;
+	}
+
+	const rank = Math.ceil((p / 100) * sorted.length);
+	return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Delivery Statistics
+ * Counts, last errors and send latency per notification service, persisted to a JSON file
+ * Services are keyed by lowercased name
+ */
+class DeliveryStats {
+	/**
+	 * @param {string|null} statsPath - File to persist to (null keeps stats in memory only)
+	 */
+	constructor(statsPath = null) {
+		this.statsPath = statsPath;
+		this.services = {};
+		this.saveTimer = null;
+		this.load();
+	}
+
+	/**
+	 * Load saved stats, ignoring a missing or malformed file
+	 */
+	load() {
+		if (!this.statsPath || !fs.existsSync(this.statsPath)) {
+			return;
+		}
+
+		try {
+			const data = JSON.parse(fs.readFileSync(this.statsPath, "utf8"));
+			for (const [name, service] of Object.entries(data.services || {})) {
+				this.services[name] = { ...this.createService(), ...service };
+			}
+		} catch (err) {
+			console.error(`[External Notify] Failed to load stats from ${this.statsPath}:`, err.message);
+		}
+	}
+
+	/**
+	 * Write stats to disk now
+	 * @returns {boolean} Success status
+	 */
+	save() {
+		clearTimeout(this.saveTimer);
+		this.saveTimer = null;
+
+		if (!this.statsPath) {
+			return true;
+		}
+
+		try {
+			fs.writeFileSync(this.statsPath, JSON.stringify({ services: this.services }, null, 2), "utf8");
+			return true;
+		} catch (err) {
+			console.error(`[External Notify] Failed to save stats to ${this.statsPath}:`, err.message);
+			return false;
+		}
+	}
+
+	/**
+	 * Save after SAVE_DELAY, once for a burst of changes
+	 */
+	scheduleSave() {
+		if (!this.statsPath || this.saveTimer) {
+			return;
+		}
+
+		this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+		this.saveTimer.unref();
+	}
+
+	/**
+	 * Create empty stats for a service
+	 */
+	createService(now = Date.now()) {
+		return {
+			sent: 0,
+			failed: 0,
+			lastSuccess: null,
+			lastFailure: null,
+			lastError: null,
+			latencies: [],
+			since: now
+		};
+	}
+
+	/**
+	 * Get the stats of a service, creating them on first use
+	 */
+	getService(name, now = Date.now()) {
+		const key = name.toLowerCase();
+		if (!this.services[key]) {
+			this.services[key] = this.createService(now);
+		}
+		return this.services[key];
+	}
+
+	/**
+	 * Add a latency sample, keeping the latest LATENCY_SAMPLES
+	 */
+	addLatency(service, latency) {
+		service.latencies.push(latency);
+		if (service.latencies.length > LATENCY_SAMPLES) {
+			service.latencies.splice(0, service.latencies.length - LATENCY_SAMPLES);
+		}
+	}
+
+	/**
+	 * Record a successful send
+	 * @param {string} name - Service name
+	 * @param {number} latency - Send time in milliseconds
+	 */
+	recordSuccess(name, latency, now = Date.now()) {
+		const service = this.getService(name, now);
+		service.sent++;
+		service.lastSuccess = now;
+		this.addLatency(service, latency);
+		this.scheduleSave();
+	}
+
+	/**
+	 * Record a failed send
+	 * @param {string} name - Service name
+	 * @param {string} error - Error message
+	 * @param {number} latency - Time until the failure in milliseconds
+	 */
+	recordFailure(name, error, latency, now = Date.now()) {
+		const service = this.getService(name, now);
+		service.failed++;
+		service.lastFailure = now;
+		service.lastError = error;
+		this.addLatency(service, latency);
+		this.scheduleSave();
+	}
+
+	/**
+	 * Reset the stats of one service, or of all services
+	 * @param {string|null} name - Service name, or null for all
+	 * @returns {boolean} False if the service has no stats
+	 */
+	reset(name = null) {
+		if (name) {
+			if (!this.services[name.toLowerCase()]) {
+				return false;
+			}
+			delete this.services[name.toLowerCase()];
+		} else {
+			this.services = {};
+		}
+
+		this.save();
+		return true;
+	}
+
+	/**
+	 * Get the stats of a service with latency percentiles
+	 * @param {string} name - Service name
+	 * @returns {Object|null} { sent, failed, lastSuccess, lastFailure, lastError, since, p50, p95 }, or null if never used
+	 */
+	getSummary(name) {
+		const service = this.services[name.toLowerCase()];
+		if (!service) {
+			return null;
+		}
+
+		const sorted = [...service.latencies].sort((a, b) => a - b);
+		return {
+			sent: service.sent,
+			failed: service.failed,
+			lastSuccess: service.lastSuccess,
+			lastFailure: service.lastFailure,
+			lastError: service.lastError,
+			since: service.since,
+			p50: percentile(sorted, 50),
+			p95: percentile(sorted, 95)
+		};
+	}
+
+	/**
+	 * Get the names of all services with stats
+	 * @returns {string[]}
+	 */
+	getServiceNames() {
+		return Object.keys(this.services).sort();
+	}
+}
+
+DeliveryStats.percentile = percentile;
+
+module.exports = DeliveryStats;
@@ -0,0 +1,297 @@
+"use strict";
+
+const EventEmitter = require("events");
+
+/**
+ * Friend Watch
+ * Notifies when watched nicks on one network come online, go offline, join or leave a channel
+ *
+ * - online/offline: IRC MONITOR where the server supports it. The first status the server
+ *   reports for a nick (on connect, or when it is added) is recorded without notifying.
+ *   Without MONITOR, quits and nick changes seen in shared channels stand in for it.
+ * - join/part: join and part messages in shared channels (from the message pipeline)
+ *
+ * Each watched nick has its own cooldown: after a notification about a nick, further changes
+ * of that nick are dropped for watch.cooldownSeconds, so netsplits don't flood.
+ *
+ * Events:
+ * - "message" (event): a MessageEvent of type "online", "offline", "join" or "part"
+ */
+
+// Settings used when options.getSettings is not given
+const DEFAULT_SETTINGS = {
+	nicks: [],
+	cooldownSeconds: 300
+};
+
+class FriendWatch extends EventEmitter {
+	/**
+	 * @param {Object} network - TheLounge network
+	 * @param {Object} [options]
+	 * @param {Function} [options.getSettings] - () => watch settings ({ nicks: [{ network, nick }], cooldownSeconds })
+	 */
+	constructor(network, options = {}) {
+		super();
+		this.network = network;
+		this.getSettings = options.getSettings || (() => DEFAULT_SETTINGS);
+		this.attached = false;
+		this.ircListeners = [];
+
+		// Lowercased nicks on the server's MONITOR list
+		this.monitored = new Set();
+
+		// Lowercased nick -> true (online) or false (offline), once known
+		this.online = new Map();
+
+		// Lowercased nick -> time of its last notification (epoch ms)
+		this.lastNotified = new Map();
+	}
+
+	/**
+	 * Listen for MONITOR replies and put the watched nicks on the MONITOR list
+	 */
+	attach() {
+		if (this.attached) {
+			return;
+		}
+		this.attached = true;
+
+		const irc = this.network.irc;
+		if (!irc) {
+			return;
+		}
+
+		const listen = (eventName, listener) => {
+			irc.on(eventName, listener);
+			this.ircListeners.push([eventName, listener]);
+		};
+
+		listen("users online", event => this.handleMonitor(event, true));
+		listen("users offline", event => this.handleMonitor(event, false));
+		listen("registered", () => {
+			// The server forgets the MONITOR list on disconnect; statuses are re-learned quietly
+			this.monitored.clear();
+			this.online.clear();
+			this.sync();
+		});
+		// MONITOR support is only known once the server has sent its ISUPPORT options
+		listen("server options", () => this.sync());
+
+		this.sync();
+	}
+
+	/**
+	 * Remove the listeners and take the watched nicks off the MONITOR list
+	 */
+	detach() {
+		if (!this.attached) {
+			return;
+		}
+
+		for (const nick of this.monitored) {
+			this.sendMonitor("removeMonitor", nick);
+		}
+		this.monitored.clear();
+
+		const irc = this.network.irc;
+		for (const [eventName, listener] of this.ircListeners) {
+			if (irc) {
+				irc.removeListener(eventName, listener);
+			}
+		}
+		this.ircListeners = [];
+		this.attached = false;
+	}
+
+	/**
+	 * Get the lowercased nicks watched on this network
+	 * @returns {string[]}
+	 */
+	getNicks() {
+		const networkName = String(this.network.name).toLowerCase();
+
+		return (this.getSettings().nicks || [])
+			.filter(entry => String(entry.network).toLowerCase() === networkName)
+			.map(entry => entry.nick.toLowerCase());
+	}
+
+	/**
+	 * Check if a nick is watched on this network
+	 */
+	isWatched(nick) {
+		return Boolean(nick) && this.getNicks().includes(String(nick).toLowerCase());
+	}
+
+	/**
+	 * Check if the server supports MONITOR
+	 */
+	supportsMonitor() {
+		const irc = this.network.irc;
+		return Boolean(irc && irc.network && typeof irc.network.supports === "function" && irc.network.supports("MONITOR"));
+	}
+
+	/**
+	 * Bring the server's MONITOR list in line with the watch list (after it changed)
+	 */
+	sync() {
+		const irc = this.network.irc;
+		const nicks = this.getNicks();
+
+		for (const nick of [...this.monitored]) {
+			if (!nicks.includes(nick)) {
+				this.sendMonitor("removeMonitor", nick);
+				this.monitored.delete(nick);
+			}
+		}
+
+		for (const nick of [...this.online.keys()]) {
+			if (!nicks.includes(nick)) {
+				this.online.delete(nick);
+			}
+		}
+
+		if (!irc || !irc.connected || !this.supportsMonitor()) {
+			return;
+		}
+
+		for (const nick of nicks) {
+			if (!this.monitored.has(nick)) {
+				this.sendMonitor("addMonitor", nick);
+				this.monitored.add(nick);
+			}
+		}
+	}
+
+	/**
+	 * Send a MONITOR change, if connected
+	 * @param {string} method - "addMonitor" or "removeMonitor"
+	 */
+	sendMonitor(method, nick) {
+		const irc = this.network.irc;
+		if (irc && irc.connected && typeof irc[method] === "function") {
+			irc[method](nick);
+		}
+	}
+
+	/**
+	 * Handle a MONITOR reply (RPL_MONONLINE / RPL_MONOFFLINE)
+	 * @param {Object} event - { nicks } from irc-framework
+	 * @param {boolean} online
+	 */
+	handleMonitor(event, online, now = Date.now()) {
+		for (const nick of (event && event.nicks) || []) {
+			if (!this.isWatched(nick)) {
+				continue;
+			}
+
+			const key = nick.toLowerCase();
+			const known = this.online.get(key);
+			this.online.set(key, online);
+
+			if (known !== undefined && known !== online) {
+				this.notify(online ? "online" : "offline", nick, {}, now);
+			}
+		}
+	}
+
+	/**
+	 * Handle a join, part, quit or nick change from the message pipeline
+	 * @param {Object} change - PresenceChange ({ type, nick, newNick, channel, reason, timestamp })
+	 */
+	handlePresence(change, now = Date.now()) {
+		const channel = { channel: change.channel, channelType: "channel", reason: change.reason || null };
+		const fallback = !this.supportsMonitor();
+
+		switch (change.type) {
+			case "join":
+				if (this.isWatched(change.nick)) {
+					this.setOnline(change.nick, true, fallback);
+					this.notify("join", change.nick, channel, now);
+				}
+				return;
+
+			case "part":
+				if (this.isWatched(change.nick)) {
+					this.notify("part", change.nick, channel, now);
+				}
+				return;
+
+			case "quit":
+				if (fallback && this.isWatched(change.nick)) {
+					this.setOnline(change.nick, false, fallback);
+					this.notify("offline", change.nick, { reason: change.reason || null }, now);
+				}
+				return;
+
+			case "nick":
+				if (!fallback) {
+					return;
+				}
+				if (this.isWatched(change.nick)) {
+					this.setOnline(change.nick, false, fallback);
+					this.notify("offline", change.nick, { reason: `now known as ${change.newNick}` }, now);
+				}
+				if (this.isWatched(change.newNick)) {
+					this.setOnline(change.newNick, true, fallback);
+					this.notify("online", change.newNick, { reason: `was ${change.nick}` }, now);
+				}
+				return;
+		}
+	}
+
+	/**
+	 * Record a nick's status seen without MONITOR (MONITOR replies are authoritative otherwise)
+	 */
+	setOnline(nick, online, fallback) {
+		if (fallback) {
+			this.online.set(nick.toLowerCase(), online);
+		}
+	}
+
+	/**
+	 * Get a watched nick's status
+	 * @returns {string} "online", "offline" or "unknown"
+	 */
+	getStatus(nick) {
+		const online = this.online.get(nick.toLowerCase());
+		return online === undefined ? "unknown" : online ? "online" : "offline";
+	}
+
+	/**
+	 * Emit a notification about a watched nick, unless it is still in its cooldown
+	 * @param {string} type - "online", "offline", "join" or "part"
+	 * @param {Object} [fields] - { channel, channelType, reason }
+	 */
+	notify(type, nick, fields = {}, now = Date.now()) {
+		const key = nick.toLowerCase();
+		const cooldown = (this.getSettings().cooldownSeconds || 0) * 1000;
+		const last = this.lastNotified.get(key);
+		if (last !== undefined && now - last < cooldown) {
+			return;
+		}
+		this.lastNotified.set(key, now);
+
+		this.emit("message", {
+			type: type,
+			network: this.network.name,
+			channel: fields.channel || this.network.name,
+			channelType: fields.channelType || "lobby",
+			nick: nick,
+			ident: null,
+			hostname: null,
+			account: null,
+			message: fields.reason || "",
+			timestamp: new Date(now),
+			highlight: false,
+			msgid: null,
+			context: [],
+			target: null,
+			reason: fields.reason || null,
+			mode: null
+		});
+	}
+}
+
+FriendWatch.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = FriendWatch;
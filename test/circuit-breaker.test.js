@@ -0,0 +1,81 @@
+"use strict";
+
+const { expect } = require("chai");
+const CircuitBreakers = require("../lib/circuit-breaker");
+
+describe("CircuitBreakers", function() {
+	const settings = { failures: 3, cooldownSeconds: 60 };
+	let breakers;
+
+	beforeEach(function() {
+		breakers = new CircuitBreakers();
+	});
+
+	it("should stay closed below the failure threshold", function() {
+		expect(breakers.recordFailure("ntfy", "timeout", settings, 0)).to.equal(null);
+		expect(breakers.recordFailure("ntfy", "timeout", settings, 0)).to.equal(null);
+		expect(breakers.allow("ntfy", 0)).to.equal(true);
+	});
+
+	it("should reset the failure count on success", function() {
+		breakers.recordFailure("ntfy", "timeout", settings, 0);
+		breakers.recordFailure("ntfy", "timeout", settings, 0);
+		expect(breakers.recordSuccess("ntfy")).to.equal(null);
+		expect(breakers.recordFailure("ntfy", "timeout", settings, 0)).to.equal(null);
+		expect(breakers.getStatus("ntfy").failures).to.equal(1);
+	});
+
+	it("should open after consecutive failures and skip sends during the cool-down", function() {
+		breakers.recordFailure("ntfy", "timeout", settings, 0);
+		breakers.recordFailure("ntfy", "timeout", settings, 0);
+		expect(breakers.recordFailure("ntfy", "timeout", settings, 1000)).to.equal("open");
+
+		expect(breakers.getStatus("ntfy")).to.include({ state: "open", openUntil: 61000, lastError: "timeout" });
+		expect(breakers.allow("ntfy", 60999)).to.equal(false);
+		expect(breakers.allow("pushover", 60999)).to.equal(true);
+	});
+
+	it("should allow a single trial send after the cool-down", function() {
+		for (let i = 0; i < 3; i++) {
+			breakers.recordFailure("ntfy", "timeout", settings, 0);
+		}
+
+		expect(breakers.allow("ntfy", 60000)).to.equal(true);
+		expect(breakers.getStatus("ntfy").state).to.equal("half-open");
+		expect(breakers.allow("ntfy", 60000)).to.equal(false);
+	});
+
+	it("should close when the trial succeeds", function() {
+		for (let i = 0; i < 3; i++) {
+			breakers.recordFailure("ntfy", "timeout", settings, 0);
+		}
+		breakers.allow("ntfy", 60000);
+
+		expect(breakers.recordSuccess("ntfy")).to.equal("closed");
+		expect(breakers.getStatus("ntfy")).to.include({ state: "closed", failures: 0 });
+	});
+
+	it("should reopen quietly when the trial fails", function() {
+		for (let i = 0; i < 3; i++) {
+			breakers.recordFailure("ntfy", "timeout", settings, 0);
+		}
+		breakers.allow("ntfy", 60000);
+
+		expect(breakers.recordFailure("ntfy", "still down", settings, 60000)).to.equal(null);
+		expect(breakers.getStatus("ntfy")).to.include({ state: "open", openUntil: 120000 });
+	});
+
+	it("should never open with failures set to 0", function() {
+		for (let i = 0; i < 10; i++) {
+			expect(breakers.recordFailure("ntfy", "timeout", { failures: 0, cooldownSeconds: 60 }, 0)).to.equal(null);
+		}
+		expect(breakers.allow("ntfy", 0)).to.equal(true);
+	});
+
+	it("should key services case-insensitively", function() {
+		for (let i = 0; i < 3; i++) {
+			breakers.recordFailure("Pushover", "timeout", settings, 0);
+		}
+		expect(breakers.allow("pushover", 0)).to.equal(false);
+	});
+});
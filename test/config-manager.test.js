@@ -188,6 +188,348 @@ describe("ConfigManager", function() {
 		});
 	});
 
+	describe("validateConfig() channel filters", function() {
+		it("should default to empty include/exclude lists", function() {
+			const validated = configManager.validateConfig({ filters: {} });
+
+			expect(validated.filters.channels.include).to.deep.equal([]);
+			expect(validated.filters.channels.exclude).to.deep.equal([]);
+		});
+
+		it("should keep channel include/exclude patterns", function() {
+			const validated = configManager.validateConfig({
+				filters: {
+					channels: {
+						include: ["#team-*", 42],
+						exclude: ["#random"]
+					}
+				}
+			});
+
+			expect(validated.filters.channels.include).to.deep.equal(["#team-*"]);
+			expect(validated.filters.channels.exclude).to.deep.equal(["#random"]);
+		});
+
+		it("should migrate legacy whitelist/blacklist keys", function() {
+			const validated = configManager.validateConfig({
+				filters: {
+					channels: {
+						whitelist: ["#allowed"],
+						blacklist: ["#blocked"]
+					}
+				}
+			});
+
+			expect(validated.filters.channels.include).to.deep.equal(["#allowed"]);
+			expect(validated.filters.channels.exclude).to.deep.equal(["#blocked"]);
+		});
+
+		it("should normalize ignore and VIP lists", function() {
+			const validated = configManager.validateConfig({
+				filters: {
+					ignore: { nicks: ["ci-bot*"] },
+					vip: "not-an-object"
+				}
+			});
+
+			expect(validated.filters.ignore).to.deep.equal({ nicks: ["ci-bot*"], accounts: [] });
+			expect(validated.filters.vip).to.deep.equal({ nicks: [], accounts: [] });
+		});
+
+		it("should validate private message and notice modes", function() {
+			const validated = configManager.validateConfig({
+				filters: {
+					privateMessages: "always",
+					notices: "sometimes"
+				}
+			});
+
+			expect(validated.filters.privateMessages).to.equal("always");
+			expect(validated.filters.notices).to.equal("highlight-only");
+		});
+
+		it("should validate the quiet hours schedule", function() {
+			const validated = configManager.validateConfig({
+				schedule: {
+					enabled: true,
+					timezone: "Not/AZone",
+					windows: [
+						{ days: ["mon", "tue"], start: "22:00", end: "07:00" },
+						{ days: ["mon"], start: "bad" }
+					],
+					breakthrough: { keywords: ["urgent"] }
+				}
+			});
+
+			expect(validated.schedule.enabled).to.equal(true);
+			expect(validated.schedule.timezone).to.equal("");
+			expect(validated.schedule.windows).to.have.length(1);
+			expect(validated.schedule.vipBreakthrough).to.equal(true);
+			expect(validated.schedule.breakthrough).to.deep.equal({ nicks: [], accounts: [], keywords: ["urgent"] });
+		});
+
+		it("should preserve unrecognized keys", function() {
+			const validated = configManager.validateConfig({
+				customSetting: "keep me",
+				filters: { futureFilter: true },
+				format: { futureTemplate: "{{nick}}" }
+			});
+
+			expect(validated.customSetting).to.equal("keep me");
+			expect(validated.filters.futureFilter).to.equal(true);
+			expect(validated.format.futureTemplate).to.equal("{{nick}}");
+		});
+	});
+
+	describe("validateConfig() mutes", function() {
+		it("should drop expired and malformed mutes", function() {
+			const active = { network: "Libera", target: "#incident-123", until: Date.now() + 60000 };
+			const validated = configManager.validateConfig({
+				mutes: [
+					active,
+					{ network: "Libera", target: "#old", until: Date.now() - 1000 },
+					{ target: "#no-network", until: Date.now() + 60000 },
+					null
+				]
+			});
+
+			expect(validated.mutes).to.deep.equal([active]);
+		});
+	});
+
+	describe("validateConfig() delivery", function() {
+		it("should default the dedup window to 60 seconds", function() {
+			expect(configManager.validateConfig({}).delivery.dedupSeconds).to.equal(60);
+			expect(configManager.validateConfig({ delivery: { dedupSeconds: 0 } }).delivery.dedupSeconds).to.equal(0);
+			expect(configManager.validateConfig({ delivery: { dedupSeconds: -5 } }).delivery.dedupSeconds).to.equal(60);
+		});
+
+		it("should default the retry window to one hour", function() {
+			expect(configManager.validateConfig({}).delivery.retrySeconds).to.equal(3600);
+			expect(configManager.validateConfig({ delivery: { retrySeconds: 0 } }).delivery.retrySeconds).to.equal(0);
+			expect(configManager.validateConfig({ delivery: { retrySeconds: "1h" } }).delivery.retrySeconds).to.equal(3600);
+		});
+
+		it("should validate the delivery mode, order and circuit breaker", function() {
+			const defaults = configManager.validateConfig({}).delivery;
+			expect(defaults).to.include({ mode: "broadcast", breakerFailures: 5, cooldownSeconds: 300 });
+			expect(defaults.order).to.deep.equal([]);
+
+			const delivery = configManager.validateConfig({
+				delivery: { mode: "first-success", order: ["Ntfy", "", 3, "pushover"], breakerFailures: 0, cooldownSeconds: 0 }
+			}).delivery;
+			expect(delivery).to.include({ mode: "first-success", breakerFailures: 0, cooldownSeconds: 300 });
+			expect(delivery.order).to.deep.equal(["ntfy", "pushover"]);
+
+			expect(configManager.validateConfig({ delivery: { mode: "round-robin" } }).delivery.mode).to.equal("broadcast");
+		});
+
+		it("should validate the replay settings", function() {
+			expect(configManager.validateConfig({}).delivery).to.include({ maxAgeSeconds: 300, replay: "summary" });
+			expect(configManager.validateConfig({ delivery: { maxAgeSeconds: 0, replay: "drop" } }).delivery)
+				.to.include({ maxAgeSeconds: 0, replay: "drop" });
+			expect(configManager.validateConfig({ delivery: { maxAgeSeconds: -1, replay: "keep" } }).delivery)
+				.to.include({ maxAgeSeconds: 300, replay: "summary" });
+		});
+	});
+
+	describe("validateConfig() events", function() {
+		it("should default every event type to off", function() {
+			expect(configManager.validateConfig({}).events).to.deep.equal({
+				invite: false,
+				kick: false,
+				ban: false,
+				op: false,
+				topic: false,
+				topicChannels: []
+			});
+		});
+
+		it("should keep valid toggles and watched channels", function() {
+			const events = configManager.validateConfig({ events: { kick: true, ban: "yes", topicChannels: ["#ops", 5] } }).events;
+
+			expect(events).to.include({ kick: true, ban: false });
+			expect(events.topicChannels).to.deep.equal(["#ops"]);
+		});
+
+		it("should add default templates for event types", function() {
+			const format = configManager.validateConfig({ format: { kickMessage: "kicked" } }).format;
+
+			expect(format.kickMessage).to.equal("kicked");
+			expect(format.inviteMessage).to.equal("{{nick}} invited you to {{target}}");
+		});
+	});
+
+	describe("validateConfig() connection", function() {
+		it("should default to no alerts with a 10 minute and 3 failure threshold", function() {
+			expect(configManager.validateConfig({}).connection).to.deep.equal({
+				disconnected: false,
+				unreachable: false,
+				reconnected: false,
+				disconnectSeconds: 600,
+				failures: 3
+			});
+		});
+
+		it("should replace invalid thresholds with defaults", function() {
+			const connection = configManager.validateConfig({ connection: { disconnected: true, disconnectSeconds: 0, failures: "5" } }).connection;
+
+			expect(connection).to.include({ disconnected: true, disconnectSeconds: 600, failures: 3 });
+		});
+	});
+
+	describe("validateConfig() watch", function() {
+		it("should default to an empty watch list with a 5 minute cooldown", function() {
+			expect(configManager.validateConfig({}).watch).to.deep.equal({ nicks: [], cooldownSeconds: 300 });
+		});
+
+		it("should drop invalid and duplicate entries", function() {
+			const watch = configManager.validateConfig({
+				watch: {
+					nicks: [
+						{ network: "Libera", nick: "alice" },
+						{ network: "libera", nick: "Alice" },
+						{ network: "Libera" },
+						"bob"
+					],
+					cooldownSeconds: 0
+				}
+			}).watch;
+
+			expect(watch.nicks).to.deep.equal([{ network: "Libera", nick: "alice" }]);
+			expect(watch.cooldownSeconds).to.equal(0);
+		});
+	});
+
+	describe("validateConfig() context", function() {
+		it("should default to no context lines", function() {
+			expect(configManager.validateConfig({}).context).to.deep.equal({ lines: 0, queryExchange: false });
+			expect(configManager.validateConfig({}).format.contextLine).to.equal("<{{nick}}> {{message}}");
+		});
+
+		it("should reject out of range line counts", function() {
+			expect(configManager.validateConfig({ context: { lines: 3 } }).context.lines).to.equal(3);
+			expect(configManager.validateConfig({ context: { lines: 500 } }).context.lines).to.equal(0);
+		});
+	});
+
+	describe("validateConfig() limits", function() {
+		it("should default to no limits with a summary on overflow", function() {
+			const validated = configManager.validateConfig({});
+
+			expect(validated.limits).to.deep.equal({ global: null, channel: null, services: {}, overflow: "summary" });
+		});
+
+		it("should drop invalid limits", function() {
+			const validated = configManager.validateConfig({
+				limits: {
+					global: { count: 30, seconds: 3600 },
+					channel: { count: -1, seconds: 60 },
+					services: { Pushover: { count: 5, seconds: 600 }, ntfy: "fast" },
+					overflow: "explode"
+				}
+			});
+
+			expect(validated.limits).to.deep.equal({
+				global: { count: 30, seconds: 3600 },
+				channel: null,
+				services: { pushover: { count: 5, seconds: 600 } },
+				overflow: "summary"
+			});
+		});
+	});
+
+	describe("network overrides", function() {
+		const libera = { uuid: "net-libera", name: "Libera" };
+		const work = { uuid: "net-work", name: "Work" };
+
+		beforeEach(function() {
+			const config = configManager.getDefaultConfig();
+			config.enabled = true;
+			config.services.pushover = { enabled: true, userKey: "key", apiToken: "token", priority: 0 };
+			configManager.save(config);
+		});
+
+		it("should use the user's defaults when a network has no overrides", function() {
+			const config = configManager.loadForNetwork(libera);
+
+			expect(config.enabled).to.equal(true);
+			expect(config.filters.onlyWhenAway).to.equal(true);
+			expect(configManager.getNetworkOverrides(configManager.load(), libera.uuid)).to.deep.equal([]);
+		});
+
+		it("should save changes to a network config as overrides only", function() {
+			const config = configManager.loadForNetwork(work);
+			config.filters.onlyWhenAway = false;
+			config.services.pushover.priority = 1;
+			expect(configManager.save(config)).to.equal(true);
+
+			const base = configManager.load();
+			expect(base.filters.onlyWhenAway).to.equal(true);
+			expect(base.services.pushover.priority).to.equal(0);
+			expect(base.networks[work.uuid]).to.deep.equal({
+				name: "Work",
+				filters: { onlyWhenAway: false },
+				services: { pushover: { priority: 1 } }
+			});
+
+			expect(configManager.loadForNetwork(work).filters.onlyWhenAway).to.equal(false);
+			expect(configManager.loadForNetwork(libera).filters.onlyWhenAway).to.equal(true);
+		});
+
+		it("should let networks inherit later changes to defaults", function() {
+			const networkConfig = configManager.loadForNetwork(work);
+			networkConfig.filters.highlights = false;
+			configManager.save(networkConfig);
+
+			const base = configManager.load();
+			base.filters.onlyWhenAway = false;
+			configManager.save(base);
+
+			const effective = configManager.loadForNetwork(work);
+			expect(effective.filters.onlyWhenAway).to.equal(false);
+			expect(effective.filters.highlights).to.equal(false);
+		});
+
+		it("should override the enabled flag per network", function() {
+			const config = configManager.loadForNetwork(work);
+			config.enabled = false;
+			configManager.save(config);
+
+			expect(configManager.loadForNetwork(work).enabled).to.equal(false);
+			expect(configManager.loadForNetwork(libera).enabled).to.equal(true);
+			expect(configManager.getNetworkOverrides(configManager.load(), work.uuid)).to.deep.equal(["enabled"]);
+		});
+
+		it("should list overridden settings as dotted paths", function() {
+			const config = configManager.loadForNetwork(work);
+			config.filters.highlights = false;
+			config.format.title = "[work] {{channel}}";
+			config.services.pushover.priority = 2;
+			configManager.save(config);
+
+			expect(configManager.getNetworkOverrides(configManager.load(), work.uuid)).to.deep.equal([
+				"filters.highlights",
+				"format.title",
+				"services.pushover.priority"
+			]);
+		});
+
+		it("should reset one section or all overrides", function() {
+			const config = configManager.loadForNetwork(work);
+			config.enabled = false;
+			config.filters.highlights = false;
+			configManager.save(config);
+
+			configManager.resetNetworkOverrides(work.uuid, "filters");
+			expect(configManager.getNetworkOverrides(configManager.load(), work.uuid)).to.deep.equal(["enabled"]);
+
+			configManager.resetNetworkOverrides(work.uuid);
+			expect(configManager.load().networks).to.deep.equal({});
+			expect(configManager.loadForNetwork(work).enabled).to.equal(true);
+		});
+	});
+
 	describe("isValid()", function() {
 		it("should return false for empty services", function() {
 			const isValid = configManager.isValid();
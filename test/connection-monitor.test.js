@@ -0,0 +1,114 @@
+"use strict";
+
+const { expect } = require("chai");
+const EventEmitter = require("events");
+const ConnectionMonitor = require("../lib/connection-monitor");
+
+describe("ConnectionMonitor", function() {
+	let network;
+	let monitor;
+	let alerts;
+
+	beforeEach(function() {
+		network = { name: "freenode", irc: new EventEmitter() };
+		monitor = new ConnectionMonitor(network, { getSettings: () => ({ disconnectSeconds: 600, failures: 3 }) });
+		alerts = [];
+		monitor.on("alert", event => alerts.push(event));
+		monitor.attach();
+	});
+
+	afterEach(function() {
+		monitor.detach();
+	});
+
+	describe("disconnects", function() {
+		it("should alert when still disconnected after disconnectSeconds", function() {
+			monitor.handleClose(new Error("read ECONNRESET"), 1000);
+			expect(alerts).to.have.length(0);
+
+			monitor.raise("disconnected", 1000 + 600 * 1000);
+
+			expect(alerts).to.have.length(1);
+			expect(alerts[0]).to.include({
+				type: "disconnected",
+				network: "freenode",
+				channel: "freenode",
+				channelType: "lobby",
+				reason: "read ECONNRESET",
+				duration: 600 * 1000,
+				attempts: 0
+			});
+		});
+
+		it("should cancel the pending alert when the network reconnects", function() {
+			monitor.handleClose(null, 1000);
+			network.irc.emit("registered");
+
+			expect(monitor.outage).to.equal(null);
+			expect(alerts).to.have.length(0);
+		});
+
+		it("should ignore disconnects the user asked for", function() {
+			network.userDisconnected = true;
+			network.irc.emit("socket close");
+
+			expect(monitor.outage).to.equal(null);
+		});
+
+		it("should use the server's error as the reason", function() {
+			network.irc.emit("irc error", { error: "irc", reason: "Closing Link: K-Lined" });
+			network.irc.emit("socket close");
+
+			expect(monitor.outage.reason).to.equal("Closing Link: K-Lined");
+		});
+
+		it("should fall back to a generic reason", function() {
+			network.irc.emit("socket close", false);
+
+			expect(monitor.outage.reason).to.equal("connection closed");
+		});
+	});
+
+	describe("reconnect failures", function() {
+		it("should alert once after the configured number of failed attempts", function() {
+			monitor.handleClose(null, 0);
+			monitor.handleClose(new Error("connect ECONNREFUSED"), 1000);
+			monitor.handleClose(null, 2000);
+			monitor.handleClose(null, 3000);
+			monitor.handleClose(null, 4000);
+
+			expect(alerts).to.have.length(1);
+			expect(alerts[0]).to.include({ type: "unreachable", attempts: 3, reason: "connect ECONNREFUSED", duration: 3000 });
+		});
+	});
+
+	describe("recovery", function() {
+		it("should report the recovery after an outage that raised an alert", function() {
+			monitor.handleClose(null, 0);
+			monitor.raise("disconnected", 600 * 1000);
+			monitor.handleConnected(900 * 1000);
+
+			expect(alerts.map(alert => alert.type)).to.deep.equal(["disconnected", "reconnected"]);
+			expect(alerts[1].duration).to.equal(900 * 1000);
+			expect(monitor.outage).to.equal(null);
+		});
+
+		it("should not report a short outage", function() {
+			monitor.handleClose(null, 0);
+			monitor.handleConnected(5000);
+
+			expect(alerts).to.have.length(0);
+		});
+	});
+
+	describe("detach()", function() {
+		it("should remove its listeners and forget the outage", function() {
+			monitor.handleClose(null, 0);
+			monitor.detach();
+
+			expect(network.irc.listenerCount("socket close")).to.equal(0);
+			expect(network.irc.listenerCount("registered")).to.equal(0);
+			expect(monitor.outage).to.equal(null);
+		});
+	});
+});
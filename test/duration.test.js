@@ -0,0 +1,38 @@
+"use strict";
+
+const { expect } = require("chai");
+const { parseDuration, formatDuration } = require("../lib/duration");
+
+const MINUTE = 60 * 1000;
+
+describe("Duration", function() {
+	describe("parseDuration()", function() {
+		it("should parse units and combinations", function() {
+			expect(parseDuration("45m")).to.equal(45 * MINUTE);
+			expect(parseDuration("2h")).to.equal(120 * MINUTE);
+			expect(parseDuration("1h30m")).to.equal(90 * MINUTE);
+			expect(parseDuration("1d")).to.equal(1440 * MINUTE);
+			expect(parseDuration("30s")).to.equal(30 * 1000);
+		});
+
+		it("should take a bare number as minutes", function() {
+			expect(parseDuration("10")).to.equal(10 * MINUTE);
+		});
+
+		it("should reject invalid or zero durations", function() {
+			expect(parseDuration("soon")).to.equal(null);
+			expect(parseDuration("5x")).to.equal(null);
+			expect(parseDuration("0m")).to.equal(null);
+			expect(parseDuration("")).to.equal(null);
+		});
+	});
+
+	describe("formatDuration()", function() {
+		it("should format durations compactly", function() {
+			expect(formatDuration(45 * MINUTE)).to.equal("45m");
+			expect(formatDuration(90 * MINUTE)).to.equal("1h 30m");
+			expect(formatDuration(26 * 60 * MINUTE)).to.equal("1d 2h");
+			expect(formatDuration(20 * 1000)).to.equal("20s");
+		});
+	});
+});
@@ -0,0 +1,152 @@
+"use strict";
+
+const { expect } = require("chai");
+const NotificationHistory = require("../lib/history");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("NotificationHistory", function() {
+	let storageDir;
+	let history;
+	const retention = { maxEntries: 1000, maxDays: 30 };
+
+	function result(overrides = {}) {
+		return {
+			notification: { title: "freenode - #dev", message: "<alice> testuser: deploy failed", timestamp: new Date() },
+			services: ["Pushover"],
+			failed: [],
+			messageData: { network: "freenode", channel: "#dev", nick: "alice" },
+			...overrides
+		};
+	}
+
+	beforeEach(function() {
+		storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "thelounge-test-"));
+		history = new NotificationHistory({ name: "testuser" }, storageDir);
+	});
+
+	afterEach(function() {
+		fs.rmSync(storageDir, { recursive: true, force: true });
+	});
+
+	describe("createEntry()", function() {
+		it("should record sent notifications", function() {
+			const entry = NotificationHistory.createEntry(result(), new Date("2025-01-15T14:30:00Z"));
+
+			expect(entry).to.deep.equal({
+				time: "2025-01-15T14:30:00.000Z",
+				kind: "notification",
+				status: "sent",
+				reason: null,
+				network: "freenode",
+				channel: "#dev",
+				nick: "alice",
+				title: "freenode - #dev",
+				message: "<alice> testuser: deploy failed",
+				services: ["Pushover"],
+				failed: []
+			});
+		});
+
+		it("should record why a notification was not sent", function() {
+			expect(NotificationHistory.createEntry(result({ services: [], cancelled: "read" }))).to.include({ status: "suppressed", reason: "read" });
+			expect(NotificationHistory.createEntry(result({ services: [], batched: true }))).to.include({ status: "batched" });
+			expect(NotificationHistory.createEntry(result({
+				services: [],
+				failed: [{ service: "Pushover", error: "timeout" }]
+			}))).to.include({ status: "failed", reason: "Pushover: timeout" });
+		});
+
+		it("should record the kind of notification", function() {
+			expect(NotificationHistory.createEntry(result({ digest: 3 })).kind).to.equal("digest");
+			expect(NotificationHistory.createEntry(result({ escalated: true })).kind).to.equal("escalation");
+			expect(NotificationHistory.createEntry(result({ messageData: null, suppressed: 4 }))).to.include({ kind: "summary", channel: null });
+		});
+	});
+
+	describe("record() and load()", function() {
+		it("should append entries to a per-user file", function() {
+			history.record(result(), retention);
+			history.record(result({ services: [], cancelled: "replied" }), retention);
+
+			expect(history.historyPath).to.equal(path.join(storageDir, "testuser-history.jsonl"));
+			expect(fs.readFileSync(history.historyPath, "utf8").trim().split("\n")).to.have.length(2);
+			expect(history.load(retention).map(entry => entry.status)).to.deep.equal(["sent", "suppressed"]);
+		});
+
+		it("should skip malformed lines", function() {
+			history.record(result(), retention);
+			fs.appendFileSync(history.historyPath, "{\"broken\n");
+			history.record(result(), retention);
+
+			expect(history.load(retention)).to.have.length(2);
+		});
+
+		it("should return no entries when there is no file", function() {
+			expect(history.load(retention)).to.deep.equal([]);
+		});
+	});
+
+	describe("retention", function() {
+		it("should drop entries older than maxDays", function() {
+			const now = Date.now();
+			history.append(NotificationHistory.createEntry(result(), new Date(now - 31 * DAY)), retention);
+			history.append(NotificationHistory.createEntry(result(), new Date(now - DAY)), retention);
+
+			expect(history.load(retention, now)).to.have.length(1);
+		});
+
+		it("should compact the file once it is well over maxEntries", function() {
+			const small = { maxEntries: 10, maxDays: 30 };
+			for (let i = 0; i < 61; i++) {
+				history.record(result(), small);
+			}
+
+			expect(fs.readFileSync(history.historyPath, "utf8").trim().split("\n")).to.have.length(10);
+			expect(history.entryCount).to.equal(10);
+		});
+	});
+
+	describe("parseHistoryArgs()", function() {
+		it("should parse count and options", function() {
+			expect(NotificationHistory.parseHistoryArgs([])).to.deep.equal({ count: 10, channel: null, failed: false, search: null });
+			expect(NotificationHistory.parseHistoryArgs(["20", "--channel", "#dev", "--search", "deploy", "failed", "--failed"])).to.deep.equal({
+				count: 20,
+				channel: "#dev",
+				failed: true,
+				search: "deploy failed"
+			});
+		});
+
+		it("should reject invalid arguments", function() {
+			expect(() => NotificationHistory.parseHistoryArgs(["--channel"])).to.throw(/needs a channel/);
+			expect(() => NotificationHistory.parseHistoryArgs(["--search"])).to.throw(/needs some text/);
+			expect(() => NotificationHistory.parseHistoryArgs(["--verbose"])).to.throw(/Unknown option/);
+		});
+	});
+
+	describe("filterEntries()", function() {
+		const entries = [
+			NotificationHistory.createEntry(result()),
+			NotificationHistory.createEntry(result({ messageData: { network: "freenode", channel: "#ops", nick: "bob" } })),
+			NotificationHistory.createEntry(result({ services: [], failed: [{ service: "Pushover", error: "timeout" }] }))
+		];
+
+		it("should filter by channel, failure and text", function() {
+			const query = { count: 10, channel: null, failed: false, search: null };
+
+			expect(NotificationHistory.filterEntries(entries, { ...query, channel: "#OPS" })).to.have.length(1);
+			expect(NotificationHistory.filterEntries(entries, { ...query, failed: true })).to.have.length(1);
+			expect(NotificationHistory.filterEntries(entries, { ...query, search: "TIMEOUT" })).to.have.length(1);
+		});
+
+		it("should return the newest entries", function() {
+			const newest = NotificationHistory.filterEntries(entries, { count: 2, channel: null, failed: false, search: null });
+
+			expect(newest).to.deep.equal(entries.slice(1));
+		});
+	});
+});
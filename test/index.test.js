@@ -0,0 +1,152 @@
+"use strict";
+
+const { expect } = require("chai");
+const EventEmitter = require("events");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const plugin = require("../index");
+
+// Minimal stand-ins for TheLounge's Chan, Network and Client models
+class Channel {
+	constructor(name, topic = "") {
+		this.name = name;
+		this.type = "channel";
+		this.topic = topic;
+		this.messages = [];
+	}
+
+	pushMessage(client, msg) {
+		this.messages.push(msg);
+	}
+}
+
+class Network {
+	constructor(uuid) {
+		this.uuid = uuid;
+		this.name = "freenode";
+		// The plugin channel already exists, so commands don't open (and announce) a new one
+		this.channels = [new Channel("#dev"), new Channel("external-notify", "External Notify - Settings & Status (v1.0.0)")];
+		this.irc = new EventEmitter();
+	}
+
+	addChannel(channel) {
+		this.channels.push(channel);
+	}
+}
+
+let nextClientId = 1;
+
+function createClient(name) {
+	const network = new Network(`${name}-network`);
+	return { id: nextClientId++, name: name, networks: [network] };
+}
+
+// Run a /notify command the way TheLounge does
+function notify(client, ...args) {
+	const commands = require("../lib/commands");
+	commands.notifyCommand.input({ client: client }, { network: client.networks[0] }, "notify", args);
+}
+
+describe("Plugin wiring", function() {
+	let storageDir;
+
+	const api = {
+		Config: { getPersistentStorageDir: () => storageDir },
+		Logger: { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} },
+		Commands: { add: () => {} }
+	};
+
+	function writeConfig(name, config) {
+		fs.writeFileSync(path.join(storageDir, `${name}-config.json`), JSON.stringify(config), "utf8");
+	}
+
+	before(function() {
+		storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "thelounge-test-"));
+		plugin.onServerStart(api);
+	});
+
+	after(function() {
+		fs.rmSync(storageDir, { recursive: true, force: true });
+	});
+
+	describe("/notify enable and disable", function() {
+		it("should remove every hook from the network when disabled", function() {
+			const client = createClient("wiring");
+			const network = client.networks[0];
+			const channel = network.channels[0];
+			writeConfig(client.name, { enabled: false, services: { webhook: { enabled: true, url: "http://127.0.0.1:9/hook" } } });
+
+			notify(client, "enable");
+			expect(Object.prototype.hasOwnProperty.call(channel, "pushMessage")).to.equal(true);
+			expect(Object.prototype.hasOwnProperty.call(network, "addChannel")).to.equal(true);
+			expect(network.irc.eventNames()).to.not.be.empty;
+
+			notify(client, "disable");
+			expect(plugin.getPluginState(client, network).pipeline).to.equal(null);
+			expect(Object.prototype.hasOwnProperty.call(channel, "pushMessage")).to.equal(false);
+			expect(Object.prototype.hasOwnProperty.call(network, "addChannel")).to.equal(false);
+			expect(network.irc.eventNames()).to.deep.equal([]);
+		});
+	});
+
+	describe("server start", function() {
+		let server;
+		let received;
+
+		beforeEach(function(done) {
+			received = [];
+			server = http.createServer((req, res) => {
+				let body = "";
+				req.on("data", chunk => body += chunk);
+				req.on("end", () => {
+					received.push(JSON.parse(body));
+					res.end("ok");
+				});
+			});
+			server.listen(0, "127.0.0.1", done);
+		});
+
+		afterEach(function(done) {
+			server.close(done);
+		});
+
+		it("should deliver a persisted outbox without any command", async function() {
+			const url = `http://127.0.0.1:${server.address().port}/hook`;
+			writeConfig("restarted", { enabled: true, services: { webhook: { enabled: true, url: url } } });
+			fs.writeFileSync(path.join(storageDir, "restarted-outbox.json"), JSON.stringify({
+				items: [{
+					id: "abc123",
+					owner: "restarted-network",
+					service: "webhook",
+					notification: { title: "freenode - #dev", message: "<alice> testuser: deploy failed", timestamp: new Date().toISOString() },
+					messageData: { network: "freenode", channel: "#dev", nick: "alice" },
+					attempts: 1,
+					createdAt: Date.now() - 60000,
+					nextAttempt: Date.now() - 1000,
+					lastError: "socket hang up"
+				}]
+			}), "utf8");
+
+			plugin.onServerStart(api);
+			for (let i = 0; i < 100 && plugin.getOutbox({ name: "restarted" }).list().length > 0; i++) {
+				await new Promise(resolve => setTimeout(resolve, 10));
+			}
+
+			expect(received.map(body => body.title)).to.deep.equal(["freenode - #dev"]);
+			expect(plugin.getOutbox({ name: "restarted" }).list()).to.deep.equal([]);
+			expect(plugin.getHistory({ name: "restarted" }).load({ maxEntries: 10, maxDays: 1 })[0]).to.include({ kind: "retry", status: "sent" });
+		});
+
+		it("should end a snooze that ran out while the server was down", async function() {
+			writeConfig("snoozer", { enabled: true, services: {}, snoozeUntil: Date.now() - 1000 });
+
+			plugin.onServerStart(api);
+			await new Promise(resolve => setTimeout(resolve, 10));
+
+			const saved = JSON.parse(fs.readFileSync(path.join(storageDir, "snoozer-config.json"), "utf8"));
+			expect(saved.snoozeUntil).to.equal(null);
+		});
+	});
+});
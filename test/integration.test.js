@@ -159,7 +159,8 @@ describe("Integration Tests", function() {
 
 			const result = await notificationManagerAway.processMessage(messageData, mockClient);
 
-			expect(result).to.equal(null);
+			expect(result.cancelled).to.equal("not away");
+			expect(result.services).to.deep.equal([]);
 			expect(mockNotifier.sentNotifications).to.have.length(0);
 		});
 	});
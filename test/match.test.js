@@ -0,0 +1,62 @@
+"use strict";
+
+const { expect } = require("chai");
+const { globToRegExp, matchesGlob, matchesAny, matchesSender } = require("../lib/match");
+
+describe("Pattern Matching", function() {
+	describe("matchesGlob()", function() {
+		it("should match exact names case-insensitively", function() {
+			expect(matchesGlob("#Lounge", "#lounge")).to.equal(true);
+			expect(matchesGlob("#lounge", "#lounge-dev")).to.equal(false);
+		});
+
+		it("should support * and ? wildcards", function() {
+			expect(matchesGlob("#team-backend", "#team-*")).to.equal(true);
+			expect(matchesGlob("#team", "#team-*")).to.equal(false);
+			expect(matchesGlob("#dev1", "#dev?")).to.equal(true);
+			expect(matchesGlob("#dev12", "#dev?")).to.equal(false);
+		});
+
+		it("should treat regex characters literally", function() {
+			expect(matchesGlob("#c++", "#c++")).to.equal(true);
+			expect(matchesGlob("#cxx", "#c.x")).to.equal(false);
+			expect(globToRegExp("[a]").test("[a]")).to.equal(true);
+		});
+
+		it("should not match empty or non-string input", function() {
+			expect(matchesGlob(undefined, "*")).to.equal(false);
+			expect(matchesGlob("#lounge", "")).to.equal(false);
+		});
+	});
+
+	describe("matchesAny()", function() {
+		it("should match if any pattern matches", function() {
+			expect(matchesAny("#oncall", ["#team-*", "#oncall"])).to.equal(true);
+			expect(matchesAny("#random", ["#team-*", "#oncall"])).to.equal(false);
+		});
+
+		it("should return false for missing lists", function() {
+			expect(matchesAny("#oncall", undefined)).to.equal(false);
+			expect(matchesAny("#oncall", [])).to.equal(false);
+		});
+	});
+
+	describe("matchesSender()", function() {
+		const sender = { nick: "CI-Bot", ident: "ci", hostname: "ci.example.com" };
+
+		it("should match plain patterns against the nick", function() {
+			expect(matchesSender(sender, ["ci-bot"])).to.equal(true);
+			expect(matchesSender(sender, ["ci"])).to.equal(false);
+		});
+
+		it("should match hostmask patterns against nick!ident@hostname", function() {
+			expect(matchesSender(sender, ["*!*@ci.example.com"])).to.equal(true);
+			expect(matchesSender(sender, ["*!ci@*"])).to.equal(true);
+			expect(matchesSender(sender, ["*!*@other.example.com"])).to.equal(false);
+		});
+
+		it("should not match hostmask patterns when the host is unknown", function() {
+			expect(matchesSender({ nick: "bob" }, ["*!*@ci.example.com"])).to.equal(false);
+		});
+	});
+});
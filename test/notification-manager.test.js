@@ -27,6 +27,53 @@ class MockNotifier {
 	}
 }
 
+// A user who is at the keyboard
+const client = {
+	name: "testuser",
+	user: { away: false }
+};
+
+/**
+ * Create a manager that notifies on highlights in every channel, away or not
+ * @param {Object} [overrides] - Config sections to replace; filters are merged into the defaults
+ * @param {Object} [notifiers] - Notifiers to install, by service name
+ * @returns {NotificationManager}
+ */
+function createManager(overrides = {}, notifiers = {}) {
+	const { filters, ...config } = overrides;
+	const manager = new NotificationManager({
+		services: {},
+		filters: {
+			onlyWhenAway: false,
+			highlights: true,
+			channels: { include: [], exclude: [] },
+			...filters
+		},
+		...config
+	}, mockLogger);
+	Object.assign(manager.notifiers, notifiers);
+	return manager;
+}
+
+/**
+ * Build a highlight from alice in #dev on freenode
+ * @param {Object} [overrides] - Message fields to replace
+ * @returns {Object} Message data as the plugin passes it to processMessage
+ */
+function highlight(overrides = {}) {
+	return {
+		type: "message",
+		network: "freenode",
+		channel: "#dev",
+		channelType: "channel",
+		nick: "alice",
+		message: "hey testuser",
+		highlight: true,
+		timestamp: new Date(),
+		...overrides
+	};
+}
+
 describe("NotificationManager", function() {
 	let notificationManager;
 	let mockNotifier;
@@ -270,6 +317,328 @@ describe("NotificationManager", function() {
 		});
 	});
 
+	describe("isChannelAllowed()", function() {
+		it("should only notify for channels matching an include pattern", function() {
+			notificationManager = createManager({ filters: { channels: { include: ["#team-*", "#oncall"], exclude: [] } } });
+
+			expect(notificationManager.shouldNotify(highlight({ channel: "#team-backend" }), client)).to.equal(true);
+			expect(notificationManager.shouldNotify(highlight({ channel: "#oncall" }), client)).to.equal(true);
+			expect(notificationManager.shouldNotify(highlight({ channel: "#random" }), client)).to.equal(false);
+		});
+
+		it("should not notify for channels matching an exclude pattern", function() {
+			notificationManager = createManager({ filters: { channels: { include: [], exclude: ["#random"] } } });
+
+			expect(notificationManager.shouldNotify(highlight({ channel: "#random" }), client)).to.equal(false);
+			expect(notificationManager.shouldNotify(highlight({ channel: "#dev" }), client)).to.equal(true);
+		});
+
+		it("should let exclude win over include", function() {
+			notificationManager = createManager({ filters: { channels: { include: ["#team-*"], exclude: ["#team-social"] } } });
+
+			expect(notificationManager.isChannelAllowed("#team-backend")).to.equal(true);
+			expect(notificationManager.isChannelAllowed("#team-social")).to.equal(false);
+		});
+
+		it("should match channel patterns case-insensitively", function() {
+			notificationManager = createManager({ filters: { channels: { include: ["#Team-*"], exclude: [] } } });
+
+			expect(notificationManager.isChannelAllowed("#TEAM-ops")).to.equal(true);
+		});
+	});
+
+	describe("ignore and VIP lists", function() {
+		it("should not notify for ignored nicks even on highlight", function() {
+			notificationManager = createManager({ filters: { ignore: { nicks: ["ci-bot*"], accounts: [] } } });
+
+			expect(notificationManager.shouldNotify(highlight({ nick: "ci-bot-3" }), client)).to.equal(false);
+			expect(notificationManager.shouldNotify(highlight({ nick: "alice" }), client)).to.equal(true);
+		});
+
+		it("should match ignore hostmask patterns", function() {
+			notificationManager = createManager({ filters: { ignore: { nicks: ["*!*@relay.example.com"], accounts: [] } } });
+
+			const relayed = highlight({ nick: "bob", ident: "relay", hostname: "relay.example.com" });
+			const direct = highlight({ nick: "bob", ident: "bob", hostname: "home.example.net" });
+
+			expect(notificationManager.shouldNotify(relayed, client)).to.equal(false);
+			expect(notificationManager.shouldNotify(direct, client)).to.equal(true);
+		});
+
+		it("should match ignored accounts", function() {
+			notificationManager = createManager({ filters: { ignore: { nicks: [], accounts: ["relaybot"] } } });
+
+			expect(notificationManager.shouldNotify(highlight({ nick: "relay", account: "RelayBot" }), client)).to.equal(false);
+		});
+
+		it("should notify for VIP nicks without a highlight", function() {
+			notificationManager = createManager({ filters: { vip: { nicks: ["manager"], accounts: [] } } });
+
+			expect(notificationManager.shouldNotify(highlight({ nick: "manager", highlight: false }), client)).to.equal(true);
+			expect(notificationManager.shouldNotify(highlight({ nick: "alice", highlight: false }), client)).to.equal(false);
+		});
+
+		it("should notify for VIP accounts in excluded channels", function() {
+			notificationManager = createManager({
+				filters: {
+					channels: { include: [], exclude: ["#dev"] },
+					vip: { nicks: [], accounts: ["pager"] }
+				}
+			});
+
+			expect(notificationManager.shouldNotify(highlight({ nick: "pagerbot", account: "pager", highlight: false }), client)).to.equal(true);
+		});
+
+		it("should ignore logged-out account markers", function() {
+			notificationManager = createManager({ filters: { vip: { nicks: [], accounts: ["*"] } } });
+
+			expect(notificationManager.shouldNotify(highlight({ nick: "alice", account: "*", highlight: false }), client)).to.equal(false);
+		});
+
+		it("should let ignore win over VIP", function() {
+			notificationManager = createManager({
+				filters: {
+					ignore: { nicks: ["bot*"], accounts: [] },
+					vip: { nicks: ["bot*"], accounts: [] }
+				}
+			});
+
+			expect(notificationManager.shouldNotify(highlight({ nick: "botty" }), client)).to.equal(false);
+		});
+
+		it("should still respect onlyWhenAway for VIPs", function() {
+			notificationManager = createManager({
+				filters: {
+					onlyWhenAway: true,
+					vip: { nicks: ["manager"], accounts: [] }
+				}
+			});
+
+			expect(notificationManager.shouldNotify(highlight({ nick: "manager", highlight: false }), client)).to.equal(false);
+		});
+	});
+
+	describe("keyword triggers", function() {
+		const botMessage = text => highlight({ channel: "#deploys", nick: "deploybot", message: text, highlight: false });
+
+		it("should notify on a plain keyword without a highlight", function() {
+			notificationManager = createManager({ filters: { keywords: { triggers: ["deploy failed"], exclude: [] } } });
+
+			const messageData = botMessage("Deploy FAILED for api-server");
+			expect(notificationManager.shouldNotify(messageData, client)).to.equal(true);
+			expect(messageData.keyword).to.equal("Deploy FAILED");
+		});
+
+		it("should not match keywords inside larger words", function() {
+			notificationManager = createManager({ filters: { keywords: { triggers: ["fail"], exclude: [] } } });
+
+			expect(notificationManager.shouldNotify(botMessage("failover complete"), client)).to.equal(false);
+		});
+
+		it("should notify on regex triggers", function() {
+			notificationManager = createManager({ filters: { keywords: { triggers: ["/build #\\d+ (failed|errored)/i"], exclude: [] } } });
+
+			const messageData = botMessage("Build #42 errored on main");
+			expect(notificationManager.shouldNotify(messageData, client)).to.equal(true);
+			expect(messageData.keyword).to.equal("Build #42 errored");
+		});
+
+		it("should not trigger when an exclusion word is present", function() {
+			notificationManager = createManager({ filters: { keywords: { triggers: ["deploy failed"], exclude: ["staging"] } } });
+
+			expect(notificationManager.shouldNotify(botMessage("staging deploy failed"), client)).to.equal(false);
+			expect(notificationManager.shouldNotify(botMessage("production deploy failed"), client)).to.equal(true);
+		});
+
+		it("should trigger keywords even when highlights are disabled", function() {
+			notificationManager = createManager({ filters: { keywords: { triggers: ["deploy failed"], exclude: [] }, highlights: false } });
+
+			expect(notificationManager.shouldNotify(botMessage("deploy failed"), client)).to.equal(true);
+		});
+
+		it("should skip invalid regex triggers", function() {
+			notificationManager = createManager({ filters: { keywords: { triggers: ["/([/", "outage"], exclude: [] } } });
+
+			expect(notificationManager.shouldNotify(botMessage("major outage"), client)).to.equal(true);
+		});
+
+		it("should expose the matched keyword as a template variable", function() {
+			notificationManager = createManager({
+				format: {
+					title: "{{network}}",
+					titleWithChannel: "[{{keyword}}] {{channel}}",
+					message: "<{{nick}}> {{message}}"
+				}
+			});
+
+			const notification = notificationManager.formatNotification(Object.assign(botMessage("deploy failed"), { keyword: "deploy failed" }));
+
+			expect(notification.title).to.equal("[deploy failed] #deploys");
+		});
+	});
+
+	describe("private message and notice modes", function() {
+		const query = (type, isHighlight) => highlight({ type: type, channel: "alice", channelType: "query", message: "are you around?", highlight: isHighlight });
+		const channelNotice = isHighlight => highlight({ type: "notice", message: "maintenance tonight", highlight: isHighlight });
+
+		it("should require a highlight for PMs by default", function() {
+			notificationManager = createManager();
+
+			expect(notificationManager.shouldNotify(query("message", false), client)).to.equal(false);
+			expect(notificationManager.shouldNotify(query("message", true), client)).to.equal(true);
+		});
+
+		it("should always notify for PMs when privateMessages is always", function() {
+			notificationManager = createManager({ filters: { privateMessages: "always", channels: { include: ["#oncall"], exclude: [] } } });
+
+			expect(notificationManager.shouldNotify(query("message", false), client)).to.equal(true);
+		});
+
+		it("should never notify for PMs when privateMessages is never", function() {
+			notificationManager = createManager({ filters: { privateMessages: "never" } });
+
+			expect(notificationManager.shouldNotify(query("message", true), client)).to.equal(false);
+		});
+
+		it("should apply the notices mode to notices", function() {
+			notificationManager = createManager({ filters: { notices: "always" } });
+			expect(notificationManager.shouldNotify(channelNotice(false), client)).to.equal(true);
+
+			notificationManager = createManager({ filters: { notices: "never" } });
+			expect(notificationManager.shouldNotify(channelNotice(true), client)).to.equal(false);
+		});
+
+		it("should let never win when a notice arrives in a query", function() {
+			notificationManager = createManager({ filters: { privateMessages: "always", notices: "never" } });
+
+			expect(notificationManager.shouldNotify(query("notice", false), client)).to.equal(false);
+		});
+
+		it("should still skip ignored nicks in always mode", function() {
+			notificationManager = createManager({ filters: { privateMessages: "always", ignore: { nicks: ["alice"], accounts: [] } } });
+
+			expect(notificationManager.shouldNotify(query("message", false), client)).to.equal(false);
+		});
+	});
+
+	describe("quiet hours", function() {
+		function createQuietManager(schedule) {
+			return createManager({
+				filters: { vip: { nicks: ["manager"], accounts: [] } },
+				schedule: {
+					enabled: true,
+					timezone: "UTC",
+					// Equal start and end mutes the whole day, every day
+					windows: [{ days: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"], start: "00:00", end: "00:00" }],
+					vipBreakthrough: true,
+					breakthrough: { nicks: [], accounts: [], keywords: [] },
+					...schedule
+				}
+			});
+		}
+
+		it("should mute highlights during quiet hours", function() {
+			notificationManager = createQuietManager();
+
+			expect(notificationManager.shouldNotify(highlight(), client)).to.equal(false);
+		});
+
+		it("should not mute when the schedule is disabled", function() {
+			notificationManager = createQuietManager({ enabled: false });
+
+			expect(notificationManager.shouldNotify(highlight(), client)).to.equal(true);
+		});
+
+		it("should let VIPs break through when vipBreakthrough is set", function() {
+			notificationManager = createQuietManager();
+			expect(notificationManager.shouldNotify(highlight({ nick: "manager" }), client)).to.equal(true);
+
+			notificationManager = createQuietManager({ vipBreakthrough: false });
+			expect(notificationManager.shouldNotify(highlight({ nick: "manager" }), client)).to.equal(false);
+		});
+
+		it("should let breakthrough keywords and nicks through", function() {
+			notificationManager = createQuietManager({
+				breakthrough: { nicks: ["pager*"], accounts: [], keywords: ["urgent"] }
+			});
+
+			expect(notificationManager.shouldNotify(highlight({ nick: "alice", message: "testuser: URGENT, prod is down" }), client)).to.equal(true);
+			expect(notificationManager.shouldNotify(highlight({ nick: "pagerbot" }), client)).to.equal(true);
+			expect(notificationManager.shouldNotify(highlight(), client)).to.equal(false);
+		});
+
+		it("should report the active window", function() {
+			notificationManager = createQuietManager();
+
+			expect(notificationManager.getActiveQuietWindow()).to.include({ start: "00:00", end: "00:00" });
+		});
+	});
+
+	describe("snooze", function() {
+		it("should suppress notifications until the snooze expires", function() {
+			notificationManager = createManager({ snoozeUntil: Date.now() + 60000 });
+
+			expect(notificationManager.isSnoozed()).to.equal(true);
+			expect(notificationManager.shouldNotify(highlight(), client)).to.equal(false);
+		});
+
+		it("should notify again once the snooze has expired", function() {
+			notificationManager = createManager({ snoozeUntil: Date.now() - 1000 });
+
+			expect(notificationManager.isSnoozed()).to.equal(false);
+			expect(notificationManager.shouldNotify(highlight(), client)).to.equal(true);
+		});
+
+		it("should not be snoozed without an expiry", function() {
+			notificationManager = createManager({ snoozeUntil: null });
+
+			expect(notificationManager.isSnoozed()).to.equal(false);
+		});
+	});
+
+	describe("temporary mutes", function() {
+		const liberaHighlight = (channel, nick) => highlight({ network: "Libera", channel: channel, nick: nick });
+
+		it("should mute a channel on its network", function() {
+			notificationManager = createManager({ mutes: [{ network: "Libera", target: "#incident-123", until: Date.now() + 60000 }] });
+
+			expect(notificationManager.shouldNotify(liberaHighlight("#incident-123", "alice"), client)).to.equal(false);
+			expect(notificationManager.shouldNotify(liberaHighlight("#dev", "alice"), client)).to.equal(true);
+			expect(notificationManager.shouldNotify(highlight({ network: "OFTC", channel: "#incident-123" }), client)).to.equal(true);
+		});
+
+		it("should mute a nick in any channel", function() {
+			notificationManager = createManager({ mutes: [{ network: "Libera", target: "Alice", until: Date.now() + 60000 }] });
+
+			expect(notificationManager.shouldNotify(liberaHighlight("#dev", "alice"), client)).to.equal(false);
+			expect(notificationManager.shouldNotify(liberaHighlight("alice", "alice"), client)).to.equal(false);
+			expect(notificationManager.shouldNotify(liberaHighlight("#dev", "bob"), client)).to.equal(true);
+		});
+
+		it("should ignore expired mutes", function() {
+			notificationManager = createManager({ mutes: [{ network: "Libera", target: "#incident-123", until: Date.now() - 1000 }] });
+
+			expect(notificationManager.getActiveMute(liberaHighlight("#incident-123", "alice"))).to.equal(null);
+			expect(notificationManager.shouldNotify(liberaHighlight("#incident-123", "alice"), client)).to.equal(true);
+		});
+	});
+
+	describe("presence modes", function() {
+		it("should default to IRC away status", function() {
+			notificationManager = createManager({ filters: { onlyWhenAway: true } });
+
+			expect(notificationManager.shouldNotify(highlight(), { user: { away: "" } })).to.equal(false);
+			expect(notificationManager.shouldNotify(highlight(), { user: { away: "gone" } })).to.equal(true);
+		});
+
+		it("should treat a user without attached browsers as away", function() {
+			notificationManager = createManager({ filters: { onlyWhenAway: true, presence: { modes: ["no-attached-clients"] } } });
+
+			expect(notificationManager.shouldNotify(highlight(), { user: { away: "" }, attachedClients: {} })).to.equal(true);
+			expect(notificationManager.shouldNotify(highlight(), { user: { away: "gone" }, attachedClients: { s1: {} } })).to.equal(false);
+		});
+	});
+
 	describe("formatNotification()", function() {
 		it("should format regular messages", function() {
 			const config = {
@@ -348,9 +717,93 @@ describe("NotificationManager", function() {
 
 			const notification = notificationManager.formatNotification(messageData);
 
-			expect(notification.title).to.equal("freenode");
+			expect(notification.title).to.equal("PM from bob");
 			expect(notification.message).to.equal("<bob> private message");
 		});
+
+		it("should use the channel title for & channels", function() {
+			notificationManager = createManager();
+
+			const notification = notificationManager.formatNotification(highlight({ channel: "&local", nick: "bob", message: "hello" }));
+
+			expect(notification.title).to.equal("freenode - &local");
+		});
+
+		it("should use the channel type reported by TheLounge", function() {
+			notificationManager = createManager();
+
+			const notification = notificationManager.formatNotification(highlight({ channel: "#weird-nick", channelType: "query", nick: "#weird-nick", message: "hello" }));
+
+			expect(notification.title).to.equal("PM from #weird-nick");
+		});
+
+		it("should fall back to the title template when titlePrivate is not set", function() {
+			notificationManager = createManager({
+				format: { title: "{{network}}", titleWithChannel: "{{network}} - {{channel}}", message: "{{message}}" }
+			});
+
+			const notification = notificationManager.formatNotification(highlight({ channel: "bob", channelType: "query", nick: "bob", message: "hello" }));
+
+			expect(notification.title).to.equal("freenode");
+		});
+	});
+
+	describe("context lines", function() {
+		const FormatTemplate = require("../lib/format-template");
+
+		function withContext(format) {
+			notificationManager = createManager({ format: format });
+			return notificationManager.formatNotification(highlight({
+				nick: "bob",
+				message: "testuser: yes, do that",
+				context: [
+					{ type: "message", nick: "alice", message: "should we roll back?", timestamp: new Date() },
+					{ type: "message", nick: "carol", message: "or hotfix?", timestamp: new Date() }
+				]
+			}));
+		}
+
+		it("should show context lines above the message by default", function() {
+			const notification = withContext(undefined);
+
+			expect(notification.message).to.equal("<alice> should we roll back?\n<carol> or hotfix?\n<bob> testuser: yes, do that");
+			expect(notification.context).to.have.length(2);
+		});
+
+		it("should place context with the {{context}} variable and the contextLine template", function() {
+			const notification = withContext({
+				...FormatTemplate.getDefaults(),
+				message: "{{nick}}: {{message}}\n---\n{{context}}",
+				contextLine: "{{nick}} said {{message}}"
+			});
+
+			expect(notification.message).to.equal("bob: testuser: yes, do that\n---\nalice said should we roll back?\ncarol said or hotfix?");
+		});
+
+		it("should not add context when there is none", function() {
+			notificationManager = createManager();
+			const notification = notificationManager.formatNotification(highlight({ nick: "bob", message: "hi" }));
+
+			expect(notification.message).to.equal("<bob> hi");
+			expect(notification).to.not.have.property("context");
+		});
+
+		it("should drop the oldest context lines to fit a service's limit", async function() {
+			const notification = withContext(undefined);
+			mockNotifier.maxMessageLength = 50;
+			notificationManager.notifiers.mock = mockNotifier;
+
+			await notificationManager.sendToNotifiers(notification, notificationManager.notifiers);
+
+			expect(mockNotifier.sentNotifications[0].message).to.equal("<carol> or hotfix?\n<bob> testuser: yes, do that");
+			expect(notification.message).to.have.length.above(50);
+		});
+
+		it("should truncate the message when context alone doesn't fit", function() {
+			const fitted = FormatTemplate.fitMessage({ title: "t", message: "x".repeat(30), timestamp: new Date() }, 10);
+
+			expect(fitted.message).to.equal("x".repeat(9) + "…");
+		});
 	});
 
 	describe("getDeduplicationKey()", function() {
@@ -410,89 +863,748 @@ describe("NotificationManager", function() {
 
 			expect(key1).to.not.equal(key2);
 		});
+
+		it("should keep long messages with the same prefix apart", function() {
+			notificationManager = createManager();
+
+			const prefix = "testuser: the deploy pipeline reported the following problem: ";
+			const key1 = notificationManager.getDeduplicationKey(highlight({ message: prefix + "disk full" }));
+			const key2 = notificationManager.getDeduplicationKey(highlight({ message: prefix + "timeout" }));
+
+			expect(key1).to.not.equal(key2);
+		});
+
+		it("should prefer the IRCv3 msgid", function() {
+			notificationManager = createManager();
+
+			const key = notificationManager.getDeduplicationKey(highlight({ network: "Libera", msgid: "abc123" }));
+
+			expect(key).to.equal("msgid:libera:abc123");
+		});
 	});
 
-	describe("processMessage()", function() {
-		it("should send notification for valid message", async function() {
-			const config = {
-				services: {},
-				filters: {
-					onlyWhenAway: false,
-					highlights: true,
-					channels: { whitelist: [], blacklist: [] }
-				}
-			};
+	describe("send failures and stats", function() {
+		it("should report services that failed", async function() {
+			notificationManager = createManager({}, {
+				mock: mockNotifier,
+				broken: { send: async () => { throw new Error("HTTP 500"); } }
+			});
 
-			notificationManager = new NotificationManager(config, mockLogger);
-			notificationManager.notifiers.mock = mockNotifier;
+			const result = await notificationManager.processMessage(highlight(), client);
 
-			const messageData = {
-				type: "message",
-				network: "freenode",
-				channel: "#test",
-				nick: "bob",
-				message: "hey testuser",
-				highlight: true,
-				timestamp: new Date()
-			};
+			expect(result.services).to.deep.equal(["mock"]);
+			expect(result.failed).to.deep.equal([{ service: "broken", error: "HTTP 500", queued: true }]);
+		});
 
-			const client = {
-				name: "testuser",
-				user: { away: false }
-			};
+		it("should record delivery stats per service", async function() {
+			notificationManager = createManager({}, { broken: { send: async () => { throw new Error("HTTP 500"); } } });
 
-			const result = await notificationManager.processMessage(messageData, client);
+			await notificationManager.sendToNotifiers({ title: "t", message: "m", timestamp: new Date() }, {
+				mock: mockNotifier,
+				broken: notificationManager.notifiers.broken
+			});
 
-			expect(mockNotifier.sentNotifications).to.have.length(1);
-			expect(result.services).to.include("mock");
+			expect(notificationManager.stats.getSummary("mock")).to.include({ sent: 1, failed: 0 });
+			expect(notificationManager.stats.getSummary("broken")).to.include({ sent: 0, failed: 1, lastError: "HTTP 500" });
 		});
+	});
 
-		it("should not send notification for filtered message", async function() {
-			const config = {
-				services: {},
-				filters: {
-					onlyWhenAway: false,
-					highlights: true,
-					channels: { whitelist: [], blacklist: [] }
+	describe("delivery modes and circuit breakers", function() {
+		const notification = { title: "t", message: "m", timestamp: new Date() };
+		let calls;
+
+		function notifier(name, error = null) {
+			return {
+				send: async () => {
+					calls.push(name);
+					if (error) {
+						throw new Error(error);
+					}
 				}
 			};
+		}
 
-			notificationManager = new NotificationManager(config, mockLogger);
-			notificationManager.notifiers.mock = mockNotifier;
+		// Retries are off unless a test asks for them
+		const createDeliveryManager = delivery => createManager({ delivery: { retrySeconds: 0, ...delivery } });
 
-			const messageData = {
-				type: "message",
-				network: "freenode",
-				channel: "#test",
-				nick: "bob",
-				message: "regular message",
-				highlight: false,
-				timestamp: new Date()
-			};
+		beforeEach(function() {
+			calls = [];
+		});
 
-			const client = {
-				name: "testuser",
-				user: { away: false }
-			};
+		afterEach(function() {
+			notificationManager.destroy();
+		});
 
-			const result = await notificationManager.processMessage(messageData, client);
+		it("should send to every service in broadcast mode", async function() {
+			notificationManager = createDeliveryManager({ mode: "broadcast" });
 
-			expect(result).to.equal(null);
-			expect(mockNotifier.sentNotifications).to.have.length(0);
+			const sentVia = await notificationManager.sendToNotifiers(notification, {
+				pushover: notifier("pushover"),
+				ntfy: notifier("ntfy")
+			});
+
+			expect(sentVia.sort()).to.deep.equal(["ntfy", "pushover"]);
 		});
 
-		it("should deduplicate identical messages", async function() {
-			const config = {
-				services: {},
-				filters: {
-					onlyWhenAway: false,
-					highlights: true,
-					channels: { whitelist: [], blacklist: [] }
-				}
-			};
+		it("should stop at the first service that delivers in first-success mode", async function() {
+			notificationManager = createDeliveryManager({ mode: "first-success", order: ["ntfy", "pushover"] });
 
-			notificationManager = new NotificationManager(config, mockLogger);
-			notificationManager.notifiers.mock = mockNotifier;
+			const sentVia = await notificationManager.sendToNotifiers(notification, {
+				pushover: notifier("pushover"),
+				ntfy: notifier("ntfy")
+			});
+
+			expect(calls).to.deep.equal(["ntfy"]);
+			expect(sentVia).to.deep.equal(["ntfy"]);
+		});
+
+		it("should fall back to the next service when one fails", async function() {
+			notificationManager = createDeliveryManager({ mode: "first-success", order: ["ntfy"] });
+			const failed = [];
+
+			const sentVia = await notificationManager.sendToNotifiers(notification, {
+				pushover: notifier("pushover"),
+				webhook: notifier("webhook"),
+				ntfy: notifier("ntfy", "HTTP 503")
+			}, failed);
+
+			expect(calls).to.deep.equal(["ntfy", "pushover"]);
+			expect(sentVia).to.deep.equal(["pushover"]);
+			expect(failed).to.deep.equal([{ service: "ntfy", error: "HTTP 503", queued: false }]);
+		});
+
+		it("should queue a single retry when every service fails in first-success mode", async function() {
+			notificationManager = createDeliveryManager({ mode: "first-success", order: ["ntfy", "pushover"], retrySeconds: 3600 });
+			const failed = [];
+
+			await notificationManager.sendToNotifiers(notification, {
+				ntfy: notifier("ntfy", "ECONNREFUSED"),
+				pushover: notifier("pushover", "ETIMEDOUT")
+			}, failed);
+
+			expect(failed.map(failure => failure.queued)).to.deep.equal([true, false]);
+			expect(notificationManager.outbox.list().map(item => item.service)).to.deep.equal(["ntfy"]);
+		});
+
+		it("should open a breaker after repeated failures and skip the service", async function() {
+			notificationManager = createDeliveryManager({ breakerFailures: 2, cooldownSeconds: 60 });
+			const changes = [];
+			notificationManager.on("breaker", change => changes.push(change));
+			const notifiers = { ntfy: notifier("ntfy", "HTTP 502") };
+
+			await notificationManager.sendToNotifiers(notification, notifiers);
+			await notificationManager.sendToNotifiers(notification, notifiers);
+			const failed = [];
+			await notificationManager.sendToNotifiers(notification, notifiers, failed);
+
+			expect(calls).to.deep.equal(["ntfy", "ntfy"]);
+			expect(failed).to.deep.equal([{ service: "ntfy", error: "circuit breaker open", queued: false }]);
+			expect(changes).to.deep.equal([{ service: "ntfy", state: "open", failures: 2, cooldownSeconds: 60, error: "HTTP 502" }]);
+		});
+
+		it("should skip an open breaker in first-success mode", async function() {
+			notificationManager = createDeliveryManager({ mode: "first-success", order: ["ntfy", "pushover"], breakerFailures: 1 });
+			await notificationManager.sendToNotifiers(notification, { ntfy: notifier("ntfy", "HTTP 502") });
+			calls = [];
+
+			const sentVia = await notificationManager.sendToNotifiers(notification, {
+				ntfy: notifier("ntfy"),
+				pushover: notifier("pushover")
+			});
+
+			expect(calls).to.deep.equal(["pushover"]);
+			expect(sentVia).to.deep.equal(["pushover"]);
+		});
+
+		it("should keep a fallback's half-open trial when the primary delivers", async function() {
+			notificationManager = createDeliveryManager({ mode: "first-success", order: ["ntfy", "pushover"], breakerFailures: 1, cooldownSeconds: 60 });
+			await notificationManager.sendToNotifiers(notification, { pushover: notifier("pushover", "HTTP 502") });
+			notificationManager.breakers.getBreaker("pushover").openUntil = Date.now();
+			calls = [];
+
+			// The primary delivers, so the fallback is never tried and its trial stays available
+			await notificationManager.sendToNotifiers(notification, { ntfy: notifier("ntfy"), pushover: notifier("pushover") });
+			const sentVia = await notificationManager.sendToNotifiers(notification, { ntfy: notifier("ntfy", "HTTP 503"), pushover: notifier("pushover") });
+
+			expect(calls).to.deep.equal(["ntfy", "ntfy", "pushover"]);
+			expect(sentVia).to.deep.equal(["pushover"]);
+			expect(notificationManager.breakers.getStatus("pushover").state).to.equal("closed");
+		});
+
+		it("should report the breaker closing after a successful trial", async function() {
+			notificationManager = createDeliveryManager({ breakerFailures: 1, cooldownSeconds: 60 });
+			const changes = [];
+			notificationManager.on("breaker", change => changes.push(change.state));
+
+			await notificationManager.sendToNotifiers(notification, { ntfy: notifier("ntfy", "HTTP 502") });
+			notificationManager.breakers.getBreaker("ntfy").openUntil = Date.now();
+			const sentVia = await notificationManager.sendToNotifiers(notification, { ntfy: notifier("ntfy") });
+
+			expect(sentVia).to.deep.equal(["ntfy"]);
+			expect(changes).to.deep.equal(["open", "closed"]);
+		});
+
+		it("should postpone outbox retries while the breaker is open", async function() {
+			notificationManager = createDeliveryManager({ retrySeconds: 3600, breakerFailures: 1, cooldownSeconds: 600 });
+			notificationManager.outboxOwner = "net-1";
+			notificationManager.notifiers.ntfy = notifier("ntfy", "HTTP 503");
+
+			await notificationManager.sendToNotifiers(notification, notificationManager.notifiers);
+			await notificationManager.processOutbox(true);
+			const item = notificationManager.outbox.list("net-1")[0];
+
+			expect(calls).to.deep.equal(["ntfy"]);
+			expect(item.attempts).to.equal(1);
+			expect(item.nextAttempt).to.be.at.least(notificationManager.breakers.getStatus("ntfy").openUntil);
+		});
+	});
+
+	describe("IRC events", function() {
+		function createEventManager(events, format) {
+			return createManager({
+				filters: { channels: { include: [], exclude: ["#noisy"] } },
+				events: events,
+				format: format
+			}, { mock: mockNotifier });
+		}
+
+		const ircEvent = (type, extra) => highlight({ type: type, nick: "carol", message: "", highlight: false, target: null, reason: null, mode: null, ...extra });
+
+		afterEach(function() {
+			notificationManager.destroy();
+		});
+
+		it("should only notify for enabled event types", function() {
+			notificationManager = createEventManager({ kick: true, invite: false });
+
+			expect(notificationManager.shouldNotify(ircEvent("kick"), client)).to.equal(true);
+			expect(notificationManager.shouldNotify(ircEvent("invite"), client)).to.equal(false);
+			expect(notificationManager.shouldNotify(ircEvent("ban"), client)).to.equal(false);
+		});
+
+		it("should notify for topic changes in watched channels", function() {
+			notificationManager = createEventManager({ topic: true, topicChannels: ["#team-*"] });
+
+			expect(notificationManager.shouldNotify(ircEvent("topic", { channel: "#team-ops" }), client)).to.equal(true);
+			expect(notificationManager.shouldNotify(ircEvent("topic"), client)).to.equal(false);
+		});
+
+		it("should use the channel filters for topics without watched channels", function() {
+			notificationManager = createEventManager({ topic: true, topicChannels: [] });
+
+			expect(notificationManager.shouldNotify(ircEvent("topic"), client)).to.equal(true);
+			expect(notificationManager.shouldNotify(ircEvent("topic", { channel: "#noisy" }), client)).to.equal(false);
+		});
+
+		it("should format each event type with its template", function() {
+			notificationManager = createEventManager({}, {
+				title: "{{network}}",
+				titleWithChannel: "{{network}} - {{channel}}",
+				message: "<{{nick}}> {{message}}"
+			});
+
+			const kick = notificationManager.formatNotification(ircEvent("kick", { target: "testuser", reason: "spam" }));
+			const op = notificationManager.formatNotification(ircEvent("op", { target: "testuser", mode: "-o" }));
+			const invite = notificationManager.formatNotification(ircEvent("invite", { channel: "#secret", target: "#secret" }));
+
+			expect(kick).to.include({ title: "freenode - #dev", message: "carol kicked you from #dev (spam)" });
+			expect(op.message).to.equal("carol set -o on you in #dev");
+			expect(invite.message).to.equal("carol invited you to #secret");
+		});
+
+		it("should use custom event templates", async function() {
+			notificationManager = createEventManager({ ban: true }, { banMessage: "Banned from {{channel}} by {{nick}} ({{mode}} {{target}})" });
+
+			const result = await notificationManager.processMessage(ircEvent("ban", { mode: "+b", target: "*!*@home" }), client);
+
+			expect(result.services).to.deep.equal(["mock"]);
+			expect(mockNotifier.sentNotifications[0].message).to.equal("Banned from #dev by carol (+b *!*@home)");
+		});
+	});
+
+	describe("connection alerts", function() {
+		function createAlertManager(overrides) {
+			return createManager({
+				filters: { onlyWhenAway: true, channels: { include: ["#dev"], exclude: [] } },
+				connection: { disconnected: true, unreachable: false, reconnected: true },
+				...overrides
+			}, { mock: mockNotifier });
+		}
+
+		const alert = type => highlight({
+			type: type,
+			channel: "freenode",
+			channelType: "lobby",
+			nick: "",
+			message: "Closing Link: K-Lined",
+			highlight: false,
+			reason: "Closing Link: K-Lined",
+			duration: 12 * 60 * 1000,
+			attempts: 4
+		});
+
+		afterEach(function() {
+			notificationManager.destroy();
+		});
+
+		it("should only notify for enabled alerts, whether or not the user is away", function() {
+			notificationManager = createAlertManager();
+
+			expect(notificationManager.shouldNotify(alert("disconnected"), client)).to.equal(true);
+			expect(notificationManager.shouldNotify(alert("unreachable"), client)).to.equal(false);
+		});
+
+		it("should respect quiet hours", function() {
+			notificationManager = createAlertManager({
+				schedule: {
+					enabled: true,
+					timezone: "UTC",
+					windows: [{ days: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"], start: "00:00", end: "00:00" }],
+					breakthrough: { nicks: [], accounts: [], keywords: [] }
+				}
+			});
+
+			expect(notificationManager.shouldNotify(alert("disconnected"), client)).to.equal(false);
+		});
+
+		it("should format each alert with its template", function() {
+			notificationManager = createAlertManager({ format: { title: "{{network}}", titleWithChannel: "{{network}} - {{channel}}" } });
+
+			expect(notificationManager.formatNotification(alert("disconnected"))).to.include({
+				title: "freenode",
+				message: "Disconnected from freenode for 12m (Closing Link: K-Lined)"
+			});
+			expect(notificationManager.formatNotification(alert("unreachable")).message).to.equal("4 reconnect attempts to freenode failed (Closing Link: K-Lined)");
+			expect(notificationManager.formatNotification(alert("reconnected")).message).to.equal("Reconnected to freenode after 12m");
+		});
+
+		it("should follow routing rules and skip deduplication", async function() {
+			const other = new MockNotifier();
+			notificationManager = createAlertManager({
+				rules: [{ match: { type: "disconnected,reconnected" }, actions: { services: ["mock"], priority: 1 } }]
+			});
+			notificationManager.notifiers.other = other;
+
+			const first = await notificationManager.processMessage(alert("disconnected"), client);
+			const second = await notificationManager.processMessage(alert("disconnected"), client);
+
+			expect(first.services).to.deep.equal(["mock"]);
+			expect(second.services).to.deep.equal(["mock"]);
+			expect(mockNotifier.sentNotifications[0].priority).to.equal(1);
+			expect(other.sentNotifications).to.have.length(0);
+		});
+	});
+
+	describe("friend watch", function() {
+		const change = (type, extra) => highlight({ type: type, network: "Libera", channel: "#team", message: "", highlight: false, reason: null, ...extra });
+
+		beforeEach(function() {
+			notificationManager = createManager({
+				filters: { channels: { include: ["#dev"], exclude: [] } },
+				delivery: { digestSeconds: 60 }
+			}, { mock: mockNotifier });
+		});
+
+		afterEach(function() {
+			notificationManager.destroy();
+		});
+
+		it("should notify for watched nicks outside the channel filters", function() {
+			expect(notificationManager.shouldNotify(change("join"), client)).to.equal(true);
+		});
+
+		it("should respect mutes", function() {
+			notificationManager.config.mutes = [{ network: "Libera", target: "alice", until: Date.now() + 60000 }];
+
+			expect(notificationManager.shouldNotify(change("join"), client)).to.equal(false);
+		});
+
+		it("should format each change with its template and never batch it", async function() {
+			const first = await notificationManager.processMessage(change("join"), client);
+			const second = await notificationManager.processMessage(change("online", { channel: "Libera", channelType: "lobby" }), client);
+
+			expect(first.notification).to.include({ title: "Libera - #team", message: "alice joined #team" });
+			expect(second.batched).to.equal(undefined);
+			expect(second.notification).to.include({ title: "Libera", message: "alice is online" });
+		});
+	});
+
+	describe("replayed backlog", function() {
+		const createReplayManager = delivery => createManager({ delivery: { delaySeconds: 0, digestSeconds: 0, ...delivery } }, { mock: mockNotifier });
+		const replayed = (channel, ageMs) => highlight({ channel: channel, message: `testuser: ping ${channel} ${ageMs}`, timestamp: new Date(Date.now() - ageMs) });
+
+		afterEach(function() {
+			notificationManager.destroy();
+		});
+
+		it("should drop messages older than the maximum age", async function() {
+			notificationManager = createReplayManager({ maxAgeSeconds: 300 });
+
+			const result = await notificationManager.processMessage(replayed("#dev", 10 * 60 * 1000), client);
+
+			expect(result.stale).to.equal(true);
+			expect(result.cancelled).to.equal("replayed (10m old)");
+			expect(result.services).to.deep.equal([]);
+			expect(mockNotifier.sentNotifications).to.have.length(0);
+		});
+
+		it("should drop messages sent before the network connected", async function() {
+			notificationManager = createReplayManager({ maxAgeSeconds: 300 });
+			notificationManager.connectedAt = Date.now();
+
+			const stale = await notificationManager.processMessage(replayed("#dev", 2 * 60 * 1000), client);
+			const live = await notificationManager.processMessage(replayed("#dev", 1000), client);
+
+			expect(stale.cancelled).to.equal("replayed (sent before reconnect)");
+			expect(live.services).to.deep.equal(["mock"]);
+		});
+
+		it("should fold stale messages into one summary", async function() {
+			notificationManager = createReplayManager({ maxAgeSeconds: 60 });
+			const summaries = [];
+			notificationManager.on("replayed", result => summaries.push(result));
+
+			await notificationManager.processMessage(replayed("#dev", 120000), client);
+			await notificationManager.processMessage(replayed("#ops", 121000), client);
+			await notificationManager.processMessage(replayed("#dev", 122000), client);
+			expect(notificationManager.replayed.timer).to.not.equal(null);
+
+			const result = await notificationManager.flushReplayed();
+
+			expect(result.replayed).to.equal(3);
+			expect(result.services).to.deep.equal(["mock"]);
+			expect(mockNotifier.sentNotifications[0].message).to.equal("3 highlights while you were disconnected (#dev, #ops)");
+			expect(summaries).to.deep.equal([result]);
+			expect(notificationManager.replayed.count).to.equal(0);
+		});
+
+		it("should not summarize with replay set to drop", async function() {
+			notificationManager = createReplayManager({ maxAgeSeconds: 60, replay: "drop" });
+
+			await notificationManager.processMessage(replayed("#dev", 120000), client);
+
+			expect(notificationManager.replayed.count).to.equal(0);
+			expect(await notificationManager.flushReplayed()).to.equal(null);
+		});
+
+		it("should not check message age with maxAgeSeconds 0", async function() {
+			notificationManager = createReplayManager({ maxAgeSeconds: 0 });
+			notificationManager.connectedAt = Date.now();
+
+			const result = await notificationManager.processMessage(replayed("#dev", 60 * 60 * 1000), client);
+
+			expect(result.services).to.deep.equal(["mock"]);
+		});
+
+		it("should allow some clock skew around the reconnect", function() {
+			notificationManager = createReplayManager();
+			notificationManager.connectedAt = Date.now();
+
+			expect(notificationManager.getStaleReason(replayed("#dev", 10 * 1000))).to.equal(null);
+		});
+	});
+
+	describe("outbox retries", function() {
+		let attempts;
+		let failure;
+
+		function createRetryManager(retrySeconds) {
+			const manager = createManager({ delivery: { delaySeconds: 0, digestSeconds: 0, retrySeconds: retrySeconds } }, {
+				flaky: {
+					send: async () => {
+						attempts++;
+						if (failure) {
+							throw failure;
+						}
+					}
+				}
+			});
+			manager.outboxOwner = "net-1";
+			return manager;
+		}
+
+		function httpError(statusCode) {
+			const err = new Error(`HTTP ${statusCode}`);
+			err.statusCode = statusCode;
+			return err;
+		}
+
+		beforeEach(function() {
+			attempts = 0;
+			failure = new Error("ECONNREFUSED");
+		});
+
+		afterEach(function() {
+			notificationManager.destroy();
+		});
+
+		it("should queue failed sends and deliver them on retry", async function() {
+			notificationManager = createRetryManager(3600);
+			const retried = [];
+			notificationManager.on("retried", result => retried.push(result));
+
+			const result = await notificationManager.processMessage(highlight({ message: "testuser: one" }), client);
+			expect(result.failed[0].queued).to.equal(true);
+			expect(notificationManager.outbox.list("net-1")).to.have.length(1);
+			expect(notificationManager.retryTimer).to.not.equal(null);
+
+			failure = null;
+			await notificationManager.processOutbox(true);
+
+			expect(attempts).to.equal(2);
+			expect(notificationManager.outbox.list()).to.deep.equal([]);
+			expect(retried).to.have.length(1);
+			expect(retried[0].services).to.deep.equal(["flaky"]);
+			expect(retried[0].messageData.channel).to.equal("#dev");
+		});
+
+		it("should back off after another failure", async function() {
+			notificationManager = createRetryManager(3600);
+
+			await notificationManager.processMessage(highlight({ message: "testuser: one" }), client);
+			const results = await notificationManager.processOutbox(true);
+			const item = notificationManager.outbox.list("net-1")[0];
+
+			expect(results).to.deep.equal([]);
+			expect(item.attempts).to.equal(2);
+			expect(item.nextAttempt).to.be.above(Date.now() + 25 * 1000);
+		});
+
+		it("should not retry permanent errors", async function() {
+			notificationManager = createRetryManager(3600);
+			failure = httpError(401);
+
+			const result = await notificationManager.processMessage(highlight({ message: "testuser: one" }), client);
+
+			expect(result.failed[0].queued).to.equal(false);
+			expect(notificationManager.outbox.list()).to.deep.equal([]);
+		});
+
+		it("should stop retrying on a permanent error", async function() {
+			notificationManager = createRetryManager(3600);
+			const retried = [];
+			notificationManager.on("retried", result => retried.push(result));
+
+			await notificationManager.processMessage(highlight({ message: "testuser: one" }), client);
+			failure = httpError(400);
+			await notificationManager.processOutbox(true);
+
+			expect(notificationManager.outbox.list()).to.deep.equal([]);
+			expect(retried[0].failed[0]).to.include({ service: "flaky", error: "HTTP 400" });
+		});
+
+		it("should give up on items older than the retry window", async function() {
+			notificationManager = createRetryManager(60);
+			const retried = [];
+			notificationManager.on("retried", result => retried.push(result));
+
+			await notificationManager.processMessage(highlight({ message: "testuser: one" }), client);
+			await notificationManager.processOutbox(true, Date.now() + 61 * 1000);
+
+			expect(attempts).to.equal(1);
+			expect(retried[0].cancelled).to.match(/gave up after 1 attempts: ECONNREFUSED/);
+		});
+
+		it("should not queue when retries are disabled", async function() {
+			notificationManager = createRetryManager(0);
+
+			const result = await notificationManager.processMessage(highlight({ message: "testuser: one" }), client);
+
+			expect(result.failed[0].queued).to.equal(false);
+			expect(notificationManager.outbox.list()).to.deep.equal([]);
+		});
+
+		it("should only retry items of its own network", async function() {
+			notificationManager = createRetryManager(3600);
+			notificationManager.outbox.add({ owner: "net-2", service: "flaky", notification: { title: "t", message: "m", timestamp: new Date() }, error: "down" });
+
+			await notificationManager.processOutbox(true);
+
+			expect(attempts).to.equal(0);
+			expect(notificationManager.outbox.list("net-2")).to.have.length(1);
+		});
+	});
+
+	describe("deduplication window", function() {
+		const messageData = highlight();
+
+		afterEach(function() {
+			notificationManager.destroy();
+		});
+
+		it("should block duplicates until the window expires", function() {
+			notificationManager = createManager({ delivery: { dedupSeconds: 30 } });
+			const now = Date.now();
+
+			expect(notificationManager.isDuplicate(messageData, now)).to.equal(false);
+			expect(notificationManager.isDuplicate(messageData, now + 29 * 1000)).to.equal(true);
+			expect(notificationManager.isDuplicate(messageData, now + 31 * 1000)).to.equal(false);
+		});
+
+		it("should not deduplicate with a window of 0", function() {
+			notificationManager = createManager({ delivery: { dedupSeconds: 0 } });
+
+			expect(notificationManager.isDuplicate(messageData)).to.equal(false);
+			expect(notificationManager.isDuplicate(messageData)).to.equal(false);
+		});
+
+		it("should only remove expired entries on cleanup", function() {
+			notificationManager = createManager({ delivery: { dedupSeconds: 60 } });
+			const now = Date.now();
+
+			notificationManager.isDuplicate(messageData, now - 61 * 1000);
+			notificationManager.isDuplicate({ ...messageData, message: "still fresh" }, now);
+			notificationManager.cleanupRecentNotifications(now);
+
+			expect(notificationManager.recentNotifications.size).to.equal(1);
+			expect(notificationManager.isDuplicate({ ...messageData, message: "still fresh" }, now)).to.equal(true);
+		});
+
+		it("should stop the cleanup timer on destroy", function() {
+			notificationManager = createManager();
+			notificationManager.isDuplicate(messageData);
+
+			notificationManager.destroy();
+
+			expect(notificationManager.cleanupTimer).to.equal(null);
+			expect(notificationManager.recentNotifications.size).to.equal(0);
+		});
+	});
+
+	describe("processMessage()", function() {
+		it("should send notification for valid message", async function() {
+			const config = {
+				services: {},
+				filters: {
+					onlyWhenAway: false,
+					highlights: true,
+					channels: { whitelist: [], blacklist: [] }
+				}
+			};
+
+			notificationManager = new NotificationManager(config, mockLogger);
+			notificationManager.notifiers.mock = mockNotifier;
+
+			const messageData = {
+				type: "message",
+				network: "freenode",
+				channel: "#test",
+				nick: "bob",
+				message: "hey testuser",
+				highlight: true,
+				timestamp: new Date()
+			};
+
+			const client = {
+				name: "testuser",
+				user: { away: false }
+			};
+
+			const result = await notificationManager.processMessage(messageData, client);
+
+			expect(mockNotifier.sentNotifications).to.have.length(1);
+			expect(result.services).to.include("mock");
+		});
+
+		it("should not send notification for filtered message", async function() {
+			const config = {
+				services: {},
+				filters: {
+					onlyWhenAway: false,
+					highlights: true,
+					channels: { whitelist: [], blacklist: [] }
+				}
+			};
+
+			notificationManager = new NotificationManager(config, mockLogger);
+			notificationManager.notifiers.mock = mockNotifier;
+
+			const messageData = {
+				type: "message",
+				network: "freenode",
+				channel: "#test",
+				nick: "bob",
+				message: "regular message",
+				highlight: false,
+				timestamp: new Date()
+			};
+
+			const client = {
+				name: "testuser",
+				user: { away: false }
+			};
+
+			const result = await notificationManager.processMessage(messageData, client);
+
+			expect(result).to.equal(null);
+			expect(mockNotifier.sentNotifications).to.have.length(0);
+		});
+
+		it("should report why a highlight was held back", async function() {
+			const reasonFor = async (config, messageData = highlight()) => {
+				const filters = { channels: { include: [], exclude: ["#offtopic"] }, ignore: { nicks: ["bot"], accounts: [] } };
+				notificationManager = createManager({ ...config, filters: { ...filters, ...config.filters } }, { mock: mockNotifier });
+				const result = await notificationManager.processMessage(messageData, client);
+				return result.filtered ? result.cancelled : null;
+			};
+
+			expect(await reasonFor({ snoozeUntil: Date.now() + 60000 })).to.equal("snoozed");
+			expect(await reasonFor({ mutes: [{ network: "freenode", target: "#dev", until: Date.now() + 60000 }] })).to.equal("muted");
+			expect(await reasonFor({}, highlight({ nick: "bot" }))).to.equal("ignored");
+			expect(await reasonFor({ filters: { onlyWhenAway: true } })).to.equal("not away");
+			expect(await reasonFor({}, highlight({ channel: "#offtopic" }))).to.equal("channel filtered");
+			expect(mockNotifier.sentNotifications).to.have.length(0);
+
+			// A message that would not notify anyway is not a suppression
+			expect(await notificationManager.processMessage(highlight({ highlight: false }), client)).to.equal(null);
+		});
+
+		it("should route notifications with rules", async function() {
+			const otherNotifier = new MockNotifier();
+			notificationManager = createManager({
+				rules: [
+					{ match: { channel: "#prod-alerts" }, actions: { services: ["mock"], priority: 2, stop: true } },
+					{ match: {}, actions: { services: ["other"] } }
+				]
+			}, { mock: mockNotifier, other: otherNotifier });
+
+			const alert = await notificationManager.processMessage(highlight({ channel: "#prod-alerts", nick: "alertbot", message: "testuser: disk full" }), client);
+
+			expect(alert.services).to.deep.equal(["mock"]);
+			expect(alert.rules).to.deep.equal([0]);
+			expect(mockNotifier.sentNotifications[0].priority).to.equal(2);
+
+			const chatter = await notificationManager.processMessage(highlight({ nick: "bob", message: "testuser: lunch?" }), client);
+
+			expect(chatter.services).to.deep.equal(["other"]);
+			expect(otherNotifier.sentNotifications).to.have.length(1);
+			expect(otherNotifier.sentNotifications[0].priority).to.equal(undefined);
+		});
+
+		it("should apply rule template overrides", async function() {
+			notificationManager = createManager({
+				rules: [
+					{ match: { keyword: "disk full" }, actions: { title: "ALERT {{channel}}" } }
+				]
+			}, { mock: mockNotifier });
+
+			await notificationManager.processMessage(highlight({ channel: "#ops", nick: "alertbot", message: "testuser: disk full on db1" }), client);
+
+			expect(mockNotifier.sentNotifications[0].title).to.equal("ALERT #ops");
+		});
+
+		it("should deduplicate identical messages", async function() {
+			const config = {
+				services: {},
+				filters: {
+					onlyWhenAway: false,
+					highlights: true,
+					channels: { whitelist: [], blacklist: [] }
+				}
+			};
+
+			notificationManager = new NotificationManager(config, mockLogger);
+			notificationManager.notifiers.mock = mockNotifier;
 
 			const messageData = {
 				type: "message",
@@ -519,4 +1631,307 @@ describe("NotificationManager", function() {
 			expect(mockNotifier.sentNotifications).to.have.length(1);
 		});
 	});
+
+	describe("unread escalation", function() {
+		let pagerNotifier;
+
+		function createEscalationManager(escalation) {
+			pagerNotifier = new MockNotifier();
+			return createManager({
+				escalation: { enabled: true, minutes: 10, priority: 2, services: [], ...escalation }
+			}, { mock: mockNotifier, pager: pagerNotifier });
+		}
+
+		afterEach(function() {
+			notificationManager.clearPending();
+		});
+
+		it("should escalate at higher priority when the channel stays unread", async function() {
+			notificationManager = createEscalationManager();
+			const escalated = [];
+			notificationManager.on("escalated", result => escalated.push(result));
+
+			await notificationManager.processMessage(highlight({ message: "testuser: ping" }), client, { isRead: () => false });
+			await notificationManager.processMessage(highlight({ message: "testuser: ping again" }), client, { isRead: () => false });
+			expect(notificationManager.pendingEscalations.size).to.equal(1);
+
+			const result = await notificationManager.escalate(notificationManager.getChannelKey(highlight()));
+
+			expect(result.escalated).to.equal(true);
+			expect(result.notification.priority).to.equal(2);
+			expect(result.notification.title).to.match(/^Unread: /);
+			expect(result.notification.message).to.include("(+1 more)");
+			expect(escalated).to.have.length(1);
+			expect(notificationManager.pendingEscalations.size).to.equal(0);
+		});
+
+		it("should not escalate once the channel has been read", async function() {
+			notificationManager = createEscalationManager();
+			let read = false;
+
+			await notificationManager.processMessage(highlight({ message: "testuser: ping" }), client, { isRead: () => read });
+			read = true;
+
+			const result = await notificationManager.escalate(notificationManager.getChannelKey(highlight()));
+
+			expect(result).to.equal(null);
+			expect(mockNotifier.sentNotifications).to.have.length(1);
+		});
+
+		it("should not escalate during quiet hours", async function() {
+			notificationManager = createEscalationManager();
+
+			await notificationManager.processMessage(highlight({ message: "testuser: ping" }), client, { isRead: () => false });
+			notificationManager.config.schedule = {
+				enabled: true,
+				timezone: "UTC",
+				windows: [{ days: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"], start: "00:00", end: "00:00" }],
+				breakthrough: { nicks: [], accounts: [], keywords: [] }
+			};
+
+			const result = await notificationManager.escalate(notificationManager.getChannelKey(highlight()));
+
+			expect(result).to.equal(null);
+			expect(mockNotifier.sentNotifications).to.have.length(1);
+		});
+
+		it("should not escalate once the channel has been muted", async function() {
+			notificationManager = createEscalationManager();
+
+			await notificationManager.processMessage(highlight({ message: "testuser: ping" }), client, { isRead: () => false });
+			notificationManager.config.mutes = [{ network: "freenode", target: "#dev", until: Date.now() + 60000 }];
+
+			const result = await notificationManager.escalate(notificationManager.getChannelKey(highlight()));
+
+			expect(result).to.equal(null);
+			expect(mockNotifier.sentNotifications).to.have.length(1);
+		});
+
+		it("should escalate to the configured services", async function() {
+			notificationManager = createEscalationManager({ services: ["pager"] });
+
+			await notificationManager.processMessage(highlight({ message: "testuser: ping" }), client, { isRead: () => false });
+			const result = await notificationManager.escalate(notificationManager.getChannelKey(highlight()));
+
+			expect(result.services).to.deep.equal(["pager"]);
+			expect(pagerNotifier.sentNotifications.map(n => n.priority)).to.deep.equal([undefined, 2]);
+		});
+
+		it("should not track notifications when escalation is disabled", async function() {
+			notificationManager = createEscalationManager({ enabled: false });
+
+			await notificationManager.processMessage(highlight({ message: "testuser: ping" }), client, { isRead: () => false });
+
+			expect(notificationManager.pendingEscalations.size).to.equal(0);
+		});
+	});
+
+	describe("delayed delivery", function() {
+		const createDelayManager = delaySeconds => createManager({ delivery: { delaySeconds: delaySeconds } }, { mock: mockNotifier });
+		const messageData = highlight({ message: "testuser: did you see this?" });
+
+		it("should send after the delay if the channel is still unread", async function() {
+			notificationManager = createDelayManager(30);
+			notificationManager.delay = async () => true;
+
+			const result = await notificationManager.processMessage(messageData, client, { isRead: () => false, hasReplied: () => false });
+
+			expect(result.cancelled).to.equal(undefined);
+			expect(mockNotifier.sentNotifications).to.have.length(1);
+		});
+
+		it("should cancel when the channel was read during the delay", async function() {
+			notificationManager = createDelayManager(30);
+			notificationManager.delay = async () => true;
+
+			const result = await notificationManager.processMessage(messageData, client, { isRead: () => true, hasReplied: () => false });
+
+			expect(result.cancelled).to.equal("read");
+			expect(result.services).to.deep.equal([]);
+			expect(mockNotifier.sentNotifications).to.have.length(0);
+		});
+
+		it("should cancel when the user replied during the delay", async function() {
+			notificationManager = createDelayManager(30);
+			notificationManager.delay = async () => true;
+
+			const result = await notificationManager.processMessage(messageData, client, { isRead: () => false, hasReplied: () => true });
+
+			expect(result.cancelled).to.equal("replied");
+			expect(mockNotifier.sentNotifications).to.have.length(0);
+		});
+
+		it("should drop delayed notifications when pending work is cleared", async function() {
+			notificationManager = createDelayManager(60);
+
+			const pending = notificationManager.processMessage(messageData, client, { isRead: () => false, hasReplied: () => false });
+			notificationManager.clearPending();
+			const result = await pending;
+
+			expect(result.cancelled).to.equal("disabled");
+			expect(mockNotifier.sentNotifications).to.have.length(0);
+		});
+
+		it("should still deduplicate while a notification is delayed", async function() {
+			notificationManager = createDelayManager(30);
+			notificationManager.delay = async () => true;
+			const readState = { isRead: () => false, hasReplied: () => false };
+
+			await notificationManager.processMessage(messageData, client, readState);
+			const duplicate = await notificationManager.processMessage(messageData, client, readState);
+
+			expect(duplicate.cancelled).to.equal("duplicate");
+			expect(mockNotifier.sentNotifications).to.have.length(1);
+		});
+	});
+
+	describe("digest batching", function() {
+		const createDigestManager = format => createManager({ delivery: { delaySeconds: 0, digestSeconds: 60 }, format: format }, { mock: mockNotifier });
+
+		afterEach(function() {
+			notificationManager.clearPending();
+		});
+
+		it("should send the first message and batch the rest into one digest", async function() {
+			notificationManager = createDigestManager();
+			const digests = [];
+			notificationManager.on("digest", result => digests.push(result));
+
+			const first = await notificationManager.processMessage(highlight({ nick: "alice", message: "testuser: one" }), client);
+			const second = await notificationManager.processMessage(highlight({ nick: "bob", message: "testuser: two" }), client);
+			await notificationManager.processMessage(highlight({ nick: "alice", message: "testuser: three" }), client);
+
+			expect(first.services).to.deep.equal(["mock"]);
+			expect(second.batched).to.equal(true);
+			expect(mockNotifier.sentNotifications).to.have.length(1);
+
+			const result = await notificationManager.flushDigest(notificationManager.getChannelKey(highlight()));
+
+			expect(result.digest).to.equal(2);
+			expect(result.notification.title).to.equal("freenode - #dev");
+			expect(result.notification.message).to.equal("2 new messages in #dev from bob, alice");
+			expect(mockNotifier.sentNotifications).to.have.length(2);
+			expect(digests).to.have.length(1);
+		});
+
+		it("should batch each channel separately", async function() {
+			notificationManager = createDigestManager();
+
+			await notificationManager.processMessage(highlight({ nick: "alice", message: "testuser: one" }), client);
+			await notificationManager.processMessage(highlight({ nick: "alice", message: "testuser: two", channel: "#ops" }), client);
+
+			expect(mockNotifier.sentNotifications).to.have.length(2);
+		});
+
+		it("should send a single batched message as a regular notification", async function() {
+			notificationManager = createDigestManager();
+
+			await notificationManager.processMessage(highlight({ nick: "alice", message: "testuser: one" }), client);
+			await notificationManager.processMessage(highlight({ nick: "bob", message: "testuser: two" }), client);
+			const result = await notificationManager.flushDigest(notificationManager.getChannelKey(highlight()));
+
+			expect(result.notification.message).to.equal("<bob> testuser: two");
+		});
+
+		it("should use custom digest templates", async function() {
+			notificationManager = createDigestManager({ digestTitle: "Burst in {{channel}}", digestMessage: "{{count}}x, last: {{message}}" });
+
+			await notificationManager.processMessage(highlight({ nick: "alice", message: "testuser: one" }), client);
+			await notificationManager.processMessage(highlight({ nick: "bob", message: "testuser: two" }), client);
+			await notificationManager.processMessage(highlight({ nick: "carol", message: "testuser: three" }), client);
+			const result = await notificationManager.flushDigest(notificationManager.getChannelKey(highlight()));
+
+			expect(result.notification.title).to.equal("Burst in #dev");
+			expect(result.notification.message).to.equal("2x, last: testuser: three");
+		});
+
+		it("should cancel the digest if the channel was read", async function() {
+			notificationManager = createDigestManager();
+			const readState = { isRead: () => true, hasReplied: () => false };
+
+			await notificationManager.processMessage(highlight({ nick: "alice", message: "testuser: one" }), client, readState);
+			await notificationManager.processMessage(highlight({ nick: "bob", message: "testuser: two" }), client, readState);
+			const result = await notificationManager.flushDigest(notificationManager.getChannelKey(highlight()));
+
+			expect(result.cancelled).to.equal("read");
+			expect(mockNotifier.sentNotifications).to.have.length(1);
+		});
+	});
+
+	describe("rate limits", function() {
+		const createLimitedManager = limits => createManager({ limits: { global: null, channel: null, services: {}, overflow: "summary", ...limits } }, { mock: mockNotifier });
+
+		afterEach(function() {
+			notificationManager.clearPending();
+		});
+
+		it("should suppress notifications over the global limit", async function() {
+			notificationManager = createLimitedManager({ global: { count: 2, seconds: 3600 } });
+
+			await notificationManager.processMessage(highlight({ message: "testuser: one" }), client);
+			await notificationManager.processMessage(highlight({ message: "testuser: two", channel: "#ops" }), client);
+			const result = await notificationManager.processMessage(highlight({ message: "testuser: three" }), client);
+
+			expect(result.cancelled).to.equal("rate limit global");
+			expect(result.services).to.deep.equal([]);
+			expect(mockNotifier.sentNotifications).to.have.length(2);
+			expect(notificationManager.suppressed.count).to.equal(1);
+		});
+
+		it("should limit each channel separately", async function() {
+			notificationManager = createLimitedManager({ channel: { count: 1, seconds: 600 } });
+
+			await notificationManager.processMessage(highlight({ message: "testuser: one" }), client);
+			const limited = await notificationManager.processMessage(highlight({ message: "testuser: two" }), client);
+			const other = await notificationManager.processMessage(highlight({ message: "testuser: three", channel: "#ops" }), client);
+
+			expect(limited.cancelled).to.equal("rate limit channel:freenode/#dev");
+			expect(other.services).to.deep.equal(["mock"]);
+		});
+
+		it("should skip only the service that is over its limit", async function() {
+			const otherNotifier = new MockNotifier();
+			notificationManager = createLimitedManager({ services: { mock: { count: 1, seconds: 3600 } } });
+			notificationManager.notifiers.other = otherNotifier;
+
+			await notificationManager.processMessage(highlight({ message: "testuser: one" }), client);
+			const result = await notificationManager.processMessage(highlight({ message: "testuser: two" }), client);
+
+			expect(result.services).to.deep.equal(["other"]);
+			expect(mockNotifier.sentNotifications).to.have.length(1);
+			expect(otherNotifier.sentNotifications).to.have.length(2);
+		});
+
+		it("should send a summary of suppressed notifications once the limit allows", async function() {
+			notificationManager = createLimitedManager({ global: { count: 1, seconds: 3600 } });
+			const summaries = [];
+			notificationManager.on("suppressed", result => summaries.push(result));
+
+			await notificationManager.processMessage(highlight({ message: "testuser: one" }), client);
+			await notificationManager.processMessage(highlight({ message: "testuser: two" }), client);
+			await notificationManager.processMessage(highlight({ message: "testuser: three", channel: "#ops" }), client);
+			expect(notificationManager.suppressed.timer).to.not.equal(null);
+
+			// Still limited: the summary waits for the next token
+			expect(await notificationManager.flushSuppressed()).to.equal(null);
+
+			notificationManager.rateLimiter.buckets.get("global").tokens = 1;
+			const result = await notificationManager.flushSuppressed();
+
+			expect(result.suppressed).to.equal(2);
+			expect(result.notification.message).to.equal("2 more suppressed by rate limits (#dev, #ops)");
+			expect(summaries).to.have.length(1);
+			expect(notificationManager.suppressed.count).to.equal(0);
+		});
+
+		it("should not schedule a summary when overflow is drop", async function() {
+			notificationManager = createLimitedManager({ global: { count: 1, seconds: 3600 }, overflow: "drop" });
+
+			await notificationManager.processMessage(highlight({ message: "testuser: one" }), client);
+			const result = await notificationManager.processMessage(highlight({ message: "testuser: two" }), client);
+
+			expect(result.cancelled).to.equal("rate limit global");
+			expect(notificationManager.suppressed.timer).to.equal(null);
+		});
+	});
 });
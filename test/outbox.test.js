@@ -0,0 +1,107 @@
+"use strict";
+
+const { expect } = require("chai");
+const Outbox = require("../lib/outbox");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("Outbox", function() {
+	let storageDir;
+
+	const entry = {
+		owner: "net-1",
+		service: "ntfy",
+		notification: { title: "freenode - #dev", message: "<alice> ping", timestamp: new Date("2025-01-15T14:30:00Z") },
+		messageData: { network: "freenode", channel: "#dev", nick: "alice", message: "ping" },
+		error: "ECONNREFUSED"
+	};
+
+	beforeEach(function() {
+		storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "thelounge-test-"));
+	});
+
+	afterEach(function() {
+		fs.rmSync(storageDir, { recursive: true, force: true });
+	});
+
+	describe("getBackoff()", function() {
+		it("should double the delay with jitter up to a maximum", function() {
+			expect(Outbox.getBackoff(1, () => 0)).to.equal(15 * 1000);
+			expect(Outbox.getBackoff(1, () => 0.999999)).to.be.closeTo(30 * 1000, 1);
+			expect(Outbox.getBackoff(3, () => 0)).to.equal(60 * 1000);
+			expect(Outbox.getBackoff(20, () => 0)).to.equal(15 * 60 * 1000);
+		});
+	});
+
+	describe("isPermanentError()", function() {
+		function httpError(statusCode) {
+			const err = new Error("HTTP error");
+			err.statusCode = statusCode;
+			return err;
+		}
+
+		it("should treat client errors as permanent", function() {
+			expect(Outbox.isPermanentError(httpError(400))).to.equal(true);
+			expect(Outbox.isPermanentError(httpError(404))).to.equal(true);
+		});
+
+		it("should retry timeouts, rate limits, server and network errors", function() {
+			expect(Outbox.isPermanentError(httpError(408))).to.equal(false);
+			expect(Outbox.isPermanentError(httpError(429))).to.equal(false);
+			expect(Outbox.isPermanentError(httpError(503))).to.equal(false);
+			expect(Outbox.isPermanentError(new Error("ECONNRESET"))).to.equal(false);
+		});
+	});
+
+	describe("add()", function() {
+		it("should queue an item with only the message's origin", function() {
+			const outbox = new Outbox();
+			const now = Date.now();
+			const item = outbox.add(entry, now);
+
+			expect(item).to.include({ owner: "net-1", service: "ntfy", attempts: 1, createdAt: now, lastError: "ECONNREFUSED" });
+			expect(item.messageData).to.deep.equal({ network: "freenode", channel: "#dev", nick: "alice" });
+			expect(item.nextAttempt).to.be.within(now + 15 * 1000, now + 30 * 1000);
+		});
+	});
+
+	describe("getDue() and getNextAttempt()", function() {
+		it("should select items by owner and due time", function() {
+			const outbox = new Outbox();
+			const now = Date.now();
+			const item = outbox.add(entry, now);
+			outbox.add({ ...entry, owner: "net-2" }, now);
+
+			expect(outbox.getDue("net-1", now)).to.deep.equal([]);
+			expect(outbox.getDue("net-1", item.nextAttempt)).to.deep.equal([item]);
+			expect(outbox.getNextAttempt("net-1")).to.equal(item.nextAttempt);
+			expect(outbox.getNextAttempt("net-3")).to.equal(null);
+		});
+	});
+
+	describe("persistence", function() {
+		it("should keep items across restarts", function() {
+			const outboxPath = path.join(storageDir, "testuser-outbox.json");
+			const item = new Outbox(outboxPath).add(entry);
+
+			const loaded = new Outbox(outboxPath);
+			expect(loaded.list()).to.have.length(1);
+			expect(loaded.list()[0].id).to.equal(item.id);
+			expect(loaded.list()[0].notification.timestamp).to.equal("2025-01-15T14:30:00.000Z");
+		});
+
+		it("should save removals and clears", function() {
+			const outboxPath = path.join(storageDir, "testuser-outbox.json");
+			const outbox = new Outbox(outboxPath);
+			const item = outbox.add(entry);
+			outbox.add({ ...entry, owner: "net-2" });
+
+			outbox.remove(item);
+			expect(new Outbox(outboxPath).list()).to.have.length(1);
+
+			expect(outbox.clear("net-2")).to.equal(1);
+			expect(new Outbox(outboxPath).list()).to.deep.equal([]);
+		});
+	});
+});
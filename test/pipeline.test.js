@@ -0,0 +1,357 @@
+"use strict";
+
+const { expect } = require("chai");
+const EventEmitter = require("events");
+const MessagePipeline = require("../lib/pipeline");
+
+// Minimal stand-ins for TheLounge's Chan and Network models
+class Channel {
+	constructor(name, type = "channel") {
+		this.name = name;
+		this.type = type;
+		this.messages = [];
+	}
+
+	pushMessage(client, msg) {
+		this.messages.push(msg);
+	}
+}
+
+class Network {
+	constructor(channels) {
+		this.name = "freenode";
+		this.channels = channels;
+		this.irc = new EventEmitter();
+	}
+
+	addChannel(channel) {
+		this.channels.push(channel);
+	}
+}
+
+function message(text, extra = {}) {
+	return { type: "message", text: text, from: { nick: "alice" }, time: new Date(), highlight: false, ...extra };
+}
+
+// Intercepted messages are handled on the next tick
+function nextTick() {
+	return new Promise(resolve => setImmediate(resolve));
+}
+
+describe("MessagePipeline", function() {
+	let channel;
+	let network;
+	let pipeline;
+	let events;
+
+	beforeEach(function() {
+		channel = new Channel("#dev");
+		network = new Network([channel]);
+		pipeline = new MessagePipeline(network);
+		events = [];
+		pipeline.on("message", event => events.push(event));
+	});
+
+	afterEach(function() {
+		pipeline.detach();
+	});
+
+	describe("attach()", function() {
+		it("should emit normalized events for messages pushed to a channel", async function() {
+			pipeline.attach();
+			channel.pushMessage({}, message("testuser: ping", { highlight: true }));
+			await nextTick();
+
+			expect(channel.messages).to.have.length(1);
+			expect(events).to.have.length(1);
+			expect(events[0]).to.include({
+				type: "message",
+				network: "freenode",
+				channel: "#dev",
+				channelType: "channel",
+				nick: "alice",
+				message: "testuser: ping",
+				highlight: true,
+				msgid: null
+			});
+			expect(events[0].context).to.deep.equal([]);
+		});
+
+		it("should intercept channels added later", async function() {
+			pipeline.attach();
+			const query = new Channel("bob", "query");
+			network.addChannel(query);
+			query.pushMessage({}, message("hi"));
+			await nextTick();
+
+			expect(network.channels).to.include(query);
+			expect(events.map(event => event.channelType)).to.deep.equal(["query"]);
+		});
+
+		it("should emit self messages separately", async function() {
+			const self = [];
+			pipeline.on("self", chan => self.push(chan));
+			pipeline.attach();
+			channel.pushMessage({}, message("my reply", { self: true }));
+			await nextTick();
+
+			expect(self).to.deep.equal([channel]);
+			expect(events).to.deep.equal([]);
+		});
+
+		it("should not count the user's own joins, parts and nick changes as messages", async function() {
+			const self = [];
+			pipeline.on("self", chan => self.push(chan));
+			pipeline.on("presence", change => events.push(change));
+			pipeline.attach();
+			channel.pushMessage({}, message("", { type: "join", self: true }));
+			channel.pushMessage({}, message("", { type: "nick", self: true, new_nick: "alice_" }));
+			channel.pushMessage({}, message("", { type: "mode", self: true }));
+			await nextTick();
+
+			expect(self).to.deep.equal([]);
+			expect(events).to.deep.equal([]);
+		});
+
+		it("should skip other message types", async function() {
+			pipeline.attach();
+			channel.pushMessage({}, message("alice has joined", { type: "join" }));
+			await nextTick();
+
+			expect(events).to.deep.equal([]);
+		});
+
+		it("should not hook ignored channels", async function() {
+			const own = new Channel("external-notify");
+			network.channels.push(own);
+			pipeline = new MessagePipeline(network, { ignoreChannel: chan => chan === own });
+			pipeline.on("message", event => events.push(event));
+			pipeline.attach();
+
+			own.pushMessage({}, message("plugin output"));
+			await nextTick();
+
+			expect(Object.prototype.hasOwnProperty.call(own, "pushMessage")).to.equal(false);
+			expect(events).to.deep.equal([]);
+		});
+
+		it("should hook each channel once", async function() {
+			pipeline.attach();
+			pipeline.attach();
+			channel.pushMessage({}, message("once"));
+			await nextTick();
+
+			expect(events).to.have.length(1);
+		});
+	});
+
+	describe("detach()", function() {
+		it("should restore the original methods and stop emitting", async function() {
+			pipeline.attach();
+			pipeline.detach();
+
+			expect(Object.prototype.hasOwnProperty.call(channel, "pushMessage")).to.equal(false);
+			expect(Object.prototype.hasOwnProperty.call(network, "addChannel")).to.equal(false);
+			expect(network.irc.listenerCount("privmsg")).to.equal(0);
+
+			channel.pushMessage({}, message("after detach"));
+			await nextTick();
+			expect(events).to.deep.equal([]);
+		});
+
+		it("should drop messages intercepted but not handled yet", async function() {
+			pipeline.attach();
+			channel.pushMessage({}, message("in flight"));
+			pipeline.detach();
+			await nextTick();
+
+			expect(events).to.deep.equal([]);
+		});
+
+		it("should leave hooks added on top in place but inactive", async function() {
+			pipeline.attach();
+			const hooked = channel.pushMessage;
+			let outerCalls = 0;
+			channel.pushMessage = function(client, msg) {
+				outerCalls++;
+				return hooked.call(this, client, msg);
+			};
+
+			pipeline.detach();
+			pipeline.attach();
+			channel.pushMessage({}, message("still works"));
+			await nextTick();
+
+			expect(outerCalls).to.equal(1);
+			expect(channel.messages).to.have.length(1);
+			expect(events).to.have.length(1);
+		});
+	});
+
+	describe("sender info", function() {
+		it("should add hostmask, account and msgid from IRC events", async function() {
+			pipeline.attach();
+			network.irc.emit("privmsg", {
+				nick: "Alice",
+				ident: "al",
+				hostname: "example.org",
+				message: "hello",
+				tags: { account: "alice-acct", msgid: "abc123" }
+			});
+			channel.pushMessage({}, message("hello"));
+			await nextTick();
+
+			expect(events[0]).to.include({ ident: "al", hostname: "example.org", account: "alice-acct", msgid: "abc123" });
+		});
+
+		it("should follow nick changes", async function() {
+			pipeline.attach();
+			network.irc.emit("join", { nick: "carol", account: "carol-acct" });
+			network.irc.emit("nick", { nick: "carol", new_nick: "alice" });
+			channel.pushMessage({}, message("hi"));
+			await nextTick();
+
+			expect(events[0].account).to.equal("carol-acct");
+		});
+	});
+
+	describe("IRC events", function() {
+		function event(type, extra) {
+			return { type: type, from: { nick: "carol" }, time: new Date(), text: "", ...extra };
+		}
+
+		beforeEach(function() {
+			network.nick = "testuser";
+			network.irc.user = { nick: "testuser", username: "tu", host: "home.example.org" };
+			pipeline.attach();
+		});
+
+		it("should emit invites to the user", async function() {
+			const lobby = new Channel("freenode", "lobby");
+			network.addChannel(lobby);
+			lobby.pushMessage({}, event("invite", { channel: "#secret", invitedYou: true }));
+			lobby.pushMessage({}, event("invite", { channel: "#other", invitedYou: false }));
+			await nextTick();
+
+			expect(events).to.have.length(1);
+			expect(events[0]).to.include({ type: "invite", nick: "carol", channel: "#secret", channelType: "channel", target: "#secret" });
+		});
+
+		it("should emit kicks of the user with the reason", async function() {
+			channel.pushMessage({}, event("kick", { target: { nick: "TestUser" }, text: "spam" }));
+			channel.pushMessage({}, event("kick", { target: { nick: "bob" }, text: "bye" }));
+			await nextTick();
+
+			expect(events).to.have.length(1);
+			expect(events[0]).to.include({ type: "kick", channel: "#dev", target: "TestUser", reason: "spam" });
+		});
+
+		it("should emit op changes and bans that concern the user", async function() {
+			channel.pushMessage({}, event("mode", { text: "+o testuser" }));
+			channel.pushMessage({}, event("mode", { text: "-v+o bob bob" }));
+			channel.pushMessage({}, event("mode", { text: "+lb 10 *!*@*.example.org" }));
+			channel.pushMessage({}, event("mode", { text: "+b *!*@elsewhere.net" }));
+			await nextTick();
+
+			expect(events.map(e => [e.type, e.mode, e.target])).to.deep.equal([
+				["op", "+o", "testuser"],
+				["ban", "+b", "*!*@*.example.org"]
+			]);
+		});
+
+		it("should emit topic changes but not the topic shown on join", async function() {
+			channel.pushMessage({}, event("topic", { text: "Release day" }));
+			channel.pushMessage({}, event("topic", { from: undefined, text: "Old topic" }));
+			await nextTick();
+
+			expect(events).to.have.length(1);
+			expect(events[0]).to.include({ type: "topic", nick: "carol", message: "Release day" });
+		});
+	});
+
+	describe("presence changes", function() {
+		let changes;
+
+		beforeEach(function() {
+			changes = [];
+			pipeline.on("presence", change => changes.push(change));
+			pipeline.attach();
+		});
+
+		it("should emit joins, parts and quits as presence changes", async function() {
+			channel.pushMessage({}, { type: "join", from: { nick: "alice" }, time: new Date() });
+			channel.pushMessage({}, { type: "quit", from: { nick: "alice" }, text: "Ping timeout", time: new Date() });
+			await nextTick();
+
+			expect(events).to.have.length(0);
+			expect(changes.map(change => [change.type, change.nick, change.channel, change.reason])).to.deep.equal([
+				["join", "alice", "#dev", null],
+				["quit", "alice", "#dev", "Ping timeout"]
+			]);
+		});
+
+		it("should report the old nick of a nick change", async function() {
+			const user = { nick: "alice_" };
+			channel.pushMessage({}, { type: "nick", from: user, new_nick: "alice", time: new Date() });
+			// TheLounge renames the user right after pushing the message
+			user.nick = "alice";
+			await nextTick();
+
+			expect(changes[0]).to.include({ type: "nick", nick: "alice_", newNick: "alice" });
+		});
+	});
+
+	describe("parseModeChanges()", function() {
+		it("should pair modes with their parameters", function() {
+			expect(MessagePipeline.parseModeChanges("+ov-b alice bob *!*@x +l")).to.deep.equal([
+				{ mode: "+o", param: "alice" },
+				{ mode: "+v", param: "bob" },
+				{ mode: "-b", param: "*!*@x" }
+			]);
+			expect(MessagePipeline.parseModeChanges("+nt-l")).to.deep.equal([
+				{ mode: "+n", param: null },
+				{ mode: "+t", param: null },
+				{ mode: "-l", param: null }
+			]);
+		});
+	});
+
+	describe("connection", function() {
+		it("should emit connected when the network registers", function() {
+			const connected = [];
+			pipeline.on("connected", time => connected.push(time));
+			pipeline.attach();
+
+			network.irc.emit("registered", {});
+
+			expect(connected).to.have.length(1);
+			expect(connected[0]).to.be.closeTo(Date.now(), 1000);
+		});
+	});
+
+	describe("getContextLines()", function() {
+		it("should collect preceding lines up to context.lines", function() {
+			const lines = ["one", "two", "three"].map(text => message(text));
+			const msg = message("testuser: which one?");
+			channel.messages = [...lines, { type: "join", from: { nick: "bob" }, time: new Date() }, msg];
+
+			const context = MessagePipeline.getContextLines(channel, msg, { lines: 2, queryExchange: false });
+
+			expect(context.map(line => line.message)).to.deep.equal(["two", "three"]);
+			expect(context[0]).to.include({ type: "message", nick: "alice" });
+		});
+
+		it("should collect the recent exchange in queries", function() {
+			const query = new Channel("bob", "query");
+			const now = Date.now();
+			const old = message("yesterday", { time: new Date(now - 60 * 60 * 1000) });
+			const recent = message("are you there?", { time: new Date(now - 60 * 1000) });
+			const msg = message("hello?", { time: new Date(now) });
+			query.messages = [old, recent, msg];
+
+			const context = MessagePipeline.getContextLines(query, msg, { lines: 0, queryExchange: true });
+
+			expect(context.map(line => line.message)).to.deep.equal(["are you there?"]);
+		});
+	});
+});
@@ -0,0 +1,98 @@
+"use strict";
+
+const { expect } = require("chai");
+const {
+	recordActivity,
+	normalizePresence,
+	parsePresence,
+	isUserAbsent,
+	formatPresence
+} = require("../lib/presence");
+
+const MINUTE = 60 * 1000;
+
+describe("Presence", function() {
+	describe("parsePresence()", function() {
+		it("should parse a single mode", function() {
+			expect(parsePresence("no-attached-clients")).to.deep.equal({
+				modes: ["no-attached-clients"],
+				idleMinutes: 15,
+				require: "any"
+			});
+		});
+
+		it("should parse idle minutes and combinations", function() {
+			expect(parsePresence("away,idle 30")).to.deep.equal({
+				modes: ["away", "idle"],
+				idleMinutes: 30,
+				require: "any"
+			});
+			expect(parsePresence("all idle 10 no-attached-clients")).to.deep.equal({
+				modes: ["no-attached-clients", "idle"],
+				idleMinutes: 10,
+				require: "all"
+			});
+		});
+
+		it("should reject unknown or missing modes", function() {
+			expect(() => parsePresence("invisible")).to.throw(/Unknown presence mode/);
+			expect(() => parsePresence("all")).to.throw(/at least one/);
+			expect(() => parsePresence("idle 0")).to.throw(/at least 1/);
+		});
+	});
+
+	describe("normalizePresence()", function() {
+		it("should default to IRC away", function() {
+			expect(normalizePresence(undefined).modes).to.deep.equal(["away"]);
+			expect(normalizePresence({ modes: ["bogus"], idleMinutes: -5 })).to.deep.equal({
+				modes: ["away"],
+				idleMinutes: 15,
+				require: "any"
+			});
+		});
+	});
+
+	describe("isUserAbsent()", function() {
+		it("should use IRC away status", function() {
+			const presence = { modes: ["away"] };
+
+			expect(isUserAbsent(presence, { user: { away: "brb" } })).to.equal(true);
+			expect(isUserAbsent(presence, { user: { away: "" } })).to.equal(false);
+		});
+
+		it("should detect when no browser is attached", function() {
+			const presence = { modes: ["no-attached-clients"] };
+
+			expect(isUserAbsent(presence, { user: {}, attachedClients: {} })).to.equal(true);
+			expect(isUserAbsent(presence, { user: {}, attachedClients: { socket1: { openChannel: 1 } } })).to.equal(false);
+		});
+
+		it("should detect idle time since the last sent message", function() {
+			const presence = { modes: ["idle"], idleMinutes: 10 };
+			const client = { user: {} };
+			const now = Date.now();
+
+			recordActivity(client, now - 5 * MINUTE);
+			expect(isUserAbsent(presence, client, now)).to.equal(false);
+
+			recordActivity(client, now - 11 * MINUTE);
+			expect(isUserAbsent(presence, client, now)).to.equal(true);
+		});
+
+		it("should combine modes with any or all", function() {
+			const now = Date.now();
+			const client = { user: { away: "" }, attachedClients: {} };
+			recordActivity(client, now - MINUTE);
+
+			expect(isUserAbsent({ modes: ["no-attached-clients", "idle"], idleMinutes: 10 }, client, now)).to.equal(true);
+			expect(isUserAbsent({ modes: ["no-attached-clients", "idle"], idleMinutes: 10, require: "all" }, client, now)).to.equal(false);
+		});
+	});
+
+	describe("formatPresence()", function() {
+		it("should describe the modes", function() {
+			expect(formatPresence({ modes: ["away", "idle"], idleMinutes: 20 })).to.equal("away or idle 20m");
+			expect(formatPresence({ modes: ["no-attached-clients", "idle"], require: "all" })).to.equal("no-attached-clients and idle 15m");
+		});
+	});
+});
@@ -304,6 +304,42 @@ describe("PushoverNotifier", function() {
 			}).catch(done);
 		});
 
+		it("should use the notification priority from routing rules", function(done) {
+			const config = {
+				enabled: true,
+				userKey: "a".repeat(30),
+				apiToken: "b".repeat(30),
+				priority: 0,
+				sound: "pushover"
+			};
+
+			const notifier = new PushoverNotifier(config, mockLogger);
+
+			notifier.client.send = function(msg, callback) {
+				expect(msg.priority).to.equal(2);
+				// Emergency priority needs retry/expire or the API rejects it
+				expect(msg.retry).to.be.a("number");
+				expect(msg.expire).to.be.a("number");
+				callback(null, "success");
+			};
+
+			notifier.send({ title: "Alert", message: "Prod is down", timestamp: new Date(), priority: 2 })
+				.then(() => done())
+				.catch(done);
+		});
+
+		it("should ignore notification priorities outside the Pushover range", function() {
+			const notifier = new PushoverNotifier({
+				enabled: true,
+				userKey: "a".repeat(30),
+				apiToken: "b".repeat(30),
+				priority: 0
+			}, mockLogger);
+
+			expect(notifier.getPriority({ priority: 5 })).to.equal(0);
+			expect(notifier.getPriority({})).to.equal(0);
+		});
+
 		it("should convert timestamp to unix timestamp", function(done) {
 			const config = {
 				enabled: true,
@@ -334,6 +370,30 @@ describe("PushoverNotifier", function() {
 			}).catch(done);
 		});
 
+		it("should reject with the status code on API errors", function(done) {
+			const config = {
+				enabled: true,
+				userKey: "a".repeat(30),
+				apiToken: "b".repeat(30),
+				priority: 0,
+				sound: "pushover"
+			};
+
+			const notifier = new PushoverNotifier(config, mockLogger);
+
+			notifier.client.send = function(msg, callback) {
+				callback(undefined, '{"errors":["application token is invalid"]}', { statusCode: 400 });
+			};
+
+			notifier.send({ title: "Test", message: "Test", timestamp: new Date() }).then(() => {
+				done(new Error("Should have rejected"));
+			}).catch((err) => {
+				expect(err.statusCode).to.equal(400);
+				expect(err.message).to.include("application token is invalid");
+				done();
+			});
+		});
+
 		it("should reject on error", function(done) {
 			const config = {
 				enabled: true,
@@ -0,0 +1,112 @@
+"use strict";
+
+const { expect } = require("chai");
+const { parseRate, normalizeLimit, formatRate, TokenBucket, RateLimiter } = require("../lib/rate-limit");
+
+const MINUTE = 60 * 1000;
+
+describe("Rate limits", function() {
+	describe("parseRate()", function() {
+		it("should parse counts per period", function() {
+			expect(parseRate("30/hour")).to.deep.equal({ count: 30, seconds: 3600 });
+			expect(parseRate("5/10m")).to.deep.equal({ count: 5, seconds: 600 });
+			expect(parseRate("100 / days")).to.deep.equal({ count: 100, seconds: 86400 });
+		});
+
+		it("should reject invalid rates", function() {
+			expect(parseRate("30")).to.equal(null);
+			expect(parseRate("0/hour")).to.equal(null);
+			expect(parseRate("5/fortnight")).to.equal(null);
+		});
+	});
+
+	describe("normalizeLimit()", function() {
+		it("should drop invalid limits", function() {
+			expect(normalizeLimit({ count: 5, seconds: 60 })).to.deep.equal({ count: 5, seconds: 60 });
+			expect(normalizeLimit({ count: 0, seconds: 60 })).to.equal(null);
+			expect(normalizeLimit(null)).to.equal(null);
+		});
+	});
+
+	describe("formatRate()", function() {
+		it("should format a limit", function() {
+			expect(formatRate({ count: 30, seconds: 3600 })).to.equal("30/1h");
+		});
+	});
+
+	describe("TokenBucket", function() {
+		it("should allow a burst and refill over time", function() {
+			const now = Date.now();
+			const bucket = new TokenBucket({ count: 2, seconds: 60 }, now);
+
+			bucket.take(now);
+			bucket.take(now);
+			expect(bucket.hasToken(now)).to.equal(false);
+			expect(bucket.timeUntilToken(now)).to.equal(30 * 1000);
+			expect(bucket.hasToken(now + 30 * 1000)).to.equal(true);
+		});
+	});
+
+	describe("RateLimiter", function() {
+		const limits = {
+			global: { count: 3, seconds: 3600 },
+			channel: { count: 1, seconds: 600 },
+			services: { pushover: { count: 1, seconds: 60 } }
+		};
+
+		it("should find the first empty scope", function() {
+			const limiter = new RateLimiter();
+			const now = Date.now();
+			const scopes = ["global", "channel:libera/#dev"];
+
+			expect(limiter.findEmpty(limits, scopes, now)).to.equal(null);
+			limiter.take(limits, scopes, now);
+			expect(limiter.findEmpty(limits, scopes, now)).to.equal("channel:libera/#dev");
+			expect(limiter.findEmpty(limits, ["global", "channel:libera/#ops"], now)).to.equal(null);
+			expect(limiter.timeUntilAvailable(limits, scopes, now)).to.equal(10 * MINUTE);
+		});
+
+		it("should treat scopes without a limit as unlimited", function() {
+			const limiter = new RateLimiter();
+
+			limiter.take({}, ["global", "service:ntfy"]);
+			expect(limiter.findEmpty({}, ["global", "service:ntfy"])).to.equal(null);
+			expect(limiter.buckets.size).to.equal(0);
+		});
+
+		it("should reset a bucket when its limit changes", function() {
+			const limiter = new RateLimiter();
+			const now = Date.now();
+
+			limiter.take(limits, ["service:pushover"], now);
+			expect(limiter.findEmpty(limits, ["service:pushover"], now)).to.equal("service:pushover");
+
+			const changed = { services: { pushover: { count: 5, seconds: 60 } } };
+			expect(limiter.findEmpty(changed, ["service:pushover"], now)).to.equal(null);
+		});
+
+		it("should report bucket levels", function() {
+			const limiter = new RateLimiter();
+			const now = Date.now();
+
+			limiter.take(limits, ["global", "channel:libera/#dev"], now);
+			expect(limiter.getLevels(limits, now)).to.deep.equal([
+				{ scope: "global", tokens: 2, count: 3 },
+				{ scope: "service:pushover", tokens: 1, count: 1 },
+				{ scope: "channel:libera/#dev", tokens: 0, count: 1 }
+			]);
+		});
+
+		it("should drop channel buckets once they have refilled", function() {
+			const limiter = new RateLimiter();
+			const now = Date.now();
+
+			limiter.take(limits, ["global", "channel:libera/#dev"], now);
+			limiter.take(limits, ["global", "channel:libera/#ops"], now + 5 * MINUTE);
+			expect([...limiter.buckets.keys()]).to.deep.equal(["global", "channel:libera/#dev", "channel:libera/#ops"]);
+
+			limiter.take(limits, ["global", "channel:oftc/#help"], now + 10 * MINUTE);
+			expect([...limiter.buckets.keys()]).to.deep.equal(["global", "channel:libera/#ops", "channel:oftc/#help"]);
+		});
+	});
+});
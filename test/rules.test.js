@@ -0,0 +1,115 @@
+"use strict";
+
+const { expect } = require("chai");
+const { matchesRule, resolveRoute, parseRule, normalizeRule, formatRule } = require("../lib/rules");
+
+const highlight = {
+	type: "message",
+	network: "libera",
+	channel: "#prod-alerts",
+	nick: "alertbot",
+	message: "testuser: deploy failed on api-1",
+	highlight: true
+};
+
+describe("Routing Rules", function() {
+	describe("matchesRule()", function() {
+		it("should match rules without conditions", function() {
+			expect(matchesRule({ match: {}, actions: { stop: true } }, highlight)).to.equal(true);
+		});
+
+		it("should match every configured condition", function() {
+			const rule = {
+				match: { network: "lib*", channel: "#prod-*", nick: "alert*", type: "message,action", keyword: "deploy failed", highlight: true },
+				actions: {}
+			};
+
+			expect(matchesRule(rule, highlight)).to.equal(true);
+			expect(matchesRule(rule, Object.assign({}, highlight, { type: "notice" }))).to.equal(false);
+			expect(matchesRule(rule, Object.assign({}, highlight, { highlight: false }))).to.equal(false);
+			expect(matchesRule(rule, Object.assign({}, highlight, { channel: "#dev" }))).to.equal(false);
+		});
+	});
+
+	describe("resolveRoute()", function() {
+		const rules = [
+			{ match: { channel: "#prod-alerts" }, actions: { services: ["pushover"], priority: 2, stop: true } },
+			{ match: {}, actions: { services: ["ntfy"] } }
+		];
+
+		it("should stop at a matching rule with stop", function() {
+			const route = resolveRoute(rules, highlight);
+
+			expect(route.services).to.deep.equal(["pushover"]);
+			expect(route.priority).to.equal(2);
+			expect(route.matched).to.deep.equal([0]);
+		});
+
+		it("should fall through to later rules", function() {
+			const route = resolveRoute(rules, Object.assign({}, highlight, { channel: "#dev" }));
+
+			expect(route.services).to.deep.equal(["ntfy"]);
+			expect(route.priority).to.equal(undefined);
+		});
+
+		it("should let later matches override earlier actions", function() {
+			const route = resolveRoute([
+				{ match: {}, actions: { services: ["ntfy"], priority: 1 } },
+				{ match: { channel: "#prod-*" }, actions: { priority: 5, title: "ALERT" } }
+			], highlight);
+
+			expect(route.services).to.deep.equal(["ntfy"]);
+			expect(route.priority).to.equal(5);
+			expect(route.format.title).to.equal("ALERT");
+			expect(route.format.titleWithChannel).to.equal("ALERT");
+		});
+
+		it("should send to all services when no rule matches", function() {
+			const route = resolveRoute([], highlight);
+
+			expect(route.services).to.equal(null);
+			expect(route.matched).to.deep.equal([]);
+		});
+	});
+
+	describe("parseRule()", function() {
+		it("should parse conditions and actions", function() {
+			const rule = parseRule('channel=#prod-alerts highlight=true services=Pushover,ntfy priority=2 title="ALERT {{channel}}" stop');
+
+			expect(rule).to.deep.equal({
+				match: { channel: "#prod-alerts", highlight: true },
+				actions: { services: ["pushover", "ntfy"], priority: 2, title: "ALERT {{channel}}", stop: true }
+			});
+		});
+
+		it("should parse services=none as an empty service list", function() {
+			expect(parseRule("channel=#random services=none").actions.services).to.deep.equal([]);
+		});
+
+		it("should reject rules without actions", function() {
+			expect(() => parseRule("channel=#prod")).to.throw(/at least one action/);
+		});
+
+		it("should reject unknown keys and bare words", function() {
+			expect(() => parseRule("colour=red stop")).to.throw(/Unknown rule key/);
+			expect(() => parseRule("pushover")).to.throw(/Expected key=value/);
+		});
+	});
+
+	describe("normalizeRule()", function() {
+		it("should drop invalid values and rules without actions", function() {
+			expect(normalizeRule({ match: { channel: "#a", highlight: "yes" }, actions: { priority: 1.5, stop: true } }))
+				.to.deep.equal({ match: { channel: "#a" }, actions: { stop: true } });
+			expect(normalizeRule({ match: { channel: "#a" }, actions: {} })).to.equal(null);
+			expect(normalizeRule("rule")).to.equal(null);
+		});
+	});
+
+	describe("formatRule()", function() {
+		it("should format rules for display", function() {
+			expect(formatRule({ match: { channel: "#prod-alerts" }, actions: { services: ["pushover"], priority: 2, stop: true } }))
+				.to.equal("channel=#prod-alerts → services=pushover priority=2 stop");
+			expect(formatRule({ match: {}, actions: { title: "A B" } })).to.equal('(any) → title="A B"');
+		});
+	});
+});
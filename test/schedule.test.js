@@ -0,0 +1,144 @@
+"use strict";
+
+const { expect } = require("chai");
+const {
+	parseTime,
+	parseDays,
+	isValidTimezone,
+	getLocalTime,
+	normalizeWindow,
+	findActiveWindow,
+	nextTimeOfDay,
+	formatLocalTime
+} = require("../lib/schedule");
+
+// Monday 19 October 2026, 23:00 UTC
+const mondayNight = new Date(Date.UTC(2026, 9, 19, 23, 0));
+
+describe("Schedule", function() {
+	describe("parseTime()", function() {
+		it("should parse HH:MM times", function() {
+			expect(parseTime("07:30")).to.equal(450);
+			expect(parseTime("0:00")).to.equal(0);
+			expect(parseTime("24:00")).to.equal(1440);
+		});
+
+		it("should reject invalid times", function() {
+			expect(parseTime("25:00")).to.equal(null);
+			expect(parseTime("12:60")).to.equal(null);
+			expect(parseTime("noon")).to.equal(null);
+		});
+	});
+
+	describe("parseDays()", function() {
+		it("should parse day lists and ranges", function() {
+			expect(parseDays("mon-fri")).to.deep.equal(["mon", "tue", "wed", "thu", "fri"]);
+			expect(parseDays("sat,sun")).to.deep.equal(["sun", "sat"]);
+			expect(parseDays("daily")).to.have.length(7);
+		});
+
+		it("should parse ranges that wrap around the week", function() {
+			expect(parseDays("fri-mon")).to.deep.equal(["sun", "mon", "fri", "sat"]);
+		});
+
+		it("should reject unknown days", function() {
+			expect(parseDays("someday")).to.equal(null);
+		});
+	});
+
+	describe("timezones", function() {
+		it("should validate IANA timezone names", function() {
+			expect(isValidTimezone("Europe/Berlin")).to.equal(true);
+			expect(isValidTimezone("")).to.equal(true);
+			expect(isValidTimezone("Mars/Olympus_Mons")).to.equal(false);
+		});
+
+		it("should convert dates to local time in a timezone", function() {
+			expect(getLocalTime(mondayNight, "UTC")).to.deep.equal({ day: 1, minutes: 23 * 60 });
+			// Berlin is UTC+2 in October (CEST), so it is already Tuesday 01:00 there
+			expect(getLocalTime(mondayNight, "Europe/Berlin")).to.deep.equal({ day: 2, minutes: 60 });
+		});
+	});
+
+	describe("normalizeWindow()", function() {
+		it("should drop invalid windows", function() {
+			expect(normalizeWindow({ days: ["mon"], start: "22:00" })).to.equal(null);
+			expect(normalizeWindow({ days: ["funday"], start: "22:00", end: "07:00" })).to.equal(null);
+		});
+
+		it("should sort and lowercase days", function() {
+			expect(normalizeWindow({ days: ["FRI", "mon"], start: "22:00", end: "07:00" }))
+				.to.deep.equal({ days: ["mon", "fri"], start: "22:00", end: "07:00" });
+		});
+	});
+
+	describe("findActiveWindow()", function() {
+		function schedule(windows, timezone = "UTC") {
+			return { enabled: true, timezone: timezone, windows: windows };
+		}
+
+		it("should return null when the schedule is disabled", function() {
+			const disabled = Object.assign(schedule([{ days: ["mon"], start: "00:00", end: "00:00" }]), { enabled: false });
+			expect(findActiveWindow(disabled, mondayNight)).to.equal(null);
+		});
+
+		it("should match same-day windows", function() {
+			const window = { days: ["mon"], start: "22:00", end: "23:30" };
+			expect(findActiveWindow(schedule([window]), mondayNight)).to.equal(window);
+			expect(findActiveWindow(schedule([{ days: ["tue"], start: "22:00", end: "23:30" }]), mondayNight)).to.equal(null);
+		});
+
+		it("should match overnight windows on the following morning", function() {
+			const window = { days: ["mon"], start: "22:00", end: "07:00" };
+			const tuesdayMorning = new Date(Date.UTC(2026, 9, 20, 6, 0));
+			const tuesdayLate = new Date(Date.UTC(2026, 9, 20, 8, 0));
+
+			expect(findActiveWindow(schedule([window]), tuesdayMorning)).to.equal(window);
+			expect(findActiveWindow(schedule([window]), tuesdayLate)).to.equal(null);
+		});
+
+		it("should treat equal start and end as the whole day", function() {
+			const window = { days: ["sat", "sun"], start: "00:00", end: "00:00" };
+			const sunday = new Date(Date.UTC(2026, 9, 18, 12, 0));
+
+			expect(findActiveWindow(schedule([window]), sunday)).to.equal(window);
+			expect(findActiveWindow(schedule([window]), mondayNight)).to.equal(null);
+		});
+
+		it("should evaluate windows in the configured timezone", function() {
+			const window = { days: ["tue"], start: "00:00", end: "06:00" };
+
+			expect(findActiveWindow(schedule([window], "Europe/Berlin"), mondayNight)).to.equal(window);
+			expect(findActiveWindow(schedule([window], "UTC"), mondayNight)).to.equal(null);
+		});
+	});
+
+	describe("nextTimeOfDay()", function() {
+		it("should find the time tomorrow when it has passed today", function() {
+			const next = nextTimeOfDay("08:00", "UTC", mondayNight);
+			expect(next.toISOString()).to.equal("2026-10-20T08:00:00.000Z");
+		});
+
+		it("should find the time later today", function() {
+			const next = nextTimeOfDay("23:30", "UTC", mondayNight);
+			expect(next.toISOString()).to.equal("2026-10-19T23:30:00.000Z");
+		});
+
+		it("should use the timezone's clock", function() {
+			// 23:00 UTC is 01:00 in Berlin (CEST), so 08:00 Berlin is 06:00 UTC
+			const next = nextTimeOfDay("08:00", "Europe/Berlin", mondayNight);
+			expect(next.toISOString()).to.equal("2026-10-20T06:00:00.000Z");
+		});
+
+		it("should return null for invalid times", function() {
+			expect(nextTimeOfDay("8am", "UTC", mondayNight)).to.equal(null);
+		});
+	});
+
+	describe("formatLocalTime()", function() {
+		it("should format the clock time in a timezone", function() {
+			expect(formatLocalTime(mondayNight, "UTC")).to.equal("23:00");
+			expect(formatLocalTime(mondayNight, "Europe/Berlin")).to.equal("01:00");
+		});
+	});
+});
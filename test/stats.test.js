@@ -0,0 +1,98 @@
+"use strict";
+
+const { expect } = require("chai");
+const DeliveryStats = require("../lib/stats");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("DeliveryStats", function() {
+	let storageDir;
+
+	beforeEach(function() {
+		storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "thelounge-test-"));
+	});
+
+	afterEach(function() {
+		fs.rmSync(storageDir, { recursive: true, force: true });
+	});
+
+	describe("percentile()", function() {
+		it("should use the nearest rank", function() {
+			const samples = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+			expect(DeliveryStats.percentile(samples, 50)).to.equal(50);
+			expect(DeliveryStats.percentile(samples, 95)).to.equal(100);
+			expect(DeliveryStats.percentile([], 50)).to.equal(null);
+		});
+	});
+
+	describe("recordSuccess() and recordFailure()", function() {
+		it("should count sends per service", function() {
+			const stats = new DeliveryStats();
+
+			stats.recordSuccess("Pushover", 200, 1000);
+			stats.recordSuccess("Pushover", 400, 2000);
+			stats.recordFailure("Pushover", "HTTP 500", 1200, 3000);
+
+			expect(stats.getSummary("pushover")).to.deep.equal({
+				sent: 2,
+				failed: 1,
+				lastSuccess: 2000,
+				lastFailure: 3000,
+				lastError: "HTTP 500",
+				since: 1000,
+				p50: 400,
+				p95: 1200
+			});
+			expect(stats.getServiceNames()).to.deep.equal(["pushover"]);
+		});
+
+		it("should keep only the latest latency samples", function() {
+			const stats = new DeliveryStats();
+
+			for (let i = 0; i < 150; i++) {
+				stats.recordSuccess("ntfy", i);
+			}
+
+			expect(stats.services.ntfy.latencies).to.have.length(100);
+			expect(stats.services.ntfy.latencies[0]).to.equal(50);
+		});
+	});
+
+	describe("persistence", function() {
+		it("should save and load stats", function() {
+			const statsPath = path.join(storageDir, "testuser-stats.json");
+			const stats = new DeliveryStats(statsPath);
+
+			stats.recordSuccess("Pushover", 250);
+			stats.save();
+
+			const loaded = new DeliveryStats(statsPath);
+			expect(loaded.getSummary("Pushover").sent).to.equal(1);
+			expect(loaded.getSummary("Pushover").p50).to.equal(250);
+		});
+
+		it("should ignore a malformed file", function() {
+			const statsPath = path.join(storageDir, "testuser-stats.json");
+			fs.writeFileSync(statsPath, "{not json");
+
+			expect(new DeliveryStats(statsPath).getServiceNames()).to.deep.equal([]);
+		});
+	});
+
+	describe("reset()", function() {
+		it("should reset one or all services", function() {
+			const stats = new DeliveryStats();
+			stats.recordSuccess("Pushover", 100);
+			stats.recordSuccess("ntfy", 100);
+
+			expect(stats.reset("pushover")).to.equal(true);
+			expect(stats.getServiceNames()).to.deep.equal(["ntfy"]);
+			expect(stats.reset("prowl")).to.equal(false);
+
+			stats.reset();
+			expect(stats.getServiceNames()).to.deep.equal([]);
+		});
+	});
+});
@@ -0,0 +1,135 @@
+"use strict";
+
+const { expect } = require("chai");
+const EventEmitter = require("events");
+const FriendWatch = require("../lib/watch");
+
+// irc-framework client stand-in that records MONITOR changes
+function createIrc(supportsMonitor) {
+	const irc = new EventEmitter();
+	irc.connected = true;
+	irc.network = { supports: name => supportsMonitor && name === "MONITOR" ? "100" : false };
+	irc.monitorChanges = [];
+	irc.addMonitor = nick => irc.monitorChanges.push(`+${nick}`);
+	irc.removeMonitor = nick => irc.monitorChanges.push(`-${nick}`);
+	return irc;
+}
+
+describe("FriendWatch", function() {
+	let settings;
+	let network;
+	let watch;
+	let events;
+
+	function createWatch(supportsMonitor) {
+		network = { name: "Libera", irc: createIrc(supportsMonitor) };
+		watch = new FriendWatch(network, { getSettings: () => settings });
+		events = [];
+		watch.on("message", event => events.push(event));
+		watch.attach();
+	}
+
+	function presence(type, nick, extra = {}) {
+		return { type: type, network: "Libera", channel: "#team", nick: nick, newNick: null, reason: null, timestamp: new Date(), ...extra };
+	}
+
+	beforeEach(function() {
+		settings = {
+			nicks: [{ network: "Libera", nick: "alice" }, { network: "OFTC", nick: "bob" }],
+			cooldownSeconds: 300
+		};
+	});
+
+	afterEach(function() {
+		watch.detach();
+	});
+
+	describe("with MONITOR", function() {
+		beforeEach(function() {
+			createWatch(true);
+		});
+
+		it("should monitor the nicks watched on its network", function() {
+			expect(network.irc.monitorChanges).to.deep.equal(["+alice"]);
+		});
+
+		it("should follow changes to the watch list", function() {
+			settings.nicks = [{ network: "Libera", nick: "carol" }];
+			watch.sync();
+
+			expect(network.irc.monitorChanges).to.deep.equal(["+alice", "-alice", "+carol"]);
+		});
+
+		it("should record the first status quietly and notify on changes", function() {
+			network.irc.emit("users online", { nicks: ["Alice"] });
+			expect(events).to.have.length(0);
+			expect(watch.getStatus("alice")).to.equal("online");
+
+			watch.handleMonitor({ nicks: ["Alice"] }, false, Date.now());
+
+			expect(events).to.have.length(1);
+			expect(events[0]).to.include({ type: "offline", nick: "Alice", network: "Libera", channel: "Libera", channelType: "lobby" });
+		});
+
+		it("should ignore quits, which MONITOR reports", function() {
+			watch.handlePresence(presence("quit", "alice", { reason: "Ping timeout" }));
+
+			expect(events).to.have.length(0);
+		});
+
+		it("should monitor again after reconnecting", function() {
+			network.irc.emit("users online", { nicks: ["alice"] });
+			network.irc.emit("registered");
+
+			expect(network.irc.monitorChanges).to.deep.equal(["+alice", "+alice"]);
+			expect(watch.getStatus("alice")).to.equal("unknown");
+		});
+
+		it("should take its nicks off the MONITOR list on detach", function() {
+			watch.detach();
+
+			expect(network.irc.monitorChanges).to.deep.equal(["+alice", "-alice"]);
+			expect(network.irc.listenerCount("users online")).to.equal(0);
+		});
+	});
+
+	describe("without MONITOR", function() {
+		beforeEach(function() {
+			createWatch(false);
+		});
+
+		it("should not send MONITOR commands", function() {
+			expect(network.irc.monitorChanges).to.deep.equal([]);
+		});
+
+		it("should notify on joins and parts of watched nicks", function() {
+			watch.handlePresence(presence("join", "alice"), 0);
+			watch.handlePresence(presence("join", "mallory"), 0);
+
+			expect(events).to.have.length(1);
+			expect(events[0]).to.include({ type: "join", nick: "alice", channel: "#team", channelType: "channel" });
+			expect(watch.getStatus("alice")).to.equal("online");
+		});
+
+		it("should treat quits and nick changes as going offline or coming online", function() {
+			settings.cooldownSeconds = 0;
+			watch.handlePresence(presence("quit", "alice", { reason: "Quit: bye" }));
+			watch.handlePresence(presence("nick", "alice_", { newNick: "alice" }));
+
+			expect(events.map(event => [event.type, event.reason])).to.deep.equal([
+				["offline", "Quit: bye"],
+				["online", "was alice_"]
+			]);
+		});
+
+		it("should only notify once per nick within the cooldown", function() {
+			// A netsplit: the quit arrives in every shared channel, then the rejoins
+			watch.handlePresence(presence("quit", "alice", { channel: "#team" }), 1000);
+			watch.handlePresence(presence("quit", "alice", { channel: "#ops" }), 1000);
+			watch.handlePresence(presence("join", "alice", { channel: "#team" }), 60 * 1000);
+			watch.handlePresence(presence("join", "alice", { channel: "#team" }), 400 * 1000);
+
+			expect(events.map(event => event.type)).to.deep.equal(["offline", "join"]);
+		});
+	});
+});